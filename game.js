@@ -25,7 +25,30 @@ class AdventureGame {
         this.ui = new UIManager(this);
         this.auth = new AuthManager(this);
         this.feedback = new FeedbackManager(this);
+        this.houseSubmissions = new HouseSubmissionStore(this);
+        this.media = new MediaStore(this);
+        this.houseForms = new HouseFormEngine(this);
         this.houseInteraction = new HouseInteractionManager(this);
+        this.attendance = new AttendanceManager(this);
+        this.cashRegister = new CashRegisterManager(this);
+        this.leaderboard = new LeaderboardManager(this);
+        this.coinLedger = new CoinLedger(this);
+        this.ideas = new IdeaBoardManager(this);
+        this.missionFeed = new MissionFeedManager(this);
+        this.rivalGate = new RivalGateManager(this);
+        this.notebook = new NotebookManager(this);
+        this.seminars = new SeminarManager(this);
+        this.saisieStock = new SaisieStockManager(this);
+        this.hygiene = new HygieneInspectionManager(this);
+        this.diplomas = new DiplomaWorkflowManager(this);
+        this.students = new StudentRegistryManager(this);
+        this.groupReports = new GroupReportManager(this);
+        this.surveys = new SatisfactionSurveyManager(this);
+        this.questAssignments = new QuestAssignmentManager(this);
+        this.recurringQuests = new RecurringQuestManager(this);
+        this.questChains = new QuestChainManager(this);
+        this.teamQuests = new TeamQuestManager(this);
+        this.questApprovals = new QuestApprovalManager(this);
         
         // Start the game
         this.init();
@@ -229,9 +252,9 @@ class AdventureGame {
         // Track stats refresh timer
         this.statsRefreshTimer += this.deltaTime;
         
-        // Refresh user stats from Firestore every 30 seconds to stay synchronized
+        // Without live listeners, refresh user stats from Firestore every 30 seconds to stay synchronized
         if (this.statsRefreshTimer >= 30000) {
-            this.auth.refreshUserStats();
+            if (!this.auth.hasLiveUpdates()) this.auth.refreshUserStats();
             this.statsRefreshTimer = 0;
         }
         
@@ -329,6 +352,9 @@ class InputManager {
         if (e.key.toLowerCase() === 'd') {
             this.game.debugMode = !this.game.debugMode;
             console.log(`🐛 Debug mode: ${this.game.debugMode ? 'ON' : 'OFF'}`);
+            if (this.game.debugMode && this.game.houseInteraction) {
+                this.game.houseInteraction.reportButtonConfigErrors();
+            }
         }
         
         e.preventDefault();
@@ -1584,7 +1610,7 @@ class UIManager {
             this.game.auth.userStats.questPanelOpen = isOpen;
             
             // Save to database
-            await this.game.auth.saveUserStats();
+            await this.game.auth.saveUserStats(['questPanelOpen']);
             
             console.log(`💾 Quest panel state saved: ${isOpen ? 'open' : 'closed'}`);
         } catch (error) {
@@ -2827,7 +2853,7 @@ class UIManager {
         return end <= now;
     }
 
-    updatePlayerQuests(quests) {
+    updatePlayerQuests(quests, loadError = false) {
         const questContent = document.querySelector('.quest-content');
         if (!questContent) return;
         
@@ -2855,6 +2881,18 @@ class UIManager {
             });
         }
         
+        // Chain progress goes first, with the steps that are still locked
+        const chainProgress = this.game.questChains?.createProgressElement();
+        if (chainProgress) fragment.insertBefore(chainProgress, fragment.firstChild);
+        
+        // One of the quest queries failed: what is shown may be incomplete
+        if (loadError) {
+            const errorDiv = document.createElement('div');
+            errorDiv.className = 'no-quests quest-load-error';
+            errorDiv.textContent = '⚠️ Some quests could not be loaded';
+            fragment.insertBefore(errorDiv, fragment.firstChild);
+        }
+        
         // Clear and append all at once
         questContent.innerHTML = '';
         questContent.appendChild(fragment);
@@ -2889,7 +2927,7 @@ class UIManager {
             this.game.auth.userStats.seenQuests = allSeenQuests;
             
             // Save to database
-            await this.game.auth.saveUserStats();
+            await this.game.auth.saveUserStats(['seenQuests']);
             
             console.log('✅ Marked quests as seen:', currentQuestIds);
         } catch (error) {
@@ -2936,9 +2974,9 @@ class UIManager {
         questDiv.innerHTML = `
             <div class="quest-compact">
                 <div class="quest-compact-info">
-                    <div class="quest-title">${quest.name}</div>
+                    <div class="quest-title">${quest.recurring ? '🔁 ' : ''}${quest.chainId ? '🔗 ' : ''}${quest.team ? '👥 ' : ''}${quest.name}</div>
                     <div class="quest-timer ${timerInfo.class}" data-end-time="${quest.endTime}">
-                        ${isCompleted ? '✅ Terminé' : isPlayerDone ? '⏳ En attente' : timerInfo.text}
+                        ${isCompleted ? '✅ Terminé' : isPlayerDone ? '⏳ En attente' : quest.reachedAt ? '🎯 Objectif atteint' : timerInfo.text}
                     </div>
                 </div>
                 <button class="quest-details-btn" data-quest-id="${quest.id}">
@@ -2953,8 +2991,9 @@ class UIManager {
                     <span class="reward-badge reward-xp">+${quest.xpReward || 0} XP</span>
                     <span class="reward-badge reward-coins">+${quest.coinsReward || 0} DZD</span>
                 </div>
+                ${quest.team ? this.game.teamQuests.renderProgress(quest) : ''}
                 <div class="quest-actions">
-                    ${isExpired && !isPlayerDone && !isCompleted ? `
+                    ${quest.team ? this.renderTeamQuestActions(quest, isExpired) : isExpired && !isPlayerDone && !isCompleted ? `
                         ${hasJustification ? `
                             <button class="justify-btn" data-quest-id="${quest.id}" disabled style="
                                 opacity: 0.7;
@@ -3001,6 +3040,9 @@ class UIManager {
             } else if (e.target.classList.contains('verification-btn')) {
                 const link = e.target.getAttribute('data-verification-link');
                 if (link) window.open(link, '_blank');
+            } else if (e.target.classList.contains('contribute-btn')) {
+                // Styled as a done button, but adds to the team total instead
+                if (!e.target.disabled) this.handleTeamContribution(quest, e.target);
             } else if (e.target.classList.contains('done-btn') && !e.target.disabled) {
                 const questId = e.target.getAttribute('data-quest-id');
                 if (questId) this.handleQuestDone(questId);
@@ -3013,6 +3055,43 @@ class UIManager {
         return questDiv;
     }
     
+    // Team quests are never marked done by one player: they are handed in when the shared total reaches the target
+    renderTeamQuestActions(quest, isExpired) {
+        if (quest.status === 'completed') {
+            return '<button class="done-btn completed" disabled>🎯 Objectif atteint</button>';
+        }
+        if (quest.reachedAt) {
+            return '<button class="done-btn waiting-approval" disabled>🎯 Objectif atteint, en attente d\'approbation</button>';
+        }
+        if (isExpired) {
+            return '<button class="done-btn" disabled>⌛ Temps écoulé</button>';
+        }
+        if (quest.metric && quest.metric !== 'manual') {
+            return `<div class="quest-team-metric">Compté automatiquement · ${this.game.teamQuests.metricLabel(quest.metric)}</div>`;
+        }
+        return `<button class="contribute-btn done-btn" data-quest-id="${quest.id}">➕ Contribuer</button>`;
+    }
+    
+    async handleTeamContribution(quest, button) {
+        const raw = prompt(`Combien de ${quest.unit || 'unités'} ajoutez-vous à "${quest.name}" ?`);
+        if (raw === null) return;
+        const amount = Number(raw);
+        
+        button.disabled = true;
+        try {
+            const { total, reached } = await this.game.teamQuests.contribute(quest.id, amount);
+            this.game.auth.showBottomNotification(reached
+                ? `🎯 Objectif d'équipe atteint : ${quest.name}`
+                : `👥 Contribution enregistrée (${total} / ${quest.target})`, 'success');
+            // Without the quest listener the panel does not follow the new total
+            if (!this.game.auth.questUnsubscribe) this.game.auth.loadPlayerQuests();
+        } catch (error) {
+            console.error('❌ Error contributing to team quest:', error);
+            this.game.auth.showBottomNotification(`❌ ${error.message}`, 'error');
+            button.disabled = false;
+        }
+    }
+    
     toggleQuestDetails(questDiv) {
         const detailsDiv = questDiv.querySelector('.quest-details');
         const detailsBtn = questDiv.querySelector('.quest-details-btn');
@@ -3685,6 +3764,14 @@ class AuthManager {
         this.user = null;
         this.userStats = null;
         this.authStateListeners = [];
+        
+        // Live Firestore listeners, started once the player's stats are loaded and stopped on logout
+        this.playerQuests = [];
+        this.questUnsubscribe = null;
+        this.userUnsubscribe = null;
+        this.realtimeStatKeys = ['name', 'level', 'points', 'experience', 'role'];
+        // What saveUserStats() writes on an existing document; balances, level and ledger only change through the coin ledger
+        this.ownStatFields = ['uid', 'email', 'name', 'seenQuests', 'questPanelOpen', 'lastLogin'];
     }
     
     async init() {
@@ -3694,6 +3781,7 @@ class AuthManager {
         // Listen for auth state changes
         window.onAuthStateChanged(window.auth, (user) => {
             console.log("🔥 Auth state changed:", user ? user.email : "No user");
+            if (!user) this.stopRealtimeListeners();
             this.user = user;
             this.notifyAuthStateListeners(user);
             
@@ -3719,9 +3807,6 @@ class AuthManager {
         
         // Setup login form
         this.setupLoginForm();
-        
-        // Set up real-time stat update listeners
-        this.setupRealTimeUpdates();
     }
     
     waitForFirebase() {
@@ -3922,7 +4007,24 @@ class AuthManager {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         return emailRegex.test(email);
     }
+
+    // Display name used when the player files something (Firestore name first, then auth profile)
+    // Admins are flagged with `role: 'admin'` on their users document by the dashboard
+    isAdmin() {
+        return !!(this.userStats && this.userStats.role === 'admin');
+    }
     
+    // Staff roles (e.g. 'staff', 'inspector') are set the same way; admins hold all of them
+    hasRole(roles) {
+        return this.isAdmin() || !!(this.userStats && roles.includes(this.userStats.role));
+    }
+    
+    getPlayerName() {
+        if (this.userStats && this.userStats.name) return this.userStats.name;
+        if (!this.user) return 'Player';
+        return this.user.displayName || this.user.email || 'Player';
+    }
+
     async handleLogout() {
         console.log('🚪 Logout button clicked!');
         try {
@@ -4220,6 +4322,9 @@ class AuthManager {
                 }
             }
             
+            // saveUserStats() creates the document under the uid when none is found
+            this.userDocId = userDoc && userDoc.exists() ? userDoc.id : this.user.uid;
+            
             if (userDoc && userDoc.exists()) {
                 this.userStats = userDoc.data();
                 console.log("✅ User stats loaded:", this.userStats);
@@ -4273,124 +4378,228 @@ class AuthManager {
                 this.game.ui.restoreQuestPanelState();
             }
             
-            // Load player's quests after loading user stats
-            await this.loadPlayerQuests();
+            // Account for balance changes made while the player was away
+            if (this.game.coinLedger) {
+                await this.game.coinLedger.reconcile(this.user.uid);
+            }
+            
+            // Quests still assigned the old way are invisible to the audience query until converted
+            if (this.isAdmin()) {
+                this.game.questAssignments.migrate({ statuses: this.game.questAssignments.openStatuses })
+                    .catch(error => console.error('❌ Quest assignment migration failed:', error));
+                // Missions without a privacy flag stay out of other players' reach until they get one
+                this.game.missionFeed.backfillPrivacy()
+                    .catch(error => console.error('❌ Mission privacy backfill failed:', error));
+                // The period baselines of the leaderboard can only be written by an admin
+                this.game.leaderboard.ensureSnapshot('week');
+                this.game.leaderboard.ensureSnapshot('month');
+                this.game.hygiene.createPendingFollowUps()
+                    .catch(error => console.error('❌ Hygiene follow-up creation failed:', error));
+                // Routine quests carry rewards, so only an admin's client writes this period's instances
+                this.game.recurringQuests.spawnAll()
+                    .catch(error => console.error('❌ Recurring quest spawn failed:', error));
+                // New chains and steps that ran out without an approval; approved steps advance on approval
+                this.game.questChains.syncAll()
+                    .catch(error => console.error('❌ Quest chain sync failed:', error));
+            } else {
+                this.game.questChains.loadForPlayer()
+                    .catch(error => console.error('❌ Quest chain load failed:', error));
+            }
+            this.game.questApprovals.setAvailable(this.isAdmin());
+            
+            // Quests and stats now follow Firestore live; fall back to a one-off load without onSnapshot
+            this.startRealtimeListeners();
+            if (!this.questUnsubscribe) await this.loadPlayerQuests();
         } catch (error) {
             console.error('❌ Error loading user stats:', error);
         }
     }
     
-    async loadPlayerQuests() {
-        if (!this.user || !window.db) return;
+    hasLiveUpdates() {
+        return !!(this.questUnsubscribe && this.userUnsubscribe);
+    }
+    
+    startRealtimeListeners() {
+        this.stopRealtimeListeners();
+        if (!this.user || !window.db || !window.onSnapshot) return;
         
-        try {
-            console.log("📋 Loading player quests...");
-            
-            // Get all active and player_done quests
-            const questsRef = window.collection(window.db, 'quests');
-            const q = window.query(questsRef, window.where('status', 'in', ['active', 'player_done']));
-            const querySnapshot = await window.getDocs(q);
+        this.listenToPlayerQuests();
+        this.listenToUserDoc(this.userDocId || this.user.uid);
+        console.log('📡 Live quest and stat listeners started');
+    }
+    
+    stopRealtimeListeners() {
+        if (this.questUnsubscribe) this.questUnsubscribe();
+        if (this.userUnsubscribe) this.userUnsubscribe();
+        if (this.questUnsubscribe || this.userUnsubscribe) console.log('📡 Live quest and stat listeners stopped');
+        
+        this.questUnsubscribe = null;
+        this.userUnsubscribe = null;
+        this.playerQuests = [];
+    }
+    
+    listenToPlayerQuests() {
+        const assignments = this.game.questAssignments;
+        const results = {};
+        let initial = true;
+        
+        // Both queries must have answered once before the panel is drawn
+        const failed = new Set();
+        
+        // Both queries must have answered once before the panel is drawn; a failed one counts as empty
+        const update = () => {
+            if (!results.audience || !results.legacy) return;
             
-            const allQuests = [];
-            querySnapshot.forEach((doc) => {
-                allQuests.push({
-                    id: doc.id,
-                    ...doc.data()
-                });
-            });
+            const playerQuests = this.filterPlayerQuests(assignments.mergeQuests(results.audience, results.legacy));
             
-            // Filter quests assigned to this player or to all players
-            const playerQuests = [];
+            const previous = this.playerQuests;
+            this.playerQuests = playerQuests;
+            this.game.ui.updatePlayerQuests(playerQuests, failed.size > 0);
             
-            for (const quest of allQuests) {
-                let shouldInclude = false;
-                
-                // For player_done quests, only show if the player is the one who marked it as done
-                if (quest.status === 'player_done') {
-                    if (quest.playerDoneBy === this.user.uid || quest.playerDoneBy === this.user.email) {
-                        shouldInclude = true;
-                    }
-                } else {
-                    // Check if quest is assigned to all players (null, undefined, or empty string)
-                    const assignedPlayer = quest.assignedPlayer;
-                    if (!assignedPlayer || (typeof assignedPlayer === 'string' && assignedPlayer.trim() === '')) {
-                        // Quest is assigned to all players
-                        shouldInclude = true;
-                    } else {
-                        // Quest is assigned to a specific player
-                        // Try multiple matching methods
-                        
-                        // 1. Direct match with Firebase Auth UID
-                        if (assignedPlayer === this.user.uid) {
-                            shouldInclude = true;
-                        }
-                        
-                        // 2. Direct match with email
-                        if (assignedPlayer === this.user.email) {
-                            shouldInclude = true;
-                        }
-                        
-                        // 3. Check if assignedPlayer is a Firestore document ID that belongs to us
-                        if (!shouldInclude) {
-                            try {
-                                const userDocRef = window.doc(window.db, 'users', assignedPlayer);
-                                const userDoc = await window.getDoc(userDocRef);
-                                
-                                if (userDoc.exists()) {
-                                    const userData = userDoc.data();
-                                    // Check if this document belongs to the current user
-                                    // Match by email, Firebase Auth UID, or Firestore document ID
-                                    if (userData.email === this.user.email || 
-                                        userData.uid === this.user.uid ||
-                                        userDoc.id === this.user.uid) {
-                                        shouldInclude = true;
-                                    }
-                                }
-                            } catch (error) {
-                                console.log('Could not check user document for quest assignment:', error);
-                            }
-                        }
-                    }
-                }
-                
-                if (shouldInclude) {
-                    playerQuests.push(quest);
+            if (initial) {
+                initial = false;
+                return;
+            }
+            this.announceQuestChanges(previous, playerQuests);
+        };
+        const onQuests = (key) => (snapshot) => {
+            results[key] = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            update();
+        };
+        const onError = (key) => (error) => {
+            console.error(`❌ Quest listener error (${key}):`, error);
+            failed.add(key);
+            results[key] = results[key] || [];
+            update();
+        };
+        
+        const unsubscribers = [
+            window.onSnapshot(assignments.playerQuestQuery(this.user, this.userStats), onQuests('audience'), onError('audience')),
+            window.onSnapshot(assignments.legacyQuestQuery(this.user), onQuests('legacy'), onError('legacy'))
+        ];
+        this.questUnsubscribe = () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+    
+    // Compare two snapshots of the player's quests: new assignments and approvals get a notification
+    async announceQuestChanges(previous, current) {
+        const currentIds = new Set(current.map(quest => quest.id));
+        const previousIds = new Set(previous.map(quest => quest.id));
+        
+        current
+            .filter(quest => quest.status === 'active' && !previousIds.has(quest.id))
+            .forEach(quest => this.showBottomNotification(`🆕 New quest: ${quest.name || 'Quest'}`, 'info', 4000));
+        
+        // A teammate's share took a team quest we contributed to over its target (our own share was already announced)
+        const previousById = new Map(previous.map(quest => [quest.id, quest]));
+        current
+            .filter(quest => quest.team && quest.reachedAt && !previousById.get(quest.id)?.reachedAt)
+            .filter(quest => quest.contributions?.[this.user.uid] && quest.contributions[this.user.uid].updatedAt !== quest.reachedAt)
+            .forEach(quest => this.showBottomNotification(`🎯 Objectif d'équipe atteint : ${quest.name}`, 'success', 4000));
+        
+        // An approved quest leaves the active/player_done query, so check what it became
+        const leftForReview = previous.filter(quest => quest.status === 'player_done' && !currentIds.has(quest.id));
+        for (const quest of leftForReview) {
+            try {
+                const questDoc = await window.getDoc(window.doc(window.db, 'quests', quest.id));
+                if (questDoc.exists() && questDoc.data().status === 'completed') {
+                    this.showBottomNotification('🎉 Quest approved! You received your rewards!', 'success', 4000);
+                    // The approval also unlocked the next chain step
+                    if (quest.chainId) this.game.questChains.loadForPlayer();
                 }
+            } catch (error) {
+                console.error('❌ Error checking quest approval:', error);
+            }
+        }
+    }
+    
+    listenToUserDoc(userDocId) {
+        let initial = true;
+        
+        this.userUnsubscribe = window.onSnapshot(window.doc(window.db, 'users', userDocId), (snapshot) => {
+            if (initial) {
+                initial = false;
+                return;
+            }
+            // Our own saveUserStats() writes echo back first as pending local writes
+            if (snapshot.metadata.hasPendingWrites || !snapshot.exists() || !this.userStats) return;
+            
+            const data = snapshot.data();
+            // Kept in step silently; the coin history compares it with the balances
+            if (data.ledger) this.userStats.ledger = data.ledger;
+            const changes = {};
+            this.realtimeStatKeys.forEach(key => {
+                if (data[key] !== undefined && data[key] !== this.userStats[key]) changes[key] = data[key];
+            });
+            if (Object.keys(changes).length > 0) this.handleExternalStatUpdate(changes);
+            
+            // The role is one of the quest audience targets
+            if ('role' in changes && this.questUnsubscribe) {
+                this.questUnsubscribe();
+                this.listenToPlayerQuests();
             }
+        }, (error) => {
+            console.error('❌ User stats listener error:', error);
+        });
+    }
+    
+    async loadPlayerQuests() {
+        if (!this.user || !window.db) return;
+        
+        // The quest listener keeps playerQuests current, so only redraw
+        if (this.questUnsubscribe) {
+            this.game.ui.updatePlayerQuests(this.playerQuests);
+            return;
+        }
+        
+        try {
+            console.log("📋 Loading player quests...");
             
-            console.log(`📋 Found ${playerQuests.length} quests for player`);
-            console.log('📋 Current user info:', {
-                uid: this.user.uid,
-                email: this.user.email
+            const assignments = this.game.questAssignments;
+            const settled = await Promise.allSettled([
+                window.getDocs(assignments.playerQuestQuery(this.user, this.userStats)),
+                window.getDocs(assignments.legacyQuestQuery(this.user))
+            ]);
+            // Show whichever query answered; the panel flags the quests that could not be loaded
+            const [audienceQuests, legacyQuests] = settled.map(result => {
+                if (result.status === 'rejected') {
+                    console.error('❌ Error loading player quests:', result.reason);
+                    return [];
+                }
+                return result.value.docs.map(doc => ({ id: doc.id, ...doc.data() }));
             });
-            console.log('📋 All quests in database:', allQuests.map(q => ({ 
-                name: q.name, 
-                assignedPlayer: q.assignedPlayer,
-                status: q.status 
-            })));
-            console.log('📋 Filtered quests for player:', playerQuests.map(q => ({ 
-                name: q.name, 
-                assignedPlayer: q.assignedPlayer,
-                status: q.status 
-            })));
+            const loadError = settled.some(result => result.status === 'rejected');
+            this.playerQuests = this.filterPlayerQuests(assignments.mergeQuests(audienceQuests, legacyQuests));
+            console.log(`📋 Found ${this.playerQuests.length} quests for player`);
             
             // Update UI with player's quests
-            this.game.ui.updatePlayerQuests(playerQuests);
+            this.game.ui.updatePlayerQuests(this.playerQuests, loadError);
             
         } catch (error) {
             console.error('❌ Error loading player quests:', error);
         }
     }
     
-    async saveUserStats() {
+    // The query already limits quests to this player's audience; a quest marked done only stays with whoever marked it
+    filterPlayerQuests(assignedQuests) {
+        // A reached team quest waits for approval in front of every member
+        return assignedQuests.filter(quest => quest.status !== 'player_done' || quest.team ||
+            quest.playerDoneBy === this.user.uid || quest.playerDoneBy === this.user.email);
+    }
+    
+    /**
+     * Save the player's own fields; the whole document is only written when it is created
+     * @param {string[]} fields - defaults to ownStatFields
+     */
+    async saveUserStats(fields = this.ownStatFields) {
         if (!this.user || !this.userStats || !window.db) return;
         
         try {
             // First try to save using Firebase Auth UID
             let userDocRef = window.doc(window.db, 'users', this.user.uid);
             let userDoc = await window.getDoc(userDocRef);
+            let found = userDoc.exists();
             
-            if (!userDoc.exists()) {
+            if (!found) {
                 // If document doesn't exist with UID, find by email
                 console.log("🔍 Document not found by UID, searching by email for save...");
                 const usersRef = window.collection(window.db, 'users');
@@ -4400,12 +4609,25 @@ class AuthManager {
                 if (!querySnapshot.empty) {
                     const existingDoc = querySnapshot.docs[0];
                     userDocRef = window.doc(window.db, 'users', existingDoc.id);
+                    found = true;
                     console.log("✅ Found existing document for save:", existingDoc.id);
                 }
             }
             
-            await window.setDoc(userDocRef, this.userStats);
-            console.log("💾 User stats saved to database:", this.userStats);
+            if (!found) {
+                await window.setDoc(userDocRef, this.userStats);
+                console.log("💾 User stats created in database:", this.userStats);
+                return;
+            }
+            
+            const updates = {};
+            fields.forEach(field => {
+                if (this.userStats[field] !== undefined) updates[field] = this.userStats[field];
+            });
+            if (Object.keys(updates).length === 0) return;
+            
+            await window.updateDoc(userDocRef, updates);
+            console.log("💾 User stats saved to database:", updates);
         } catch (error) {
             console.error('❌ Error saving user stats:', error);
         }
@@ -4415,14 +4637,25 @@ class AuthManager {
     async updateStats(updates) {
         if (!this.userStats) return;
         
+        // Balances are written together with their coin ledger entries
+        const { points, experience, ...otherUpdates } = updates;
+        const balances = {};
+        if (points !== undefined) balances.points = points;
+        if (experience !== undefined) balances.experience = experience;
+        if (Object.keys(balances).length > 0 && this.game.coinLedger) {
+            await this.game.coinLedger.setBalances(this.user.uid, balances, { type: 'admin', label: 'Modification manuelle' });
+        } else {
+            Object.assign(otherUpdates, balances);
+        }
+        
         // Update the stats
-        Object.assign(this.userStats, updates);
+        Object.assign(this.userStats, otherUpdates);
         
         // Update UI immediately
         this.game.ui.updateUserStats(this.userStats);
         
-        // Save to database
-        await this.saveUserStats();
+        // Save to database; the rules only let an admin change the level
+        await this.saveUserStats(Object.keys(otherUpdates));
         
         console.log("📊 Stats updated:", updates);
     }
@@ -4585,121 +4818,18 @@ class AuthManager {
         // Update UI immediately
         this.game.ui.updateUserStats(this.userStats);
         
+        // Changes made by the game carry their ledger entries; only the dashboard's still need recording
+        if (this.game.coinLedger) this.game.coinLedger.reconcile(this.user.uid);
+        
         // Show notification of external update
         this.showStatUpdateNotification();
     }
     
-    setupRealTimeUpdates() {
-        console.log('🔄 Setting up real-time stat updates...');
-        
-        // Listen for custom events from admin dashboard
-        window.addEventListener('playerStatsUpdated', (event) => {
-            const { playerId, stats } = event.detail;
-            console.log('📡 Received real-time stat update:', { playerId, stats });
-            
-            // Check if this update is for the current user
-            if (this.user && (this.user.uid === playerId || this.user.email === playerId)) {
-                this.handleExternalStatUpdate(stats);
-            }
-        });
-        
-        // Check localStorage for stat updates (fallback method)
-        const checkForStatUpdates = () => {
-            try {
-                const statUpdateData = localStorage.getItem('playerStatUpdate');
-                if (statUpdateData) {
-                    const statUpdate = JSON.parse(statUpdateData);
-                    const { playerId, stats, timestamp } = statUpdate;
-                    
-                    // Check if this update is recent (within last 30 seconds) and for current user
-                    const isRecent = (Date.now() - timestamp) < 30000;
-                    const isForCurrentUser = this.user && (this.user.uid === playerId || this.user.email === playerId);
-                    
-                    if (isRecent && isForCurrentUser) {
-                        console.log('📡 Received localStorage stat update:', { playerId, stats });
-                        
-                        // Clear the update to prevent duplicate processing
-                        localStorage.removeItem('playerStatUpdate');
-                    }
-                }
-            } catch (error) {
-                console.error('Error checking localStorage for stat updates:', error);
-            }
-        };
-        
-        // Check for updates every 2 seconds
-        setInterval(checkForStatUpdates, 10000);
-        
-        // Also check immediately
-        checkForStatUpdates();
-        
-        // Setup quest status listener
-        this.setupQuestStatusListener();
-        
-        console.log('✅ Real-time stat updates configured');
-    }
-    
     // Show notification when stats are updated externally
     showStatUpdateNotification() {
         this.showBottomNotification('📊 Stats Updated! Your progress has been updated', 'success', 4000);
     }
     
-    // Setup quest status listener to detect when quests are approved
-    setupQuestStatusListener() {
-        console.log('🔄 Setting up quest status listener...');
-        
-        // Listen for custom events from admin dashboard
-        window.addEventListener('questStatusUpdated', (event) => {
-            const { questId, newStatus } = event.detail;
-            console.log('📡 Received quest status update:', { questId, newStatus });
-            
-            // Reload quests to reflect the new status
-            this.loadPlayerQuests();
-            
-            // Show notification if quest was approved
-            if (newStatus === 'completed') {
-                this.showBottomNotification('🎉 Quest approved! You received your rewards!', 'success', 4000);
-            }
-        });
-        
-        // Check localStorage for quest updates (fallback method)
-        const checkForQuestUpdates = () => {
-            try {
-                const questUpdateData = localStorage.getItem('questStatusUpdate');
-                if (questUpdateData) {
-                    const questUpdate = JSON.parse(questUpdateData);
-                    const { questId, newStatus, timestamp } = questUpdate;
-                    
-                    // Check if this update is recent (within last 30 seconds)
-                    const isRecent = (Date.now() - timestamp) < 30000;
-                    
-                    if (isRecent) {
-                        console.log('📡 Received localStorage quest update:', { questId, newStatus });
-                        this.loadPlayerQuests();
-                        
-                        // Show notification if quest was approved
-                        if (newStatus === 'completed') {
-                            this.showBottomNotification('🎉 Quest approved! You received your rewards!', 'success', 4000);
-                        }
-                        
-                        // Clear the update to prevent duplicate processing
-                        localStorage.removeItem('questStatusUpdate');
-                    }
-                }
-            } catch (error) {
-                console.error('Error checking localStorage for quest updates:', error);
-            }
-        };
-        
-        // Check for quest updates every 3 seconds
-        setInterval(checkForQuestUpdates, 10000);
-        
-        // Also check immediately
-        checkForQuestUpdates();
-        
-        console.log('✅ Quest status listener configured');
-    }
-    
     // Debug method to check what's in Firestore (call from browser console)
     async debugFirestoreUsers() {
         console.log("🔍 Debugging Firestore users collection...");
@@ -5146,7 +5276,9 @@ class HouseInteractionManager {
         this.checkInterval = 100; // Check every 100ms instead of every frame
         this.notificationContainer = null;
         this.lastFeedbackCount = 0;
-        this.houseButtonConfig = {}; // Store CSV button configuration
+        this.houseButtonConfig = {}; // Bouton.csv buttons keyed by JSON house id
+        this.houseButtonErrors = []; // Row-level problems found in Bouton.csv
+        this.handlers = {}; // Subsystems that own a house or section, keyed by the JSON "handler" name
         this.loadHouseAreas();
         this.loadHouseButtonConfig();
         this.setupNotificationSystem();
@@ -5280,80 +5412,270 @@ class HouseInteractionManager {
         try {
             console.log('📊 Loading house button configuration from CSV...');
             const response = await fetch('Bouton.csv');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
             const csvText = await response.text();
             
-            this.houseButtonConfig = this.parseCSV(csvText);
+            // Buttons are matched against the JSON sections, so wait for the definitions first
+            await this.game.houseForms.ready;
+            
+            const { config, errors } = this.parseCSV(csvText);
+            this.houseButtonConfig = config;
+            this.houseButtonErrors = errors;
             console.log('✅ House button configuration loaded:', this.houseButtonConfig);
+            
+            errors.forEach(error => console.warn(`⚠️ Bouton.csv row ${error.row}: ${error.message}`));
+            if (this.game.debugMode) this.reportButtonConfigErrors();
         } catch (error) {
+            // Without the spreadsheet the houses simply show their JSON sections
             console.error('❌ Failed to load house button config:', error);
-            this.houseButtonConfig = this.getDefaultHouseConfig();
+            this.houseButtonConfig = {};
+        }
+    }
+    
+    /**
+     * Split CSV text into rows of cells (RFC 4180: quoted cells, doubled quotes, commas and newlines inside quotes)
+     * @returns {Array<{ line: number, cells: string[] }>} line is the 1-based line the row starts on
+     */
+    parseCSVRows(csvText) {
+        const text = csvText.replace(/^\uFEFF/, '').normalize('NFC');
+        const rows = [];
+        let cells = [];
+        let cell = '';
+        let inQuotes = false;
+        let line = 1;
+        let rowLine = 1;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n') line++;
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                cells.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                cells.push(cell);
+                rows.push({ line: rowLine, cells });
+                cells = [];
+                cell = '';
+                line++;
+                rowLine = line;
+            } else {
+                cell += char;
+            }
+        }
+        
+        if (cell !== '' || cells.length > 0) {
+            cells.push(cell);
+            rows.push({ line: rowLine, cells });
         }
+        
+        return rows;
     }
     
+    /**
+     * Build the house button configuration from Bouton.csv
+     * A row with a name in the first column starts a button; a row with an empty first column continues it,
+     * either as a sub-button (name in the second column, e.g. Saisie -> Bon / Fiche / Diplôme) or as extra inputs.
+     * @returns {{ config: Object, errors: Array<{ row: number, message: string }> }} config is keyed by JSON house id
+     */
     parseCSV(csvText) {
-        const lines = csvText.split('\n');
+        const rows = this.parseCSVRows(csvText);
         const config = {};
+        const errors = [];
+        const normalize = value => this.normalizeLabel(value);
         
-        // Skip header lines and process data
-        for (let i = 2; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-            
-            const columns = line.split('|');
-            if (columns.length < 6) continue;
-            
-            const buttonName = columns[0].trim();
-            const input1 = columns[1].trim();
-            const input2 = columns[2].trim();
-            const input3 = columns[3].trim();
-            const input4 = columns[4].trim();
-            const houseNumber = columns[5].trim();
-            
-            // Skip empty rows or rows without house number
-            if (!houseNumber || !buttonName) continue;
-            
-            // Initialize house config if not exists
-            if (!config[houseNumber]) {
-                config[houseNumber] = {
-                    name: this.getHouseName(houseNumber),
-                    buttons: []
-                };
+        const headerIndex = rows.findIndex(row => normalize(row.cells[0]) === 'bouton');
+        if (headerIndex === -1) {
+            errors.push({ row: 1, message: 'header row with a "Bouton" column not found' });
+            return { config, errors };
+        }
+        
+        const header = rows[headerIndex].cells;
+        const houseColumn = header.findIndex(cell => normalize(cell) === 'maison');
+        if (houseColumn === -1) {
+            errors.push({ row: rows[headerIndex].line, message: 'header row has no "Maison" column' });
+            return { config, errors };
+        }
+        
+        let current = null;
+        
+        rows.slice(headerIndex + 1).forEach(({ line, cells }) => {
+            const trimmed = cells.map(cell => cell.trim());
+            if (trimmed.every(cell => !cell)) return;
+            
+            if (cells.length !== header.length) {
+                errors.push({ row: line, message: `expected ${header.length} columns, found ${cells.length}` });
+                return;
             }
             
-            // Add button configuration
-            const inputs = [input1, input2, input3, input4].filter(input => input);
-            config[houseNumber].buttons.push({
-                name: buttonName,
-                inputs: inputs
-            });
+            const buttonName = trimmed[0];
+            const houseCell = trimmed[houseColumn];
+            const houseId = Number(houseCell);
+            const inputs = trimmed.slice(1, houseColumn).filter(cell => cell);
+            
+            if (!houseCell) {
+                errors.push({ row: line, message: `"${buttonName || inputs.join(', ')}" has no Maison, it is not shown in any house` });
+                if (buttonName) current = null;
+                return;
+            }
+            
+            if (!this.game.houseForms.getHouseById(houseId)) {
+                errors.push({ row: line, message: `Maison "${houseCell}" does not exist in the house definitions` });
+                if (buttonName) current = null;
+                return;
+            }
+            
+            if (buttonName) {
+                if (!config[houseId]) {
+                    config[houseId] = { name: this.game.houseForms.getHouseById(houseId).name, buttons: [] };
+                }
+                current = { name: buttonName, houseId, row: line, inputs, subButtons: [] };
+                config[houseId].buttons.push(current);
+                return;
+            }
+            
+            // Continuation rows must follow a button of the same house
+            if (!current || current.houseId !== houseId) {
+                errors.push({ row: line, message: `continuation row for Maison ${houseId} does not follow a button of that house` });
+                return;
+            }
+            
+            if (trimmed[1]) {
+                // The button's own row then names its first sub-button (Saisie,Bon,Bons Reste,...)
+                if (current.subButtons.length === 0 && current.inputs.length > 0) {
+                    const [firstName, ...firstInputs] = current.inputs;
+                    current.subButtons.push({ name: firstName, inputs: firstInputs });
+                    current.inputs = [];
+                }
+                current.subButtons.push({ name: trimmed[1], inputs: trimmed.slice(2, houseColumn).filter(cell => cell) });
+            } else {
+                current.inputs.push(...inputs);
+            }
+        });
+        
+        Object.values(config).forEach(house => {
+            house.buttons.forEach(button => errors.push(...this.checkButtonAgainstDefinitions(button)));
+        });
+        errors.sort((a, b) => a.row - b.row);
+        
+        return { config, errors };
+    }
+    
+    // Lowercase, accent and whitespace insensitive form of a label, so "Details" matches "Détails"
+    normalizeLabel(value) {
+        return String(value ?? '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[\u2019`]/g, "'")
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+    }
+    
+    labelMatches(item, name) {
+        const target = this.normalizeLabel(name);
+        return [item.name ?? item.label, ...(item.aliases || [])].some(label => this.normalizeLabel(label) === target);
+    }
+    
+    // "Lecture" and "Affiche ..." in the spreadsheet mean the button only displays data
+    isReadonlyInput(input) {
+        const label = this.normalizeLabel(input);
+        return label === 'lecture' || label.startsWith('affiche');
+    }
+    
+    findSectionForButton(houseData, buttonName) {
+        return (houseData.sections || []).find(section => this.labelMatches(section, buttonName)) || null;
+    }
+    
+    // Compare a CSV button with the JSON schema, which stays the source of field types and validation
+    checkButtonAgainstDefinitions(button) {
+        const errors = [];
+        const houseData = this.game.houseForms.getHouseById(button.houseId);
+        
+        if (houseData.layout === 'gate') {
+            const elsewhere = this.game.houseForms.houses.find(house => this.findSectionForButton(house, button.name));
+            const hint = elsewhere ? ` (defined in ${elsewhere.name}, Maison ${elsewhere.id})` : '';
+            errors.push({ row: button.row, message: `"${button.name}" points to ${houseData.name}, a password gate that shows no buttons${hint}` });
+            return errors;
         }
         
-        return config;
+        // A button named after a house with direct fields (Pointage) is that house's own form
+        if (this.labelMatches(houseData, button.name)) return errors;
+        
+        const section = this.findSectionForButton(houseData, button.name);
+        if (!section || section.handler) return errors;
+        
+        const fields = (section.fields || []).concat(...(section.conditionalGroups || []).map(group => group.fields || []));
+        button.inputs
+            .filter(input => !this.isReadonlyInput(input))
+            .filter(input => !fields.some(field => this.labelMatches(field, input)))
+            .forEach(input => errors.push({ row: button.row, message: `input "${input}" of "${button.name}" is not in the ${section.name} schema` }));
+        
+        button.subButtons
+            .filter(subButton => !(section.conditionalGroups || []).some(group => this.labelMatches(group, subButton.name)))
+            .forEach(subButton => errors.push({ row: button.row, message: `sub-button "${subButton.name}" of "${button.name}" is not in the ${section.name} schema` }));
+        
+        return errors;
     }
     
-    getHouseName(houseNumber) {
-        const houseNames = {
-            '1': 'Castle',
-            '2': 'Pointage System',
-            '3': 'Ideas & Improvement',
-            '5': 'Tasks & Reading',
-            '6': 'Gestion d\'Activités',
-            '7': 'Mission Management',
-            '8': 'Photo & Video Training'
-        };
-        return houseNames[houseNumber] || `House ${houseNumber}`;
+    /**
+     * Sections shown as buttons for a house: the Bouton.csv buttons in spreadsheet order, then any JSON section the sheet does not list
+     * Buttons found in the JSON keep its fields and validation; unknown buttons get text fields built from the sheet
+     */
+    getHouseSections(houseData) {
+        const jsonSections = houseData.sections || [];
+        const csvHouse = this.houseButtonConfig[houseData.id];
+        if (!csvHouse || !houseData.sections) return jsonSections;
+        
+        const sections = csvHouse.buttons.map(button => {
+            const section = this.findSectionForButton(houseData, button.name);
+            if (section) return { ...section, buttonLabel: button.name };
+            return this.buildSectionFromButton(button);
+        });
+        
+        jsonSections
+            .filter(section => !sections.some(shown => shown.name === section.name))
+            .forEach(section => sections.push(section));
+        
+        return sections;
     }
     
-    getDefaultHouseConfig() {
-        return {
-            '1': {
-                name: 'Castle',
-                buttons: [
-                    { name: 'Royal Audience', inputs: [] },
-                    { name: 'Castle Tour', inputs: [] }
-                ]
-            }
-        };
+    buildSectionFromButton(button) {
+        const toFields = inputs => inputs.map(label => ({ label, type: 'text' }));
+        
+        if (button.inputs.some(input => this.isReadonlyInput(input))) {
+            return { name: button.name, type: 'readonly', description: button.inputs.join(' ') };
+        }
+        
+        const section = { name: button.name, fields: toFields(button.inputs) };
+        if (button.subButtons.length > 0) {
+            section.conditionalGroups = button.subButtons.map(subButton => ({
+                condition: this.normalizeLabel(subButton.name).replace(/[^a-z0-9]+/g, '_'),
+                label: subButton.name,
+                fields: toFields(subButton.inputs)
+            }));
+        }
+        return section;
+    }
+    
+    // Debug mode surfaces spreadsheet mistakes on screen, not only in the console
+    reportButtonConfigErrors() {
+        if (!this.houseButtonErrors || this.houseButtonErrors.length === 0) return;
+        
+        const rows = this.houseButtonErrors.map(error => error.row).join(', ');
+        this.game.auth.showBottomNotification(`⚠️ Bouton.csv: ${this.houseButtonErrors.length} row error(s) on rows ${rows}, see console`, 'warning', 6000);
     }
     
     createInteractionButton() {
@@ -5558,7 +5880,7 @@ class HouseInteractionManager {
         }
         
         // Update button text with proper house name from JSON
-        const houseData = this.getHouseDataFromJSON(house.layerNumber);
+        const houseData = this.getHouseData(house.layerNumber);
         const houseName = houseData ? houseData.name : house.name;
         this.interactionButton.innerHTML = `🏠 Enter ${houseName}`;
         
@@ -5600,12 +5922,13 @@ class HouseInteractionManager {
     
     showHouseModal(house) {
         // Get house data and name FIRST
-        const houseData = this.getHouseDataFromJSON(house.layerNumber);
+        const houseData = this.getHouseData(house.layerNumber);
         const houseName = houseData ? houseData.name : house.name;
         
-        // Special handling for Rival house - show password input directly
-        if (houseData && houseData.id === 1 && houseData.name === "Rival") {
-            this.showHouseDedicatedForm(house);
+        // Houses owned by a subsystem (Pointage, Rival) open it directly
+        const handler = this.getHandler(houseData);
+        if (handler) {
+            handler.open(house, houseData, null);
             return;
         }
         
@@ -5755,7 +6078,7 @@ class HouseInteractionManager {
     
     getHouseActions(house) {
         // Get house data from JSON structure
-        const houseData = this.getHouseDataFromJSON(house.layerNumber);
+        const houseData = this.getHouseData(house.layerNumber);
         
         if (!houseData) {
             return this.getDefaultHouseActions(house);
@@ -5764,10 +6087,12 @@ class HouseInteractionManager {
         // Generate specific buttons based on house structure
         let buttons = '';
         
-        if (houseData.sections && houseData.sections.length > 0) {
+        const sections = this.getHouseSections(houseData);
+        
+        if (sections.length > 0) {
             // House has sections - show section buttons
-            buttons = houseData.sections.map((section, index) => {
-                let buttonText = section.name;
+            buttons = sections.map((section, index) => {
+                let buttonText = section.buttonLabel || section.name;
                 let buttonIcon = '';
                 
                 // Add icons based on section type
@@ -5775,7 +6100,7 @@ class HouseInteractionManager {
                     buttonIcon = '📊 ';
                 } else if (section.conditionalGroups) {
                     buttonIcon = '⚙️ ';
-                } else if (section.fields) {
+                } else if (section.fields || section.handler) {
                     buttonIcon = '📝 ';
                 }
                 
@@ -5812,222 +6137,23 @@ class HouseInteractionManager {
         `;
     }
     
-    getHouseDataFromJSON(houseNumber) {
-        // House data mapping based on the JSON structure - REARRANGED for correct visual positions
-        // Top of screen (Y=1090) = Médias & Statistiques (sections), Bottom of screen (Y=256) = Rival
-        const houseDataMap = {
-            // REARRANGED for correct visual positions (Y-axis corrected)
-            // Top of screen (Y=1090) = Médias & Statistiques (sections), Bottom of screen (Y=256) = Rival
-            1: { 
-                id: 8, 
-                name: "Médias & Statistiques", 
-                sections: [
-                    {
-                        name: "Photo / Video",
-                        fields: [
-                            { label: "Formation", type: "text" },
-                            { label: "Grp", type: "text" },
-                            { label: "La Date", type: "date" }
-                        ]
-                    },
-                    {
-                        name: "Soutenance",
-                        fields: [
-                            { label: "Formation", type: "text" },
-                            { label: "Grp", type: "text" }
-                        ]
-                    },
-                    {
-                        name: "Bilan de Paiement",
-                        fields: [
-                            { label: "Formation", type: "text" },
-                            { label: "Grp", type: "text" },
-                            { label: "Pourcentage de Paiement", type: "number" }
-                        ]
-                    },
-                    {
-                        name: "Bilan de Présences",
-                        fields: [
-                            { label: "Formation", type: "text" },
-                            { label: "Grp", type: "text" },
-                            { label: "Pourcentage de Présence", type: "number" }
-                        ]
-                    },
-                    {
-                        name: "N° D'étudiant",
-                        fields: [
-                            { label: "Formation", type: "text" },
-                            { label: "Grp", type: "text" },
-                            { label: "Nomber", type: "number" }
-                        ]
-                    },
-                    {
-                        name: "Satisfaction Clients",
-                        type: "readonly",
-                        description: "Lecture"
-                    }
-                ]
-            },
-            2: { 
-                id: 2, 
-                name: "Centre d'Informations", 
-                sections: [
-                    {
-                        name: "Séminaire",
-                        fields: [
-                            { label: "Titres", type: "text" },
-                            { label: "Heure de Départ / Fin", type: "text" },
-                            { label: "1er Séance", type: "text" },
-                            { label: "2éme Séance", type: "text" },
-                            { label: "3éme Séance", type: "text" },
-                            { label: "N° d'attestations", type: "number" }
-                        ]
-                    },
-                    {
-                        name: "Phone",
-                        fields: [
-                            { label: "Titres", type: "text" },
-                            { label: "Heure de Départ / Fin", type: "text" },
-                            { label: "1er Séance", type: "text" },
-                            { label: "2éme Séance", type: "text" },
-                            { label: "3éme Séance", type: "text" },
-                            { label: "N° d'attestations", type: "number" }
-                        ]
-                    },
-                    {
-                        name: "La Saisie",
-                        fields: [
-                            { label: "Bon", type: "text" },
-                            { label: "Bons Reste", type: "text" },
-                            { label: "Bons Saisie", type: "text" },
-                            { label: "Fiche D'inscription", type: "text" },
-                            { label: "Fiche Reste", type: "text" },
-                            { label: "Fiche Saisie", type: "text" },
-                            { label: "Diplôme", type: "text" },
-                            { label: "Dip Reste", type: "text" },
-                            { label: "Dip Saisie", type: "text" },
-                            { label: "N° d'attestations", type: "number" }
-                        ]
-                    },
-                    {
-                        name: "Hygiène",
-                        fields: [
-                            { label: "Targa / Wilaya", type: "text" },
-                            { label: "Fait par \"Player\"", type: "text" },
-                            { label: "Pourcentage (50-75-100)", type: "number" }
-                        ]
-                    }
-                ]
-            },
-            3: { id: 6, name: "Privé", fields: [{ label: "Missions", type: "table", columns: ["Mission 1", "Mission 2", "Mission 3", "..."] }] },
-            4: { 
-                id: 4, 
-                name: "Gestion d'Activités", 
-                sections: [
-                    {
-                        name: "Taches",
-                        type: "readonly",
-                        description: "Lecture"
-                    },
-                    {
-                        name: "Feedback",
-                        type: "readonly",
-                        description: "Lecture"
-                    },
-                    {
-                        name: "Mission",
-                        fields: [
-                            {
-                                label: "Missions",
-                                type: "table",
-                                columns: ["Mission 1", "Mission 2", "Mission 3", "..."]
-                            }
-                        ]
-                    }
-                ]
-            },
-            5: { 
-                id: 5, 
-                name: "Gestion Administrative", 
-                sections: [
-                    {
-                        name: "Diplôme",
-                        fields: [
-                            { label: "Nom Prénom", type: "text" },
-                            { label: "N° Tel", type: "text" },
-                            { label: "Formation", type: "text" }
-                        ]
-                    },
-                    {
-                        name: "Fiche D'inscription",
-                        fields: [
-                            { label: "Nom Prénom", type: "text" },
-                            { label: "N° Tel", type: "text" },
-                            { label: "Formation", type: "text" }
-                        ]
-                    },
-                    {
-                        name: "Pré-inscription",
-                        fields: [
-                            { label: "Nom Prénom", type: "text" },
-                            { label: "N° Tel", type: "text" },
-                            { label: "Wilaya / Targa / FB", type: "text" },
-                            { label: "Formation", type: "text" }
-                        ]
-                    },
-                    {
-                        name: "Caisse",
-                        fields: [
-                            { label: "Fond de Caisse", type: "number" },
-                            { label: "Bons", type: "number" },
-                            { label: "Dépense", type: "number" }
-                        ]
-                    }
-                ]
-            },
-            6: { 
-                id: 3, 
-                name: "Administration", 
-                sections: [
-                    {
-                        name: "Idées D'amélioration",
-                        fields: [
-                            { label: "Titres", type: "text" },
-                            { label: "Détails", type: "textarea" }
-                        ]
-                    },
-                    {
-                        name: "Missions des Autres",
-                        type: "readonly",
-                        description: "Affiche les missions des autres selon Nom de Player (Juste Lecture)"
-                    },
-                    {
-                        name: "Classement",
-                        type: "readonly",
-                        description: "Affiche le Classement"
-                    },
-                    {
-                        name: "Coins Historique",
-                        type: "readonly",
-                        description: "Affiche l'historique selon Calendar"
-                    }
-                ]
-            },
-            7: { 
-                id: 7, 
-                name: "Pointage", 
-                fields: [
-                    { label: "Heure d'arriver", type: "time" },
-                    { label: "Heure de Sortir", type: "time" },
-                    { label: "Commentaire", type: "textarea" }
-                ]
-            },
-            8: { id: 1, name: "Rival", fields: [
-                { label: "Mot de passe", type: "password" }
-            ]}
-        };
-        
-        return houseDataMap[houseNumber];
+    // House definitions are owned by the form engine (JSON file + Firestore overrides)
+    getHouseData(layerNumber) {
+        return this.game.houseForms.getHouseByLayer(layerNumber);
+    }
+    
+    /**
+     * Let a subsystem take over a house or section that names it with `"handler"` in the JSON
+     * @param {string} name - Handler name used in the JSON
+     * @param {Object} handler - Object with an open(house, houseData, section) method
+     */
+    registerHandler(name, handler) {
+        this.handlers[name] = handler;
+        console.log(`🔌 House handler registered: ${name}`);
+    }
+    
+    getHandler(definition) {
+        return definition && definition.handler ? this.handlers[definition.handler] || null : null;
     }
     
     handleHouseAction(action, house, buttonIndex) {
@@ -6036,234 +6162,212 @@ class HouseInteractionManager {
         const modal = document.getElementById('house-modal');
         modal.style.display = 'none';
         
-        // Get house data to determine specific button content
-        const houseData = this.getHouseDataFromJSON(house.layerNumber);
-        
         if (action === 'house-form') {
-            console.log('Opening house dedicated form for house:', house.layerNumber);
-            this.showHouseDedicatedForm(house);
+            console.log('Opening house form for house:', house.layerNumber);
+            this.openHouseForm(house);
         } else if (action === 'section') {
             const sectionIndex = parseInt(buttonIndex);
             console.log('Opening section form for house:', house.layerNumber, 'section:', sectionIndex);
-            this.showSpecificSectionContent(house, sectionIndex);
+            this.openSection(house, sectionIndex);
         } else {
             console.log('Unknown action:', action);
             this.game.auth.showBottomNotification('🔍 Exploring...', 'info');
         }
     }
     
-    showButtonForm(house, button) {
-        // Create form modal
-        let formModal = document.getElementById('button-form-modal');
-        if (!formModal) {
-            formModal = document.createElement('div');
-            formModal.id = 'button-form-modal';
-            formModal.style.cssText = `
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: rgba(0, 0, 0, 0.5);
-                display: none;
-                justify-content: center;
-                align-items: center;
-                z-index: 3000;
-                backdrop-filter: blur(5px);
-                -webkit-backdrop-filter: blur(5px);
-            `;
-            document.body.appendChild(formModal);
-        }
-        
-        const formContent = document.createElement('div');
-        formContent.style.cssText = `
-            background: rgba(255, 255, 255, 0.95);
-            padding: 30px;
-            border-radius: 20px;
-            max-width: 500px;
-            width: 90%;
-            max-height: 80vh;
-            overflow-y: auto;
-            backdrop-filter: blur(20px);
-            -webkit-backdrop-filter: blur(20px);
-            border: 1px solid rgba(255, 255, 255, 0.2);
-            box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
-        `;
-        
-        // Generate form fields based on button inputs
-        const formFields = button.inputs.map((input, index) => `
-            <div class="form-field">
-                <label for="input-${index}">${input}:</label>
-                <input type="text" id="input-${index}" name="input-${index}" placeholder="Enter ${input}" style="
-                    width: 100%;
-                    padding: 12px;
-                    border: 2px solid #e1e5e9;
-                    border-radius: 8px;
-                    font-size: 16px;
-                    margin-top: 5px;
-                    box-sizing: border-box;
-                    transition: border-color 0.3s ease;
-                ">
-            </div>
-        `).join('');
-        
-        formContent.innerHTML = `
-            <h2 style="margin: 0 0 20px 0; color: #1d1d1f; font-size: 24px; text-align: center;">
-                ${button.name}
-            </h2>
-            <p style="margin: 0 0 30px 0; color: #666; font-size: 16px; text-align: center;">
-                Fill in the required information:
-            </p>
-            <form id="button-form" style="display: flex; flex-direction: column; gap: 20px;">
-                ${formFields}
-                <div style="display: flex; gap: 15px; justify-content: center; margin-top: 30px;">
-                    <button type="button" id="cancel-form" style="
-                        background: rgba(255, 59, 48, 0.1);
-                        color: #ff3b30;
-                        border: 2px solid rgba(255, 59, 48, 0.3);
-                        padding: 12px 24px;
-                        border-radius: 12px;
-                        font-size: 16px;
-                        font-weight: 600;
-                        cursor: pointer;
-                        transition: all 0.3s ease;
-                    ">Cancel</button>
-                    <button type="submit" style="
-                        background: linear-gradient(135deg, #007AFF 0%, #0056CC 100%);
-                        color: white;
-                        border: none;
-                        padding: 12px 24px;
-                        border-radius: 12px;
-                        font-size: 16px;
-                        font-weight: 600;
-                        cursor: pointer;
-                        transition: all 0.3s ease;
-                    ">Submit</button>
-                </div>
-            </form>
-            <button id="close-form-modal" style="
-                position: absolute;
-                top: 15px;
-                right: 15px;
-                background: none;
-                border: none;
-                font-size: 24px;
-                cursor: pointer;
-                color: #666;
-            ">×</button>
-        `;
-        
-        formModal.innerHTML = '';
-        formModal.appendChild(formContent);
-        formModal.style.display = 'flex';
-        
-        // Add event listeners
-        document.getElementById('cancel-form').addEventListener('click', () => {
-            formModal.style.display = 'none';
-        });
-        
-        document.getElementById('close-form-modal').addEventListener('click', () => {
-            formModal.style.display = 'none';
-        });
-        
-        formModal.addEventListener('click', (e) => {
-            if (e.target === formModal) {
-                formModal.style.display = 'none';
-            }
-        });
-        
-        document.getElementById('button-form').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleFormSubmission(house, button, formModal);
-        });
+    // Persist a submission and only report success once it is actually stored
+    async submitHouseForm(house, sectionName, values, formModal) {
+        const houseData = this.getHouseData(house.layerNumber);
+        const houseId = houseData ? houseData.id : house.layerNumber;
         
-        // Add input focus effects
-        formContent.querySelectorAll('input').forEach(input => {
-            input.addEventListener('focus', () => {
-                input.style.borderColor = '#007AFF';
-            });
-            input.addEventListener('blur', () => {
-                input.style.borderColor = '#e1e5e9';
+        try {
+            // Attachments are uploaded first so the stored submission only holds their URLs
+            const storedValues = await this.game.media.uploadValues(values, `houses/${houseId}`);
+            await this.game.houseSubmissions.save({
+                houseId: houseId,
+                houseName: houseData ? houseData.name : house.name,
+                sectionName: sectionName,
+                values: storedValues
             });
-        });
-    }
-    
-    handleFormSubmission(house, button, formModal) {
-        const form = document.getElementById('button-form');
-        const formData = new FormData(form);
-        const data = {};
-        
-        // Collect form data
-        button.inputs.forEach((input, index) => {
-            const value = document.getElementById(`input-${index}`).value;
-            data[input] = value;
-        });
-        
-        console.log(`📝 Form submitted for ${button.name} in ${house.name}:`, data);
-        
-        // Show success message
-        this.game.auth.showBottomNotification(`✅ ${button.name} submitted successfully!`, 'success');
-        
-        // Close modal
-        formModal.style.display = 'none';
-        
-        // Here you can add logic to save the data to Firebase or handle it as needed
-        // For now, we just log it and show a success message
+            
+            this.game.auth.showBottomNotification(`✅ ${sectionName} submitted successfully!`, 'success');
+            
+            // Close modal
+            if (formModal) formModal.style.display = 'none';
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to save ${sectionName} submission:`, error);
+            // Keep the modal open so the player does not lose what they typed
+            this.game.auth.showBottomNotification(`❌ ${sectionName} could not be saved, please retry`, 'error');
+            return false;
+        }
     }
     
-    showSectionForm(house, sectionIndex) {
-        console.log('showSectionForm called:', { house: house.layerNumber, sectionIndex });
+    openSection(house, sectionIndex) {
+        console.log('openSection called:', { house: house.layerNumber, sectionIndex });
         
-        const houseData = this.getHouseDataFromJSON(house.layerNumber);
-        if (!houseData || !houseData.sections || !houseData.sections[sectionIndex]) {
-            console.log('Section not found:', { houseData, sections: houseData?.sections, sectionIndex });
+        const houseData = this.getHouseData(house.layerNumber);
+        const section = houseData ? this.getHouseSections(houseData)[sectionIndex] : null;
+        if (!section) {
+            console.log('Section not found:', { houseData, sectionIndex });
             this.game.auth.showBottomNotification('❌ Section not found', 'error');
             return;
         }
         
-        const section = houseData.sections[sectionIndex];
-        
-        // Handle readonly sections
-        if (section.type === 'readonly') {
-            this.showReadonlySection(house, section);
+        const handler = this.getHandler(section);
+        if (handler) {
+            handler.open(house, houseData, section);
             return;
         }
         
-        // Handle conditional groups (like Entry Type)
-        if (section.conditionalGroups) {
-            this.showConditionalSection(house, section);
-            return;
-        }
+        this.game.houseForms.openForm({
+            title: `${houseData.name} - ${section.name}`,
+            section: section,
+            onOpen: (container) => this.loadSubmissionHistory(houseData.id, container, section.type === 'readonly' ? null : section.name),
+            onSubmit: (values, formModal) => this.submitHouseForm(house, section.name, values, formModal)
+        });
+    }
+    
+    // Houses without sections expose their fields as a single form
+    openHouseForm(house) {
+        console.log('openHouseForm called:', { house: house.layerNumber });
         
-        // Handle regular sections with fields
-        if (section.fields && section.fields.length > 0) {
-            this.showFieldForm(house, section);
+        const houseData = this.getHouseData(house.layerNumber);
+        if (!houseData || !houseData.fields) {
+            console.log('House data not found for house:', house.layerNumber);
+            this.game.auth.showBottomNotification('❌ No form available for this house', 'error');
             return;
         }
         
-        this.game.auth.showBottomNotification('❌ No form available for this section', 'error');
+        this.game.houseForms.openForm({
+            title: houseData.name,
+            section: houseData,
+            layout: houseData.layout,
+            submitLabel: houseData.submitLabel,
+            onSubmit: (values, formModal) => this.submitHouseForm(house, houseData.name, values, formModal)
+        });
     }
     
-    showSpecificSectionContent(house, sectionIndex) {
-        console.log('showSpecificSectionContent called:', { house: house.layerNumber, sectionIndex });
+    // Fill a history container with what has been filed in this house
+    // Readonly sections show the whole house; a form section with showHistory only shows its own submissions
+    async loadSubmissionHistory(houseId, container, sectionName = null) {
+        if (!container) return;
         
-        const houseData = this.getHouseDataFromJSON(house.layerNumber);
-        if (!houseData || !houseData.sections || !houseData.sections[sectionIndex]) {
-            console.log('Section not found:', { houseData, sections: houseData?.sections, sectionIndex });
-            this.game.auth.showBottomNotification('❌ Section not found', 'error');
-            return;
+        container.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">Loading...</div>';
+        const submissions = await this.game.houseSubmissions.listByHouse(houseId, { sectionName });
+        container.innerHTML = this.renderSubmissionHistory(submissions);
+        this.game.media.hydrate(container);
+    }
+    
+    renderSubmissionHistory(submissions) {
+        if (submissions.length === 0) {
+            return `
+                <div style="text-align: center; padding: 20px; color: #999; font-style: italic;">
+                    📊 Aucune donnée enregistrée pour le moment
+                </div>
+            `;
         }
         
-        const section = houseData.sections[sectionIndex];
-        const houseName = houseData.name;
-        const sectionName = section.name;
+        const escape = (value) => this.game.houseForms.escapeHTML(value);
+        const display = (value) => this.game.media.isMedia(value)
+            ? this.game.media.renderThumbnail(value, 56)
+            : escape(this.game.houseForms.formatValue(value));
+        const rows = submissions.map(submission => {
+            const values = Object.entries(submission.values || {})
+                .map(([label, value]) => `<div><strong>${escape(label)}:</strong> ${display(value)}</div>`)
+                .join('');
+            
+            return `
+                <tr>
+                    <td style="padding: 10px; border: 1px solid #e1e5e9; background: #f8f9fa; font-size: 12px; white-space: nowrap;">
+                        ${new Date(submission.submittedAt).toLocaleString()}
+                    </td>
+                    <td style="padding: 10px; border: 1px solid #e1e5e9; background: white; font-weight: 600;">${escape(submission.sectionName)}</td>
+                    <td style="padding: 10px; border: 1px solid #e1e5e9; background: white;">${escape(submission.playerName)}</td>
+                    <td style="padding: 10px; border: 1px solid #e1e5e9; background: white; font-size: 13px;">${values}</td>
+                </tr>
+            `;
+        }).join('');
         
-        // Create unique modal for this specific section
-        let sectionModal = document.getElementById(`section-modal-${house.layerNumber}-${sectionIndex}`);
-        if (!sectionModal) {
-            sectionModal = document.createElement('div');
-            sectionModal.id = `section-modal-${house.layerNumber}-${sectionIndex}`;
-            sectionModal.style.cssText = `
+        return `
+            <table style="width: 100%; border-collapse: collapse; border: 1px solid #e1e5e9; border-radius: 8px; overflow: hidden; background: white;">
+                <thead>
+                    <tr style="background: #8E8E93; color: white;">
+                        <th style="padding: 12px; border: 1px solid #e1e5e9; text-align: left; font-weight: 600;">Date</th>
+                        <th style="padding: 12px; border: 1px solid #e1e5e9; text-align: left; font-weight: 600;">Section</th>
+                        <th style="padding: 12px; border: 1px solid #e1e5e9; text-align: left; font-weight: 600;">Player</th>
+                        <th style="padding: 12px; border: 1px solid #e1e5e9; text-align: left; font-weight: 600;">Données</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    handleHomeActions(action, house) {
+        switch (action) {
+            case 'view-feedbacks':
+                this.showHomeFeedbacksTable();
+                break;
+            case 'view-missions':
+                this.showHomeMissionsTable();
+                break;
+            case 'view-ideas':
+                this.showHomeIdeasTable();
+                break;
+            case 'view-all':
+                this.showHomeOverviewTable();
+                break;
+        }
+    }
+    
+    handleFeedbackActions(action, house) {
+        switch (action) {
+            case 'view-feedback':
+                // Open the existing feedback modal
+                if (this.game.feedback) {
+                    this.game.feedback.showFeedbackModal();
+                } else {
+                    this.game.auth.showBottomNotification('📝 Opening feedback...', 'info');
+                }
+                break;
+            case 'feedback-history':
+                this.game.auth.showBottomNotification('📊 Feedback history coming soon!', 'info');
+                break;
+            case 'feedback-settings':
+                this.game.auth.showBottomNotification('⚙️ Feedback settings coming soon!', 'info');
+                break;
+        }
+    }
+    
+    handleMissionActions(action, house) {
+        switch (action) {
+            case 'submit-mission':
+                this.showMissionSubmissionModal();
+                break;
+            case 'mission-status':
+                this.game.auth.showBottomNotification('📈 Mission status coming soon!', 'info');
+                break;
+            case 'mission-history':
+                this.game.auth.showBottomNotification('📚 Mission history coming soon!', 'info');
+                break;
+        }
+    }
+    
+    handleHistoryActions(action, house) {
+        // All history actions are disabled for now
+        this.game.auth.showBottomNotification('📖 History features coming soon!', 'info');
+    }
+    
+    showMissionSubmissionModal() {
+        // Create mission submission modal
+        let modal = document.getElementById('mission-submission-modal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'mission-submission-modal';
+            modal.style.cssText = `
                 position: fixed;
                 top: 0;
                 left: 0;
@@ -6273,509 +6377,381 @@ class HouseInteractionManager {
                 display: none;
                 justify-content: center;
                 align-items: center;
-                z-index: 3000;
+                z-index: 2000;
                 backdrop-filter: blur(5px);
                 -webkit-backdrop-filter: blur(5px);
             `;
-            document.body.appendChild(sectionModal);
-        }
-        
-        const sectionContent = document.createElement('div');
-        sectionContent.style.cssText = `
-            background: rgba(255, 255, 255, 0.95);
-            padding: 30px;
-            border-radius: 20px;
-            max-width: 600px;
-            width: 90%;
-            max-height: 80vh;
-            overflow-y: auto;
-            backdrop-filter: blur(20px);
-            -webkit-backdrop-filter: blur(20px);
-            border: 1px solid rgba(255, 255, 255, 0.2);
-            box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
-        `;
-        
-        // Generate specific content based on section type
-        let contentHTML = '';
-        
-        if (section.type === 'readonly') {
-            contentHTML = this.createReadonlySectionContent(section, houseName);
-        } else if (section.conditionalGroups) {
-            contentHTML = this.createConditionalSectionContent(section, houseName);
-        } else if (section.fields) {
-            contentHTML = this.createFieldSectionContent(section, houseName);
-        } else {
-            contentHTML = `<div style="text-align: center; color: #666;">Aucun contenu disponible pour cette section.</div>`;
-        }
-        
-        sectionContent.innerHTML = `
-            <h2 style="margin: 0 0 20px 0; color: #1d1d1f; font-size: 24px; text-align: center;">
-                ${houseName} - ${sectionName}
-            </h2>
-            <p style="margin: 0 0 30px 0; color: #666; font-size: 16px; text-align: center;">
-                ${this.getSectionDescription(section)}
-            </p>
-            <div class="section-content">
-                ${contentHTML}
-            </div>
-            <div style="display: flex; justify-content: center; margin-top: 30px;">
-                <button id="close-section-${house.layerNumber}-${sectionIndex}" style="
-                    background: linear-gradient(135deg, #007AFF 0%, #0056CC 100%);
-                    color: white;
+            
+            const modalContent = document.createElement('div');
+            modalContent.style.cssText = `
+                background: rgba(255, 255, 255, 0.95);
+                padding: 30px;
+                border-radius: 20px;
+                max-width: 500px;
+                width: 90%;
+                text-align: center;
+                backdrop-filter: blur(20px);
+                -webkit-backdrop-filter: blur(20px);
+                border: 1px solid rgba(255, 255, 255, 0.2);
+                box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
+            `;
+            
+            modalContent.innerHTML = `
+                <h2 style="margin: 0 0 20px 0; color: #1d1d1f; font-size: 24px;">📋 Submit Daily Mission</h2>
+                <p style="margin: 0 0 30px 0; color: #666; font-size: 16px;">
+                    Submit your completed daily mission for review.
+                </p>
+                <div style="display: flex; flex-direction: column; gap: 15px;">
+                    <button class="mission-action-btn" data-action="submit-photo">📸 Submit Photo Evidence</button>
+                    <button class="mission-action-btn" data-action="submit-text">📝 Submit Text Description</button>
+                    <button class="mission-action-btn" data-action="submit-link">🔗 Submit Link/URL</button>
+                </div>
+                <button id="close-mission-modal" style="
+                    position: absolute;
+                    top: 15px;
+                    right: 15px;
+                    background: none;
                     border: none;
-                    padding: 12px 24px;
-                    border-radius: 12px;
-                    font-size: 16px;
-                    font-weight: 600;
+                    font-size: 24px;
                     cursor: pointer;
-                    transition: all 0.3s ease;
-                ">Fermer</button>
-            </div>
-        `;
-        
-        sectionModal.innerHTML = '';
-        sectionModal.appendChild(sectionContent);
-        sectionModal.style.display = 'flex';
-        
-        // Add event listeners
-        document.getElementById(`close-section-${house.layerNumber}-${sectionIndex}`).addEventListener('click', () => {
-            sectionModal.style.display = 'none';
-        });
-        
-        sectionModal.addEventListener('click', (e) => {
-            if (e.target === sectionModal) {
-                sectionModal.style.display = 'none';
-            }
-        });
-        
-        // Add input focus effects for any form elements
-        sectionContent.querySelectorAll('input, select, textarea').forEach(input => {
-            input.addEventListener('focus', () => {
-                input.style.borderColor = '#007AFF';
+                    color: #666;
+                ">×</button>
+            `;
+            
+            modal.appendChild(modalContent);
+            document.body.appendChild(modal);
+            
+            // Add event listeners
+            modal.querySelectorAll('.mission-action-btn').forEach(btn => {
+                btn.style.cssText = `
+                    background: linear-gradient(135deg, #007AFF 0%, #0056CC 100%);
+                    color: white;
+                    border: none;
+                    padding: 12px 20px;
+                    border-radius: 12px;
+                    font-size: 16px;
+                    font-weight: 600;
+                    cursor: pointer;
+                    transition: all 0.3s ease;
+                `;
+                
+                btn.addEventListener('click', (e) => {
+                    const action = e.target.getAttribute('data-action');
+                    this.handleMissionSubmission(action);
+                });
+                
+                btn.addEventListener('mouseenter', () => {
+                    btn.style.transform = 'translateY(-2px)';
+                    btn.style.boxShadow = '0 4px 15px rgba(0, 122, 255, 0.3)';
+                });
+                
+                btn.addEventListener('mouseleave', () => {
+                    btn.style.transform = 'translateY(0)';
+                    btn.style.boxShadow = 'none';
+                });
             });
-            input.addEventListener('blur', () => {
-                input.style.borderColor = '#e1e5e9';
+            
+            document.getElementById('close-mission-modal').addEventListener('click', () => {
+                modal.style.display = 'none';
             });
-        });
+            
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    modal.style.display = 'none';
+                }
+            });
+        }
         
-        console.log('Section modal created for:', { house: houseName, section: sectionName });
+        modal.style.display = 'flex';
     }
     
-    createReadonlySectionContent(section, houseName) {
-        return `
-            <div style="background: #f8f9fa; padding: 20px; border-radius: 12px; border-left: 4px solid #8E8E93;">
-                <h3 style="margin: 0 0 15px 0; color: #1d1d1f;">${section.name}</h3>
-                <p style="margin: 0 0 20px 0; color: #666;">${section.description}</p>
-                
-                <div style="overflow-x: auto; margin-bottom: 20px;">
-                    <table style="width: 100%; border-collapse: collapse; border: 1px solid #e1e5e9; border-radius: 8px; overflow: hidden; background: white;">
-                        <thead>
-                            <tr style="background: #8E8E93; color: white;">
-                                <th style="padding: 12px; border: 1px solid #e1e5e9; text-align: left; font-weight: 600;">Data Type</th>
-                                <th style="padding: 12px; border: 1px solid #e1e5e9; text-align: left; font-weight: 600;">Information</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            <tr>
-                                <td style="padding: 12px; border: 1px solid #e1e5e9; background: #f8f9fa; font-weight: 600; width: 30%;">Status</td>
-                                <td style="padding: 12px; border: 1px solid #e1e5e9; background: white; color: #999; font-style: italic;">
-                                    📊 Data will be displayed here when available
-                                </td>
-                            </tr>
-                            <tr>
-                                <td style="padding: 12px; border: 1px solid #e1e5e9; background: #f8f9fa; font-weight: 600;">Last Updated</td>
-                                <td style="padding: 12px; border: 1px solid #e1e5e9; background: white; color: #999; font-style: italic;">
-                                    No data available
-                                </td>
-                            </tr>
-                            <tr>
-                                <td style="padding: 12px; border: 1px solid #e1e5e9; background: #f8f9fa; font-weight: 600;">Records</td>
-                                <td style="padding: 12px; border: 1px solid #e1e5e9; background: white; color: #999; font-style: italic;">
-                                    0 entries
-                                </td>
-                            </tr>
-                        </tbody>
-                    </table>
-                </div>
-                
-                <div style="text-align: center; margin-top: 20px;">
-                    <button style="
-                        background: linear-gradient(135deg, #8E8E93 0%, #6D6D70 100%);
-                        color: white;
-                        border: none;
-                        padding: 12px 24px;
-                        border-radius: 8px;
-                        font-size: 16px;
-                        font-weight: 600;
-                        cursor: pointer;
-                        transition: all 0.3s ease;
-                    ">Refresh Data</button>
-                </div>
-            </div>
-        `;
+    handleMissionSubmission(action) {
+        const modal = document.getElementById('mission-submission-modal');
+        modal.style.display = 'none';
+        
+        switch (action) {
+            case 'submit-photo':
+                this.showMissionInputModal('photo', '📸 Submit Photo Evidence');
+                break;
+            case 'submit-text':
+                this.showMissionInputModal('text', '📝 Submit Text Description');
+                break;
+            case 'submit-link':
+                this.showMissionInputModal('link', '🔗 Submit Link/URL');
+                break;
+        }
     }
     
-    createConditionalSectionContent(section, houseName) {
-        const conditionOptions = section.conditionalGroups.map(group => 
-            `<option value="${group.condition}">${group.condition.replace('_', ' ').toUpperCase()}</option>`
-        ).join('');
-        
-        return `
-            <div style="background: #f8f9fa; padding: 20px; border-radius: 12px; border-left: 4px solid #FF9500;">
-                <h3 style="margin: 0 0 15px 0; color: #1d1d1f;">${section.name}</h3>
-                <p style="margin: 0 0 20px 0; color: #666;">Select the entry type and fill in the required information:</p>
-                
-                <form id="conditional-form-${section.name.replace(/\s+/g, '-')}" style="display: flex; flex-direction: column; gap: 15px;">
-                    <div style="overflow-x: auto; margin-bottom: 20px;">
-                        <table style="width: 100%; border-collapse: collapse; border: 1px solid #e1e5e9; border-radius: 8px; overflow: hidden; background: white;">
-                            <thead>
-                                <tr style="background: #FF9500; color: white;">
-                                    <th style="padding: 12px; border: 1px solid #e1e5e9; text-align: left; font-weight: 600;">Entry Type</th>
-                                    <th style="padding: 12px; border: 1px solid #e1e5e9; text-align: left; font-weight: 600;">Selection</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                <tr>
-                                    <td style="padding: 12px; border: 1px solid #e1e5e9; background: #f8f9fa; font-weight: 600; width: 30%;">Entry Type</td>
-                                    <td style="padding: 8px; border: 1px solid #e1e5e9; background: white;">
-                                        <select id="entry-type-${section.name.replace(/\s+/g, '-')}" name="entry-type" style="
-                                            width: 100%;
-                                            padding: 8px;
-                                            border: 1px solid #e1e5e9;
-                                            border-radius: 4px;
-                                            font-size: 14px;
-                                            box-sizing: border-box;
-                                            transition: border-color 0.3s ease;
-                                        ">
-                                            <option value="">Select Entry Type</option>
-                                            ${conditionOptions}
-                                        </select>
-                                    </td>
-                                </tr>
-                            </tbody>
-                        </table>
+    showMissionInputModal(type, title) {
+        // Create mission input modal
+        let modal = document.getElementById('mission-input-modal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'mission-input-modal';
+            modal.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.5);
+                display: none;
+                justify-content: center;
+                align-items: center;
+                z-index: 2000;
+                backdrop-filter: blur(5px);
+                -webkit-backdrop-filter: blur(5px);
+            `;
+            
+            const modalContent = document.createElement('div');
+            modalContent.style.cssText = `
+                background: rgba(255, 255, 255, 0.95);
+                padding: 30px;
+                border-radius: 20px;
+                max-width: 500px;
+                width: 90%;
+                backdrop-filter: blur(20px);
+                -webkit-backdrop-filter: blur(20px);
+                border: 1px solid rgba(255, 255, 255, 0.2);
+                box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
+            `;
+            
+            modalContent.innerHTML = `
+                <h2 class="mission-input-title" style="margin: 0 0 20px 0; color: #1d1d1f; font-size: 24px; text-align: center;"></h2>
+                <form id="mission-input-form">
+                    <div style="margin-bottom: 20px;">
+                        <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #333;">Mission Title:</label>
+                        <input type="text" id="mission-title" required style="
+                            width: 100%;
+                            padding: 12px;
+                            border: 2px solid rgba(0, 122, 255, 0.2);
+                            border-radius: 10px;
+                            font-size: 16px;
+                            transition: border-color 0.2s ease;
+                        " placeholder="Enter mission title...">
                     </div>
-                    
-                    <div id="conditional-fields-${section.name.replace(/\s+/g, '-')}" style="display: none;">
-                        <!-- Dynamic fields table will be added here -->
+                    <div style="margin-bottom: 20px;">
+                        <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #333;">Description:</label>
+                        <textarea id="mission-description" required style="
+                            width: 100%;
+                            padding: 12px;
+                            border: 2px solid rgba(0, 122, 255, 0.2);
+                            border-radius: 10px;
+                            font-size: 16px;
+                            min-height: 100px;
+                            resize: vertical;
+                            transition: border-color 0.2s ease;
+                        " placeholder="Describe your mission..."></textarea>
                     </div>
-                    
-                    <div style="display: flex; gap: 15px; justify-content: center; margin-top: 20px;">
-                        <button type="button" id="cancel-conditional-${section.name.replace(/\s+/g, '-')}" style="
+                    <div class="mission-input-field" style="margin-bottom: 20px;">
+                        <!-- Dynamic input field will be inserted here -->
+                    </div>
+                    <label style="display: flex; align-items: center; gap: 8px; margin-bottom: 20px; color: #333; font-size: 14px; cursor: pointer;">
+                        <input type="checkbox" id="mission-private">
+                        🔒 Keep out of "Missions des Autres"
+                    </label>
+                    <div style="display: flex; gap: 15px; justify-content: center;">
+                        <button type="button" id="cancel-mission-input" style="
                             background: rgba(255, 59, 48, 0.1);
                             color: #ff3b30;
                             border: 2px solid rgba(255, 59, 48, 0.3);
                             padding: 12px 24px;
-                            border-radius: 8px;
-                            font-size: 16px;
+                            border-radius: 12px;
+                            font-size: 14px;
                             font-weight: 600;
                             cursor: pointer;
-                            transition: all 0.3s ease;
+                            transition: all 0.2s ease;
                         ">Cancel</button>
                         <button type="submit" style="
                             background: linear-gradient(135deg, #007AFF 0%, #0056CC 100%);
                             color: white;
                             border: none;
                             padding: 12px 24px;
-                            border-radius: 8px;
-                            font-size: 16px;
+                            border-radius: 12px;
+                            font-size: 14px;
                             font-weight: 600;
                             cursor: pointer;
-                            transition: all 0.3s ease;
-                        ">Submit Data</button>
+                            transition: all 0.2s ease;
+                        ">Submit Mission</button>
                     </div>
                 </form>
-            </div>
-        `;
-    }
-    
-    createFieldSectionContent(section, houseName) {
-        // Create a table-based form for this section
-        const tableRows = section.fields.map((field, index) => {
-            const fieldId = `field-${index}`;
-            const baseInputStyle = `
-                width: 100%;
-                padding: 8px;
-                border: 1px solid #e1e5e9;
-                border-radius: 4px;
-                font-size: 14px;
-                box-sizing: border-box;
-                transition: border-color 0.3s ease;
+                <button id="close-mission-input-modal" style="
+                    position: absolute;
+                    top: 15px;
+                    right: 15px;
+                    background: none;
+                    border: none;
+                    font-size: 24px;
+                    cursor: pointer;
+                    color: #666;
+                ">×</button>
             `;
             
-            let inputElement = '';
+            modal.appendChild(modalContent);
+            document.body.appendChild(modal);
             
-            switch (field.type) {
-                case 'password':
-                    inputElement = `<input type="password" id="${fieldId}" name="${fieldId}" placeholder="Enter ${field.label}" style="${baseInputStyle}">`;
-                    break;
-                case 'time':
-                    inputElement = `<input type="time" id="${fieldId}" name="${fieldId}" style="${baseInputStyle}">`;
-                    break;
-                case 'date':
-                    inputElement = `<input type="date" id="${fieldId}" name="${fieldId}" style="${baseInputStyle}">`;
-                    break;
-                case 'number':
-                    inputElement = `<input type="number" id="${fieldId}" name="${fieldId}" placeholder="Enter ${field.label}" style="${baseInputStyle}">`;
-                    break;
-                case 'select':
-                    const options = field.options ? field.options.map(option => `<option value="${option}">${option}</option>`).join('') : '';
-                    inputElement = `<select id="${fieldId}" name="${fieldId}" style="${baseInputStyle}"><option value="">Select ${field.label}</option>${options}</select>`;
-                    break;
-                case 'textarea':
-                    inputElement = `<textarea id="${fieldId}" name="${fieldId}" placeholder="Enter ${field.label}" rows="2" style="${baseInputStyle}"></textarea>`;
-                    break;
-                default:
-                    inputElement = `<input type="text" id="${fieldId}" name="${fieldId}" placeholder="Enter ${field.label}" style="${baseInputStyle}">`;
-            }
+            // Add event listeners
+            document.getElementById('close-mission-input-modal').addEventListener('click', () => {
+                modal.style.display = 'none';
+            });
             
-            return `
-                <tr>
-                    <td style="padding: 12px; border: 1px solid #e1e5e9; background: #f8f9fa; font-weight: 600; width: 30%;">${field.label}</td>
-                    <td style="padding: 8px; border: 1px solid #e1e5e9; background: white;">${inputElement}</td>
-                </tr>
-            `;
-        }).join('');
+            document.getElementById('cancel-mission-input').addEventListener('click', () => {
+                modal.style.display = 'none';
+            });
+            
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    modal.style.display = 'none';
+                }
+            });
+            
+            document.getElementById('mission-input-form').addEventListener('change', (e) => {
+                if (e.target.matches('.media-field input[type="file"]')) this.game.houseForms.previewMediaField(e.target);
+            });
+            
+            // Form submission
+            document.getElementById('mission-input-form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitMission();
+            });
+        }
         
-        return `
-            <div style="background: #f8f9fa; padding: 20px; border-radius: 12px; border-left: 4px solid #007AFF;">
-                <h3 style="margin: 0 0 15px 0; color: #1d1d1f;">${section.name}</h3>
-                <p style="margin: 0 0 20px 0; color: #666;">Fill in the required information in the table below:</p>
-                
-                <div style="overflow-x: auto; margin-bottom: 20px;">
-                    <table style="width: 100%; border-collapse: collapse; border: 1px solid #e1e5e9; border-radius: 8px; overflow: hidden; background: white;">
-                        <thead>
-                            <tr style="background: #007AFF; color: white;">
-                                <th style="padding: 12px; border: 1px solid #e1e5e9; text-align: left; font-weight: 600;">Field</th>
-                                <th style="padding: 12px; border: 1px solid #e1e5e9; text-align: left; font-weight: 600;">Value</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            ${tableRows}
-                        </tbody>
-                    </table>
-                </div>
-                
-                <form id="section-form-${section.name.replace(/\s+/g, '-')}" style="display: flex; flex-direction: column; gap: 15px;">
-                    <div style="display: flex; gap: 15px; justify-content: center;">
-                        <button type="button" id="cancel-section-${section.name.replace(/\s+/g, '-')}" style="
-                            background: rgba(255, 59, 48, 0.1);
-                            color: #ff3b30;
-                            border: 2px solid rgba(255, 59, 48, 0.3);
-                            padding: 12px 24px;
-                            border-radius: 8px;
-                            font-size: 16px;
-                            font-weight: 600;
-                            cursor: pointer;
-                            transition: all 0.3s ease;
-                        ">Cancel</button>
-                        <button type="submit" style="
-                            background: linear-gradient(135deg, #007AFF 0%, #0056CC 100%);
-                            color: white;
-                            border: none;
-                            padding: 12px 24px;
-                            border-radius: 8px;
-                            font-size: 16px;
-                            font-weight: 600;
-                            cursor: pointer;
-                            transition: all 0.3s ease;
-                        ">Submit Data</button>
-                    </div>
-                </form>
-            </div>
-        `;
-    }
-    
-    getSectionDescription(section) {
-        if (section.type === 'readonly') {
-            return 'This is a read-only section for viewing data.';
-        } else if (section.conditionalGroups) {
-            return 'Select an entry type and fill in the corresponding fields.';
-        } else if (section.fields) {
-            return 'Fill in the required information for this section.';
-        } else {
-            return 'Access the content for this section.';
-        }
-    }
-    
-    createSectionedHouseTableForm(houseData) {
-        // Create a comprehensive table form with all sections
-        let allFields = [];
-        
-        houseData.sections.forEach((section, sectionIndex) => {
-            if (section.type === 'readonly') {
-                // Add readonly section info
-                allFields.push({
-                    type: 'readonly-info',
-                    sectionName: section.name,
-                    description: section.description
-                });
-            } else if (section.conditionalGroups) {
-                // Add conditional section
-                allFields.push({
-                    type: 'conditional-section',
-                    sectionName: section.name,
-                    conditionalGroups: section.conditionalGroups
-                });
-            } else if (section.fields) {
-                // Add regular fields with section header
-                allFields.push({
-                    type: 'section-header',
-                    sectionName: section.name
-                });
-                section.fields.forEach(field => {
-                    allFields.push(field);
-                });
-            }
-        });
+        // Update title and input field based on type
+        modal.querySelector('.mission-input-title').textContent = title;
+        const inputField = modal.querySelector('.mission-input-field');
         
-        return allFields.map((field, index) => {
-            if (field.type === 'readonly-info') {
-                return `
-                    <div style="background: #f8f9fa; padding: 15px; border-radius: 8px; margin: 10px 0; border-left: 4px solid #8E8E93;">
-                        <h4 style="margin: 0 0 5px 0; color: #1d1d1f;">${field.sectionName}</h4>
-                        <p style="margin: 0; color: #666; font-size: 14px;">${field.description}</p>
-                    </div>
-                `;
-            } else if (field.type === 'conditional-section') {
-                return this.createConditionalSectionContent(field, index);
-            } else if (field.type === 'section-header') {
-                return `
-                    <div style="background: #007AFF; color: white; padding: 10px 15px; border-radius: 8px; margin: 15px 0 10px 0; font-weight: 600;">
-                        ${field.sectionName}
-                    </div>
+        switch (type) {
+            case 'photo':
+                inputField.innerHTML = `
+                    <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #333;">Photo / Video:</label>
+                    ${this.game.houseForms.renderMediaField({ label: 'Photo / Video' }, 'mission-media', '')}
+                    <small style="color: #666; font-size: 12px; margin-top: 5px; display: block;">
+                        Take a photo or video, or pick one from your gallery
+                    </small>
                 `;
-            } else {
-                return this.createTableRowField(field, index);
-            }
-        }).join('');
-    }
-    
-    createDirectHouseTableForm(houseData) {
-        // Special handling for Rival house (ID: 1) - compact input with validation icons
-        if (houseData.id === 1 && houseData.name === "Rival") {
-            return this.createRivalPasswordInputs(houseData);
-        }
-        
-        const tableRows = houseData.fields.map((field, index) => {
-            return this.createTableRowField(field, index);
-        }).join('');
-        
-        return `
-            <div style="overflow-x: auto; margin-bottom: 20px;">
-                <table style="width: 100%; border-collapse: collapse; border: 1px solid #e1e5e9; border-radius: 8px; overflow: hidden; background: white;">
-                    <thead>
-                        <tr style="background: #007AFF; color: white;">
-                            <th style="padding: 12px; border: 1px solid #e1e5e9; text-align: left; font-weight: 600;">Field</th>
-                            <th style="padding: 12px; border: 1px solid #e1e5e9; text-align: left; font-weight: 600;">Value</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${tableRows}
-                    </tbody>
-                </table>
-            </div>
-        `;
-    }
-    
-    createRivalPasswordInputs(houseData) {
-        const passwordInputs = houseData.fields.map((field, index) => {
-            const fieldId = `field-${index}`;
-            return `
-                <input 
-                    type="password" 
-                    id="${fieldId}" 
-                    name="${fieldId}" 
-                    placeholder="${field.label}" 
-                    style="
+                break;
+            case 'text':
+                inputField.innerHTML = `
+                    <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #333;">Text Evidence:</label>
+                    <textarea id="mission-content" required style="
                         width: 100%;
-                        padding: 14px 18px;
-                        border: 2px solid #d1d5db;
+                        padding: 12px;
+                        border: 2px solid rgba(0, 122, 255, 0.2);
                         border-radius: 10px;
-                        font-size: 15px;
-                        box-sizing: border-box;
-                        margin-bottom: 20px;
-                        transition: all 0.3s ease;
-                        outline: none;
-                        background: #ffffff;
-                        color: #1d1d1f;
-                        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                    "
-                    onfocus="this.style.borderColor='#007AFF'; this.style.boxShadow='0 0 0 3px rgba(0, 122, 255, 0.1)';"
-                    onblur="this.style.borderColor='#d1d5db'; this.style.boxShadow='none';"
-                >
-            `;
-        }).join('');
-        
-        return passwordInputs;
-    }
-    
-    createTableRowField(field, index) {
-        const fieldId = `field-${index}`;
-        const baseInputStyle = `
-            width: 100%;
-            padding: 8px;
-            border: 1px solid #e1e5e9;
-            border-radius: 4px;
-            font-size: 14px;
-            box-sizing: border-box;
-            transition: border-color 0.3s ease;
-        `;
-        
-        let inputElement = '';
-        
-        switch (field.type) {
-            case 'password':
-                inputElement = `<input type="password" id="${fieldId}" name="${fieldId}" placeholder="Enter ${field.label}" style="${baseInputStyle}">`;
-                break;
-            case 'time':
-                inputElement = `<input type="time" id="${fieldId}" name="${fieldId}" style="${baseInputStyle}">`;
-                break;
-            case 'date':
-                inputElement = `<input type="date" id="${fieldId}" name="${fieldId}" style="${baseInputStyle}">`;
-                break;
-            case 'number':
-                inputElement = `<input type="number" id="${fieldId}" name="${fieldId}" placeholder="Enter ${field.label}" style="${baseInputStyle}">`;
-                break;
-            case 'select':
-                const options = field.options ? field.options.map(option => `<option value="${option}">${option}</option>`).join('') : '';
-                inputElement = `<select id="${fieldId}" name="${fieldId}" style="${baseInputStyle}"><option value="">Select ${field.label}</option>${options}</select>`;
-                break;
-            case 'textarea':
-                inputElement = `<textarea id="${fieldId}" name="${fieldId}" placeholder="Enter ${field.label}" rows="2" style="${baseInputStyle}"></textarea>`;
+                        font-size: 16px;
+                        min-height: 80px;
+                        resize: vertical;
+                        transition: border-color 0.2s ease;
+                    " placeholder="Provide detailed text evidence..."></textarea>
+                `;
                 break;
-            case 'table':
-                // Handle table type (for Privé)
-                inputElement = this.createTableField(field, fieldId);
+            case 'link':
+                inputField.innerHTML = `
+                    <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #333;">Link/URL:</label>
+                    <input type="url" id="mission-content" required style="
+                        width: 100%;
+                        padding: 12px;
+                        border: 2px solid rgba(0, 122, 255, 0.2);
+                        border-radius: 10px;
+                        font-size: 16px;
+                        transition: border-color 0.2s ease;
+                    " placeholder="https://example.com">
+                    <small style="color: #666; font-size: 12px; margin-top: 5px; display: block;">
+                        Enter the URL that supports your mission
+                    </small>
+                `;
                 break;
-            default:
-                inputElement = `<input type="text" id="${fieldId}" name="${fieldId}" placeholder="Enter ${field.label}" style="${baseInputStyle}">`;
         }
         
-        return `
-            <tr>
-                <td style="padding: 12px; border: 1px solid #e1e5e9; background: #f8f9fa; font-weight: 600; width: 30%;">${field.label}</td>
-                <td style="padding: 8px; border: 1px solid #e1e5e9; background: white;">${inputElement}</td>
-            </tr>
-        `;
+        modal.style.display = 'flex';
     }
     
-    showHouseDedicatedForm(house) {
-        console.log('showHouseDedicatedForm called:', { house: house.layerNumber });
+    async submitMission() {
+        if (!this.game.auth.user || !window.db) return;
         
-        const houseData = this.getHouseDataFromJSON(house.layerNumber);
-        if (!houseData) {
-            console.log('House data not found for house:', house.layerNumber);
-            this.game.auth.showBottomNotification('❌ House data not found', 'error');
+        // Determine mission type from the current modal
+        const modal = document.getElementById('mission-input-modal');
+        const titleText = modal.querySelector('.mission-input-title').textContent;
+        let type = 'text';
+        if (titleText.includes('Photo')) type = 'photo';
+        else if (titleText.includes('Link')) type = 'link';
+        
+        const title = document.getElementById('mission-title').value;
+        const description = document.getElementById('mission-description').value;
+        const mediaFile = type === 'photo' ? this.game.houseForms.getMediaFile(modal.querySelector('.media-field')) : null;
+        let content = type === 'photo' ? mediaFile : document.getElementById('mission-content').value;
+        
+        if (!title || !description || !content) {
+            this.game.auth.showBottomNotification('❌ Please fill in all fields', 'error');
             return;
         }
         
-        // Create dedicated form modal for this specific house
-        let formModal = document.getElementById('house-dedicated-form-modal');
-        if (!formModal) {
-            formModal = document.createElement('div');
-            formModal.id = 'house-dedicated-form-modal';
-            formModal.style.cssText = `
+        const submitButton = modal.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        try {
+            // Photo evidence is uploaded first; content keeps the file URL for older readers
+            let media = null;
+            if (mediaFile) {
+                this.game.auth.showBottomNotification('⏳ Uploading media...', 'info');
+                media = await this.game.media.upload(mediaFile, 'missions');
+                content = media.url;
+            }
+            
+            // Submit to playerMissions collection
+            const missionData = {
+                playerId: this.game.auth.user.uid,
+                playerName: this.game.auth.user.displayName || this.game.auth.user.email,
+                title: title,
+                description: description,
+                content: content,
+                type: type,
+                status: 'pending',
+                private: document.getElementById('mission-private').checked,
+                submittedAt: new Date().toISOString(),
+                createdAt: new Date().toISOString()
+            };
+            if (media) missionData.media = media;
+            
+            await window.addDoc(window.collection(window.db, 'playerMissions'), missionData);
+            
+            // Close modal and show success
+            modal.style.display = 'none';
+            this.game.auth.showBottomNotification('✅ Mission submitted successfully!', 'success');
+            
+            // Clear form
+            document.getElementById('mission-input-form').reset();
+            
+        } catch (error) {
+            console.error('Error submitting mission:', error);
+            this.game.auth.showBottomNotification('❌ Failed to submit mission', 'error');
+        } finally {
+            submitButton.disabled = false;
+        }
+    }
+    
+    showHomeFeedbacksTable() {
+        this.showHomeTable('feedbacks', 'Feedbacks from Admins', '📝');
+    }
+    
+    showHomeMissionsTable() {
+        this.showHomeTable('missions', 'Your Submitted Missions', '📋');
+    }
+    
+    showHomeIdeasTable() {
+        this.showHomeTable('ideas', 'Your Ideas', '💡');
+    }
+    
+    showHomeOverviewTable() {
+        this.showHomeTable('all', 'All Activity', '📊');
+    }
+    
+    showHomeTable(type, title, icon) {
+        // Create home table modal
+        let modal = document.getElementById('home-table-modal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'home-table-modal';
+            modal.style.cssText = `
                 position: fixed;
                 top: 0;
                 left: 0;
@@ -6785,89 +6761,18 @@ class HouseInteractionManager {
                 display: none;
                 justify-content: center;
                 align-items: center;
-                z-index: 3000;
+                z-index: 2000;
                 backdrop-filter: blur(5px);
                 -webkit-backdrop-filter: blur(5px);
             `;
-            document.body.appendChild(formModal);
-        }
-        
-        // Check if this is Rival house for simple input popup
-        const isRivalHouse = houseData.id === 1 && houseData.name === "Rival";
-        
-        const formContent = document.createElement('div');
-        
-        // Generate form content based on house structure
-        let formHTML = '';
-        
-        if (houseData.sections && houseData.sections.length > 0) {
-            // House has sections - create combined table form
-            formHTML = this.createSectionedHouseTableForm(houseData);
-        } else if (houseData.fields && houseData.fields.length > 0) {
-            // House has direct fields - create simple table form
-            formHTML = this.createDirectHouseTableForm(houseData);
-        } else {
-            formHTML = '<div style="text-align: center; color: #666;">Aucun formulaire disponible pour cette maison.</div>';
-        }
-        
-        // Special handling for Rival house - simple popup with just inputs
-        if (isRivalHouse) {
-            formContent.style.cssText = `
-                background: linear-gradient(135deg, rgba(255, 255, 255, 0.98) 0%, rgba(255, 255, 255, 0.95) 100%);
-                padding: 32px 28px;
-                border-radius: 16px;
-                max-width: 380px;
-                width: 90%;
-                backdrop-filter: blur(20px);
-                -webkit-backdrop-filter: blur(20px);
-                border: 1px solid rgba(255, 255, 255, 0.3);
-                box-shadow: 0 25px 50px rgba(0, 0, 0, 0.15), 0 0 0 1px rgba(0, 0, 0, 0.05);
-                position: relative;
-            `;
             
-            formContent.innerHTML = `
-                <form id="house-dedicated-form" style="display: flex; flex-direction: column; gap: 0; margin-top: 0;">
-                    ${formHTML}
-                    <div style="display: flex; gap: 12px; margin-top: 8px;">
-                        <button type="button" id="cancel-house-form" style="
-                            background: rgba(142, 142, 147, 0.1);
-                            color: #8e8e93;
-                            border: 2px solid rgba(142, 142, 147, 0.2);
-                            padding: 14px 28px;
-                            border-radius: 10px;
-                            font-size: 16px;
-                            font-weight: 600;
-                            cursor: pointer;
-                            transition: all 0.3s ease;
-                            flex: 1;
-                            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                            letter-spacing: 0.3px;
-                        " onmouseover="this.style.background='rgba(142, 142, 147, 0.15)'; this.style.borderColor='rgba(142, 142, 147, 0.3)'" onmouseout="this.style.background='rgba(142, 142, 147, 0.1)'; this.style.borderColor='rgba(142, 142, 147, 0.2)'">Annuler</button>
-                        <button type="submit" style="
-                            background: linear-gradient(135deg, #007AFF 0%, #0056CC 100%);
-                            color: white;
-                            border: none;
-                            padding: 14px 28px;
-                            border-radius: 10px;
-                            font-size: 16px;
-                            font-weight: 600;
-                            cursor: pointer;
-                            transition: all 0.3s ease;
-                            flex: 1;
-                            box-shadow: 0 4px 12px rgba(0, 122, 255, 0.3);
-                            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                            letter-spacing: 0.3px;
-                        " onmouseover="this.style.transform='translateY(-2px)'; this.style.boxShadow='0 6px 16px rgba(0, 122, 255, 0.4)'" onmouseout="this.style.transform='translateY(0)'; this.style.boxShadow='0 4px 12px rgba(0, 122, 255, 0.3)'">Rejoindre</button>
-                    </div>
-                </form>
-            `;
-        } else {
-            formContent.style.cssText = `
+            const modalContent = document.createElement('div');
+            modalContent.style.cssText = `
                 background: rgba(255, 255, 255, 0.95);
-                padding: 30px;
+                padding: 20px;
                 border-radius: 20px;
-                max-width: 600px;
-                width: 90%;
+                max-width: 800px;
+                width: 95%;
                 max-height: 80vh;
                 overflow-y: auto;
                 backdrop-filter: blur(20px);
@@ -6876,756 +6781,811 @@ class HouseInteractionManager {
                 box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
             `;
             
-            formContent.innerHTML = `
-                <h2 style="margin: 0 0 20px 0; color: #1d1d1f; font-size: 24px; text-align: center;">
-                    ${houseData.name}
-                </h2>
-                <p style="margin: 0 0 30px 0; color: #666; font-size: 16px; text-align: center;">
-                    Fill in the required information:
-                </p>
-                <form id="house-dedicated-form" style="display: flex; flex-direction: column; gap: 20px;">
-                    ${formHTML}
-                    <div style="display: flex; gap: 15px; justify-content: center; margin-top: 30px;">
-                        <button type="button" id="cancel-house-form" style="
-                            background: rgba(255, 59, 48, 0.1);
-                            color: #ff3b30;
-                            border: 2px solid rgba(255, 59, 48, 0.3);
-                            padding: 12px 24px;
-                            border-radius: 12px;
-                            font-size: 16px;
-                            font-weight: 600;
-                            cursor: pointer;
-                            transition: all 0.3s ease;
-                        ">Cancel</button>
-                        <button type="submit" style="
-                            background: linear-gradient(135deg, #007AFF 0%, #0056CC 100%);
-                            color: white;
-                            border: none;
-                            padding: 12px 24px;
-                            border-radius: 12px;
-                            font-size: 16px;
-                            font-weight: 600;
-                            cursor: pointer;
-                            transition: all 0.3s ease;
-                        ">Submit</button>
-                    </div>
-                </form>
-                <button id="close-house-form-modal" style="
-                    position: absolute;
-                    top: 15px;
-                    right: 15px;
-                    background: none;
-                    border: none;
-                    font-size: 24px;
-                    cursor: pointer;
-                    color: #666;
-                ">×</button>
-            `;
-        }
-        
-        formModal.innerHTML = '';
-        formModal.appendChild(formContent);
-        formModal.style.display = 'flex';
-        
-        // Add event listeners
-        const closeButton = document.getElementById('close-house-form-modal');
-        if (closeButton) {
-            closeButton.addEventListener('click', () => {
-                formModal.style.display = 'none';
+            modalContent.innerHTML = `
+                <div class="home-table-header" style="
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    margin-bottom: 20px;
+                    padding-bottom: 15px;
+                    border-bottom: 2px solid rgba(0, 122, 255, 0.2);
+                ">
+                    <h2 class="home-table-title" style="margin: 0; color: #1d1d1f; font-size: 24px; display: flex; align-items: center; gap: 10px;">
+                        <span class="table-icon">📊</span>
+                        <span class="table-title-text">Home Activity</span>
+                    </h2>
+                    <button id="close-home-table-modal" style="
+                        background: none;
+                        border: none;
+                        font-size: 24px;
+                        cursor: pointer;
+                        color: #666;
+                        padding: 5px;
+                        border-radius: 50%;
+                        transition: background 0.2s ease;
+                    ">×</button>
+                </div>
+                <div class="home-table-tabs" style="
+                    display: flex;
+                    gap: 10px;
+                    margin-bottom: 20px;
+                ">
+                    <button class="table-tab-btn active" data-tab="feedbacks" style="
+                        background: linear-gradient(135deg, #007AFF 0%, #0056CC 100%);
+                        color: white;
+                        border: none;
+                        padding: 10px 20px;
+                        border-radius: 20px;
+                        font-size: 14px;
+                        font-weight: 600;
+                        cursor: pointer;
+                        transition: all 0.3s ease;
+                    ">📝 Feedbacks</button>
+                    <button class="table-tab-btn" data-tab="missions" style="
+                        background: rgba(0, 122, 255, 0.1);
+                        color: #007AFF;
+                        border: 2px solid rgba(0, 122, 255, 0.3);
+                        padding: 10px 20px;
+                        border-radius: 20px;
+                        font-size: 14px;
+                        font-weight: 600;
+                        cursor: pointer;
+                        transition: all 0.3s ease;
+                    ">📋 Missions</button>
+                    <button class="table-tab-btn" data-tab="ideas" style="
+                        background: rgba(0, 122, 255, 0.1);
+                        color: #007AFF;
+                        border: 2px solid rgba(0, 122, 255, 0.3);
+                        padding: 10px 20px;
+                        border-radius: 20px;
+                        font-size: 14px;
+                        font-weight: 600;
+                        cursor: pointer;
+                        transition: all 0.3s ease;
+                    ">💡 Ideas</button>
+                    <button class="table-tab-btn" data-tab="all" style="
+                        background: rgba(0, 122, 255, 0.1);
+                        color: #007AFF;
+                        border: 2px solid rgba(0, 122, 255, 0.3);
+                        padding: 10px 20px;
+                        border-radius: 20px;
+                        font-size: 14px;
+                        font-weight: 600;
+                        cursor: pointer;
+                        transition: all 0.3s ease;
+                    ">📊 All</button>
+                </div>
+                <div class="home-table-content" style="
+                    min-height: 300px;
+                    max-height: 400px;
+                    overflow-y: auto;
+                ">
+                    <!-- Table content will be loaded here -->
+                </div>
+            `;
+            
+            modal.appendChild(modalContent);
+            document.body.appendChild(modal);
+            
+            // Add event listeners
+            document.getElementById('close-home-table-modal').addEventListener('click', () => {
+                modal.style.display = 'none';
             });
-        }
-        
-        const cancelButton = document.getElementById('cancel-house-form');
-        if (cancelButton) {
-            cancelButton.addEventListener('click', () => {
-                formModal.style.display = 'none';
+            
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    modal.style.display = 'none';
+                }
+            });
+            
+            // Tab switching
+            modal.querySelectorAll('.table-tab-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    // Update active tab
+                    modal.querySelectorAll('.table-tab-btn').forEach(b => {
+                        b.style.background = 'rgba(0, 122, 255, 0.1)';
+                        b.style.color = '#007AFF';
+                        b.style.border = '2px solid rgba(0, 122, 255, 0.3)';
+                    });
+                    
+                    e.target.style.background = 'linear-gradient(135deg, #007AFF 0%, #0056CC 100%)';
+                    e.target.style.color = 'white';
+                    e.target.style.border = 'none';
+                    
+                    // Load content
+                    const tabType = e.target.getAttribute('data-tab');
+                    this.loadHomeTableContent(tabType);
+                });
             });
         }
         
-        formModal.addEventListener('click', (e) => {
-            if (e.target === formModal) {
-                formModal.style.display = 'none';
+        // Update title and load content
+        const titleElement = modal.querySelector('.table-title-text');
+        const iconElement = modal.querySelector('.table-icon');
+        titleElement.textContent = title;
+        iconElement.textContent = icon;
+        
+        // Set active tab
+        modal.querySelectorAll('.table-tab-btn').forEach(btn => {
+            btn.classList.remove('active');
+            if (btn.getAttribute('data-tab') === type) {
+                btn.classList.add('active');
+                btn.style.background = 'linear-gradient(135deg, #007AFF 0%, #0056CC 100%)';
+                btn.style.color = 'white';
+                btn.style.border = 'none';
+            } else {
+                btn.style.background = 'rgba(0, 122, 255, 0.1)';
+                btn.style.color = '#007AFF';
+                btn.style.border = '2px solid rgba(0, 122, 255, 0.3)';
             }
         });
         
-        const form = document.getElementById('house-dedicated-form');
-        if (form) {
-            form.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleHouseDedicatedFormSubmission(house, houseData, formModal);
-            });
-        }
+        // Load initial content
+        this.loadHomeTableContent(type);
         
-        // Add input focus effects
-        formContent.querySelectorAll('input, select, textarea').forEach(input => {
-            input.addEventListener('focus', () => {
-                input.style.borderColor = '#007AFF';
-            });
-            input.addEventListener('blur', () => {
-                input.style.borderColor = '#e1e5e9';
-            });
-        });
+        modal.style.display = 'flex';
     }
     
-    createSectionedHouseForm(houseData) {
-        // Create a form with all sections combined
-        let allFields = [];
+    async loadHomeTableContent(type) {
+        const contentDiv = document.querySelector('.home-table-content');
+        if (!contentDiv) return;
+        
+        contentDiv.innerHTML = '<div style="text-align: center; padding: 40px; color: #666;">Loading...</div>';
         
-        houseData.sections.forEach((section, sectionIndex) => {
-            if (section.type === 'readonly') {
-                // Add readonly section info
-                allFields.push({
-                    type: 'readonly-info',
-                    sectionName: section.name,
-                    description: section.description
+        try {
+            let content = '';
+            
+            if (type === 'feedbacks' || type === 'all') {
+                const feedbacks = await this.loadPlayerFeedbacks();
+                content += this.renderFeedbacksTable(feedbacks);
+            }
+            
+            if (type === 'missions' || type === 'all') {
+                const missions = await this.loadPlayerMissions();
+                content += this.renderMissionsTable(missions);
+            }
+            
+            if (type === 'ideas' || type === 'all') {
+                const ideas = await this.game.ideas.listByAuthor();
+                content += this.renderIdeasTable(ideas);
+            }
+            
+            if (type === 'all') {
+                content = `<div style="display: flex; flex-direction: column; gap: 30px;">${content}</div>`;
+            }
+            
+            contentDiv.innerHTML = content || '<div style="text-align: center; padding: 40px; color: #666;">No data available</div>';
+            this.game.media.hydrate(contentDiv);
+            
+            contentDiv.querySelectorAll('.mission-privacy-btn').forEach(btn => {
+                btn.addEventListener('click', async (e) => {
+                    e.stopPropagation();
+                    const makePrivate = btn.getAttribute('data-private') !== 'true';
+                    try {
+                        await this.game.missionFeed.setPrivate(btn.getAttribute('data-mission-id'), makePrivate);
+                        this.game.auth.showBottomNotification(makePrivate ? '🔒 Mission hidden from the feed' : '🌐 Mission shared in the feed', 'success');
+                        this.loadHomeTableContent(type);
+                    } catch (error) {
+                        console.error('Error updating mission privacy:', error);
+                        this.game.auth.showBottomNotification('❌ Failed to update mission privacy', 'error');
+                    }
                 });
-            } else if (section.conditionalGroups) {
-                // Add conditional section
-                allFields.push({
-                    type: 'conditional-section',
-                    sectionName: section.name,
-                    conditionalGroups: section.conditionalGroups
+            });
+            
+            // Add event listeners for read buttons
+            contentDiv.querySelectorAll('.mark-feedback-read-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    const feedbackId = e.target.getAttribute('data-feedback-id');
+                    this.markFeedbackAsRead(feedbackId);
                 });
-            } else if (section.fields) {
-                // Add regular fields with section header
-                allFields.push({
-                    type: 'section-header',
-                    sectionName: section.name
+                
+                // Add hover effects
+                btn.addEventListener('mouseenter', () => {
+                    btn.style.transform = 'scale(1.05)';
+                    btn.style.boxShadow = '0 4px 12px rgba(40, 167, 69, 0.3)';
                 });
-                section.fields.forEach(field => {
-                    allFields.push(field);
+                
+                btn.addEventListener('mouseleave', () => {
+                    btn.style.transform = 'scale(1)';
+                    btn.style.boxShadow = 'none';
                 });
-            }
-        });
-        
-        return allFields.map((field, index) => {
-            if (field.type === 'readonly-info') {
-                return `
-                    <div style="background: #f8f9fa; padding: 15px; border-radius: 8px; margin: 10px 0; border-left: 4px solid #8E8E93;">
-                        <h4 style="margin: 0 0 5px 0; color: #1d1d1f;">${field.sectionName}</h4>
-                        <p style="margin: 0; color: #666; font-size: 14px;">${field.description}</p>
-                    </div>
-                `;
-            } else if (field.type === 'conditional-section') {
-                return this.createConditionalSectionHTML(field, index);
-            } else if (field.type === 'section-header') {
-                return `
-                    <div style="background: #007AFF; color: white; padding: 10px 15px; border-radius: 8px; margin: 15px 0 10px 0; font-weight: 600;">
-                        ${field.sectionName}
-                    </div>
-                `;
-            } else {
-                return this.createFormField(field, index);
-            }
-        }).join('');
-    }
-    
-    createDirectHouseForm(houseData) {
-        return houseData.fields.map((field, index) => {
-            return this.createFormField(field, index);
-        }).join('');
+            });
+            
+        } catch (error) {
+            console.error('Error loading home table content:', error);
+            contentDiv.innerHTML = '<div style="text-align: center; padding: 40px; color: #ff3b30;">Error loading data</div>';
+        }
     }
     
-    createConditionalSectionHTML(section, index) {
-        const conditionOptions = section.conditionalGroups.map(group => 
-            `<option value="${group.condition}">${group.condition.replace('_', ' ').toUpperCase()}</option>`
-        ).join('');
+    async loadPlayerFeedbacks() {
+        if (!this.game.auth.user || !window.db) return [];
         
-        return `
-            <div style="background: #f8f9fa; padding: 15px; border-radius: 8px; margin: 10px 0; border-left: 4px solid #FF9500;">
-                <h4 style="margin: 0 0 10px 0; color: #1d1d1f;">${section.sectionName}</h4>
-                <label style="display: block; margin-bottom: 5px; font-weight: 600; color: #1d1d1f;">Entry Type:</label>
-                <select id="entry-type-${index}" name="entry-type-${index}" style="
-                    width: 100%;
-                    padding: 12px;
-                    border: 2px solid #e1e5e9;
-                    border-radius: 8px;
-                    font-size: 16px;
-                    margin-bottom: 10px;
-                    box-sizing: border-box;
-                    transition: border-color 0.3s ease;
-                ">
-                    <option value="">Select Entry Type</option>
-                    ${conditionOptions}
-                </select>
-                <div id="conditional-fields-${index}" style="display: none;">
-                    <!-- Dynamic fields will be added here -->
-                </div>
-            </div>
-        `;
+        try {
+            // Get feedbacks from admin dashboard collection
+            const feedbacksRef = window.collection(window.db, 'adminFeedback');
+            const q = window.query(feedbacksRef, 
+                window.where('playerId', '==', this.game.auth.user.uid)
+            );
+            const querySnapshot = await window.getDocs(q);
+            
+            return querySnapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
+        } catch (error) {
+            console.error('Error loading player feedbacks:', error);
+            return [];
+        }
     }
     
-    handleHouseDedicatedFormSubmission(house, houseData, formModal) {
-        const form = document.getElementById('house-dedicated-form');
-        const formData = new FormData(form);
-        const data = {};
-        
-        // Collect all form data
-        const inputs = form.querySelectorAll('input, select, textarea');
-        inputs.forEach(input => {
-            if (input.value && input.name) {
-                data[input.name] = input.value;
-            }
-        });
-        
-        console.log(`📝 House form submitted for ${houseData.name}:`, data);
-        
-        // Show success message
-        this.game.auth.showBottomNotification(`✅ ${houseData.name} submitted successfully!`, 'success');
+    async loadPlayerMissions() {
+        if (!this.game.auth.user || !window.db) return [];
         
-        // Close modal
-        formModal.style.display = 'none';
-    }
-    
-    showHouseForm(house) {
-        const houseData = this.getHouseDataFromJSON(house.layerNumber);
-        if (!houseData || !houseData.fields) {
-            this.game.auth.showBottomNotification('❌ No form available for this house', 'error');
-            return;
+        try {
+            // Get missions from playerMissions collection
+            const missionsRef = window.collection(window.db, 'playerMissions');
+            const q = window.query(missionsRef, 
+                window.where('playerId', '==', this.game.auth.user.uid)
+            );
+            const querySnapshot = await window.getDocs(q);
+            
+            return querySnapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
+        } catch (error) {
+            console.error('Error loading player missions:', error);
+            return [];
         }
-        
-        this.showFieldForm(house, houseData);
     }
     
-    showFieldForm(house, section) {
-        // Create form modal
-        let formModal = document.getElementById('section-form-modal');
-        if (!formModal) {
-            formModal = document.createElement('div');
-            formModal.id = 'section-form-modal';
-            formModal.style.cssText = `
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: rgba(0, 0, 0, 0.5);
-                display: none;
-                justify-content: center;
-                align-items: center;
-                z-index: 3000;
-                backdrop-filter: blur(5px);
-                -webkit-backdrop-filter: blur(5px);
+    renderFeedbacksTable(feedbacks) {
+        if (feedbacks.length === 0) {
+            return `
+                <div style="text-align: center; padding: 20px; color: #666;">
+                    <div style="font-size: 48px; margin-bottom: 10px;">📝</div>
+                    <div>No feedbacks received yet</div>
+                </div>
             `;
-            document.body.appendChild(formModal);
         }
         
-        const formContent = document.createElement('div');
-        formContent.style.cssText = `
-            background: rgba(255, 255, 255, 0.95);
-            padding: 30px;
-            border-radius: 20px;
-            max-width: 500px;
-            width: 90%;
-            max-height: 80vh;
-            overflow-y: auto;
-            backdrop-filter: blur(20px);
-            -webkit-backdrop-filter: blur(20px);
-            border: 1px solid rgba(255, 255, 255, 0.2);
-            box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
-        `;
-        
-        // Generate form fields based on section fields
-        const formFields = section.fields.map((field, index) => {
-            return this.createFormField(field, index);
-        }).join('');
-        
-        formContent.innerHTML = `
-            <h2 style="margin: 0 0 20px 0; color: #1d1d1f; font-size: 24px; text-align: center;">
-                ${section.name}
-            </h2>
-            <p style="margin: 0 0 30px 0; color: #666; font-size: 16px; text-align: center;">
-                Fill in the required information:
-            </p>
-            <form id="section-form" style="display: flex; flex-direction: column; gap: 20px;">
-                ${formFields}
-                <div style="display: flex; gap: 15px; justify-content: center; margin-top: 30px;">
-                    <button type="button" id="cancel-section-form" style="
-                        background: rgba(255, 59, 48, 0.1);
-                        color: #ff3b30;
-                        border: 2px solid rgba(255, 59, 48, 0.3);
-                        padding: 12px 24px;
-                        border-radius: 12px;
-                        font-size: 16px;
-                        font-weight: 600;
-                        cursor: pointer;
-                        transition: all 0.3s ease;
-                    ">Cancel</button>
-                    <button type="submit" style="
-                        background: linear-gradient(135deg, #007AFF 0%, #0056CC 100%);
-                        color: white;
-                        border: none;
-                        padding: 12px 24px;
-                        border-radius: 12px;
-                        font-size: 16px;
-                        font-weight: 600;
-                        cursor: pointer;
-                        transition: all 0.3s ease;
-                    ">Submit</button>
+        return `
+            <div style="margin-bottom: 20px;">
+                <h3 style="margin: 0 0 15px 0; color: #1d1d1f; font-size: 18px; display: flex; align-items: center; gap: 8px;">
+                    📝 Feedbacks from Admins (${feedbacks.length})
+                </h3>
+                <div style="display: flex; flex-direction: column; gap: 10px;">
+                    ${feedbacks.map(feedback => `
+                        <div style="
+                            background: rgba(255, 255, 255, 0.7);
+                            border: 1px solid rgba(0, 0, 0, 0.1);
+                            border-radius: 12px;
+                            padding: 15px;
+                            transition: all 0.2s ease;
+                        " onmouseover="this.style.background='rgba(0, 122, 255, 0.05)'" onmouseout="this.style.background='rgba(255, 255, 255, 0.7)'">
+                            <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 10px;">
+                                <div style="display: flex; align-items: center; gap: 8px;">
+                                    <span style="font-size: 20px;">${feedback.type === 'positive' ? '✅' : '❌'}</span>
+                                    <strong style="color: ${feedback.type === 'positive' ? '#28a745' : '#dc3545'};">
+                                        ${feedback.type.toUpperCase()}
+                                    </strong>
+                                </div>
+                                <div style="font-size: 12px; color: #666;">
+                                    ${new Date(feedback.timestamp).toLocaleDateString()}
+                                </div>
+                            </div>
+                            <div style="margin-bottom: 10px;">
+                                <strong style="color: #333; font-size: 16px;">${feedback.title}</strong>
+                            </div>
+                            <div style="color: #555; font-size: 14px; line-height: 1.4; margin-bottom: 10px;">
+                                ${feedback.message}
+                            </div>
+                            <div style="display: flex; justify-content: space-between; align-items: center;">
+                                <div style="font-size: 12px; color: #666;">
+                                    From: <strong>${feedback.sentByName || 'Admin'}</strong>
+                                </div>
+                                <div style="display: flex; align-items: center; gap: 10px;">
+                                    <div style="display: flex; align-items: center; gap: 5px; font-size: 12px; color: ${feedback.status === 'read' ? '#28a745' : '#ffc107'};">
+                                        ${feedback.status === 'read' ? '✅ Read' : '🔔 Unread'}
+                                    </div>
+                                    ${feedback.status === 'unread' ? `
+                                        <button class="mark-feedback-read-btn" data-feedback-id="${feedback.id}" style="
+                                            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+                                            color: white;
+                                            border: none;
+                                            padding: 6px 12px;
+                                            border-radius: 15px;
+                                            font-size: 11px;
+                                            font-weight: 600;
+                                            cursor: pointer;
+                                            transition: all 0.2s ease;
+                                        ">Read</button>
+                                    ` : ''}
+                                </div>
+                            </div>
+                        </div>
+                    `).join('')}
                 </div>
-            </form>
-            <button id="close-section-form-modal" style="
-                position: absolute;
-                top: 15px;
-                right: 15px;
-                background: none;
-                border: none;
-                font-size: 24px;
-                cursor: pointer;
-                color: #666;
-            ">×</button>
+            </div>
         `;
-        
-        formModal.innerHTML = '';
-        formModal.appendChild(formContent);
-        formModal.style.display = 'flex';
-        
-        // Add event listeners
-        document.getElementById('cancel-section-form').addEventListener('click', () => {
-            formModal.style.display = 'none';
-        });
-        
-        document.getElementById('close-section-form-modal').addEventListener('click', () => {
-            formModal.style.display = 'none';
-        });
-        
-        formModal.addEventListener('click', (e) => {
-            if (e.target === formModal) {
-                formModal.style.display = 'none';
-            }
-        });
-        
-        document.getElementById('section-form').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleSectionFormSubmission(house, section, formModal);
-        });
-        
-        // Add input focus effects
-        formContent.querySelectorAll('input, select, textarea').forEach(input => {
-            input.addEventListener('focus', () => {
-                input.style.borderColor = '#007AFF';
-            });
-            input.addEventListener('blur', () => {
-                input.style.borderColor = '#e1e5e9';
-            });
-        });
     }
     
-    createFormField(field, index) {
-        const fieldId = `field-${index}`;
-        const baseInputStyle = `
-            width: 100%;
-            padding: 12px;
-            border: 2px solid #e1e5e9;
-            border-radius: 8px;
-            font-size: 16px;
-            margin-top: 5px;
-            box-sizing: border-box;
-            transition: border-color 0.3s ease;
-        `;
-        
-        let inputElement = '';
-        
-        switch (field.type) {
-            case 'password':
-                inputElement = `<input type="password" id="${fieldId}" name="${fieldId}" placeholder="Enter ${field.label}" style="${baseInputStyle}">`;
-                break;
-            case 'time':
-                inputElement = `<input type="time" id="${fieldId}" name="${fieldId}" style="${baseInputStyle}">`;
-                break;
-            case 'date':
-                inputElement = `<input type="date" id="${fieldId}" name="${fieldId}" style="${baseInputStyle}">`;
-                break;
-            case 'number':
-                inputElement = `<input type="number" id="${fieldId}" name="${fieldId}" placeholder="Enter ${field.label}" style="${baseInputStyle}">`;
-                break;
-            case 'select':
-                const options = field.options ? field.options.map(option => `<option value="${option}">${option}</option>`).join('') : '';
-                inputElement = `<select id="${fieldId}" name="${fieldId}" style="${baseInputStyle}"><option value="">Select ${field.label}</option>${options}</select>`;
-                break;
-            case 'textarea':
-                inputElement = `<textarea id="${fieldId}" name="${fieldId}" placeholder="Enter ${field.label}" rows="4" style="${baseInputStyle}"></textarea>`;
-                break;
-            case 'table':
-                // Handle table type (for Privé)
-                inputElement = this.createTableField(field, fieldId);
-                break;
-            default:
-                inputElement = `<input type="text" id="${fieldId}" name="${fieldId}" placeholder="Enter ${field.label}" style="${baseInputStyle}">`;
+    renderMissionsTable(missions) {
+        if (missions.length === 0) {
+            return `
+                <div style="text-align: center; padding: 20px; color: #666;">
+                    <div style="font-size: 48px; margin-bottom: 10px;">📋</div>
+                    <div>No missions submitted yet</div>
+                </div>
+            `;
         }
         
         return `
-            <div class="form-field">
-                <label for="${fieldId}" style="display: block; margin-bottom: 5px; font-weight: 600; color: #1d1d1f;">${field.label}:</label>
-                ${inputElement}
+            <div style="margin-bottom: 20px;">
+                <h3 style="margin: 0 0 15px 0; color: #1d1d1f; font-size: 18px; display: flex; align-items: center; gap: 8px;">
+                    📋 Your Submitted Missions (${missions.length})
+                </h3>
+                <div style="display: flex; flex-direction: column; gap: 10px;">
+                    ${missions.map(mission => `
+                        <div style="
+                            background: rgba(255, 255, 255, 0.7);
+                            border: 1px solid rgba(0, 0, 0, 0.1);
+                            border-radius: 12px;
+                            padding: 15px;
+                            transition: all 0.2s ease;
+                        " onmouseover="this.style.background='rgba(0, 122, 255, 0.05)'" onmouseout="this.style.background='rgba(255, 255, 255, 0.7)'">
+                            <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 10px;">
+                                <div style="display: flex; align-items: center; gap: 8px;">
+                                    <span style="font-size: 20px;">${mission.type === 'photo' ? '📸' : mission.type === 'link' ? '🔗' : '📝'}</span>
+                                    <strong style="color: #333; font-size: 16px;">${mission.title}</strong>
+                                </div>
+                                <div style="
+                                    padding: 4px 12px;
+                                    border-radius: 20px;
+                                    font-size: 12px;
+                                    font-weight: 600;
+                                    color: white;
+                                    background: ${mission.status === 'approved' ? '#28a745' : mission.status === 'rejected' ? '#dc3545' : '#ffc107'};
+                                ">
+                                    ${mission.status === 'approved' ? '✅ Approved' : mission.status === 'rejected' ? '❌ Rejected' : '⏳ Pending'}
+                                </div>
+                            </div>
+                            <div style="color: #555; font-size: 14px; line-height: 1.4; margin-bottom: 10px;">
+                                ${mission.description}
+                            </div>
+                            <div style="margin-bottom: 10px;">
+                                <div style="font-size: 12px; color: #666; margin-bottom: 5px;">
+                                    <strong>Evidence (${mission.type}):</strong>
+                                </div>
+                                <div style="
+                                    background: rgba(0, 0, 0, 0.05);
+                                    padding: 8px;
+                                    border-radius: 6px;
+                                    font-size: 12px;
+                                    color: #333;
+                                    word-break: break-all;
+                                ">
+                                    ${this.game.media.isMedia(mission.media) ? this.game.media.renderThumbnail(mission.media, 80) : mission.content}
+                                </div>
+                            </div>
+                            <div style="display: flex; justify-content: space-between; align-items: center; font-size: 12px; color: #666;">
+                                <div>Type: <strong>${mission.type.toUpperCase()}</strong></div>
+                                <button class="mission-privacy-btn" data-mission-id="${mission.id}" data-private="${!!mission.private}" style="
+                                    background: none;
+                                    border: 1px solid rgba(0, 0, 0, 0.2);
+                                    border-radius: 15px;
+                                    padding: 4px 10px;
+                                    font-size: 11px;
+                                    cursor: pointer;
+                                ">${mission.private ? '🔒 Private' : '🌐 Shared'}</button>
+                                <div>Submitted: ${new Date(mission.submittedAt).toLocaleDateString()}</div>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
             </div>
         `;
     }
     
-    createTableField(field, fieldId) {
-        const columns = field.columns || [];
-        const tableRows = columns.map((column, index) => `
-            <tr>
-                <td style="padding: 8px; border: 1px solid #e1e5e9; background: #f8f9fa; font-weight: 600;">${column}</td>
-                <td style="padding: 8px; border: 1px solid #e1e5e9;">
-                    <input type="text" name="${fieldId}_${index}" placeholder="Enter ${column}" style="width: 100%; border: none; padding: 4px; background: transparent;">
-                </td>
-            </tr>
-        `).join('');
+    renderIdeasTable(ideas) {
+        if (ideas.length === 0) {
+            return `
+                <div style="text-align: center; padding: 20px; color: #666;">
+                    <div style="font-size: 48px; margin-bottom: 10px;">💡</div>
+                    <div>No ideas posted yet</div>
+                </div>
+            `;
+        }
         
+        const escape = value => this.game.houseForms.escapeHTML(value);
         return `
-            <div style="overflow-x: auto;">
-                <table style="width: 100%; border-collapse: collapse; border: 1px solid #e1e5e9; border-radius: 8px; overflow: hidden;">
-                    <thead>
-                        <tr style="background: #f8f9fa;">
-                            <th style="padding: 12px; border: 1px solid #e1e5e9; text-align: left;">Mission</th>
-                            <th style="padding: 12px; border: 1px solid #e1e5e9; text-align: left;">Details</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${tableRows}
-                    </tbody>
-                </table>
+            <div style="margin-bottom: 20px;">
+                <h3 style="margin: 0 0 15px 0; color: #1d1d1f; font-size: 18px; display: flex; align-items: center; gap: 8px;">
+                    💡 Your Ideas (${ideas.length})
+                </h3>
+                <div style="display: flex; flex-direction: column; gap: 10px;">
+                    ${ideas.map(idea => `
+                        <div style="
+                            background: rgba(255, 255, 255, 0.7);
+                            border: 1px solid rgba(0, 0, 0, 0.1);
+                            border-radius: 12px;
+                            padding: 15px;
+                        ">
+                            <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 10px;">
+                                <strong style="color: #333; font-size: 16px;" dir="auto">${escape(idea.title)}</strong>
+                                ${this.game.ideas.renderStatusBadge(idea.status)}
+                            </div>
+                            <div style="display: flex; justify-content: space-between; align-items: center; font-size: 12px; color: #666;">
+                                <div>👍 ${idea.votes || 0} · 💬 ${idea.commentCount || 0}</div>
+                                <div>Submitted: ${new Date(idea.createdAt).toLocaleDateString()}</div>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
             </div>
         `;
     }
     
-    showReadonlySection(house, section) {
-        // Create readonly modal
-        let readonlyModal = document.getElementById('readonly-modal');
-        if (!readonlyModal) {
-            readonlyModal = document.createElement('div');
-            readonlyModal.id = 'readonly-modal';
-            readonlyModal.style.cssText = `
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: rgba(0, 0, 0, 0.5);
-                display: none;
-                justify-content: center;
-                align-items: center;
-                z-index: 3000;
-                backdrop-filter: blur(5px);
-                -webkit-backdrop-filter: blur(5px);
-            `;
-            document.body.appendChild(readonlyModal);
+    setupNotificationSystem() {
+        // Create notification container
+        this.notificationContainer = document.createElement('div');
+        this.notificationContainer.id = 'feedback-notification-container';
+        this.notificationContainer.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            right: 20px;
+            z-index: 3000;
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+            pointer-events: none;
+        `;
+        document.body.appendChild(this.notificationContainer);
+        
+        // Check for new feedback every 5 seconds
+        setInterval(() => {
+            this.checkForNewFeedback();
+        }, 10000);
+        
+        // Initial check
+        this.checkForNewFeedback();
+    }
+    
+    async checkForNewFeedback() {
+        if (!this.game.auth.user || !window.db) return;
+        
+        try {
+            // Check adminFeedback collection for unread feedbacks
+            const feedbacksRef = window.collection(window.db, 'adminFeedback');
+            const q = window.query(feedbacksRef, 
+                window.where('playerId', '==', this.game.auth.user.uid),
+                window.where('status', '==', 'unread')
+            );
+            const querySnapshot = await window.getDocs(q);
+            const unreadCount = querySnapshot.docs.length;
+            
+            // Show notification if there are new unread feedbacks
+            if (unreadCount > this.lastFeedbackCount && this.lastFeedbackCount > 0) {
+                const newCount = unreadCount - this.lastFeedbackCount;
+                this.showFeedbackNotification(newCount);
+            }
+            
+            this.lastFeedbackCount = unreadCount;
+        } catch (error) {
+            console.error('Error checking for new feedback:', error);
         }
+    }
+    
+    async markFeedbackAsRead(feedbackId) {
+        if (!this.game.auth.user || !window.db) return;
         
-        const readonlyContent = document.createElement('div');
-        readonlyContent.style.cssText = `
-            background: rgba(255, 255, 255, 0.95);
-            padding: 30px;
-            border-radius: 20px;
-            max-width: 600px;
-            width: 90%;
-            max-height: 80vh;
-            overflow-y: auto;
-            backdrop-filter: blur(20px);
-            -webkit-backdrop-filter: blur(20px);
+        try {
+            // Update feedback status in adminFeedback collection
+            const feedbackRef = window.doc(window.db, 'adminFeedback', feedbackId);
+            await window.updateDoc(feedbackRef, {
+                status: 'read',
+                readAt: new Date().toISOString()
+            });
+            
+            // Show success notification
+            this.game.auth.showBottomNotification('✅ Feedback marked as read', 'success');
+            
+            // Refresh the table content
+            const modal = document.getElementById('home-table-modal');
+            if (modal && modal.style.display !== 'none') {
+                const activeTab = modal.querySelector('.table-tab-btn.active');
+                if (activeTab) {
+                    const tabType = activeTab.getAttribute('data-tab');
+                    this.loadHomeTableContent(tabType);
+                }
+            }
+            
+        } catch (error) {
+            console.error('Error marking feedback as read:', error);
+            this.game.auth.showBottomNotification('❌ Failed to mark feedback as read', 'error');
+        }
+    }
+    
+    showFeedbackNotification(count) {
+        const notification = document.createElement('div');
+        notification.className = 'feedback-notification';
+        notification.style.cssText = `
+            background: linear-gradient(135deg, #ff3b30 0%, #d70015 100%);
+            color: white;
+            padding: 15px 20px;
+            border-radius: 12px;
+            box-shadow: 0 8px 25px rgba(255, 59, 48, 0.3);
+            backdrop-filter: blur(10px);
+            -webkit-backdrop-filter: blur(10px);
             border: 1px solid rgba(255, 255, 255, 0.2);
-            box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
+            transform: translateX(100%);
+            transition: all 0.3s ease;
+            pointer-events: auto;
+            cursor: pointer;
+            max-width: 300px;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
         `;
         
-        readonlyContent.innerHTML = `
-            <h2 style="margin: 0 0 20px 0; color: #1d1d1f; font-size: 24px; text-align: center;">
-                ${section.name}
-            </h2>
-            <div style="text-align: center; color: #666; font-size: 16px; margin-bottom: 30px;">
-                ${section.description || 'This is a read-only section.'}
-            </div>
-            <div style="text-align: center; color: #999; font-style: italic;">
-                📊 Data will be displayed here when available
-            </div>
-            <div style="display: flex; justify-content: center; margin-top: 30px;">
-                <button id="close-readonly-modal" style="
-                    background: linear-gradient(135deg, #007AFF 0%, #0056CC 100%);
-                    color: white;
+        notification.innerHTML = `
+            <div style="display: flex; align-items: center; gap: 10px;">
+                <div style="
+                    background: rgba(255, 255, 255, 0.2);
+                    border-radius: 50%;
+                    width: 40px;
+                    height: 40px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    font-size: 20px;
+                ">📝</div>
+                <div>
+                    <div style="font-weight: 600; font-size: 16px; margin-bottom: 2px;">
+                        New Feedback!
+                    </div>
+                    <div style="font-size: 14px; opacity: 0.9;">
+                        You have ${count} new feedback${count > 1 ? 's' : ''} from admin${count > 1 ? 's' : ''}
+                    </div>
+                </div>
+                <button class="notification-close" style="
+                    background: none;
                     border: none;
-                    padding: 12px 24px;
-                    border-radius: 12px;
-                    font-size: 16px;
-                    font-weight: 600;
+                    color: white;
+                    font-size: 18px;
                     cursor: pointer;
-                    transition: all 0.3s ease;
-                ">Fermer</button>
+                    padding: 5px;
+                    border-radius: 50%;
+                    transition: background 0.2s ease;
+                    margin-left: auto;
+                ">×</button>
             </div>
         `;
         
-        readonlyModal.innerHTML = '';
-        readonlyModal.appendChild(readonlyContent);
-        readonlyModal.style.display = 'flex';
-        
         // Add event listeners
-        document.getElementById('close-readonly-modal').addEventListener('click', () => {
-            readonlyModal.style.display = 'none';
+        notification.addEventListener('click', () => {
+            this.hideNotification(notification);
+            // Open home table with feedbacks
+            this.showHomeFeedbacksTable();
         });
         
-        readonlyModal.addEventListener('click', (e) => {
-            if (e.target === readonlyModal) {
-                readonlyModal.style.display = 'none';
-            }
+        notification.querySelector('.notification-close').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.hideNotification(notification);
+        });
+        
+        // Add hover effects
+        notification.addEventListener('mouseenter', () => {
+            notification.style.transform = 'translateX(0) scale(1.02)';
+            notification.style.boxShadow = '0 12px 30px rgba(255, 59, 48, 0.4)';
+        });
+        
+        notification.addEventListener('mouseleave', () => {
+            notification.style.transform = 'translateX(0) scale(1)';
+            notification.style.boxShadow = '0 8px 25px rgba(255, 59, 48, 0.3)';
         });
+        
+        this.notificationContainer.appendChild(notification);
+        
+        // Animate in
+        setTimeout(() => {
+            notification.style.transform = 'translateX(0)';
+        }, 100);
+        
+        // Auto-hide after 8 seconds
+        setTimeout(() => {
+            this.hideNotification(notification);
+        }, 8000);
     }
     
-    showConditionalSection(house, section) {
-        // Create conditional modal
-        let conditionalModal = document.getElementById('conditional-modal');
-        if (!conditionalModal) {
-            conditionalModal = document.createElement('div');
-            conditionalModal.id = 'conditional-modal';
-            conditionalModal.style.cssText = `
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: rgba(0, 0, 0, 0.5);
-                display: none;
-                justify-content: center;
-                align-items: center;
-                z-index: 3000;
-                backdrop-filter: blur(5px);
-                -webkit-backdrop-filter: blur(5px);
-            `;
-            document.body.appendChild(conditionalModal);
-        }
-        
-        const conditionalContent = document.createElement('div');
-        conditionalContent.style.cssText = `
-            background: rgba(255, 255, 255, 0.95);
-            padding: 30px;
-            border-radius: 20px;
-            max-width: 500px;
-            width: 90%;
-            max-height: 80vh;
-            overflow-y: auto;
-            backdrop-filter: blur(20px);
-            -webkit-backdrop-filter: blur(20px);
-            border: 1px solid rgba(255, 255, 255, 0.2);
-            box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
-        `;
+    hideNotification(notification) {
+        if (!notification || !notification.parentNode) return;
         
-        // Create condition selector
-        const conditionOptions = section.conditionalGroups.map(group => 
-            `<option value="${group.condition}">${group.condition.replace('_', ' ').toUpperCase()}</option>`
-        ).join('');
+        notification.style.transform = 'translateX(100%)';
+        notification.style.opacity = '0';
         
-        conditionalContent.innerHTML = `
-            <h2 style="margin: 0 0 20px 0; color: #1d1d1f; font-size: 24px; text-align: center;">
-                ${section.name}
-            </h2>
-            <p style="margin: 0 0 30px 0; color: #666; font-size: 16px; text-align: center;">
-                Select the entry type:
-            </p>
-            <form id="conditional-form" style="display: flex; flex-direction: column; gap: 20px;">
-                <div class="form-field">
-                    <label for="entry-type" style="display: block; margin-bottom: 5px; font-weight: 600; color: #1d1d1f;">Entry Type:</label>
-                    <select id="entry-type" name="entry-type" style="
-                        width: 100%;
-                        padding: 12px;
-                        border: 2px solid #e1e5e9;
-                        border-radius: 8px;
-                        font-size: 16px;
-                        margin-top: 5px;
-                        box-sizing: border-box;
-                        transition: border-color 0.3s ease;
-                    ">
-                        <option value="">Select Entry Type</option>
-                        ${conditionOptions}
-                    </select>
-                </div>
-                <div id="conditional-fields" style="display: none;">
-                    <!-- Dynamic fields will be added here -->
-                </div>
-                <div style="display: flex; gap: 15px; justify-content: center; margin-top: 30px;">
-                    <button type="button" id="cancel-conditional-form" style="
-                        background: rgba(255, 59, 48, 0.1);
-                        color: #ff3b30;
-                        border: 2px solid rgba(255, 59, 48, 0.3);
-                        padding: 12px 24px;
-                        border-radius: 12px;
-                        font-size: 16px;
-                        font-weight: 600;
-                        cursor: pointer;
-                        transition: all 0.3s ease;
-                    ">Cancel</button>
-                    <button type="submit" style="
-                        background: linear-gradient(135deg, #007AFF 0%, #0056CC 100%);
-                        color: white;
-                        border: none;
-                        padding: 12px 24px;
-                        border-radius: 12px;
-                        font-size: 16px;
-                        font-weight: 600;
-                        cursor: pointer;
-                        transition: all 0.3s ease;
-                    ">Submit</button>
-                </div>
-            </form>
-            <button id="close-conditional-modal" style="
-                position: absolute;
-                top: 15px;
-                right: 15px;
-                background: none;
-                border: none;
-                font-size: 24px;
-                cursor: pointer;
-                color: #666;
-            ">×</button>
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.parentNode.removeChild(notification);
+            }
+        }, 300);
+    }
+}
+
+/**
+ * HouseFormEngine - Builds every house form from the house definitions
+ * Definitions come from the houses JSON file, optionally overridden per house by the `houseDefinitions` collection
+ */
+class HouseFormEngine {
+    constructor(game) {
+        this.game = game;
+        this.definitionsUrl = 'json file and img for houses tables/houses tables and inputs.json';
+        this.definitionsCollection = 'houseDefinitions';
+        this.houses = [];
+        this.formCounter = 0;
+        this.baseInputStyle = `
+            width: 100%;
+            padding: 12px;
+            border: 2px solid #e1e5e9;
+            border-radius: 8px;
+            font-size: 16px;
+            margin-top: 5px;
+            box-sizing: border-box;
+            transition: border-color 0.3s ease;
         `;
         
-        conditionalModal.innerHTML = '';
-        conditionalModal.appendChild(conditionalContent);
-        conditionalModal.style.display = 'flex';
-        
-        // Add event listeners
-        document.getElementById('cancel-conditional-form').addEventListener('click', () => {
-            conditionalModal.style.display = 'none';
-        });
-        
-        document.getElementById('close-conditional-modal').addEventListener('click', () => {
-            conditionalModal.style.display = 'none';
-        });
+        this.ready = this.loadDefinitions();
         
-        conditionalModal.addEventListener('click', (e) => {
-            if (e.target === conditionalModal) {
-                conditionalModal.style.display = 'none';
-            }
+        // Firestore overrides can only be read once a player is signed in
+        this.game.auth.onAuthStateChange((user) => {
+            if (user) this.loadRemoteDefinitions();
         });
+    }
+    
+    async loadDefinitions() {
+        try {
+            console.log('🏗️ Loading house definitions...');
+            const response = await fetch(encodeURI(this.definitionsUrl));
+            const data = await response.json();
+            this.houses = data.houses || [];
+            console.log(`✅ Loaded ${this.houses.length} house definitions`);
+        } catch (error) {
+            console.error('❌ Failed to load house definitions:', error);
+            this.houses = [];
+        }
+        return this.houses;
+    }
+    
+    // Each `houseDefinitions/{houseId}` document replaces the matching house from the JSON file
+    async loadRemoteDefinitions() {
+        if (!window.db) return;
         
-        // Handle entry type selection
-        document.getElementById('entry-type').addEventListener('change', (e) => {
-            const selectedType = e.target.value;
-            const conditionalFields = document.getElementById('conditional-fields');
+        try {
+            await this.ready;
+            const querySnapshot = await window.getDocs(window.collection(window.db, this.definitionsCollection));
             
-            if (selectedType) {
-                const selectedGroup = section.conditionalGroups.find(group => group.condition === selectedType);
-                if (selectedGroup && selectedGroup.fields) {
-                    const fieldsHTML = selectedGroup.fields.map((field, index) => {
-                        return this.createFormField(field, `conditional-${index}`);
-                    }).join('');
-                    
-                    conditionalFields.innerHTML = fieldsHTML;
-                    conditionalFields.style.display = 'block';
+            querySnapshot.forEach((doc) => {
+                const definition = doc.data();
+                const houseId = definition.id !== undefined ? definition.id : parseInt(doc.id);
+                const index = this.houses.findIndex(house => house.id === houseId);
+                
+                if (index >= 0) {
+                    this.houses[index] = { ...this.houses[index], ...definition, id: houseId };
+                } else {
+                    this.houses.push({ ...definition, id: houseId });
                 }
-            } else {
-                conditionalFields.style.display = 'none';
+            });
+            
+            if (!querySnapshot.empty) {
+                console.log(`✅ Applied ${querySnapshot.size} house definition overrides from Firestore`);
             }
-        });
-        
-        document.getElementById('conditional-form').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleConditionalFormSubmission(house, section, conditionalModal);
-        });
+        } catch (error) {
+            console.error('❌ Failed to load house definition overrides:', error);
+        }
     }
     
-    handleSectionFormSubmission(house, section, formModal) {
-        const form = document.getElementById('section-form');
-        const formData = new FormData(form);
-        const data = {};
-        
-        // Collect form data
-        section.fields.forEach((field, index) => {
-            const value = document.getElementById(`field-${index}`).value;
-            data[field.label] = value;
-        });
-        
-        console.log(`📝 Form submitted for ${section.name} in ${house.name}:`, data);
-        
-        // Show success message
-        this.game.auth.showBottomNotification(`✅ ${section.name} submitted successfully!`, 'success');
-        
-        // Close modal
-        formModal.style.display = 'none';
+    getHouseByLayer(layerNumber) {
+        return this.houses.find(house => house.layer === layerNumber);
     }
     
-    handleConditionalFormSubmission(house, section, formModal) {
-        const form = document.getElementById('conditional-form');
-        const formData = new FormData(form);
-        const data = {};
-        
-        // Get selected entry type
-        const entryType = document.getElementById('entry-type').value;
-        data['Entry Type'] = entryType;
-        
-        // Collect conditional fields data
-        const conditionalFields = document.getElementById('conditional-fields');
-        const inputs = conditionalFields.querySelectorAll('input, select, textarea');
-        inputs.forEach(input => {
-            if (input.value) {
-                data[input.placeholder.replace('Enter ', '')] = input.value;
-            }
-        });
-        
-        console.log(`📝 Conditional form submitted for ${section.name} in ${house.name}:`, data);
-        
-        // Show success message
-        this.game.auth.showBottomNotification(`✅ ${section.name} submitted successfully!`, 'success');
-        
-        // Close modal
-        formModal.style.display = 'none';
+    getHouseById(houseId) {
+        return this.houses.find(house => house.id === houseId);
     }
     
-    handleHomeActions(action, house) {
-        switch (action) {
-            case 'view-feedbacks':
-                this.showHomeFeedbacksTable();
-                break;
-            case 'view-missions':
-                this.showHomeMissionsTable();
-                break;
-            case 'view-all':
-                this.showHomeOverviewTable();
-                break;
+    getSectionDescription(section) {
+        if (section.type === 'readonly') {
+            return section.description || 'This is a read-only section for viewing data.';
+        } else if (section.conditionalGroups) {
+            return 'Select an entry type and fill in the corresponding fields.';
+        } else if (section.fields) {
+            return 'Fill in the required information for this section.';
+        } else {
+            return 'Access the content for this section.';
         }
     }
     
-    handleFeedbackActions(action, house) {
-        switch (action) {
-            case 'view-feedback':
-                // Open the existing feedback modal
-                if (this.game.feedback) {
-                    this.game.feedback.showFeedbackModal();
-                } else {
-                    this.game.auth.showBottomNotification('📝 Opening feedback...', 'info');
-                }
-                break;
-            case 'feedback-history':
-                this.game.auth.showBottomNotification('📊 Feedback history coming soon!', 'info');
-                break;
-            case 'feedback-settings':
-                this.game.auth.showBottomNotification('⚙️ Feedback settings coming soon!', 'info');
-                break;
-        }
+    escapeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
     
-    handleMissionActions(action, house) {
-        switch (action) {
-            case 'submit-mission':
-                this.showMissionSubmissionModal();
-                break;
-            case 'mission-status':
-                this.game.auth.showBottomNotification('📈 Mission status coming soon!', 'info');
-                break;
-            case 'mission-history':
-                this.game.auth.showBottomNotification('📚 Mission history coming soon!', 'info');
-                break;
+    /**
+     * Render a simple data table
+     * @param {string[]} headers - Column titles
+     * @param {string[][]} rows - Cell HTML, already escaped by the caller
+     */
+    renderTable(headers, rows, { emptyMessage = 'Aucune donnée' } = {}) {
+        if (rows.length === 0) {
+            return `<div style="text-align: center; padding: 20px; color: #999; font-style: italic;">${emptyMessage}</div>`;
         }
+        
+        const cell = 'padding: 8px; border: 1px solid #e1e5e9; text-align: left;';
+        return `
+            <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+                <thead>
+                    <tr style="background: #007AFF; color: white;">
+                        ${headers.map(header => `<th style="${cell}">${header}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `<tr>${row.map(value => `<td style="${cell}" dir="auto">${value}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        `;
     }
     
-    handleHistoryActions(action, house) {
-        // All history actions are disabled for now
-        this.game.auth.showBottomNotification('📖 History features coming soon!', 'info');
+    // YYYY-MM-DD in the device timezone, used to group records per day
+    dateKey(date = new Date()) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
     }
     
-    showMissionSubmissionModal() {
-        // Create mission submission modal
-        let modal = document.getElementById('mission-submission-modal');
+    // Date key of the Monday of the week containing the date
+    weekKey(date = new Date()) {
+        const d = new Date(date);
+        d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+        return this.dateKey(d);
+    }
+    
+    buttonStyle(from = '#007AFF', to = '#0056CC') {
+        return `
+            background: linear-gradient(135deg, ${from} 0%, ${to} 100%);
+            color: white;
+            border: none;
+            padding: 12px 24px;
+            border-radius: 8px;
+            font-size: 16px;
+            font-weight: 600;
+            cursor: pointer;
+        `;
+    }
+    
+    // Human readable form of a stored value (table fields are stored as { column: value })
+    formatValue(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toLocaleDateString();
+        if (typeof value.toDate === 'function') return value.toDate().toLocaleDateString();
+        if (Array.isArray(value)) return value.join(', ');
+        if (this.game.media.isMedia(value)) return value.name || value.url;
+        if (typeof value === 'object') {
+            return Object.entries(value).map(([key, item]) => `${key}: ${item}`).join(', ');
+        }
+        return String(value);
+    }
+    
+    /**
+     * Open a blank modal and return handles to it
+     * @param {Object} options - { id, title, subtitle, bodyHTML, maxWidth }
+     * @returns {{ modal: HTMLElement, content: HTMLElement, close: Function }}
+     */
+    openModal({ id, title = '', subtitle = '', bodyHTML = '', maxWidth = '500px' }) {
+        let modal = document.getElementById(id);
         if (!modal) {
             modal = document.createElement('div');
-            modal.id = 'mission-submission-modal';
+            modal.id = id;
             modal.style.cssText = `
                 position: fixed;
                 top: 0;
@@ -7636,938 +7596,7283 @@ class HouseInteractionManager {
                 display: none;
                 justify-content: center;
                 align-items: center;
-                z-index: 2000;
+                z-index: 3000;
                 backdrop-filter: blur(5px);
                 -webkit-backdrop-filter: blur(5px);
             `;
-            
-            const modalContent = document.createElement('div');
-            modalContent.style.cssText = `
-                background: rgba(255, 255, 255, 0.95);
-                padding: 30px;
-                border-radius: 20px;
-                max-width: 500px;
-                width: 90%;
-                text-align: center;
-                backdrop-filter: blur(20px);
-                -webkit-backdrop-filter: blur(20px);
-                border: 1px solid rgba(255, 255, 255, 0.2);
-                box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
-            `;
-            
-            modalContent.innerHTML = `
-                <h2 style="margin: 0 0 20px 0; color: #1d1d1f; font-size: 24px;">📋 Submit Daily Mission</h2>
-                <p style="margin: 0 0 30px 0; color: #666; font-size: 16px;">
-                    Submit your completed daily mission for review.
-                </p>
-                <div style="display: flex; flex-direction: column; gap: 15px;">
-                    <button class="mission-action-btn" data-action="submit-photo">📸 Submit Photo Evidence</button>
-                    <button class="mission-action-btn" data-action="submit-text">📝 Submit Text Description</button>
-                    <button class="mission-action-btn" data-action="submit-link">🔗 Submit Link/URL</button>
-                </div>
-                <button id="close-mission-modal" style="
-                    position: absolute;
-                    top: 15px;
-                    right: 15px;
-                    background: none;
-                    border: none;
-                    font-size: 24px;
-                    cursor: pointer;
-                    color: #666;
-                ">×</button>
-            `;
-            
-            modal.appendChild(modalContent);
-            document.body.appendChild(modal);
-            
-            // Add event listeners
-            modal.querySelectorAll('.mission-action-btn').forEach(btn => {
-                btn.style.cssText = `
-                    background: linear-gradient(135deg, #007AFF 0%, #0056CC 100%);
-                    color: white;
-                    border: none;
-                    padding: 12px 20px;
-                    border-radius: 12px;
-                    font-size: 16px;
-                    font-weight: 600;
-                    cursor: pointer;
-                    transition: all 0.3s ease;
-                `;
-                
-                btn.addEventListener('click', (e) => {
-                    const action = e.target.getAttribute('data-action');
-                    this.handleMissionSubmission(action);
-                });
-                
-                btn.addEventListener('mouseenter', () => {
-                    btn.style.transform = 'translateY(-2px)';
-                    btn.style.boxShadow = '0 4px 15px rgba(0, 122, 255, 0.3)';
-                });
-                
-                btn.addEventListener('mouseleave', () => {
-                    btn.style.transform = 'translateY(0)';
-                    btn.style.boxShadow = 'none';
-                });
-            });
-            
-            document.getElementById('close-mission-modal').addEventListener('click', () => {
-                modal.style.display = 'none';
-            });
-            
             modal.addEventListener('click', (e) => {
                 if (e.target === modal) {
                     modal.style.display = 'none';
                 }
             });
+            document.body.appendChild(modal);
         }
         
-        modal.style.display = 'flex';
-    }
-    
-    handleMissionSubmission(action) {
-        const modal = document.getElementById('mission-submission-modal');
-        modal.style.display = 'none';
+        const content = document.createElement('div');
+        content.style.cssText = `
+            background: rgba(255, 255, 255, 0.95);
+            padding: 30px;
+            border-radius: 20px;
+            max-width: ${maxWidth};
+            width: 90%;
+            max-height: 80vh;
+            overflow-y: auto;
+            position: relative;
+            backdrop-filter: blur(20px);
+            -webkit-backdrop-filter: blur(20px);
+            border: 1px solid rgba(255, 255, 255, 0.2);
+            box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
+        `;
         
-        switch (action) {
-            case 'submit-photo':
-                this.showMissionInputModal('photo', '📸 Submit Photo Evidence');
-                break;
-            case 'submit-text':
-                this.showMissionInputModal('text', '📝 Submit Text Description');
-                break;
-            case 'submit-link':
-                this.showMissionInputModal('link', '🔗 Submit Link/URL');
-                break;
-        }
+        content.innerHTML = `
+            ${title ? `<h2 style="margin: 0 0 20px 0; color: #1d1d1f; font-size: 24px; text-align: center;">${title}</h2>` : ''}
+            ${subtitle ? `<p style="margin: 0 0 30px 0; color: #666; font-size: 16px; text-align: center;">${subtitle}</p>` : ''}
+            <div class="modal-body">${bodyHTML}</div>
+            <button class="close-modal-btn" style="
+                position: absolute;
+                top: 15px;
+                right: 15px;
+                background: none;
+                border: none;
+                font-size: 24px;
+                cursor: pointer;
+                color: #666;
+            ">×</button>
+        `;
+        
+        modal.innerHTML = '';
+        modal.appendChild(content);
+        modal.style.display = 'flex';
+        
+        const close = () => {
+            modal.style.display = 'none';
+        };
+        content.querySelector('.close-modal-btn').addEventListener('click', close);
+        
+        // Add input focus effects
+        content.addEventListener('focusin', (e) => {
+            if (e.target.matches('input, select, textarea')) e.target.style.borderColor = '#007AFF';
+        });
+        content.addEventListener('focusout', (e) => {
+            if (e.target.matches('input, select, textarea')) e.target.style.borderColor = '#e1e5e9';
+        });
+        
+        return { modal, content, close };
     }
     
-    showMissionInputModal(type, title) {
-        // Create mission input modal
-        let modal = document.getElementById('mission-input-modal');
-        if (!modal) {
-            modal = document.createElement('div');
-            modal.id = 'mission-input-modal';
-            modal.style.cssText = `
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: rgba(0, 0, 0, 0.5);
-                display: none;
-                justify-content: center;
-                align-items: center;
-                z-index: 2000;
-                backdrop-filter: blur(5px);
-                -webkit-backdrop-filter: blur(5px);
-            `;
-            
-            const modalContent = document.createElement('div');
-            modalContent.style.cssText = `
-                background: rgba(255, 255, 255, 0.95);
-                padding: 30px;
-                border-radius: 20px;
-                max-width: 500px;
-                width: 90%;
-                backdrop-filter: blur(20px);
-                -webkit-backdrop-filter: blur(20px);
-                border: 1px solid rgba(255, 255, 255, 0.2);
-                box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
-            `;
-            
-            modalContent.innerHTML = `
-                <h2 class="mission-input-title" style="margin: 0 0 20px 0; color: #1d1d1f; font-size: 24px; text-align: center;"></h2>
-                <form id="mission-input-form">
-                    <div style="margin-bottom: 20px;">
-                        <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #333;">Mission Title:</label>
-                        <input type="text" id="mission-title" required style="
-                            width: 100%;
-                            padding: 12px;
-                            border: 2px solid rgba(0, 122, 255, 0.2);
-                            border-radius: 10px;
-                            font-size: 16px;
-                            transition: border-color 0.2s ease;
-                        " placeholder="Enter mission title...">
-                    </div>
-                    <div style="margin-bottom: 20px;">
-                        <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #333;">Description:</label>
-                        <textarea id="mission-description" required style="
-                            width: 100%;
-                            padding: 12px;
-                            border: 2px solid rgba(0, 122, 255, 0.2);
-                            border-radius: 10px;
-                            font-size: 16px;
-                            min-height: 100px;
-                            resize: vertical;
-                            transition: border-color 0.2s ease;
-                        " placeholder="Describe your mission..."></textarea>
-                    </div>
-                    <div class="mission-input-field" style="margin-bottom: 20px;">
-                        <!-- Dynamic input field will be inserted here -->
-                    </div>
-                    <div style="display: flex; gap: 15px; justify-content: center;">
-                        <button type="button" id="cancel-mission-input" style="
+    /**
+     * Open the form for a section (or a house with direct fields)
+     * @param {Object} options
+     * @param {string} options.title - Modal title
+     * @param {Object} options.section - Section definition: fields, conditionalGroups or type "readonly"
+     * @param {string} [options.layout] - "gate" renders the compact password popup
+     * @param {string} [options.submitLabel] - Submit button text
+     * @param {Function} [options.onSubmit] - (values, modal, secrets) => Promise, called with the collected values
+     * @param {Function} [options.onOpen] - (container) => void, fills a readonly section
+     */
+    openForm({ title, section, layout = 'default', submitLabel, onSubmit, onOpen }) {
+        const formId = `house-form-${++this.formCounter}`;
+        const isGate = layout === 'gate';
+        
+        let bodyHTML;
+        if (section.type === 'readonly') {
+            bodyHTML = this.renderReadonlyBody(section);
+        } else {
+            bodyHTML = `
+                <form id="${formId}" novalidate style="display: flex; flex-direction: column; gap: ${isGate ? '0' : '20px'};">
+                    ${this.renderFields(section.fields || [], `${formId}-field`, isGate)}
+                    ${section.conditionalGroups ? this.renderConditionalSelector(section, formId) : ''}
+                    <div style="display: flex; gap: 15px; justify-content: center; margin-top: ${isGate ? '8px' : '30px'};">
+                        <button type="button" class="cancel-house-form" style="
                             background: rgba(255, 59, 48, 0.1);
                             color: #ff3b30;
                             border: 2px solid rgba(255, 59, 48, 0.3);
                             padding: 12px 24px;
                             border-radius: 12px;
-                            font-size: 14px;
+                            font-size: 16px;
                             font-weight: 600;
                             cursor: pointer;
-                            transition: all 0.2s ease;
-                        ">Cancel</button>
+                            transition: all 0.3s ease;
+                            ${isGate ? 'flex: 1;' : ''}
+                        ">${isGate ? 'Annuler' : 'Cancel'}</button>
                         <button type="submit" style="
                             background: linear-gradient(135deg, #007AFF 0%, #0056CC 100%);
                             color: white;
                             border: none;
                             padding: 12px 24px;
                             border-radius: 12px;
-                            font-size: 14px;
+                            font-size: 16px;
                             font-weight: 600;
                             cursor: pointer;
-                            transition: all 0.2s ease;
-                        ">Submit Mission</button>
+                            transition: all 0.3s ease;
+                            ${isGate ? 'flex: 1; box-shadow: 0 4px 12px rgba(0, 122, 255, 0.3);' : ''}
+                        ">${submitLabel || 'Submit'}</button>
                     </div>
                 </form>
-                <button id="close-mission-input-modal" style="
-                    position: absolute;
-                    top: 15px;
-                    right: 15px;
-                    background: none;
-                    border: none;
-                    font-size: 24px;
-                    cursor: pointer;
-                    color: #666;
-                ">×</button>
+                ${section.showHistory ? '<div class="section-history" style="margin-top: 25px; overflow-x: auto;"></div>' : ''}
             `;
-            
-            modal.appendChild(modalContent);
-            document.body.appendChild(modal);
-            
-            // Add event listeners
-            document.getElementById('close-mission-input-modal').addEventListener('click', () => {
-                modal.style.display = 'none';
-            });
-            
-            document.getElementById('cancel-mission-input').addEventListener('click', () => {
-                modal.style.display = 'none';
-            });
-            
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal) {
-                    modal.style.display = 'none';
-                }
-            });
-            
-            // Form submission
-            document.getElementById('mission-input-form').addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.submitMission();
-            });
         }
         
-        // Update title and input field based on type
-        modal.querySelector('.mission-input-title').textContent = title;
-        const inputField = modal.querySelector('.mission-input-field');
+        const handle = this.openModal({
+            id: 'house-form-modal',
+            title: isGate ? '' : title,
+            subtitle: isGate ? '' : this.getSectionDescription(section),
+            bodyHTML: bodyHTML,
+            maxWidth: isGate ? '380px' : '600px'
+        });
         
-        switch (type) {
-            case 'photo':
-                inputField.innerHTML = `
-                    <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #333;">Photo URL:</label>
-                    <input type="url" id="mission-content" required style="
-                        width: 100%;
-                        padding: 12px;
-                        border: 2px solid rgba(0, 122, 255, 0.2);
-                        border-radius: 10px;
-                        font-size: 16px;
-                        transition: border-color 0.2s ease;
-                    " placeholder="https://example.com/photo.jpg">
-                    <small style="color: #666; font-size: 12px; margin-top: 5px; display: block;">
-                        Enter the URL of your photo evidence
-                    </small>
-                `;
-                break;
-            case 'text':
-                inputField.innerHTML = `
-                    <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #333;">Text Evidence:</label>
-                    <textarea id="mission-content" required style="
-                        width: 100%;
-                        padding: 12px;
-                        border: 2px solid rgba(0, 122, 255, 0.2);
-                        border-radius: 10px;
-                        font-size: 16px;
-                        min-height: 80px;
-                        resize: vertical;
-                        transition: border-color 0.2s ease;
-                    " placeholder="Provide detailed text evidence..."></textarea>
-                `;
-                break;
-            case 'link':
-                inputField.innerHTML = `
-                    <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #333;">Link/URL:</label>
-                    <input type="url" id="mission-content" required style="
-                        width: 100%;
-                        padding: 12px;
-                        border: 2px solid rgba(0, 122, 255, 0.2);
-                        border-radius: 10px;
-                        font-size: 16px;
-                        transition: border-color 0.2s ease;
-                    " placeholder="https://example.com">
-                    <small style="color: #666; font-size: 12px; margin-top: 5px; display: block;">
-                        Enter the URL that supports your mission
-                    </small>
-                `;
-                break;
+        if (section.type === 'readonly') {
+            const container = handle.content.querySelector('.section-readonly-content');
+            if (onOpen) onOpen(container);
+            
+            const refreshButton = handle.content.querySelector('.refresh-readonly-section');
+            if (refreshButton && onOpen) {
+                refreshButton.addEventListener('click', () => onOpen(container));
+            }
+            return handle;
         }
         
-        modal.style.display = 'flex';
-    }
-    
-    async submitMission() {
-        if (!this.game.auth.user || !window.db) return;
-        
-        const title = document.getElementById('mission-title').value;
-        const description = document.getElementById('mission-description').value;
-        const content = document.getElementById('mission-content').value;
+        const form = handle.content.querySelector(`#${formId}`);
+        form.querySelector('.cancel-house-form').addEventListener('click', handle.close);
+        if (section.showHistory && onOpen) onOpen(handle.content.querySelector('.section-history'));
         
-        if (!title || !description || !content) {
-            this.game.auth.showBottomNotification('❌ Please fill in all fields', 'error');
-            return;
+        if (section.conditionalGroups) {
+            const selector = form.querySelector('.entry-type-select');
+            const groupContainer = form.querySelector('.conditional-fields');
+            selector.addEventListener('change', () => {
+                const group = section.conditionalGroups.find(g => g.condition === selector.value);
+                groupContainer.innerHTML = group ? this.renderFields(group.fields || [], `${formId}-cond`) : '';
+                groupContainer.style.display = group ? 'flex' : 'none';
+            });
         }
         
-        try {
-            // Determine mission type from the current modal
-            const modal = document.getElementById('mission-input-modal');
-            const titleText = modal.querySelector('.mission-input-title').textContent;
-            let type = 'text';
-            if (titleText.includes('Photo')) type = 'photo';
-            else if (titleText.includes('Link')) type = 'link';
-            
-            // Submit to playerMissions collection
-            const missionData = {
-                playerId: this.game.auth.user.uid,
-                playerName: this.game.auth.user.displayName || this.game.auth.user.email,
-                title: title,
-                description: description,
-                content: content,
-                type: type,
-                status: 'pending',
-                submittedAt: new Date().toISOString(),
-                createdAt: new Date().toISOString()
-            };
-            
-            await window.addDoc(window.collection(window.db, 'playerMissions'), missionData);
-            
-            // Close modal and show success
-            modal.style.display = 'none';
-            this.game.auth.showBottomNotification('✅ Mission submitted successfully!', 'success');
+        form.addEventListener('change', (e) => {
+            if (e.target.matches('.media-field input[type="file"]')) this.previewMediaField(e.target);
+        });
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!onSubmit) {
+                handle.close();
+                return;
+            }
             
-            // Clear form
-            document.getElementById('mission-input-form').reset();
+            const { values, secrets, errors } = this.collectValues(form, section);
+            this.showFieldErrors(form, errors);
+            if (Object.keys(errors).length > 0) {
+                console.log('📝 Form blocked by validation errors:', errors);
+                return;
+            }
             
-        } catch (error) {
-            console.error('Error submitting mission:', error);
-            this.game.auth.showBottomNotification('❌ Failed to submit mission', 'error');
+            const submitButton = form.querySelector('button[type="submit"]');
+            submitButton.disabled = true;
+            try {
+                await onSubmit(values, handle.modal, secrets);
+            } finally {
+                submitButton.disabled = false;
+            }
+        });
+        
+        return handle;
+    }
+    
+    renderReadonlyBody(section) {
+        return `
+            <div style="background: #f8f9fa; padding: 20px; border-radius: 12px; border-left: 4px solid #8E8E93;">
+                <h3 style="margin: 0 0 15px 0; color: #1d1d1f;">${section.name}</h3>
+                <div class="section-readonly-content" style="overflow-x: auto; margin-bottom: 20px;">
+                    <div style="text-align: center; padding: 20px; color: #999; font-style: italic;">
+                        📊 Data will be displayed here when available
+                    </div>
+                </div>
+                <div style="text-align: center; margin-top: 20px;">
+                    <button class="refresh-readonly-section" style="
+                        background: linear-gradient(135deg, #8E8E93 0%, #6D6D70 100%);
+                        color: white;
+                        border: none;
+                        padding: 12px 24px;
+                        border-radius: 8px;
+                        font-size: 16px;
+                        font-weight: 600;
+                        cursor: pointer;
+                        transition: all 0.3s ease;
+                    ">Refresh Data</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    renderConditionalSelector(section, formId) {
+        const conditionOptions = section.conditionalGroups.map(group => 
+            `<option value="${this.escapeHTML(group.condition)}">${this.escapeHTML(group.label || String(group.condition).replace('_', ' ').toUpperCase())}</option>`
+        ).join('');
+        
+        return `
+            <div class="form-field" style="background: #f8f9fa; padding: 15px; border-radius: 8px; border-left: 4px solid #FF9500;">
+                <label for="${formId}-entry-type" style="display: block; margin-bottom: 5px; font-weight: 600; color: #1d1d1f;">Entry Type:</label>
+                <select id="${formId}-entry-type" class="entry-type-select" style="${this.baseInputStyle}">
+                    <option value="">Select Entry Type</option>
+                    ${conditionOptions}
+                </select>
+                <div class="field-error" style="display: none; color: #ff3b30; font-size: 13px; margin-top: 5px;"></div>
+                <div class="conditional-fields" style="display: none; flex-direction: column; gap: 20px; margin-top: 15px;"></div>
+            </div>
+        `;
+    }
+    
+    renderFields(fields, idPrefix, compact = false) {
+        return fields.map((field, index) => this.renderField(field, `${idPrefix}-${index}`, compact)).join('');
+    }
+    
+    renderField(field, fieldId, compact = false) {
+        const label = this.escapeHTML(field.label);
+        const dataAttributes = `data-field-label="${label}" data-field-type="${this.escapeHTML(field.type || 'text')}"${this.getConstraintAttributes(field)}`;
+        
+        // Gate popups (Rival) only show bare inputs with the label as placeholder
+        if (compact) {
+            return `
+                <input type="${field.type === 'password' ? 'password' : 'text'}" id="${fieldId}" name="${fieldId}" ${dataAttributes} placeholder="${label}" style="
+                    width: 100%;
+                    padding: 14px 18px;
+                    border: 2px solid #d1d5db;
+                    border-radius: 10px;
+                    font-size: 15px;
+                    box-sizing: border-box;
+                    margin-bottom: 20px;
+                    outline: none;
+                    background: #ffffff;
+                    color: #1d1d1f;
+                ">
+            `;
+        }
+        
+        let inputElement = '';
+        
+        switch (field.type) {
+            case 'password':
+            case 'time':
+            case 'date':
+            case 'number':
+            case 'tel':
+                inputElement = `<input type="${field.type}" id="${fieldId}" name="${fieldId}" ${dataAttributes} placeholder="Enter ${label}" style="${this.baseInputStyle}">`;
+                break;
+            case 'select':
+                const options = (field.options || []).map(option => `<option value="${this.escapeHTML(option)}">${this.escapeHTML(option)}</option>`).join('');
+                inputElement = `<select id="${fieldId}" name="${fieldId}" ${dataAttributes} style="${this.baseInputStyle}"><option value="">Select ${label}</option>${options}</select>`;
+                break;
+            case 'textarea':
+                inputElement = `<textarea id="${fieldId}" name="${fieldId}" ${dataAttributes} placeholder="Enter ${label}" rows="4" style="${this.baseInputStyle}"></textarea>`;
+                break;
+            case 'table':
+                inputElement = this.renderTableField(field, fieldId, dataAttributes);
+                break;
+            case 'media':
+                inputElement = this.renderMediaField(field, fieldId, dataAttributes);
+                break;
+            default:
+                inputElement = `<input type="text" id="${fieldId}" name="${fieldId}" ${dataAttributes} placeholder="Enter ${label}" style="${this.baseInputStyle}">`;
+        }
+        
+        return `
+            <div class="form-field">
+                <label for="${fieldId}" dir="auto" style="display: block; margin-bottom: 5px; font-weight: 600; color: #1d1d1f;">${label}${field.required ? ' *' : ''}:</label>
+                ${inputElement}
+                <div class="field-error" style="display: none; color: #ff3b30; font-size: 13px; margin-top: 5px;"></div>
+            </div>
+        `;
+    }
+    
+    // Native hints for the browser keyboard and pickers; the engine still does its own validation
+    getConstraintAttributes(field) {
+        let attributes = '';
+        if (field.required) attributes += ' required';
+        if (field.min !== undefined) attributes += ` min="${this.escapeHTML(field.min)}"`;
+        if (field.max !== undefined) attributes += ` max="${this.escapeHTML(field.max)}"`;
+        if (field.integer) attributes += ' step="1"';
+        if (field.maxLength !== undefined) attributes += ` maxlength="${this.escapeHTML(field.maxLength)}"`;
+        if (field.type === 'number') attributes += ' inputmode="decimal"';
+        return attributes;
+    }
+    
+    renderTableField(field, fieldId, dataAttributes) {
+        const columns = field.columns || [];
+        const tableRows = columns.map((column, index) => `
+            <tr>
+                <td style="padding: 8px; border: 1px solid #e1e5e9; background: #f8f9fa; font-weight: 600;">${this.escapeHTML(column)}</td>
+                <td style="padding: 8px; border: 1px solid #e1e5e9;">
+                    <input type="text" name="${fieldId}_${index}" data-column="${this.escapeHTML(column)}" placeholder="Enter ${this.escapeHTML(column)}" style="width: 100%; border: none; padding: 4px; background: transparent;">
+                </td>
+            </tr>
+        `).join('');
+        
+        return `
+            <div id="${fieldId}" ${dataAttributes} style="overflow-x: auto;">
+                <table style="width: 100%; border-collapse: collapse; border: 1px solid #e1e5e9; border-radius: 8px; overflow: hidden;">
+                    <thead>
+                        <tr style="background: #f8f9fa;">
+                            <th style="padding: 12px; border: 1px solid #e1e5e9; text-align: left;">Mission</th>
+                            <th style="padding: 12px; border: 1px solid #e1e5e9; text-align: left;">Details</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${tableRows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+    
+    // Camera and gallery pickers side by side; on desktop both simply open the file chooser
+    renderMediaField(field, fieldId, dataAttributes) {
+        const accept = this.escapeHTML(field.accept || 'image/*,video/*');
+        const pickerStyle = `${this.buttonStyle()} flex: 1; padding: 10px; font-size: 14px; text-align: center;`;
+        
+        return `
+            <div id="${fieldId}" class="media-field" ${dataAttributes}>
+                <div style="display: flex; gap: 10px; margin-top: 5px;">
+                    <label style="${pickerStyle}">📷 Caméra<input type="file" accept="${accept}" capture="environment" style="display: none;"></label>
+                    <label style="${pickerStyle}">🖼️ Galerie<input type="file" accept="${accept}" style="display: none;"></label>
+                </div>
+                <div class="media-preview" style="margin-top: 8px; font-size: 13px; color: #666;">Aucun fichier choisi</div>
+            </div>
+        `;
+    }
+    
+    // Only the last picked file counts, so picking from one input clears the other
+    previewMediaField(input) {
+        const field = input.closest('.media-field');
+        if (!field) return;
+        field.querySelectorAll('input[type="file"]').forEach(other => {
+            if (other !== input) other.value = '';
+        });
+        
+        const preview = field.querySelector('.media-preview');
+        const file = this.getMediaFile(field);
+        if (preview.dataset.objectUrl) URL.revokeObjectURL(preview.dataset.objectUrl);
+        delete preview.dataset.objectUrl;
+        if (!file) {
+            preview.textContent = 'Aucun fichier choisi';
+            return;
+        }
+        
+        const sizeLabel = `${this.escapeHTML(file.name)} (${(file.size / 1024 / 1024).toFixed(1)} Mo)`;
+        if ((file.type || '').startsWith('image/')) {
+            preview.dataset.objectUrl = URL.createObjectURL(file);
+            preview.innerHTML = `<img src="${preview.dataset.objectUrl}" alt="" style="max-width: 120px; max-height: 120px; border-radius: 8px; display: block; margin-bottom: 4px;">${sizeLabel}`;
+        } else {
+            preview.innerHTML = `🎬 ${sizeLabel}`;
+        }
+    }
+    
+    getMediaFile(field) {
+        const input = [...field.querySelectorAll('input[type="file"]')].find(candidate => candidate.files && candidate.files.length > 0);
+        return input ? input.files[0] : null;
+    }
+    
+    /**
+     * Read, type and validate the values of a rendered form, keyed by field label
+     * Password fields are returned separately as secrets so they are never stored with the submission
+     * @returns {{ values: Object, secrets: Object, errors: Object }} errors maps a field label to its message
+     */
+    collectValues(form, section) {
+        const values = {};
+        const secrets = {};
+        const errors = {};
+        let fields = section.fields || [];
+        
+        if (section.conditionalGroups) {
+            const selector = form.querySelector('.entry-type-select');
+            const group = section.conditionalGroups.find(g => selector && g.condition === selector.value);
+            if (group) {
+                values['Entry Type'] = group.condition;
+                fields = fields.concat(group.fields || []);
+            } else {
+                errors['Entry Type'] = 'Choisissez un type';
+            }
+        }
+        
+        form.querySelectorAll('[data-field-label]').forEach(element => {
+            const label = element.getAttribute('data-field-label');
+            const field = fields.find(f => f.label === label) || { label, type: element.getAttribute('data-field-type') };
+            
+            if (field.type === 'table') {
+                const rows = {};
+                element.querySelectorAll('input[data-column]').forEach(input => {
+                    if (input.value.trim()) rows[input.getAttribute('data-column')] = input.value.trim();
+                });
+                if (field.required && Object.keys(rows).length === 0) {
+                    errors[label] = 'Remplissez au moins une ligne';
+                }
+                values[label] = rows;
+                return;
+            }
+            
+            // The File itself is returned; the caller uploads it before saving (see MediaStore.uploadValues)
+            if (field.type === 'media') {
+                const file = this.getMediaFile(element);
+                if (!file) {
+                    if (field.required) errors[label] = 'Ajoutez une photo ou une vidéo';
+                } else if (!/^(image|video)\//.test(file.type || '')) {
+                    errors[label] = 'Seules les photos et les vidéos sont acceptées';
+                } else {
+                    values[label] = file;
+                }
+                return;
+            }
+            
+            const { value, error } = this.parseFieldValue(field, element.value);
+            if (error) {
+                errors[label] = error;
+            } else if (field.type === 'password') {
+                secrets[label] = value;
+            } else if (value !== null) {
+                values[label] = value;
+            }
+        });
+        
+        // Cross-field rules only make sense once each field is individually valid
+        (section.rules || []).forEach(rule => {
+            if (errors[rule.field] || errors[rule.reference]) return;
+            const error = this.checkRule(rule, values);
+            if (error) errors[rule.field] = error;
+        });
+        
+        return { values, secrets, errors };
+    }
+    
+    /**
+     * Convert a raw input string to its stored type and check the field constraints
+     * Numbers are stored as numbers, dates as Date (a Firestore Timestamp once saved), times as "HH:MM"
+     * @returns {{ value: *, error: string|null }} value is null when the field was left empty
+     */
+    parseFieldValue(field, rawValue) {
+        let raw = String(rawValue ?? '').trim();
+        if (field.type === 'tel') raw = raw.replace(/[\s.-]/g, '');
+        
+        if (raw === '') {
+            return { value: null, error: field.required ? 'Ce champ est obligatoire' : null };
+        }
+        
+        let value = raw;
+        switch (field.type) {
+            case 'number': {
+                value = Number(raw.replace(',', '.'));
+                if (!Number.isFinite(value)) return { value: null, error: 'Entrez un nombre valide' };
+                if (field.integer && !Number.isInteger(value)) return { value: null, error: 'Entrez un nombre entier' };
+                break;
+            }
+            case 'date': {
+                const match = raw.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+                value = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(NaN);
+                if (isNaN(value.getTime())) return { value: null, error: 'Entrez une date valide' };
+                break;
+            }
+            case 'time': {
+                if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(raw)) return { value: null, error: 'Entrez une heure valide (HH:MM)' };
+                break;
+            }
+            case 'select': {
+                // Numeric enumerations such as 50-75-100 keep their number type
+                const option = (field.options || []).find(o => String(o) === raw);
+                if (option === undefined) return { value: null, error: 'Choisissez une valeur de la liste' };
+                value = option;
+                break;
+            }
+        }
+        
+        if (field.min !== undefined && this.compareValues(value, this.parseBound(field, field.min)) < 0) {
+            return { value: null, error: field.message || `La valeur minimale est ${field.min}` };
+        }
+        if (field.max !== undefined && this.compareValues(value, this.parseBound(field, field.max)) > 0) {
+            return { value: null, error: field.message || `La valeur maximale est ${field.max}` };
+        }
+        if (field.minLength !== undefined && raw.length < field.minLength) {
+            return { value: null, error: `Au moins ${field.minLength} caractères` };
+        }
+        if (field.maxLength !== undefined && raw.length > field.maxLength) {
+            return { value: null, error: `Au plus ${field.maxLength} caractères` };
+        }
+        if (field.pattern && !new RegExp(field.pattern).test(raw)) {
+            return { value: null, error: field.patternMessage || 'Format invalide' };
+        }
+        
+        return { value, error: null };
+    }
+    
+    parseBound(field, bound) {
+        if (field.type === 'date') return this.parseFieldValue({ type: 'date' }, bound).value;
+        return bound;
+    }
+    
+    compareValues(a, b) {
+        const left = a instanceof Date ? a.getTime() : a;
+        const right = b instanceof Date ? b.getTime() : b;
+        if (left < right) return -1;
+        if (left > right) return 1;
+        return 0;
+    }
+    
+    /**
+     * Check a cross-field rule, e.g. { field: "Heure de Sortir", operator: ">", reference: "Heure d'arriver" }
+     * @returns {string|null} The error message when the rule is broken
+     */
+    checkRule(rule, values) {
+        const value = values[rule.field];
+        const reference = values[rule.reference];
+        if (value === undefined || reference === undefined) return null;
+        
+        const comparison = this.compareValues(value, reference);
+        const operators = {
+            '>': comparison > 0,
+            '>=': comparison >= 0,
+            '<': comparison < 0,
+            '<=': comparison <= 0,
+            '!=': comparison !== 0
+        };
+        
+        if (operators[rule.operator] === false) {
+            return rule.message || `${rule.field} doit être ${rule.operator} ${rule.reference}`;
+        }
+        return null;
+    }
+    
+    showFieldErrors(form, errors) {
+        form.querySelectorAll('.form-field').forEach(fieldElement => {
+            const input = fieldElement.querySelector('[data-field-label], .entry-type-select');
+            const errorElement = fieldElement.querySelector('.field-error');
+            if (!input) return;
+            
+            const label = input.classList.contains('entry-type-select') ? 'Entry Type' : input.getAttribute('data-field-label');
+            const message = errors[label];
+            
+            if (errorElement) {
+                errorElement.textContent = message || '';
+                errorElement.style.display = message ? 'block' : 'none';
+            }
+            input.style.borderColor = message ? '#ff3b30' : '#e1e5e9';
+        });
+        
+        // Gate popups have no error slots, so surface the first error as a notification
+        if (!form.querySelector('.field-error')) {
+            const firstError = Object.values(errors)[0];
+            if (firstError) this.game.auth.showBottomNotification(`❌ ${firstError}`, 'error');
+        }
+    }
+}
+
+/**
+ * HouseSubmissionStore - Persists house form submissions to Firestore
+ * Every filed form (Pointage, Séminaire, Caisse, ...) becomes one document in `houseSubmissions`
+ */
+class HouseSubmissionStore {
+    constructor(game) {
+        this.game = game;
+        this.collectionName = 'houseSubmissions';
+    }
+
+    /**
+     * Save a submission for the current player
+     * @param {Object} submission - { houseId, houseName, sectionName, values }
+     * @returns {Promise<Object>} The stored record including its document id
+     */
+    async save({ houseId, houseName, sectionName, values }) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) {
+            throw new Error('Not authenticated');
+        }
+
+        const record = {
+            houseId: houseId,
+            houseName: houseName,
+            sectionName: sectionName || houseName,
+            values: values || {},
+            playerId: user.uid,
+            playerEmail: user.email || null,
+            playerName: this.game.auth.getPlayerName(),
+            submittedAt: new Date().toISOString()
+        };
+
+        const docRef = await window.addDoc(window.collection(window.db, this.collectionName), record);
+        console.log(`💾 Submission saved for ${record.sectionName} in ${record.houseName}:`, docRef.id);
+
+        return { id: docRef.id, ...record };
+    }
+
+    /**
+     * List submissions filed in a house, newest first
+     * @param {number} houseId - House id from the houses JSON
+     * @param {Object} options - { sectionName, playerId, limit }
+     */
+    async listByHouse(houseId, { sectionName = null, playerId = null, limit = 20 } = {}) {
+        if (!window.db) return [];
+
+        const constraints = [window.where('houseId', '==', houseId)];
+        if (sectionName) constraints.push(window.where('sectionName', '==', sectionName));
+        if (playerId) constraints.push(window.where('playerId', '==', playerId));
+
+        return this.runQuery(constraints, limit);
+    }
+
+    /**
+     * List submissions filed by a player (defaults to the current player), newest first
+     */
+    async listByPlayer(playerId = this.game.auth.user?.uid, { limit = 20 } = {}) {
+        if (!window.db || !playerId) return [];
+
+        return this.runQuery([window.where('playerId', '==', playerId)], limit);
+    }
+
+    // Each filter combination has its composite index with submittedAt in firestore.indexes.json
+    async runQuery(constraints, limit) {
+        try {
+            const q = window.query(window.collection(window.db, this.collectionName),
+                ...constraints, window.orderBy('submittedAt', 'desc'), window.limit(limit));
+            const querySnapshot = await window.getDocs(q);
+
+            return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('❌ Error loading house submissions:', error);
+            return [];
+        }
+    }
+}
+
+/**
+ * MediaStore - Photo and video attachments for forms and missions
+ * Photos are resized in the browser before upload and every file gets a small JPEG thumbnail.
+ * Files go to Firebase Storage under `media/{folder}/{uid}/` (see storage.rules); on localhost, or when Storage is not loaded,
+ * they stay in this browser's IndexedDB behind `local-media:` URLs so development never touches the bucket.
+ */
+class MediaStore {
+    constructor(game) {
+        this.game = game;
+        this.maxImageSize = 1600;
+        this.thumbnailSize = 240;
+        this.imageQuality = 0.8;
+        // Same limits as storage.rules
+        this.maxImageBytes = 5 * 1024 * 1024;
+        this.maxVideoBytes = 50 * 1024 * 1024;
+        this.localScheme = 'local-media:';
+        this.localDbName = 'rivalation-media';
+        this.objectUrls = new Map();
+    }
+    
+    useLocalStore() {
+        if (!window.storage || !window.uploadBytes) return true;
+        return window.location.protocol === 'file:' || ['localhost', '127.0.0.1'].includes(window.location.hostname);
+    }
+    
+    isMedia(value) {
+        return !!value && typeof value === 'object' && typeof value.url === 'string' && typeof value.contentType === 'string';
+    }
+    
+    loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Image illisible'));
+            };
+            image.src = url;
+        });
+    }
+    
+    // Draw the source so its longest side is at most maxSize and encode it as JPEG
+    scaleToBlob(source, width, height, maxSize) {
+        const scale = Math.min(1, maxSize / Math.max(width, height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+        
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Conversion de l\'image impossible')), 'image/jpeg', this.imageQuality);
+        });
+    }
+    
+    // Grab a frame about one second in; resolves null when the browser cannot decode the video
+    captureVideoFrame(file) {
+        return new Promise(resolve => {
+            const url = URL.createObjectURL(file);
+            const video = document.createElement('video');
+            const finish = (blob) => {
+                clearTimeout(timer);
+                URL.revokeObjectURL(url);
+                resolve(blob);
+            };
+            const timer = setTimeout(() => finish(null), 5000);
+            
+            video.muted = true;
+            video.playsInline = true;
+            video.preload = 'metadata';
+            video.onloadeddata = () => {
+                video.currentTime = Math.min(1, (video.duration || 0) / 2);
+            };
+            video.onseeked = () => {
+                this.scaleToBlob(video, video.videoWidth, video.videoHeight, this.thumbnailSize)
+                    .then(finish, () => finish(null));
+            };
+            video.onerror = () => finish(null);
+            video.src = url;
+        });
+    }
+    
+    /**
+     * Resize a photo or check a video and build its thumbnail
+     * @returns {Promise<{ kind: string, blob: Blob, thumbnail: Blob|null, contentType: string }>}
+     */
+    async prepare(file) {
+        const type = file.type || '';
+        if (type.startsWith('image/')) {
+            const image = await this.loadImage(file);
+            const blob = await this.scaleToBlob(image, image.naturalWidth, image.naturalHeight, this.maxImageSize);
+            if (blob.size > this.maxImageBytes) {
+                throw new Error(`Photo trop lourde (max ${Math.round(this.maxImageBytes / 1024 / 1024)} Mo)`);
+            }
+            const thumbnail = await this.scaleToBlob(image, image.naturalWidth, image.naturalHeight, this.thumbnailSize);
+            return { kind: 'image', blob, thumbnail, contentType: 'image/jpeg' };
+        }
+        if (type.startsWith('video/')) {
+            if (file.size > this.maxVideoBytes) {
+                throw new Error(`Vidéo trop lourde (max ${Math.round(this.maxVideoBytes / 1024 / 1024)} Mo)`);
+            }
+            const thumbnail = await this.captureVideoFrame(file);
+            return { kind: 'video', blob: file, thumbnail, contentType: type };
+        }
+        throw new Error('Seules les photos et les vidéos sont acceptées');
+    }
+    
+    /**
+     * Upload a photo or video picked by the current player
+     * @param {File} file - From a camera or gallery input
+     * @param {string} folder - e.g. 'missions' or 'houses/6'
+     * @returns {Promise<Object>} { kind, url, thumbUrl, path, contentType, size, name } to store with the record
+     */
+    async upload(file, folder = 'misc') {
+        const user = this.game.auth.user;
+        if (!user) throw new Error('Not authenticated');
+        
+        const prepared = await this.prepare(file);
+        const id = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        const extension = prepared.kind === 'image' ? 'jpg' : ((file.name || '').split('.').pop() || 'mp4').toLowerCase();
+        const basePath = `media/${folder}/${user.uid}/${id}`;
+        const put = this.useLocalStore()
+            ? (path, blob) => this.putLocal(path, blob)
+            : (path, blob) => this.putRemote(path, blob);
+        
+        const url = await put(`${basePath}.${extension}`, prepared.blob);
+        const thumbUrl = prepared.thumbnail ? await put(`${basePath}_thumb.jpg`, prepared.thumbnail) : null;
+        
+        const media = {
+            kind: prepared.kind,
+            url: url,
+            thumbUrl: thumbUrl,
+            path: `${basePath}.${extension}`,
+            contentType: prepared.contentType,
+            size: prepared.blob.size,
+            name: file.name || ''
+        };
+        console.log(`📸 Media stored ${this.useLocalStore() ? 'locally' : 'in Storage'}:`, media.path);
+        return media;
+    }
+    
+    // Replace every file among a form's values by its uploaded media record
+    async uploadValues(values, folder) {
+        const stored = { ...values };
+        for (const [label, value] of Object.entries(values)) {
+            if (value instanceof Blob) stored[label] = await this.upload(value, folder);
+        }
+        return stored;
+    }
+    
+    async putRemote(path, blob) {
+        const reference = window.storageRef(window.storage, path);
+        await window.uploadBytes(reference, blob, { contentType: blob.type });
+        return window.getDownloadURL(reference);
+    }
+    
+    openLocalDb() {
+        if (!this.localDb) {
+            this.localDb = new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(this.localDbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('files');
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.localDb;
+    }
+    
+    async putLocal(path, blob) {
+        const db = await this.openLocalDb();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction('files', 'readwrite');
+            transaction.objectStore('files').put(blob, path);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        return `${this.localScheme}${path}`;
+    }
+    
+    // Turn a local-media: URL into an object URL; remote URLs are returned as they are
+    async resolveUrl(url) {
+        if (!url || !url.startsWith(this.localScheme)) return url;
+        if (this.objectUrls.has(url)) return this.objectUrls.get(url);
+        
+        const db = await this.openLocalDb();
+        const blob = await new Promise((resolve, reject) => {
+            const request = db.transaction('files').objectStore('files').get(url.slice(this.localScheme.length));
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+        if (!blob) return null;
+        
+        const objectUrl = URL.createObjectURL(blob);
+        this.objectUrls.set(url, objectUrl);
+        return objectUrl;
+    }
+    
+    /**
+     * Clickable thumbnail of a stored media record
+     * Local URLs are left in data-media-src until hydrate() resolves them
+     */
+    renderThumbnail(media, size = 64) {
+        const escape = value => this.game.houseForms.escapeHTML(value);
+        const source = (url, attribute) => url.startsWith(this.localScheme)
+            ? `data-media-src="${escape(url)}"`
+            : `${attribute}="${escape(url)}"`;
+        const preview = media.thumbUrl
+            ? `<img ${source(media.thumbUrl, 'src')} alt="${escape(media.name)}" style="width: 100%; height: 100%; object-fit: cover;">`
+            : `<span style="font-size: ${Math.round(size / 2)}px;">${media.kind === 'video' ? '🎬' : '📸'}</span>`;
+        
+        return `
+            <a class="media-thumb" ${source(media.url, 'href')} target="_blank" rel="noopener noreferrer" title="${escape(media.name || media.kind)}" style="position: relative; display: inline-flex; align-items: center; justify-content: center; width: ${size}px; height: ${size}px; border-radius: 8px; overflow: hidden; background: #e1e5e9; vertical-align: middle; text-decoration: none;">
+                ${preview}
+                ${media.kind === 'video' && media.thumbUrl ? '<span style="position: absolute; font-size: 20px;">▶️</span>' : ''}
+            </a>
+        `;
+    }
+    
+    // Resolve the local thumbnails rendered inside a container
+    async hydrate(container) {
+        if (!container) return;
+        const elements = [...container.querySelectorAll('[data-media-src]')];
+        await Promise.all(elements.map(async element => {
+            const url = await this.resolveUrl(element.getAttribute('data-media-src')).catch(() => null);
+            element.removeAttribute('data-media-src');
+            if (url) {
+                element.setAttribute(element.tagName === 'A' ? 'href' : 'src', url);
+            } else if (element.tagName === 'IMG') {
+                element.replaceWith(Object.assign(document.createElement('span'), {
+                    textContent: '📁',
+                    title: 'Fichier enregistré sur un autre appareil'
+                }));
+            }
+        }));
+    }
+}
+
+/**
+ * Pointage (house 7): clock in / clock out with the device time and daily / weekly timesheets
+ * Each shift is an `attendance/{uid}_{clockInMs}` document; `attendanceStatus/{uid}` points at the open one
+ * so a transaction can refuse a second clock-in.
+ */
+class AttendanceManager {
+    constructor(game) {
+        this.game = game;
+        this.collectionName = 'attendance';
+        this.statusCollectionName = 'attendanceStatus';
+        this.maxShiftHours = 16; // An open shift older than this lost its clock-out; evening shifts may cross midnight
+        this.openShift = null;
+        this.activeTab = 'day';
+        this.handle = null;
+        
+        this.game.houseInteraction.registerHandler('attendance', this);
+        
+        this.game.auth.onAuthStateChange((user) => {
+            if (user) this.flagMissingClockOut();
+        });
+    }
+    
+    // A shift belongs to the day the player saw on their screen
+    dateKey(date) {
+        return this.game.houseForms.dateKey(date);
+    }
+    
+    weekKey(date) {
+        return this.game.houseForms.weekKey(date);
+    }
+    
+    formatTime(iso) {
+        return iso ? new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '-';
+    }
+    
+    formatDuration(minutes) {
+        const total = Math.max(0, Math.round(minutes || 0));
+        return `${Math.floor(total / 60)}h${String(total % 60).padStart(2, '0')}`;
+    }
+    
+    isStale(shift, now = new Date()) {
+        return now - new Date(shift.clockIn) > this.maxShiftHours * 3600000;
+    }
+    
+    // Clocking is only allowed while the player stands inside the Pointage polygon
+    isInsidePointage() {
+        const houseInteraction = this.game.houseInteraction;
+        houseInteraction.checkProximityToHouses();
+        
+        const house = houseInteraction.currentHouse;
+        const houseData = house ? houseInteraction.getHouseData(house.layerNumber) : null;
+        return !!houseData && houseData.handler === 'attendance';
+    }
+    
+    statusRef(uid) {
+        return window.doc(window.db, this.statusCollectionName, uid);
+    }
+    
+    shiftRef(shiftId) {
+        return window.doc(window.db, this.collectionName, shiftId);
+    }
+    
+    async loadOpenShift() {
+        const user = this.game.auth.user;
+        this.openShift = null;
+        if (!user || !window.db) return null;
+        
+        try {
+            const statusSnap = await window.getDoc(this.statusRef(user.uid));
+            const openShiftId = statusSnap.exists() ? statusSnap.data().openShiftId : null;
+            if (openShiftId) {
+                const shiftSnap = await window.getDoc(this.shiftRef(openShiftId));
+                if (shiftSnap.exists()) this.openShift = { id: shiftSnap.id, ...shiftSnap.data() };
+            }
+        } catch (error) {
+            console.error('❌ Error loading attendance status:', error);
+        }
+        return this.openShift;
+    }
+    
+    /**
+     * Clock in or out with the device time
+     * The action is the one the player tapped, so a double tap or a second device cannot undo it
+     * @param {'in'|'out'} action
+     * @param {string} comment - Optional Commentaire stored with the shift
+     */
+    async clock(action, comment = '') {
+        const user = this.game.auth.user;
+        if (!user || !window.db) {
+            this.game.auth.showBottomNotification('❌ Please login first', 'error');
+            return false;
+        }
+        
+        if (!this.isInsidePointage()) {
+            this.game.auth.showBottomNotification('📍 Go inside the Pointage house to clock in or out', 'warning');
+            return false;
+        }
+        
+        try {
+            const result = await window.runTransaction(window.db, async (transaction) => {
+                const now = new Date();
+                const statusRef = this.statusRef(user.uid);
+                const statusSnap = await transaction.get(statusRef);
+                const openShiftId = statusSnap.exists() ? statusSnap.data().openShiftId : null;
+                const shiftSnap = openShiftId ? await transaction.get(this.shiftRef(openShiftId)) : null;
+                const openShift = shiftSnap && shiftSnap.exists() ? shiftSnap.data() : null;
+                
+                const isOpen = openShift && !this.isStale(openShift, now);
+                
+                if (action === 'in' && isOpen) {
+                    return { action: 'already-in', clockIn: openShift.clockIn };
+                }
+                
+                if (action === 'out' && isOpen) {
+                    const durationMinutes = (now - new Date(openShift.clockIn)) / 60000;
+                    transaction.update(this.shiftRef(openShiftId), {
+                        clockOut: now.toISOString(),
+                        durationMinutes: Math.round(durationMinutes),
+                        status: 'closed',
+                        comment: comment || openShift.comment || ''
+                    });
+                    transaction.set(statusRef, { openShiftId: null, updatedAt: now.toISOString() });
+                    return { action: 'out', durationMinutes };
+                }
+                
+                if (openShift) {
+                    transaction.update(this.shiftRef(openShiftId), { status: 'missing_clock_out', flaggedAt: now.toISOString() });
+                }
+                
+                if (action === 'out') {
+                    if (openShift) transaction.set(statusRef, { openShiftId: null, updatedAt: now.toISOString() });
+                    return { action: 'not-in', flaggedPrevious: !!openShift };
+                }
+                
+                const shiftId = `${user.uid}_${now.getTime()}`;
+                transaction.set(this.shiftRef(shiftId), {
+                    playerId: user.uid,
+                    playerEmail: user.email || null,
+                    playerName: this.game.auth.getPlayerName(),
+                    clockIn: now.toISOString(),
+                    clockOut: null,
+                    durationMinutes: 0,
+                    date: this.dateKey(now),
+                    weekStart: this.weekKey(now),
+                    status: 'open',
+                    comment: comment || ''
+                });
+                transaction.set(statusRef, { openShiftId: shiftId, updatedAt: now.toISOString() });
+                return { action: 'in', flaggedPrevious: !!openShift };
+            });
+            
+            if (result.flaggedPrevious) {
+                this.game.auth.showBottomNotification('⚠️ Your previous shift had no clock-out and was flagged', 'warning', 5000);
+            }
+            
+            if (result.action === 'already-in') {
+                this.game.auth.showBottomNotification(`⚠️ Déjà pointé depuis ${this.formatTime(result.clockIn)}`, 'warning');
+            } else if (result.action === 'not-in') {
+                this.game.auth.showBottomNotification('⚠️ Aucune arrivée en cours à clôturer', 'warning');
+            } else if (result.action === 'in') {
+                console.log('🕘 Clocked in');
+                this.game.auth.showBottomNotification('✅ Arrivée enregistrée', 'success');
+            } else {
+                console.log('🕔 Clocked out');
+                this.game.auth.showBottomNotification(`✅ Sortie enregistrée (${this.formatDuration(result.durationMinutes)})`, 'success');
+            }
+            
+            await this.loadOpenShift();
+            return result.action === 'in' || result.action === 'out';
+        } catch (error) {
+            console.error('❌ Error recording attendance:', error);
+            this.game.auth.showBottomNotification('❌ Pointage could not be saved, please retry', 'error');
+            return false;
+        }
+    }
+    
+    // A shift left open past its day is flagged so it never counts as worked time
+    async flagMissingClockOut() {
+        const user = this.game.auth.user;
+        const openShift = await this.loadOpenShift();
+        if (!openShift || !this.isStale(openShift)) return;
+        
+        try {
+            const now = new Date().toISOString();
+            await window.updateDoc(this.shiftRef(openShift.id), { status: 'missing_clock_out', flaggedAt: now });
+            await window.setDoc(this.statusRef(user.uid), { openShiftId: null, updatedAt: now });
+            this.openShift = null;
+            
+            console.log('⚠️ Flagged missing clock-out for shift', openShift.id);
+            this.game.auth.showBottomNotification(`⚠️ No clock-out on ${openShift.date}, the shift was flagged`, 'warning', 5000);
+        } catch (error) {
+            console.error('❌ Error flagging missing clock-out:', error);
+        }
+    }
+    
+    async listShifts(field, value) {
+        if (!window.db) return [];
+        
+        try {
+            const q = window.query(window.collection(window.db, this.collectionName), window.where(field, '==', value));
+            const querySnapshot = await window.getDocs(q);
+            return querySnapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (a.clockIn || '').localeCompare(b.clockIn || ''));
+        } catch (error) {
+            console.error('❌ Error loading attendance:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Group shifts per player with their total hours
+     * Open shifts past maxShiftHours are reported as missing clock-outs even before their owner logs in again
+     * @returns {Array<{ playerId, playerName, shifts, totalMinutes, days: Object, missing: number }>}
+     */
+    summarize(shifts, now = new Date()) {
+        const players = {};
+        
+        shifts.forEach(shift => {
+            const status = shift.status === 'open' && this.isStale(shift, now) ? 'missing_clock_out' : shift.status;
+            const entry = players[shift.playerId] || (players[shift.playerId] = {
+                playerId: shift.playerId,
+                playerName: shift.playerName || shift.playerEmail || 'Player',
+                shifts: [],
+                totalMinutes: 0,
+                days: {},
+                missing: 0
+            });
+            
+            entry.shifts.push({ ...shift, status });
+            if (status === 'closed') {
+                entry.totalMinutes += shift.durationMinutes || 0;
+                entry.days[shift.date] = (entry.days[shift.date] || 0) + (shift.durationMinutes || 0);
+            } else if (status === 'missing_clock_out') {
+                entry.missing++;
+            }
+        });
+        
+        return Object.values(players).sort((a, b) => a.playerName.localeCompare(b.playerName));
+    }
+    
+    async open() {
+        const engine = this.game.houseForms;
+        this.handle = engine.openModal({
+            id: 'attendance-modal',
+            title: '🕘 Pointage',
+            subtitle: 'Arrivée et sortie avec l\'heure de l\'appareil',
+            maxWidth: '700px',
+            bodyHTML: `
+                <div class="attendance-status" style="background: #f8f9fa; padding: 20px; border-radius: 12px; text-align: center; margin-bottom: 15px;"></div>
+                <textarea class="attendance-comment" rows="2" dir="auto" placeholder="Commentaire (optionnel)" style="${engine.baseInputStyle}"></textarea>
+                <button class="attendance-toggle" style="
+                    width: 100%;
+                    margin-top: 15px;
+                    color: white;
+                    border: none;
+                    padding: 16px;
+                    border-radius: 12px;
+                    font-size: 18px;
+                    font-weight: 600;
+                    cursor: pointer;
+                "></button>
+                <div style="display: flex; gap: 10px; margin: 25px 0 15px 0;">
+                    <button class="attendance-tab" data-tab="day" style="flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;">Aujourd'hui</button>
+                    <button class="attendance-tab" data-tab="week" style="flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;">Semaine</button>
+                </div>
+                <div class="attendance-timesheet" style="overflow-x: auto;"></div>
+            `
+        });
+        
+        const content = this.handle.content;
+        content.querySelector('.attendance-toggle').addEventListener('click', async (e) => {
+            e.target.disabled = true;
+            const comment = content.querySelector('.attendance-comment').value.trim();
+            const action = e.target.getAttribute('data-action');
+            if (await this.clock(action, comment)) {
+                content.querySelector('.attendance-comment').value = '';
+            }
+            e.target.disabled = false;
+            this.render();
+        });
+        
+        content.querySelectorAll('.attendance-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.activeTab = tab.getAttribute('data-tab');
+                this.renderTimesheet();
+            });
+        });
+        
+        await this.loadOpenShift();
+        this.render();
+    }
+    
+    render() {
+        if (!this.handle) return;
+        const content = this.handle.content;
+        const shift = this.openShift && !this.isStale(this.openShift) ? this.openShift : null;
+        
+        content.querySelector('.attendance-status').innerHTML = shift
+            ? `<div style="font-size: 16px; color: #34C759; font-weight: 600;">🟢 Présent depuis ${this.formatTime(shift.clockIn)}</div>`
+            : `<div style="font-size: 16px; color: #666; font-weight: 600;">⚪ Pas encore pointé</div>`;
+        
+        const button = content.querySelector('.attendance-toggle');
+        button.textContent = shift ? '🔴 Pointer la sortie' : '🟢 Pointer l\'arrivée';
+        button.setAttribute('data-action', shift ? 'out' : 'in');
+        button.style.background = shift
+            ? 'linear-gradient(135deg, #FF3B30 0%, #D70015 100%)'
+            : 'linear-gradient(135deg, #34C759 0%, #28A745 100%)';
+        
+        this.renderTimesheet();
+    }
+    
+    async renderTimesheet() {
+        if (!this.handle) return;
+        const content = this.handle.content;
+        const container = content.querySelector('.attendance-timesheet');
+        
+        content.querySelectorAll('.attendance-tab').forEach(tab => {
+            const active = tab.getAttribute('data-tab') === this.activeTab;
+            tab.style.background = active ? '#007AFF' : 'white';
+            tab.style.color = active ? 'white' : '#007AFF';
+        });
+        
+        container.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">Loading...</div>';
+        
+        const now = new Date();
+        const shifts = this.activeTab === 'week'
+            ? await this.listShifts('weekStart', this.weekKey(now))
+            : await this.listShifts('date', this.dateKey(now));
+        const players = this.summarize(shifts, now);
+        
+        if (players.length === 0) {
+            container.innerHTML = '<div style="text-align: center; padding: 20px; color: #999; font-style: italic;">Aucun pointage pour cette période</div>';
+            return;
+        }
+        
+        container.innerHTML = this.activeTab === 'week' ? this.renderWeekTable(players, now) : this.renderDayTable(players);
+    }
+    
+    renderDayTable(players) {
+        const escape = value => this.game.houseForms.escapeHTML(value);
+        const statusLabels = {
+            open: '<span style="color: #34C759;">En cours</span>',
+            closed: 'Terminé',
+            missing_clock_out: '<span style="color: #FF3B30;">⚠️ Sortie manquante</span>'
+        };
+        const cell = 'padding: 8px; border: 1px solid #e1e5e9;';
+        
+        const rows = players.map(player => player.shifts.map((shift, index) => `
+            <tr>
+                <td style="${cell}">${index === 0 ? escape(player.playerName) : ''}</td>
+                <td style="${cell}">${this.formatTime(shift.clockIn)}</td>
+                <td style="${cell}">${this.formatTime(shift.clockOut)}</td>
+                <td style="${cell}">${shift.status === 'closed' ? this.formatDuration(shift.durationMinutes) : '-'}</td>
+                <td style="${cell}">${statusLabels[shift.status] || escape(shift.status)}</td>
+                <td style="${cell}" dir="auto">${escape(shift.comment)}</td>
+            </tr>
+        `).join('') + `
+            <tr style="background: #f8f9fa; font-weight: 600;">
+                <td style="${cell}" colspan="3">Total ${escape(player.playerName)}</td>
+                <td style="${cell}" colspan="3">${this.formatDuration(player.totalMinutes)}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+                <thead>
+                    <tr style="background: #007AFF; color: white;">
+                        <th style="${cell}">Player</th>
+                        <th style="${cell}">Arrivée</th>
+                        <th style="${cell}">Sortie</th>
+                        <th style="${cell}">Durée</th>
+                        <th style="${cell}">Statut</th>
+                        <th style="${cell}">Commentaire</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+    
+    renderWeekTable(players, now) {
+        const escape = value => this.game.houseForms.escapeHTML(value);
+        const cell = 'padding: 8px; border: 1px solid #e1e5e9; text-align: center;';
+        const monday = new Date(`${this.weekKey(now)}T00:00:00`);
+        const days = Array.from({ length: 7 }, (_, index) => {
+            const day = new Date(monday);
+            day.setDate(monday.getDate() + index);
+            return day;
+        });
+        
+        const rows = players.map(player => `
+            <tr>
+                <td style="${cell} text-align: left;">${escape(player.playerName)}${player.missing ? ` <span style="color: #FF3B30;" title="Sorties manquantes">⚠️ ${player.missing}</span>` : ''}</td>
+                ${days.map(day => `<td style="${cell}">${player.days[this.dateKey(day)] ? this.formatDuration(player.days[this.dateKey(day)]) : '-'}</td>`).join('')}
+                <td style="${cell} font-weight: 600;">${this.formatDuration(player.totalMinutes)}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+                <thead>
+                    <tr style="background: #007AFF; color: white;">
+                        <th style="${cell}">Player</th>
+                        ${days.map(day => `<th style="${cell}">${day.toLocaleDateString([], { weekday: 'short', day: 'numeric' })}</th>`).join('')}
+                        <th style="${cell}">Total</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+}
+
+/**
+ * Caisse (Gestion Administrative): append-only cash ledger with a daily close
+ * Entries are never edited; a mistake is cancelled by a reversal entry with the opposite amount.
+ * `cashRegister/state` keeps the running balance: each entry updates it in the transaction that writes the entry,
+ * and a close compares the counted cash with it in the transaction that resets it to the counted amount.
+ * The first close creates it; until then the balance is summed from the entries.
+ */
+class CashRegisterManager {
+    constructor(game) {
+        this.game = game;
+        this.collectionName = 'cashLedger';
+        this.closesCollectionName = 'cashCloses';
+        this.stateCollectionName = 'cashRegister';
+        this.currency = 'DA';
+        this.activeTab = 'journal';
+        this.studentChoices = new Map(); // Label shown by the Étudiant field -> registered student
+        this.handle = null;
+        
+        // Sign applied to the amount of each entry type
+        this.entryTypes = {
+            payment: { label: 'Paiement', sign: 1 },
+            float: { label: 'Fond de Caisse', sign: 1 },
+            refund: { label: 'Remboursement', sign: -1 },
+            expense: { label: 'Dépense', sign: -1 },
+            reversal: { label: 'Annulation', sign: 0 }
+        };
+        
+        this.entrySection = {
+            name: 'Caisse',
+            fields: [
+                { label: 'Type', type: 'select', options: ['Paiement', 'Remboursement', 'Dépense', 'Fond de Caisse'], required: true },
+                { label: 'Montant', type: 'number', min: 1, required: true },
+                { label: 'Motif', type: 'text', required: true, maxLength: 200 },
+                { label: 'Étudiant', type: 'text' }
+            ]
+        };
+        
+        this.game.houseInteraction.registerHandler('cashRegister', this);
+    }
+    
+    formatAmount(amount) {
+        return `${Number(amount || 0).toLocaleString('fr-FR')} ${this.currency}`;
+    }
+    
+    dateKey(date) {
+        return this.game.houseForms.dateKey(date);
+    }
+    
+    stateRef() {
+        return window.doc(window.db, this.stateCollectionName, 'state');
+    }
+    
+    // Add an entry to the running balance in the transaction that writes it
+    applyToState(transaction, stateSnap, entryId, signedAmount, now) {
+        if (!stateSnap.exists()) return;
+        const state = stateSnap.data();
+        transaction.update(this.stateRef(), {
+            balance: (state.balance || 0) + signedAmount,
+            entryCount: (state.entryCount || 0) + 1,
+            lastEntryId: entryId,
+            updatedAt: now
+        });
+    }
+    
+    getTypeByLabel(label) {
+        return Object.keys(this.entryTypes).find(type => this.entryTypes[type].label === label);
+    }
+    
+    buildEntry(fields) {
+        const user = this.game.auth.user;
+        const now = new Date();
+        return {
+            ...fields,
+            date: this.dateKey(now),
+            createdAt: now.toISOString(),
+            playerId: user.uid,
+            playerName: this.game.auth.getPlayerName()
+        };
+    }
+    
+    // Registered students offered by the Étudiant field; a payment is only linked through one of them
+    async loadStudentChoices() {
+        const escape = value => this.game.houseForms.escapeHTML(value);
+        const students = (await this.game.students.listStudents()).filter(student => student.kind === 'registration');
+        
+        this.studentChoices = new Map();
+        students.forEach(student => {
+            let label = `${student.name} — ${student.formation}${student.group ? ` ${student.group}` : ''}`;
+            if (this.studentChoices.has(label)) label = `${label} (${student.phone})`;
+            this.studentChoices.set(label, student);
+        });
+        
+        const options = this.handle && this.handle.content.querySelector('#cash-student-options');
+        if (options) options.innerHTML = Array.from(this.studentChoices.keys()).map(label => `<option value="${escape(label)}"></option>`).join('');
+    }
+    
+    /**
+     * Append a payment, refund, expense or float entry
+     * @param {Object} entry - { type, amount, reason, student, studentId } - studentId links a payment to the student registry
+     */
+    async addEntry({ type, amount, reason, student = '', studentId = null }) {
+        if (!this.game.auth.user || !window.db) throw new Error('Not authenticated');
+        if (!this.entryTypes[type] || type === 'reversal') throw new Error(`Unknown cash entry type: ${type}`);
+        
+        const entry = this.buildEntry({
+            type,
+            amount,
+            signedAmount: amount * this.entryTypes[type].sign,
+            reason,
+            student: student || null,
+            studentId: studentId,
+            reversesId: null
+        });
+        
+        const docRef = window.doc(window.collection(window.db, this.collectionName));
+        await window.runTransaction(window.db, async (transaction) => {
+            const stateSnap = await transaction.get(this.stateRef());
+            transaction.set(docRef, entry);
+            this.applyToState(transaction, stateSnap, docRef.id, entry.signedAmount, entry.createdAt);
+        });
+        console.log(`💰 Cash entry recorded (${type}):`, docRef.id);
+        return { id: docRef.id, ...entry };
+    }
+    
+    /**
+     * Cancel an entry by appending its opposite; each entry can only be reversed once
+     * The reversal uses a deterministic id so two people reversing at once cannot both succeed
+     */
+    async reverseEntry(entryId, reason) {
+        if (!this.game.auth.user || !window.db) throw new Error('Not authenticated');
+        
+        const originalRef = window.doc(window.db, this.collectionName, entryId);
+        const reversalRef = window.doc(window.db, this.collectionName, `${entryId}_reversal`);
+        
+        return window.runTransaction(window.db, async (transaction) => {
+            const originalSnap = await transaction.get(originalRef);
+            if (!originalSnap.exists()) throw new Error('Entry not found');
+            
+            const original = originalSnap.data();
+            if (original.type === 'reversal') throw new Error('A reversal cannot be reversed');
+            
+            const reversalSnap = await transaction.get(reversalRef);
+            if (reversalSnap.exists()) throw new Error('This entry was already reversed');
+            const stateSnap = await transaction.get(this.stateRef());
+            
+            const reversal = this.buildEntry({
+                type: 'reversal',
+                amount: original.amount,
+                signedAmount: -original.signedAmount,
+                reason: reason || `Annulation: ${original.reason}`,
+                student: original.student || null,
+                studentId: original.studentId || null,
+                reversesId: entryId
+            });
+            transaction.set(reversalRef, reversal);
+            this.applyToState(transaction, stateSnap, reversalRef.id, reversal.signedAmount, reversal.createdAt);
+            return { id: reversalRef.id, ...reversal };
+        });
+    }
+    
+    async listEntries(constraints) {
+        if (!window.db) return [];
+        
+        try {
+            const q = window.query(window.collection(window.db, this.collectionName), ...constraints);
+            const querySnapshot = await window.getDocs(q);
+            return querySnapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+        } catch (error) {
+            console.error('❌ Error loading cash ledger:', error);
+            return [];
+        }
+    }
+    
+    async listCloses() {
+        if (!window.db) return [];
+        
+        try {
+            const querySnapshot = await window.getDocs(window.collection(window.db, this.closesCollectionName));
+            return querySnapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (b.closedAt || '').localeCompare(a.closedAt || ''));
+        } catch (error) {
+            console.error('❌ Error loading register closes:', error);
+            return [];
+        }
+    }
+    
+    async loadState() {
+        try {
+            const stateSnap = await window.getDoc(this.stateRef());
+            return stateSnap.exists() ? stateSnap.data() : null;
+        } catch (error) {
+            console.error('❌ Error loading register balance:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Expected cash in the drawer: the running balance, or the last counted amount plus everything recorded after that close
+     * @param {string|null} until - ISO cutoff; entries after it belong to the next period
+     * @returns {Promise<{ opening: number, entries: Array, expected: number, lastClose: Object|null }>}
+     */
+    async getCurrentPeriod(until = null) {
+        if (!window.db) return { opening: 0, entries: [], expected: 0, lastClose: null, closes: [] };
+        const [closes, state] = await Promise.all([this.listCloses(), this.loadState()]);
+        const lastClose = closes[0] || null;
+        const constraints = [];
+        if (lastClose) constraints.push(window.where('createdAt', '>', lastClose.closedAt));
+        if (until) constraints.push(window.where('createdAt', '<=', until));
+        const entries = await this.listEntries(constraints);
+        
+        const opening = lastClose ? lastClose.counted : 0;
+        let balance = opening;
+        entries.forEach(entry => {
+            balance += entry.signedAmount || 0;
+            entry.balanceAfter = balance;
+        });
+        
+        return { opening, entries, expected: state ? state.balance : balance, lastClose, closes };
+    }
+    
+    /**
+     * Close the register for today with the cash actually counted
+     * One close per day; the difference is kept for the discrepancy report
+     * The expected amount is the running balance read in the close's transaction, which resets it to the counted cash,
+     * so an entry saved while closing lands in exactly one period
+     */
+    async closeRegister(counted, note = '') {
+        if (!this.game.auth.user || !window.db) throw new Error('Not authenticated');
+        
+        const now = new Date();
+        const closeRef = window.doc(window.db, this.closesCollectionName, this.dateKey(now));
+        // Only the first close, before the running balance exists, sums the entries
+        const firstPeriod = (await this.loadState()) ? null : await this.getCurrentPeriod(now.toISOString());
+        
+        return window.runTransaction(window.db, async (transaction) => {
+            const existing = await transaction.get(closeRef);
+            if (existing.exists()) throw new Error('The register is already closed for today');
+            const stateSnap = await transaction.get(this.stateRef());
+            if (!stateSnap.exists() && !firstPeriod) throw new Error('Le solde de la caisse a changé, réessayez');
+            
+            const state = stateSnap.exists()
+                ? stateSnap.data()
+                : { balance: firstPeriod.expected, entryCount: firstPeriod.entries.length };
+            const close = {
+                date: this.dateKey(now),
+                expected: state.balance || 0,
+                counted,
+                difference: counted - (state.balance || 0),
+                entryCount: state.entryCount || 0,
+                note: note || '',
+                closedAt: now.toISOString(),
+                closedBy: this.game.auth.user.uid,
+                closedByName: this.game.auth.getPlayerName()
+            };
+            transaction.set(closeRef, close);
+            transaction.set(this.stateRef(), {
+                balance: counted,
+                entryCount: 0,
+                lastEntryId: null,
+                lastCloseId: closeRef.id,
+                updatedAt: close.closedAt
+            });
+            return close;
+        });
+    }
+    
+    async open() {
+        const engine = this.game.houseForms;
+        this.handle = engine.openModal({
+            id: 'cash-register-modal',
+            title: '💰 Caisse',
+            maxWidth: '760px',
+            bodyHTML: `
+                <div class="cash-balance" style="background: #f8f9fa; padding: 20px; border-radius: 12px; text-align: center; margin-bottom: 20px;"></div>
+                <form class="cash-entry-form" novalidate style="display: flex; flex-direction: column; gap: 15px;">
+                    ${engine.renderFields(this.entrySection.fields, 'cash-entry')}
+                    <button type="submit" style="${engine.buttonStyle('#34C759', '#28A745')}">Enregistrer</button>
+                </form>
+                <div style="display: flex; gap: 10px; margin: 25px 0 15px 0;">
+                    <button class="cash-tab" data-tab="journal" style="flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;">Journal</button>
+                    <button class="cash-tab" data-tab="close" style="flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;">Clôture</button>
+                    <button class="cash-tab" data-tab="report" style="flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;">Écarts</button>
+                </div>
+                <div class="cash-tab-content" style="overflow-x: auto;"></div>
+            `
+        });
+        
+        const content = this.handle.content;
+        const form = content.querySelector('.cash-entry-form');
+        const studentInput = form.querySelector('[data-field-label="Étudiant"]');
+        studentInput.setAttribute('list', 'cash-student-options');
+        studentInput.setAttribute('placeholder', 'Étudiant inscrit (facultatif)');
+        studentInput.insertAdjacentHTML('afterend', '<datalist id="cash-student-options"></datalist>');
+        this.loadStudentChoices();
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const { values, errors } = engine.collectValues(form, this.entrySection);
+            const studentLabel = values['Étudiant'] || '';
+            const student = this.studentChoices.get(studentLabel) || null;
+            if (studentLabel && !student) errors['Étudiant'] = 'Choisissez un étudiant inscrit dans la liste';
+            engine.showFieldErrors(form, errors);
+            if (Object.keys(errors).length > 0) return;
+            
+            const submitButton = form.querySelector('button[type="submit"]');
+            submitButton.disabled = true;
+            try {
+                await this.addEntry({
+                    type: this.getTypeByLabel(values['Type']),
+                    amount: values['Montant'],
+                    reason: values['Motif'],
+                    student: student ? student.name : '',
+                    studentId: student ? student.id : null
+                });
+                form.reset();
+                this.game.auth.showBottomNotification('✅ Opération enregistrée', 'success');
+                this.render();
+            } catch (error) {
+                console.error('❌ Error recording cash entry:', error);
+                this.game.auth.showBottomNotification('❌ Opération non enregistrée, réessayez', 'error');
+            } finally {
+                submitButton.disabled = false;
+            }
+        });
+        
+        content.querySelectorAll('.cash-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.activeTab = tab.getAttribute('data-tab');
+                this.render();
+            });
+        });
+        
+        // Reverse and close buttons are re-rendered with the tab content
+        content.querySelector('.cash-tab-content').addEventListener('click', (e) => {
+            const reverseButton = e.target.closest('.cash-reverse-btn');
+            if (reverseButton) this.handleReverse(reverseButton.getAttribute('data-entry-id'));
+            if (e.target.closest('.cash-close-btn')) this.handleClose();
+        });
+        
+        this.render();
+    }
+    
+    async handleReverse(entryId) {
+        const reason = prompt('Motif de l\'annulation :');
+        if (reason === null) return;
+        
+        try {
+            await this.reverseEntry(entryId, reason.trim());
+            this.game.auth.showBottomNotification('↩️ Opération annulée par une écriture inverse', 'success');
+        } catch (error) {
+            console.error('❌ Error reversing cash entry:', error);
+            this.game.auth.showBottomNotification(`❌ ${error.message}`, 'error');
+        }
+        this.render();
+    }
+    
+    async handleClose() {
+        const content = this.handle.content;
+        const { value: counted, error } = this.game.houseForms.parseFieldValue(
+            { type: 'number', min: 0, required: true },
+            content.querySelector('.cash-counted').value
+        );
+        if (error) {
+            this.game.auth.showBottomNotification(`❌ Espèces comptées : ${error}`, 'error');
+            return;
+        }
+        
+        try {
+            const close = await this.closeRegister(counted, content.querySelector('.cash-close-note').value.trim());
+            const type = close.difference === 0 ? 'success' : 'warning';
+            this.game.auth.showBottomNotification(`🔒 Caisse clôturée, écart ${this.formatAmount(close.difference)}`, type, 5000);
+            this.activeTab = 'report';
+        } catch (error) {
+            console.error('❌ Error closing register:', error);
+            this.game.auth.showBottomNotification(`❌ ${error.message}`, 'error');
+        }
+        this.render();
+    }
+    
+    async render() {
+        if (!this.handle) return;
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        const content = this.handle.content;
+        const container = content.querySelector('.cash-tab-content');
+        
+        content.querySelectorAll('.cash-tab').forEach(tab => {
+            const active = tab.getAttribute('data-tab') === this.activeTab;
+            tab.style.background = active ? '#007AFF' : 'white';
+            tab.style.color = active ? 'white' : '#007AFF';
+        });
+        container.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">Loading...</div>';
+        
+        const period = await this.getCurrentPeriod();
+        content.querySelector('.cash-balance').innerHTML = `
+            <div style="color: #666; font-size: 14px;">Solde attendu en caisse</div>
+            <div style="font-size: 28px; font-weight: 700; color: #1d1d1f;">${this.formatAmount(period.expected)}</div>
+            <div style="color: #999; font-size: 13px;">${period.lastClose ? `Depuis la clôture du ${escape(period.lastClose.date)} (${this.formatAmount(period.opening)} comptés)` : 'Aucune clôture enregistrée'}</div>
+        `;
+        
+        if (this.activeTab === 'journal') {
+            const reversedIds = new Set(period.entries.filter(entry => entry.reversesId).map(entry => entry.reversesId));
+            const rows = period.entries.slice().reverse().map(entry => [
+                escape(new Date(entry.createdAt).toLocaleString()),
+                escape(this.entryTypes[entry.type]?.label || entry.type),
+                `<span style="color: ${entry.signedAmount < 0 ? '#FF3B30' : '#34C759'};">${this.formatAmount(entry.signedAmount)}</span>`,
+                escape(entry.reason),
+                escape(entry.student || ''),
+                this.formatAmount(entry.balanceAfter),
+                escape(entry.playerName),
+                entry.type === 'reversal'
+                    ? ''
+                    : reversedIds.has(entry.id)
+                    ? '<span style="color: #999;">Annulée</span>'
+                    : `<button class="cash-reverse-btn" data-entry-id="${escape(entry.id)}" style="background: none; border: 1px solid #FF3B30; color: #FF3B30; border-radius: 6px; padding: 4px 8px; cursor: pointer;">Annuler</button>`
+            ]);
+            container.innerHTML = engine.renderTable(
+                ['Date', 'Type', 'Montant', 'Motif', 'Étudiant', 'Solde', 'Par', ''],
+                rows,
+                { emptyMessage: 'Aucune opération depuis la dernière clôture' }
+            );
+        } else if (this.activeTab === 'close') {
+            const closedToday = period.closes.some(close => close.date === this.dateKey(new Date()));
+            container.innerHTML = closedToday
+                ? '<div style="text-align: center; padding: 20px; color: #666;">🔒 La caisse est déjà clôturée aujourd\'hui</div>'
+                : `
+                    <div style="display: flex; flex-direction: column; gap: 15px;">
+                        <div>Solde attendu : <strong>${this.formatAmount(period.expected)}</strong> (${period.entries.length} opération(s))</div>
+                        <input class="cash-counted" type="number" min="0" inputmode="decimal" placeholder="Espèces comptées" style="${engine.baseInputStyle}">
+                        <input class="cash-close-note" type="text" dir="auto" placeholder="Remarque (optionnel)" style="${engine.baseInputStyle}">
+                        <button class="cash-close-btn" style="${engine.buttonStyle('#FF9500', '#E6850E')}">🔒 Clôturer la caisse</button>
+                    </div>
+                `;
+        } else {
+            const rows = period.closes.map(close => [
+                escape(close.date),
+                this.formatAmount(close.expected),
+                this.formatAmount(close.counted),
+                `<strong style="color: ${close.difference === 0 ? '#34C759' : '#FF3B30'};">${this.formatAmount(close.difference)}</strong>`,
+                escape(close.closedByName),
+                escape(close.note)
+            ]);
+            const totalDifference = period.closes.reduce((sum, close) => sum + (close.difference || 0), 0);
+            const withDiscrepancy = period.closes.filter(close => close.difference !== 0).length;
+            container.innerHTML = `
+                <div style="margin-bottom: 10px; color: #666;">${withDiscrepancy} clôture(s) avec écart sur ${period.closes.length}, écart cumulé ${this.formatAmount(totalDifference)}</div>
+                ${engine.renderTable(['Date', 'Attendu', 'Compté', 'Écart', 'Par', 'Remarque'], rows, { emptyMessage: 'Aucune clôture enregistrée' })}
+            `;
+        }
+    }
+}
+
+/**
+ * Classement (Administration): ranking of players from the `users` collection
+ * Weekly and monthly views rank what was gained since the period started. The first admin sign-in of a period
+ * stores everyone's totals at the start of the period in `leaderboardSnapshots/{periodKey}`: XP and DZD are
+ * rewound through the coinTransactions written since then, so a late snapshot still starts at the boundary.
+ * The level has no history and is taken as it is when the snapshot is written.
+ * Rules only let admins create a snapshot and nobody change it afterwards.
+ */
+class LeaderboardManager {
+    constructor(game) {
+        this.game = game;
+        this.snapshotsCollectionName = 'leaderboardSnapshots';
+        this.topCount = 10;
+        this.period = 'all';
+        this.metric = 'level';
+        this.handle = null;
+        
+        // Each metric ranks by its keys in order; players equal on all keys share a rank
+        this.metrics = {
+            level: { label: 'Niveau', keys: ['level', 'experience'] },
+            experience: { label: 'XP', keys: ['experience'] },
+            points: { label: 'Points (DZD)', keys: ['points'] }
+        };
+        
+        this.periods = {
+            week: 'Semaine',
+            month: 'Mois',
+            all: 'Tout temps'
+        };
+        
+        this.game.houseInteraction.registerHandler('leaderboard', this);
+    }
+    
+    periodKey(period, date = new Date()) {
+        const engine = this.game.houseForms;
+        if (period === 'week') return `week-${engine.weekKey(date)}`;
+        if (period === 'month') return `month-${engine.dateKey(date).slice(0, 7)}`;
+        return null;
+    }
+    
+    // Local midnight on the Monday of the week, or on the first day of the month
+    periodStart(period, date = new Date()) {
+        const start = new Date(date);
+        start.setHours(0, 0, 0, 0);
+        if (period === 'week') start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+        if (period === 'month') start.setDate(1);
+        return start;
+    }
+    
+    /**
+     * XP and DZD each player had when the period started: today's balance less what the ledger recorded since
+     * @returns {Promise<Object>} { [playerId]: { level, experience, points } }
+     */
+    async totalsAt(start, players) {
+        const since = window.query(
+            window.collection(window.db, this.game.coinLedger.collectionName),
+            window.where('createdAt', '>=', start.toISOString())
+        );
+        const querySnapshot = await window.getDocs(since);
+        
+        const totals = {};
+        players.forEach(player => {
+            totals[player.id] = { level: player.level, experience: player.experience, points: player.points };
+        });
+        querySnapshot.docs.forEach(doc => {
+            const entry = doc.data();
+            const total = totals[entry.playerId];
+            if (total && entry.currency in total) total[entry.currency] -= Number(entry.amount) || 0;
+        });
+        return totals;
+    }
+    
+    /**
+     * Every player once, from the `users` collection; the one scan of it shared by the managers that need players
+     * Admin-created accounts can have both an email-keyed and a uid-keyed document: the first one found gives
+     * the stats and `docIds` lists both
+     * @returns {Promise<Array<{ id, name, email, level, experience, points, stats, docIds }>>}
+     */
+    async fetchPlayers() {
+        const querySnapshot = await window.getDocs(window.collection(window.db, 'users'));
+        const players = new Map();
+        
+        querySnapshot.docs.forEach(doc => {
+            const data = doc.data();
+            const id = data.uid || doc.id;
+            if (players.has(id)) {
+                players.get(id).docIds.push(doc.id);
+                return;
+            }
+            players.set(id, {
+                id,
+                name: data.name || data.email || 'Player',
+                email: data.email || '',
+                level: Number(data.level) || 0,
+                experience: Number(data.experience) || 0,
+                points: Number(data.points) || 0,
+                stats: data,
+                docIds: [doc.id]
+            });
+        });
+        
+        return Array.from(players.values());
+    }
+    
+    async loadPlayers() {
+        if (!window.db) return [];
+        
+        try {
+            return await this.fetchPlayers();
+        } catch (error) {
+            console.error('❌ Error loading leaderboard players:', error);
+            return [];
+        }
+    }
+    
+    // Store everyone's totals at the start of the period the first time an admin sees it; later calls leave it alone
+    async ensureSnapshot(period) {
+        if (!window.db) return null;
+        const key = this.periodKey(period);
+        const snapshotRef = window.doc(window.db, this.snapshotsCollectionName, key);
+        
+        try {
+            const existing = await window.getDoc(snapshotRef);
+            if (existing.exists()) return existing.data();
+            if (!this.game.auth.isAdmin()) return null;
+            
+            const start = this.periodStart(period);
+            const totals = await this.totalsAt(start, await this.loadPlayers());
+            
+            return await window.runTransaction(window.db, async (transaction) => {
+                const current = await transaction.get(snapshotRef);
+                if (current.exists()) return current.data();
+                
+                const snapshot = { period, key, totals, startsAt: start.toISOString(), createdAt: new Date().toISOString() };
+                transaction.set(snapshotRef, snapshot);
+                console.log(`📸 Leaderboard snapshot created: ${key}`);
+                return snapshot;
+            });
+        } catch (error) {
+            console.error('❌ Error creating leaderboard snapshot:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Rank players for a period and metric using standard competition ranking (1, 2, 2, 4)
+     * @returns {Promise<Array<{ rank, tied, id, name, level, experience, points }>|null>} null while no admin has opened the period
+     */
+    async getRanking(period = this.period, metric = this.metric) {
+        let players = await this.loadPlayers();
+        
+        if (period !== 'all') {
+            const snapshot = await this.ensureSnapshot(period);
+            if (!snapshot) return null;
+            const totals = snapshot.totals;
+            // Players created after the snapshot started the period from zero
+            players = players.map(player => {
+                const start = totals[player.id] || { level: 0, experience: 0, points: 0 };
+                return {
+                    ...player,
+                    level: player.level - (start.level || 0),
+                    experience: player.experience - (start.experience || 0),
+                    points: player.points - (start.points || 0)
+                };
+            });
+        }
+        
+        const keys = this.metrics[metric].keys;
+        const compare = (a, b) => {
+            for (const key of keys) {
+                if (b[key] !== a[key]) return b[key] - a[key];
+            }
+            return 0;
+        };
+        
+        players.sort((a, b) => compare(a, b) || a.name.localeCompare(b.name));
+        
+        return players.map((player, index) => {
+            let rankIndex = index;
+            while (rankIndex > 0 && compare(players[rankIndex - 1], player) === 0) rankIndex--;
+            const tied = (index > 0 && compare(players[index - 1], player) === 0)
+                || (index < players.length - 1 && compare(players[index + 1], player) === 0);
+            return { ...player, rank: rankIndex + 1, tied };
+        });
+    }
+    
+    async open() {
+        const engine = this.game.houseForms;
+        const tabStyle = 'flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;';
+        this.handle = engine.openModal({
+            id: 'leaderboard-modal',
+            title: '🏆 Classement',
+            maxWidth: '650px',
+            bodyHTML: `
+                <div style="display: flex; gap: 10px; margin-bottom: 10px;">
+                    ${Object.entries(this.periods).map(([period, label]) => `<button class="leaderboard-period" data-period="${period}" style="${tabStyle}">${label}</button>`).join('')}
+                </div>
+                <select class="leaderboard-metric" style="${engine.baseInputStyle} margin-bottom: 15px;">
+                    ${Object.entries(this.metrics).map(([metric, { label }]) => `<option value="${metric}">Classer par ${label}</option>`).join('')}
+                </select>
+                <div class="leaderboard-table" style="overflow-x: auto;"></div>
+            `
+        });
+        
+        const content = this.handle.content;
+        content.querySelectorAll('.leaderboard-period').forEach(button => {
+            button.addEventListener('click', () => {
+                this.period = button.getAttribute('data-period');
+                this.render();
+            });
+        });
+        
+        const metricSelect = content.querySelector('.leaderboard-metric');
+        metricSelect.value = this.metric;
+        metricSelect.addEventListener('change', () => {
+            this.metric = metricSelect.value;
+            this.render();
+        });
+        
+        await this.render();
+    }
+    
+    async render() {
+        if (!this.handle) return;
+        const content = this.handle.content;
+        const container = content.querySelector('.leaderboard-table');
+        const escape = value => this.game.houseForms.escapeHTML(value);
+        
+        content.querySelectorAll('.leaderboard-period').forEach(button => {
+            const active = button.getAttribute('data-period') === this.period;
+            button.style.background = active ? '#007AFF' : 'white';
+            button.style.color = active ? 'white' : '#007AFF';
+        });
+        container.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">Loading...</div>';
+        
+        const ranking = await this.getRanking();
+        if (!ranking) {
+            container.innerHTML = '<div style="text-align: center; padding: 20px; color: #999; font-style: italic;">Le point de départ de cette période sera enregistré à la prochaine connexion d\'un administrateur</div>';
+            return;
+        }
+        if (ranking.length === 0) {
+            container.innerHTML = '<div style="text-align: center; padding: 20px; color: #999; font-style: italic;">Aucun joueur classé</div>';
+            return;
+        }
+        
+        const currentId = this.game.auth.user?.uid;
+        const medals = { 1: '🥇', 2: '🥈', 3: '🥉' };
+        const gain = value => (this.period !== 'all' && value > 0 ? `+${value}` : value);
+        const cell = 'padding: 8px; border: 1px solid #e1e5e9;';
+        
+        const renderRow = (player) => {
+            const isCurrent = player.id === currentId;
+            return `
+                <tr style="${isCurrent ? 'background: #FFF3CD; font-weight: 700;' : ''}">
+                    <td style="${cell} text-align: center;">${medals[player.rank] || ''} ${player.rank}${player.tied ? '=' : ''}</td>
+                    <td style="${cell}" dir="auto">${escape(player.name)}${isCurrent ? ' (vous)' : ''}</td>
+                    <td style="${cell} text-align: center;">${gain(player.level)}</td>
+                    <td style="${cell} text-align: center;">${gain(player.experience)}</td>
+                    <td style="${cell} text-align: center;">${gain(player.points)}</td>
+                </tr>
+            `;
+        };
+        
+        // The top N is everyone ranked N or better, so a tie on the last place does not cut anyone off
+        const top = ranking.filter(player => player.rank <= this.topCount);
+        const current = ranking.find(player => player.id === currentId);
+        const showCurrentBelow = current && !top.includes(current);
+        
+        container.innerHTML = `
+            <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+                <thead>
+                    <tr style="background: #007AFF; color: white;">
+                        <th style="${cell}">#</th>
+                        <th style="${cell}">Player</th>
+                        <th style="${cell}">Niveau</th>
+                        <th style="${cell}">XP</th>
+                        <th style="${cell}">Points (DZD)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${top.map(renderRow).join('')}
+                    ${showCurrentBelow ? `<tr><td colspan="5" style="${cell} text-align: center; color: #999;">…</td></tr>${renderRow(current)}` : ''}
+                </tbody>
+            </table>
+            <div style="margin-top: 10px; color: #999; font-size: 13px; text-align: center;">${ranking.length} joueur(s) classé(s)</div>
+        `;
+    }
+}
+
+/**
+ * Coins Historique: every change to a player's DZD points and XP is a `coinTransactions` document
+ * with its amount, source, balance after and actor. The user document keeps `ledger: { points, experience }`,
+ * the balance the ledger accounts for. The game writes each change together with its entries (recordChange);
+ * what the admin dashboard changes outside the ledger is recorded by reconcile(), so replaying the ledger
+ * always gives the current balance.
+ */
+class CoinLedger {
+    constructor(game) {
+        this.game = game;
+        this.collectionName = 'coinTransactions';
+        this.currencies = {
+            points: 'DZD',
+            experience: 'XP'
+        };
+        this.sourceLabels = {
+            opening: 'Solde initial',
+            admin: 'Ajustement admin',
+            quest: 'Quête',
+            movement: 'Déplacement',
+            level_up: 'Passage de niveau',
+            idea: 'Idée acceptée',
+            reward: 'Récompense'
+        };
+        this.filters = { currency: '', sourceType: '', from: '', to: '' };
+        this.handle = null;
+        
+        this.game.houseInteraction.registerHandler('coinHistory', this);
+    }
+    
+    getActor() {
+        const user = this.game.auth.user;
+        return {
+            actorId: user ? user.uid : 'system',
+            actorName: user ? this.game.auth.getPlayerName() : 'System'
+        };
+    }
+    
+    // Admin-created accounts may be stored under an auto id with a `uid` field instead of under the uid
+    async resolveUserRef(playerId) {
+        const userRef = window.doc(window.db, 'users', playerId);
+        const userDoc = await window.getDoc(userRef);
+        if (userDoc.exists()) return userRef;
+        
+        const q = window.query(window.collection(window.db, 'users'), window.where('uid', '==', playerId));
+        const querySnapshot = await window.getDocs(q);
+        if (querySnapshot.empty) throw new Error(`User ${playerId} not found`);
+        return window.doc(window.db, 'users', querySnapshot.docs[0].id);
+    }
+    
+    writeTransaction(transaction, playerId, currency, amount, balanceAfter, source, actor, createdAt) {
+        const entryRef = window.doc(window.collection(window.db, this.collectionName));
+        const entry = {
+            playerId,
+            currency,
+            amount,
+            balanceAfter,
+            source: { type: source.type, id: source.id || null, label: source.label || this.sourceLabels[source.type] || source.type },
+            actorId: actor.actorId,
+            actorName: actor.actorName,
+            createdAt
+        };
+        transaction.set(entryRef, entry);
+        return { id: entryRef.id, ...entry };
+    }
+    
+    /**
+     * Write a balance change and its ledger entries into a running transaction
+     * The caller has already read the user document (`data`) in that transaction, so several players can be
+     * credited together with the quest or idea that pays them
+     * @param {{ points?: number, experience?: number }} deltas
+     * @returns {Array} The recorded transactions
+     */
+    recordChange(transaction, userRef, data, playerId, deltas, source, actor = this.getActor(), createdAt = new Date().toISOString()) {
+        const ledger = data.ledger || {};
+        const updates = {};
+        const recorded = [];
+        
+        Object.keys(this.currencies).forEach(currency => {
+            const amount = Number(deltas[currency]) || 0;
+            const current = Number(data[currency]) || 0;
+            
+            // Changes made outside the ledger are accounted for before this one
+            if ((ledger[currency] || 0) !== current) {
+                const type = ledger[currency] === undefined ? 'opening' : 'admin';
+                recorded.push(this.writeTransaction(transaction, playerId, currency, current - (ledger[currency] || 0), current, { type }, actor, createdAt));
+            }
+            
+            if (amount === 0) {
+                updates[`ledger.${currency}`] = current;
+                return;
+            }
+            
+            const balanceAfter = current + amount;
+            updates[currency] = balanceAfter;
+            updates[`ledger.${currency}`] = balanceAfter;
+            recorded.push(this.writeTransaction(transaction, playerId, currency, amount, balanceAfter, source, actor, createdAt));
+        });
+        
+        transaction.update(userRef, updates);
+        return recorded;
+    }
+    
+    /**
+     * Credit or debit a player and record it in the same Firestore transaction
+     * @param {string} playerId - Player uid
+     * @param {{ points?: number, experience?: number }|Function} deltas - or a function of the user document read in the transaction
+     * @param {{ type: string, id?: string, label?: string }} source - e.g. { type: 'quest', id: questId }
+     * @returns {Promise<Array>} The recorded transactions
+     */
+    async applyChange(playerId, deltas, source) {
+        if (!window.db) throw new Error('Database unavailable');
+        
+        const userRef = await this.resolveUserRef(playerId);
+        
+        const entries = await window.runTransaction(window.db, async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+            const data = userDoc.data();
+            return this.recordChange(transaction, userRef, data, playerId, typeof deltas === 'function' ? deltas(data) : deltas, source);
+        });
+        
+        console.log(`🪙 Ledger updated for ${playerId}:`, entries);
+        this.syncLocalStats(playerId, entries);
+        return entries;
+    }
+    
+    /**
+     * Set balances to given values, recording the difference from what the transaction reads
+     * @param {{ points?: number, experience?: number }} balances
+     */
+    async setBalances(playerId, balances, source) {
+        return this.applyChange(playerId, (data) => {
+            const deltas = {};
+            Object.keys(balances).forEach(currency => {
+                deltas[currency] = Number(balances[currency]) - (Number(data[currency]) || 0);
+            });
+            return deltas;
+        }, source);
+    }
+    
+    /**
+     * Record whatever changed the player's balances outside the ledger (the admin dashboard)
+     * Changes made by the game itself are written with their entries and never reach this. Only admins write
+     * ledger entries; a player's gap is recorded by recordChange() with their next change
+     */
+    async reconcile(playerId = this.game.auth.user?.uid, source = { type: 'admin' }) {
+        if (!window.db || !playerId || !this.game.auth.isAdmin()) return [];
+        
+        try {
+            const userRef = await this.resolveUserRef(playerId);
+            const actor = this.getActor();
+            
+            const entries = await window.runTransaction(window.db, async (transaction) => {
+                const userDoc = await transaction.get(userRef);
+                const data = userDoc.data();
+                const ledger = data.ledger || {};
+                const createdAt = new Date().toISOString();
+                const updates = {};
+                const recorded = [];
+                
+                Object.keys(this.currencies).forEach(currency => {
+                    const current = Number(data[currency]) || 0;
+                    if (ledger[currency] === current) return;
+                    
+                    updates[`ledger.${currency}`] = current;
+                    if ((ledger[currency] || 0) === current) return;
+                    
+                    const entrySource = ledger[currency] === undefined ? { type: 'opening' } : source;
+                    recorded.push(this.writeTransaction(transaction, playerId, currency, current - (ledger[currency] || 0), current, entrySource, actor, createdAt));
+                });
+                
+                if (Object.keys(updates).length > 0) transaction.update(userRef, updates);
+                return recorded;
+            });
+            
+            if (entries.length > 0) {
+                console.log(`🪙 Ledger reconciled for ${playerId}:`, entries);
+                this.syncLocalStats(playerId, entries);
+            }
+            return entries;
+        } catch (error) {
+            console.error('❌ Error reconciling coin ledger:', error);
+            return [];
+        }
+    }
+    
+    // Keep the in-memory stats in step with the balances just recorded
+    syncLocalStats(playerId, entries) {
+        const auth = this.game.auth;
+        if (!auth.user || auth.user.uid !== playerId || !auth.userStats) return;
+        
+        auth.userStats.ledger = auth.userStats.ledger || {};
+        entries.forEach(entry => {
+            auth.userStats[entry.currency] = entry.balanceAfter;
+            auth.userStats.ledger[entry.currency] = entry.balanceAfter;
+        });
+        if (this.game.ui) this.game.ui.updateUserStats(auth.userStats);
+    }
+    
+    async listTransactions(playerId = this.game.auth.user?.uid) {
+        if (!window.db || !playerId) return [];
+        
+        try {
+            const q = window.query(window.collection(window.db, this.collectionName), window.where('playerId', '==', playerId));
+            const querySnapshot = await window.getDocs(q);
+            return querySnapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+        } catch (error) {
+            console.error('❌ Error loading coin transactions:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Rebuild balances from the transactions alone
+     * @returns {{ points: number, experience: number }}
+     */
+    replay(transactions) {
+        const balances = { points: 0, experience: 0 };
+        transactions.forEach(entry => {
+            balances[entry.currency] = (balances[entry.currency] || 0) + (Number(entry.amount) || 0);
+        });
+        return balances;
+    }
+    
+    applyFilters(transactions) {
+        const { currency, sourceType, from, to } = this.filters;
+        return transactions.filter(entry => {
+            const day = this.game.houseForms.dateKey(entry.createdAt);
+            return (!currency || entry.currency === currency)
+                && (!sourceType || entry.source?.type === sourceType)
+                && (!from || day >= from)
+                && (!to || day <= to);
+        });
+    }
+    
+    async open() {
+        const engine = this.game.houseForms;
+        const inputStyle = `${engine.baseInputStyle} margin-top: 0;`;
+        this.handle = engine.openModal({
+            id: 'coin-history-modal',
+            title: '🪙 Coins Historique',
+            maxWidth: '760px',
+            bodyHTML: `
+                <div class="coin-history-summary" style="background: #f8f9fa; padding: 15px; border-radius: 12px; text-align: center; margin-bottom: 15px;"></div>
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 10px; margin-bottom: 15px;">
+                    <select class="coin-filter" data-filter="currency" style="${inputStyle}">
+                        <option value="">Toutes monnaies</option>
+                        ${Object.entries(this.currencies).map(([currency, label]) => `<option value="${currency}">${label}</option>`).join('')}
+                    </select>
+                    <select class="coin-filter" data-filter="sourceType" style="${inputStyle}">
+                        <option value="">Toutes sources</option>
+                        ${Object.entries(this.sourceLabels).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                    </select>
+                    <input class="coin-filter" data-filter="from" type="date" title="Du" style="${inputStyle}">
+                    <input class="coin-filter" data-filter="to" type="date" title="Au" style="${inputStyle}">
+                </div>
+                <div class="coin-history-table" style="overflow-x: auto;"></div>
+            `
+        });
+        
+        this.handle.content.querySelectorAll('.coin-filter').forEach(input => {
+            input.value = this.filters[input.getAttribute('data-filter')];
+            input.addEventListener('change', () => {
+                this.filters[input.getAttribute('data-filter')] = input.value;
+                this.render();
+            });
+        });
+        
+        await this.reconcile();
+        this.transactions = await this.listTransactions();
+        this.render();
+    }
+    
+    render() {
+        if (!this.handle) return;
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        const content = this.handle.content;
+        const transactions = this.transactions || [];
+        
+        const replayed = this.replay(transactions);
+        const stats = this.game.auth.userStats || {};
+        content.querySelector('.coin-history-summary').innerHTML = Object.entries(this.currencies).map(([currency, label]) => {
+            const matches = replayed[currency] === (Number(stats[currency]) || 0);
+            return `<div>${label} : <strong>${replayed[currency].toLocaleString()}</strong> ${matches ? '✅' : '⚠️ ne correspond pas au solde'}</div>`;
+        }).join('');
+        
+        const rows = this.applyFilters(transactions).reverse().map(entry => [
+            escape(new Date(entry.createdAt).toLocaleString()),
+            escape(this.currencies[entry.currency] || entry.currency),
+            `<span style="color: ${entry.amount < 0 ? '#FF3B30' : '#34C759'}; font-weight: 600;">${entry.amount > 0 ? '+' : ''}${escape(entry.amount)}</span>`,
+            escape(entry.source?.label || entry.source?.type || ''),
+            escape(entry.balanceAfter),
+            escape(entry.actorName)
+        ]);
+        
+        content.querySelector('.coin-history-table').innerHTML = engine.renderTable(
+            ['Date', 'Monnaie', 'Montant', 'Source', 'Solde après', 'Par'],
+            rows,
+            { emptyMessage: 'Aucune transaction pour ces filtres' }
+        );
+    }
+}
+
+/**
+ * Idées d'amélioration (Administration): players post ideas, upvote others' ideas once and comment
+ * Admins move ideas through proposed → reviewing → accepted → done, or rejected; the author is rewarded
+ * through the coin ledger the first time an idea is accepted.
+ */
+class IdeaBoardManager {
+    constructor(game) {
+        this.game = game;
+        this.collectionName = 'ideas';
+        this.acceptReward = { experience: 50, points: 20 };
+        this.statusFilter = '';
+        this.openComments = new Set();
+        this.handle = null;
+        this.section = null;
+        
+        this.statuses = {
+            proposed: { label: 'Proposée', color: '#8E8E93' },
+            reviewing: { label: 'En étude', color: '#FF9500' },
+            accepted: { label: 'Acceptée', color: '#007AFF' },
+            done: { label: 'Réalisée', color: '#34C759' },
+            rejected: { label: 'Rejetée', color: '#FF3B30' }
+        };
+        
+        // Allowed next statuses for each status
+        this.transitions = {
+            proposed: ['reviewing', 'rejected'],
+            reviewing: ['accepted', 'rejected'],
+            accepted: ['done', 'rejected'],
+            done: [],
+            rejected: []
+        };
+        
+        this.game.houseInteraction.registerHandler('ideaBoard', this);
+    }
+    
+    ideaRef(ideaId) {
+        return window.doc(window.db, this.collectionName, ideaId);
+    }
+    
+    commentsRef(ideaId) {
+        return window.collection(window.db, this.collectionName, ideaId, 'comments');
+    }
+    
+    async postIdea({ title, details }) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        
+        const now = new Date().toISOString();
+        const authorName = this.game.auth.getPlayerName();
+        const idea = {
+            title,
+            details: details || '',
+            authorId: user.uid,
+            authorName,
+            status: 'proposed',
+            votes: 0,
+            voterIds: [],
+            commentCount: 0,
+            statusHistory: [{ status: 'proposed', by: user.uid, byName: authorName, at: now }],
+            rewardStatus: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        const docRef = await window.addDoc(window.collection(window.db, this.collectionName), idea);
+        console.log('💡 Idea posted:', docRef.id);
+        return { id: docRef.id, ...idea };
+    }
+    
+    // One vote per player, never on their own idea; checked inside a transaction so double taps count once
+    async upvote(ideaId) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        
+        return window.runTransaction(window.db, async (transaction) => {
+            const ideaSnap = await transaction.get(this.ideaRef(ideaId));
+            if (!ideaSnap.exists()) throw new Error('Idea not found');
+            
+            const idea = ideaSnap.data();
+            if (idea.authorId === user.uid) throw new Error('You cannot vote for your own idea');
+            if ((idea.voterIds || []).includes(user.uid)) throw new Error('You already voted for this idea');
+            
+            transaction.update(this.ideaRef(ideaId), {
+                votes: window.increment(1),
+                voterIds: window.arrayUnion(user.uid)
+            });
+            return (idea.votes || 0) + 1;
+        });
+    }
+    
+    async addComment(ideaId, text) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        
+        const comment = {
+            authorId: user.uid,
+            authorName: this.game.auth.getPlayerName(),
+            text,
+            createdAt: new Date().toISOString()
+        };
+        await window.addDoc(this.commentsRef(ideaId), comment);
+        await window.updateDoc(this.ideaRef(ideaId), { commentCount: window.increment(1) });
+        return comment;
+    }
+    
+    async listComments(ideaId) {
+        try {
+            const querySnapshot = await window.getDocs(this.commentsRef(ideaId));
+            return querySnapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+        } catch (error) {
+            console.error('❌ Error loading idea comments:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Move an idea to its next status (admins only)
+     * The author is paid through the coin ledger in the same transaction as the first acceptance, so exactly once
+     */
+    async changeStatus(ideaId, status, note = '') {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        if (!this.game.auth.isAdmin()) throw new Error('Only admins can change the status of an idea');
+        
+        const ledger = this.game.coinLedger;
+        const ideaDoc = await window.getDoc(this.ideaRef(ideaId));
+        if (!ideaDoc.exists()) throw new Error('Idea not found');
+        // The author's users document is looked up first: a transaction can only read documents by reference
+        const authorId = ideaDoc.data().authorId;
+        const authorRef = status === 'accepted' ? await ledger.resolveUserRef(authorId) : null;
+        
+        const result = await window.runTransaction(window.db, async (transaction) => {
+            const ideaSnap = await transaction.get(this.ideaRef(ideaId));
+            if (!ideaSnap.exists()) throw new Error('Idea not found');
+            const authorSnap = authorRef ? await transaction.get(authorRef) : null;
+            
+            const idea = ideaSnap.data();
+            if (!(this.transitions[idea.status] || []).includes(status)) {
+                throw new Error(`An idea cannot go from ${idea.status} to ${status}`);
+            }
+            
+            const now = new Date().toISOString();
+            const updates = {
+                status,
+                updatedAt: now,
+                statusHistory: window.arrayUnion({ status, by: user.uid, byName: this.game.auth.getPlayerName(), at: now, note })
+            };
+            
+            let entries = [];
+            if (status === 'accepted' && idea.rewardStatus !== 'paid') {
+                entries = ledger.recordChange(transaction, authorRef, authorSnap.data(), authorId, this.acceptReward, {
+                    type: 'idea',
+                    id: ideaId,
+                    label: `Idée acceptée : ${idea.title}`
+                }, ledger.getActor(), now);
+                updates.rewardStatus = 'paid';
+            }
+            
+            transaction.update(this.ideaRef(ideaId), updates);
+            return { entries };
+        });
+        
+        ledger.syncLocalStats(authorId, result.entries);
+        console.log(`💡 Idea ${ideaId} moved to ${status}`);
+    }
+    
+    async listIdeas(constraints = []) {
+        if (!window.db) return [];
+        
+        try {
+            const q = window.query(window.collection(window.db, this.collectionName), ...constraints);
+            const querySnapshot = await window.getDocs(q);
+            return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('❌ Error loading ideas:', error);
+            return [];
+        }
+    }
+    
+    async listByAuthor(authorId = this.game.auth.user?.uid) {
+        if (!authorId) return [];
+        const ideas = await this.listIdeas([window.where('authorId', '==', authorId)]);
+        return ideas.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    }
+    
+    renderStatusBadge(status) {
+        const info = this.statuses[status] || { label: status, color: '#8E8E93' };
+        return `<span style="padding: 4px 12px; border-radius: 20px; font-size: 12px; font-weight: 600; color: white; background: ${info.color};">${this.game.houseForms.escapeHTML(info.label)}</span>`;
+    }
+    
+    async open(house, houseData, section) {
+        const engine = this.game.houseForms;
+        this.section = section || { name: "Idées D'amélioration", fields: [{ label: 'Titres', type: 'text', required: true }, { label: 'Détails', type: 'textarea' }] };
+        const [titleField, detailsField] = this.section.fields;
+        
+        this.handle = engine.openModal({
+            id: 'idea-board-modal',
+            title: '💡 Idées d\'amélioration',
+            maxWidth: '700px',
+            bodyHTML: `
+                <form class="idea-form" novalidate style="display: flex; flex-direction: column; gap: 15px; background: #f8f9fa; padding: 20px; border-radius: 12px;">
+                    ${engine.renderFields(this.section.fields, 'idea')}
+                    <button type="submit" style="${engine.buttonStyle('#FF9500', '#E6850E')}">💡 Proposer</button>
+                </form>
+                <select class="idea-status-filter" style="${engine.baseInputStyle} margin: 20px 0 15px 0;">
+                    <option value="">Toutes les idées</option>
+                    <option value="mine">Mes idées</option>
+                    ${Object.entries(this.statuses).map(([status, { label }]) => `<option value="${status}">${label}</option>`).join('')}
+                </select>
+                <div class="idea-list" style="display: flex; flex-direction: column; gap: 12px;"></div>
+            `
+        });
+        
+        const content = this.handle.content;
+        const form = content.querySelector('.idea-form');
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const { values, errors } = engine.collectValues(form, this.section);
+            engine.showFieldErrors(form, errors);
+            if (Object.keys(errors).length > 0) return;
+            
+            try {
+                await this.postIdea({ title: values[titleField.label], details: detailsField ? values[detailsField.label] : '' });
+                form.reset();
+                this.game.auth.showBottomNotification('💡 Idée proposée, merci !', 'success');
+                this.render();
+            } catch (error) {
+                console.error('❌ Error posting idea:', error);
+                this.game.auth.showBottomNotification('❌ Idée non enregistrée, réessayez', 'error');
+            }
+        });
+        
+        const filter = content.querySelector('.idea-status-filter');
+        filter.value = this.statusFilter;
+        filter.addEventListener('change', () => {
+            this.statusFilter = filter.value;
+            this.render();
+        });
+        
+        content.querySelector('.idea-list').addEventListener('click', (e) => this.handleListClick(e));
+        content.querySelector('.idea-list').addEventListener('submit', (e) => this.handleCommentSubmit(e));
+        
+        await this.render();
+    }
+    
+    async handleListClick(e) {
+        const button = e.target.closest('button[data-idea-id]');
+        if (!button || button.type === 'submit') return;
+        const ideaId = button.getAttribute('data-idea-id');
+        
+        try {
+            if (button.classList.contains('idea-vote-btn')) {
+                await this.upvote(ideaId);
+                this.game.auth.showBottomNotification('👍 Vote enregistré', 'success');
+            } else if (button.classList.contains('idea-comments-btn')) {
+                if (this.openComments.has(ideaId)) this.openComments.delete(ideaId);
+                else this.openComments.add(ideaId);
+            } else if (button.classList.contains('idea-status-btn')) {
+                const select = button.parentElement.querySelector('.idea-next-status');
+                if (!select.value) return;
+                await this.changeStatus(ideaId, select.value);
+                this.game.auth.showBottomNotification(`✅ Idée passée à « ${this.statuses[select.value].label} »`, 'success');
+            }
+        } catch (error) {
+            console.error('❌ Idea action failed:', error);
+            this.game.auth.showBottomNotification(`❌ ${error.message}`, 'error');
+        }
+        this.render();
+    }
+    
+    async handleCommentSubmit(e) {
+        if (!e.target.classList.contains('idea-comment-form')) return;
+        e.preventDefault();
+        
+        const input = e.target.querySelector('input');
+        const text = input.value.trim();
+        if (!text) return;
+        
+        try {
+            await this.addComment(e.target.getAttribute('data-idea-id'), text);
+            this.render();
+        } catch (error) {
+            console.error('❌ Error adding comment:', error);
+            this.game.auth.showBottomNotification('❌ Commentaire non enregistré', 'error');
+        }
+    }
+    
+    async render() {
+        if (!this.handle) return;
+        const escape = value => this.game.houseForms.escapeHTML(value);
+        const container = this.handle.content.querySelector('.idea-list');
+        const uid = this.game.auth.user?.uid;
+        const isAdmin = this.game.auth.isAdmin();
+        
+        let ideas = await this.listIdeas();
+        if (this.statusFilter === 'mine') ideas = ideas.filter(idea => idea.authorId === uid);
+        else if (this.statusFilter) ideas = ideas.filter(idea => idea.status === this.statusFilter);
+        ideas.sort((a, b) => (b.votes || 0) - (a.votes || 0) || (b.createdAt || '').localeCompare(a.createdAt || ''));
+        
+        if (ideas.length === 0) {
+            container.innerHTML = '<div style="text-align: center; padding: 20px; color: #999; font-style: italic;">Aucune idée pour le moment</div>';
+            return;
+        }
+        
+        const comments = {};
+        await Promise.all(ideas.filter(idea => this.openComments.has(idea.id)).map(async idea => {
+            comments[idea.id] = await this.listComments(idea.id);
+        }));
+        
+        container.innerHTML = ideas.map(idea => {
+            const voted = (idea.voterIds || []).includes(uid);
+            const canVote = idea.authorId !== uid && !voted;
+            const nextStatuses = this.transitions[idea.status] || [];
+            
+            return `
+                <div style="background: rgba(255, 255, 255, 0.7); border: 1px solid rgba(0, 0, 0, 0.1); border-radius: 12px; padding: 15px;">
+                    <div style="display: flex; justify-content: space-between; align-items: flex-start; gap: 10px; margin-bottom: 8px;">
+                        <strong style="color: #333; font-size: 16px;" dir="auto">${escape(idea.title)}</strong>
+                        ${this.renderStatusBadge(idea.status)}
+                    </div>
+                    <div style="color: #555; font-size: 14px; line-height: 1.4; margin-bottom: 10px; white-space: pre-wrap;" dir="auto">${escape(idea.details)}</div>
+                    <div style="display: flex; justify-content: space-between; align-items: center; font-size: 12px; color: #666; gap: 10px; flex-wrap: wrap;">
+                        <div>Par <strong>${escape(idea.authorName)}</strong> · ${new Date(idea.createdAt).toLocaleDateString()}</div>
+                        <div style="display: flex; gap: 8px;">
+                            <button class="idea-vote-btn" data-idea-id="${escape(idea.id)}" ${canVote ? '' : 'disabled'} style="border: 1px solid #007AFF; background: ${voted ? '#007AFF' : 'white'}; color: ${voted ? 'white' : '#007AFF'}; border-radius: 15px; padding: 4px 10px; cursor: ${canVote ? 'pointer' : 'default'};">👍 ${idea.votes || 0}</button>
+                            <button class="idea-comments-btn" data-idea-id="${escape(idea.id)}" style="border: 1px solid #8E8E93; background: white; color: #333; border-radius: 15px; padding: 4px 10px; cursor: pointer;">💬 ${idea.commentCount || 0}</button>
+                        </div>
+                    </div>
+                    ${isAdmin && nextStatuses.length > 0 ? `
+                        <div style="display: flex; gap: 8px; margin-top: 10px;">
+                            <select class="idea-next-status" style="flex: 1; padding: 6px; border-radius: 8px; border: 1px solid #e1e5e9;">
+                                <option value="">Changer le statut…</option>
+                                ${nextStatuses.map(status => `<option value="${status}">${this.statuses[status].label}</option>`).join('')}
+                            </select>
+                            <button class="idea-status-btn" data-idea-id="${escape(idea.id)}" style="border: none; background: #007AFF; color: white; border-radius: 8px; padding: 6px 12px; cursor: pointer;">Appliquer</button>
+                        </div>
+                    ` : ''}
+                    ${comments[idea.id] ? `
+                        <div style="margin-top: 10px; border-top: 1px solid #e1e5e9; padding-top: 10px; display: flex; flex-direction: column; gap: 6px;">
+                            ${comments[idea.id].map(comment => `<div style="font-size: 13px;" dir="auto"><strong>${escape(comment.authorName)}</strong> : ${escape(comment.text)}</div>`).join('') || '<div style="font-size: 13px; color: #999;">Pas encore de commentaire</div>'}
+                            <form class="idea-comment-form" data-idea-id="${escape(idea.id)}" style="display: flex; gap: 8px;">
+                                <input type="text" dir="auto" placeholder="Votre commentaire" style="flex: 1; padding: 6px; border-radius: 8px; border: 1px solid #e1e5e9;">
+                                <button type="submit" data-idea-id="${escape(idea.id)}" style="border: none; background: #34C759; color: white; border-radius: 8px; padding: 6px 12px; cursor: pointer;">Envoyer</button>
+                            </form>
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+}
+
+/**
+ * Missions des Autres (Administration): paginated feed of other players' approved missions
+ * Players can endorse a mission once and toggle emoji reactions. Only missions with `private: false` are readable
+ * by other players, so the feed queries on it; backfillPrivacy() sets it on missions written before the field.
+ * The feed query needs a composite index on playerMissions (status, private, submittedAt desc).
+ */
+class MissionFeedManager {
+    constructor(game) {
+        this.game = game;
+        this.collectionName = 'playerMissions';
+        this.pageSize = 5;
+        this.pageCursors = [null]; // Start cursor of each page visited so far
+        this.pageIndex = 0;
+        this.nextCursor = null;
+        this.handle = null;
+        
+        this.reactions = {
+            clap: '👏',
+            fire: '🔥',
+            idea: '💡'
+        };
+        
+        this.game.houseInteraction.registerHandler('missionsFeed', this);
+    }
+    
+    missionRef(missionId) {
+        return window.doc(window.db, this.collectionName, missionId);
+    }
+    
+    isVisibleInFeed(mission) {
+        return mission.status === 'approved' && !mission.private && mission.playerId !== this.game.auth.user?.uid;
+    }
+    
+    /**
+     * Load one page of the feed starting after a document snapshot
+     * Own missions are skipped client-side, so batches are read until the page is full
+     * @returns {Promise<{ missions: Array, nextCursor: Object|null }>} nextCursor is null on the last page
+     */
+    async loadPage(startAfterDoc = null) {
+        if (!window.db) return { missions: [], nextCursor: null };
+        
+        const missions = [];
+        let cursor = startAfterDoc;
+        
+        try {
+            while (missions.length < this.pageSize) {
+                const constraints = [
+                    window.where('status', '==', 'approved'),
+                    window.where('private', '==', false),
+                    window.orderBy('submittedAt', 'desc')
+                ];
+                if (cursor) constraints.push(window.startAfter(cursor));
+                constraints.push(window.limit(this.pageSize));
+                
+                const querySnapshot = await window.getDocs(window.query(window.collection(window.db, this.collectionName), ...constraints));
+                for (const doc of querySnapshot.docs) {
+                    cursor = doc;
+                    const mission = { id: doc.id, ...doc.data() };
+                    if (this.isVisibleInFeed(mission)) missions.push(mission);
+                    if (missions.length === this.pageSize) break;
+                }
+                
+                if (querySnapshot.docs.length < this.pageSize) {
+                    return { missions, nextCursor: null };
+                }
+            }
+            
+            return { missions, nextCursor: cursor };
+        } catch (error) {
+            console.error('❌ Error loading missions feed:', error);
+            return { missions, nextCursor: null };
+        }
+    }
+    
+    async endorse(missionId) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        
+        return window.runTransaction(window.db, async (transaction) => {
+            const missionSnap = await transaction.get(this.missionRef(missionId));
+            if (!missionSnap.exists()) throw new Error('Mission not found');
+            
+            const mission = missionSnap.data();
+            if (mission.playerId === user.uid) throw new Error('You cannot endorse your own mission');
+            if ((mission.endorsedBy || []).includes(user.uid)) throw new Error('You already endorsed this mission');
+            
+            transaction.update(this.missionRef(missionId), {
+                endorsedBy: window.arrayUnion(user.uid),
+                endorsementCount: window.increment(1)
+            });
+        });
+    }
+    
+    // Reactions are toggled: tapping the same emoji again removes it
+    async toggleReaction(missionId, reaction, active) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        if (!this.reactions[reaction]) throw new Error(`Unknown reaction: ${reaction}`);
+        
+        await window.updateDoc(this.missionRef(missionId), {
+            [`reactions.${reaction}`]: active ? window.arrayRemove(user.uid) : window.arrayUnion(user.uid)
+        });
+    }
+    
+    // Owners can take a mission out of the feed (or put it back) at any time
+    async setPrivate(missionId, isPrivate) {
+        if (!this.game.auth.user || !window.db) throw new Error('Not authenticated');
+        await window.updateDoc(this.missionRef(missionId), { private: isPrivate });
+    }
+    
+    /**
+     * Give every mission without a `private` flag `private: false` (admin only)
+     * Missions submitted before the flag existed were all shared in the feed
+     * @returns {Promise<number>} How many missions were updated
+     */
+    async backfillPrivacy() {
+        if (!window.db || !this.game.auth.isAdmin()) {
+            throw new Error('Réservé aux administrateurs');
+        }
+        
+        const querySnapshot = await window.getDocs(window.collection(window.db, this.collectionName));
+        const pending = querySnapshot.docs.filter(doc => typeof doc.data().private !== 'boolean');
+        for (const doc of pending) {
+            await window.updateDoc(this.missionRef(doc.id), { private: false });
+        }
+        
+        if (pending.length > 0) console.log(`🔓 Mission privacy backfilled: ${pending.length}`);
+        return pending.length;
+    }
+    
+    async open() {
+        const engine = this.game.houseForms;
+        this.pageCursors = [null];
+        this.pageIndex = 0;
+        
+        this.handle = engine.openModal({
+            id: 'missions-feed-modal',
+            title: '👥 Missions des Autres',
+            subtitle: 'Missions approuvées de vos collègues',
+            maxWidth: '650px',
+            bodyHTML: `
+                <div class="missions-feed-list" style="display: flex; flex-direction: column; gap: 12px;"></div>
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 20px;">
+                    <button class="missions-feed-prev" style="${engine.buttonStyle()}">← Précédent</button>
+                    <span class="missions-feed-page" style="color: #666;"></span>
+                    <button class="missions-feed-next" style="${engine.buttonStyle()}">Suivant →</button>
+                </div>
+            `
+        });
+        
+        const content = this.handle.content;
+        content.querySelector('.missions-feed-prev').addEventListener('click', () => {
+            if (this.pageIndex === 0) return;
+            this.pageIndex--;
+            this.render();
+        });
+        content.querySelector('.missions-feed-next').addEventListener('click', () => {
+            if (!this.nextCursor) return;
+            this.pageCursors[this.pageIndex + 1] = this.nextCursor;
+            this.pageIndex++;
+            this.render();
+        });
+        content.querySelector('.missions-feed-list').addEventListener('click', (e) => this.handleListClick(e));
+        
+        await this.render();
+    }
+    
+    async handleListClick(e) {
+        const button = e.target.closest('button[data-mission-id]');
+        if (!button) return;
+        const missionId = button.getAttribute('data-mission-id');
+        
+        try {
+            if (button.classList.contains('mission-endorse-btn')) {
+                await this.endorse(missionId);
+                this.game.auth.showBottomNotification('🤝 Mission recommandée', 'success');
+            } else if (button.classList.contains('mission-reaction-btn')) {
+                await this.toggleReaction(missionId, button.getAttribute('data-reaction'), button.getAttribute('data-active') === 'true');
+            }
+        } catch (error) {
+            console.error('❌ Mission feed action failed:', error);
+            this.game.auth.showBottomNotification(`❌ ${error.message}`, 'error');
+        }
+        this.render();
+    }
+    
+    renderPreview(mission) {
+        const escape = value => this.game.houseForms.escapeHTML(value);
+        const content = String(mission.content || '');
+        
+        if (this.game.media.isMedia(mission.media)) {
+            return this.game.media.renderThumbnail(mission.media, 80);
+        }
+        if (mission.type === 'link' && /^https?:\/\//i.test(content)) {
+            return `<a href="${escape(content)}" target="_blank" rel="noopener noreferrer" style="color: #007AFF; word-break: break-all;">${escape(content.slice(0, 80))}</a>`;
+        }
+        return escape(content.length > 120 ? `${content.slice(0, 120)}…` : content);
+    }
+    
+    async render() {
+        if (!this.handle) return;
+        const escape = value => this.game.houseForms.escapeHTML(value);
+        const content = this.handle.content;
+        const container = content.querySelector('.missions-feed-list');
+        const uid = this.game.auth.user?.uid;
+        
+        container.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">Loading...</div>';
+        const { missions, nextCursor } = await this.loadPage(this.pageCursors[this.pageIndex]);
+        this.nextCursor = nextCursor;
+        
+        content.querySelector('.missions-feed-page').textContent = `Page ${this.pageIndex + 1}`;
+        content.querySelector('.missions-feed-prev').disabled = this.pageIndex === 0;
+        content.querySelector('.missions-feed-prev').style.opacity = this.pageIndex === 0 ? '0.4' : '1';
+        content.querySelector('.missions-feed-next').disabled = !nextCursor;
+        content.querySelector('.missions-feed-next').style.opacity = nextCursor ? '1' : '0.4';
+        
+        if (missions.length === 0) {
+            container.innerHTML = '<div style="text-align: center; padding: 20px; color: #999; font-style: italic;">Aucune mission partagée pour le moment</div>';
+            return;
+        }
+        
+        container.innerHTML = missions.map(mission => {
+            const endorsed = (mission.endorsedBy || []).includes(uid);
+            const reactionButtons = Object.entries(this.reactions).map(([reaction, emoji]) => {
+                const users = (mission.reactions && mission.reactions[reaction]) || [];
+                const active = users.includes(uid);
+                return `<button class="mission-reaction-btn" data-mission-id="${escape(mission.id)}" data-reaction="${reaction}" data-active="${active}" style="border: 1px solid ${active ? '#007AFF' : '#e1e5e9'}; background: ${active ? 'rgba(0, 122, 255, 0.1)' : 'white'}; border-radius: 15px; padding: 4px 10px; cursor: pointer;">${emoji} ${users.length}</button>`;
+            }).join('');
+            
+            return `
+                <div style="background: rgba(255, 255, 255, 0.7); border: 1px solid rgba(0, 0, 0, 0.1); border-radius: 12px; padding: 15px;">
+                    <div style="display: flex; justify-content: space-between; align-items: flex-start; gap: 10px; margin-bottom: 8px;">
+                        <div style="display: flex; align-items: center; gap: 8px;">
+                            <span style="font-size: 20px;">${mission.type === 'photo' ? '📸' : mission.type === 'link' ? '🔗' : '📝'}</span>
+                            <strong style="color: #333; font-size: 16px;" dir="auto">${escape(mission.title)}</strong>
+                        </div>
+                        <span style="font-size: 12px; color: #666; white-space: nowrap;">${new Date(mission.submittedAt).toLocaleDateString()}</span>
+                    </div>
+                    <div style="background: rgba(0, 0, 0, 0.05); padding: 8px; border-radius: 6px; font-size: 13px; color: #333; margin-bottom: 10px;" dir="auto">${this.renderPreview(mission)}</div>
+                    <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px; flex-wrap: wrap; font-size: 12px; color: #666;">
+                        <div>Par <strong>${escape(mission.playerName)}</strong></div>
+                        <div style="display: flex; gap: 6px; flex-wrap: wrap;">
+                            ${reactionButtons}
+                            <button class="mission-endorse-btn" data-mission-id="${escape(mission.id)}" ${endorsed ? 'disabled' : ''} style="border: none; background: ${endorsed ? '#34C759' : 'linear-gradient(135deg, #34C759 0%, #28A745 100%)'}; color: white; border-radius: 15px; padding: 4px 12px; cursor: ${endorsed ? 'default' : 'pointer'};">🤝 ${endorsed ? 'Recommandée' : 'Recommander'} (${mission.endorsementCount || 0})</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        this.game.media.hydrate(container);
+    }
+}
+
+/**
+ * RivalGateManager - Password gate of house 1 (Rival)
+ * The password is never compared in the client: its PBKDF2 hash is the id of a `rivalVault` document
+ * that holds the protected content, so Firestore only returns it to someone who knows the password.
+ * The rules do the counting: a vault can only be read right after an attempt naming it was recorded in
+ * gateAttempts, each attempt adds one failure, five lock the player out for 15 minutes, and only a player
+ * who just proved a vault id can clear the count or write a gateUnlocks entry (see firestore.rules).
+ * A vault can also be issued to one player (per-player access code), hashed together with their uid.
+ */
+class RivalGateManager {
+    constructor(game) {
+        this.game = game;
+        this.vaultCollectionName = 'rivalVault';
+        this.attemptsCollectionName = 'gateAttempts';
+        this.unlocksCollectionName = 'gateUnlocks';
+        this.maxFailures = 5; // Mirrored in firestore.rules
+        this.lockoutMinutes = 15; // Mirrored in firestore.rules
+        this.unlockMinutes = 60; // Default unlock duration, a vault can override it with `unlockMinutes`
+        this.kdfIterations = 600000;
+        this.vault = null;
+        this.handle = null;
+        
+        this.game.houseInteraction.registerHandler('rivalGate', this);
+        
+        this.game.auth.onAuthStateChange((user) => {
+            if (!user) this.vault = null;
+        });
+    }
+    
+    /**
+     * PBKDF2-SHA256 of the secret as lowercase hex, salted per gate (and per player for access codes).
+     * Vaults saved before the switch from plain SHA-256 have to be provisioned again.
+     */
+    async hashSecret(secret, playerId = null) {
+        const encoder = new TextEncoder();
+        const salt = playerId ? `rivalation:rival:${playerId}` : 'rivalation:rival';
+        const key = await window.crypto.subtle.importKey('raw', encoder.encode(secret.normalize('NFC')), 'PBKDF2', false, ['deriveBits']);
+        const bits = await window.crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: this.kdfIterations },
+            key,
+            256
+        );
+        return Array.from(new Uint8Array(bits)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    attemptsRef(playerId) {
+        return window.doc(window.db, this.attemptsCollectionName, playerId);
+    }
+    
+    unlockRef(playerId) {
+        return window.doc(window.db, this.unlocksCollectionName, playerId);
+    }
+    
+    // Firestore timestamps come back as Timestamp objects
+    toDate(value) {
+        return value && typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    }
+    
+    async readVault(vaultId) {
+        const vaultDoc = await window.getDoc(window.doc(window.db, this.vaultCollectionName, vaultId));
+        return vaultDoc.exists() ? { id: vaultDoc.id, ...vaultDoc.data() } : null;
+    }
+    
+    // Minutes left before the player can try again, 0 when not locked
+    async getLockoutMinutes(playerId) {
+        const attemptsDoc = await window.getDoc(this.attemptsRef(playerId));
+        const lockedAt = attemptsDoc.exists() ? attemptsDoc.data().lockedAt : null;
+        if (!lockedAt) return 0;
+        
+        const remaining = this.toDate(lockedAt).getTime() + this.lockoutMinutes * 60000 - Date.now();
+        return remaining > 0 ? Math.ceil(remaining / 60000) : 0;
+    }
+    
+    /**
+     * Check a password or access code
+     * @returns {Promise<{ status: 'unlocked'|'wrong'|'locked', vault?: Object, remainingAttempts?: number, minutes?: number }>}
+     */
+    async verify(secret) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        
+        const lockoutMinutes = await this.getLockoutMinutes(user.uid);
+        if (lockoutMinutes > 0) return { status: 'locked', minutes: lockoutMinutes };
+        
+        // The rules only let the player read the vault ids named by their latest attempt
+        const candidates = await Promise.all([this.hashSecret(secret, user.uid), this.hashSecret(secret)]);
+        const failures = await this.recordAttempt(user.uid, candidates);
+        const [ownVault, sharedVault] = await Promise.all(candidates.map(vaultId => this.readVault(vaultId)));
+        
+        // A player's own access code takes precedence over the shared password
+        const vault = ownVault && ownVault.playerId === user.uid
+            ? ownVault
+            : (sharedVault && !sharedVault.playerId ? sharedVault : null);
+        
+        if (vault) {
+            const minutes = vault.unlockMinutes || this.unlockMinutes;
+            // The proof clears the count; the rules then accept an unlock for that vault only
+            await window.setDoc(this.attemptsRef(user.uid), { failures: 0, candidates: [], attemptAt: window.serverTimestamp(), lockedAt: null, proof: vault.id });
+            await window.setDoc(this.unlockRef(user.uid), { vaultId: vault.id, unlockedAt: window.serverTimestamp(), minutes });
+            const expiresAt = new Date(Date.now() + minutes * 60000);
+            console.log(`🔓 Rival gate unlocked until ${expiresAt.toLocaleTimeString()}`);
+            this.vault = { ...vault, expiresAt: expiresAt.toISOString() };
+            return { status: 'unlocked', vault: this.vault };
+        }
+        
+        if (failures >= this.maxFailures) {
+            console.log(`🔒 Rival gate locked for ${this.lockoutMinutes} minutes`);
+            return { status: 'locked', minutes: this.lockoutMinutes };
+        }
+        return { status: 'wrong', remainingAttempts: this.maxFailures - failures };
+    }
+    
+    /**
+     * Count an attempt before any vault is read; the rules only accept one more failure than before
+     * @returns {Promise<number>} Failures so far, the lock starts when it reaches maxFailures
+     */
+    async recordAttempt(playerId, candidates) {
+        return window.runTransaction(window.db, async (transaction) => {
+            const attemptsDoc = await transaction.get(this.attemptsRef(playerId));
+            const previous = attemptsDoc.exists() ? attemptsDoc.data() : {};
+            // A lock that has run out starts a fresh count
+            const failures = (previous.lockedAt ? 0 : previous.failures || 0) + 1;
+            
+            transaction.set(this.attemptsRef(playerId), {
+                failures,
+                candidates,
+                attemptAt: window.serverTimestamp(),
+                lockedAt: failures >= this.maxFailures ? window.serverTimestamp() : null,
+                proof: null
+            });
+            return failures;
+        });
+    }
+    
+    // An earlier unlock stays valid until it expires, even after a page reload
+    async restoreUnlock() {
+        const user = this.game.auth.user;
+        if (!user || !window.db) return null;
+        
+        if (this.vault && new Date(this.vault.expiresAt) > new Date()) return this.vault;
+        this.vault = null;
+        
+        try {
+            const unlockDoc = await window.getDoc(this.unlockRef(user.uid));
+            if (!unlockDoc.exists()) return null;
+            
+            const unlock = unlockDoc.data();
+            if (!unlock.unlockedAt) return null;
+            const expiresAt = new Date(this.toDate(unlock.unlockedAt).getTime() + (unlock.minutes || this.unlockMinutes) * 60000);
+            if (expiresAt <= new Date()) return null;
+            
+            const vault = await this.readVault(unlock.vaultId);
+            if (!vault) return null; // The password was changed since
+            
+            this.vault = { ...vault, expiresAt: expiresAt.toISOString() };
+            return this.vault;
+        } catch (error) {
+            console.error('❌ Error restoring Rival unlock:', error);
+            return null;
+        }
+    }
+    
+    async lock() {
+        const user = this.game.auth.user;
+        this.vault = null;
+        if (user && window.db) {
+            await window.deleteDoc(this.unlockRef(user.uid));
+        }
+    }
+    
+    /**
+     * Create or replace a vault (admin only)
+     * @param {string} secret - Shared password, or a player's access code when playerId is given
+     * @param {{ title?: string, content?: string, links?: Array<{label: string, url: string}>, unlockMinutes?: number }} protectedContent
+     * @param {string} [playerId] - Issue the code to this player only
+     */
+    async provisionVault(secret, protectedContent, playerId = null) {
+        if (!this.game.auth.isAdmin()) throw new Error('Only admins can change the Rival password');
+        if (!secret) throw new Error('A password is required');
+        
+        const vaultId = await this.hashSecret(secret, playerId);
+        await window.setDoc(window.doc(window.db, this.vaultCollectionName, vaultId), {
+            houseId: 1,
+            title: protectedContent.title || 'Rival',
+            content: protectedContent.content || '',
+            links: protectedContent.links || [],
+            unlockMinutes: protectedContent.unlockMinutes || this.unlockMinutes,
+            playerId: playerId,
+            createdBy: this.game.auth.user.uid,
+            createdAt: new Date().toISOString()
+        });
+        console.log(`✅ Rival vault ${playerId ? `for ${playerId} ` : ''}saved`);
+        return vaultId;
+    }
+    
+    async open(house, houseData) {
+        const vault = await this.restoreUnlock();
+        if (vault) {
+            this.showProtectedContent(vault);
+            return;
+        }
+        
+        const lockoutMinutes = this.game.auth.user ? await this.getLockoutMinutes(this.game.auth.user.uid) : 0;
+        if (lockoutMinutes > 0) {
+            this.game.auth.showBottomNotification(`🔒 Trop de tentatives, réessayez dans ${lockoutMinutes} min`, 'error');
+            return;
+        }
+        
+        this.game.houseForms.openForm({
+            title: houseData.name,
+            section: houseData,
+            layout: houseData.layout,
+            submitLabel: houseData.submitLabel,
+            onSubmit: (values, formModal, secrets) => this.handleSubmit(houseData, formModal, secrets)
+        });
+    }
+    
+    async handleSubmit(houseData, formModal, secrets) {
+        const secret = Object.values(secrets)[0] || '';
+        
+        try {
+            const result = await this.verify(secret);
+            
+            if (result.status === 'unlocked') {
+                formModal.style.display = 'none';
+                this.game.auth.showBottomNotification('🔓 Accès autorisé', 'success');
+                this.showProtectedContent(result.vault);
+            } else if (result.status === 'locked') {
+                formModal.style.display = 'none';
+                this.game.auth.showBottomNotification(`🔒 Trop de tentatives, réessayez dans ${result.minutes} min`, 'error');
+            } else {
+                const input = formModal.querySelector('input[type="password"]');
+                if (input) input.value = '';
+                this.game.auth.showBottomNotification(`❌ Mot de passe incorrect (${result.remainingAttempts} essai${result.remainingAttempts > 1 ? 's' : ''} restant${result.remainingAttempts > 1 ? 's' : ''})`, 'error');
+            }
+        } catch (error) {
+            console.error('❌ Rival gate check failed:', error);
+            this.game.auth.showBottomNotification('❌ Vérification impossible, réessayez', 'error');
+        }
+    }
+    
+    showProtectedContent(vault) {
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        const links = (vault.links || [])
+            .filter(link => /^https?:\/\//i.test(link.url || ''))
+            .map(link => `<li style="margin-bottom: 8px;"><a href="${escape(link.url)}" target="_blank" rel="noopener noreferrer" style="color: #007AFF;">${escape(link.label || link.url)}</a></li>`)
+            .join('');
+        
+        this.handle = engine.openModal({
+            id: 'rival-content-modal',
+            title: `🔓 ${vault.title || 'Rival'}`,
+            subtitle: `Accès valable jusqu'à ${new Date(vault.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`,
+            bodyHTML: `
+                <div style="background: #f8f9fa; padding: 20px; border-radius: 12px; color: #333; line-height: 1.5; white-space: pre-wrap;" dir="auto">${escape(vault.content || '')}</div>
+                ${links ? `<ul style="margin: 20px 0 0 0; padding-left: 20px;">${links}</ul>` : ''}
+                <div style="text-align: center; margin-top: 25px;">
+                    <button class="rival-lock-btn" style="${engine.buttonStyle('#8E8E93', '#6D6D70')}">🔒 Verrouiller</button>
+                </div>
+            `
+        });
+        
+        this.handle.content.querySelector('.rival-lock-btn').addEventListener('click', async () => {
+            await this.lock();
+            this.handle.close();
+            this.game.auth.showBottomNotification('🔒 Rival verrouillé', 'info');
+        });
+    }
+}
+
+/**
+ * NotebookManager - Private mission notebook of house 6 (Privé)
+ * Entries live in `notebooks/{uid}/entries` so rules can limit them to the owner and admins.
+ * Drafts autosave while typing and can be promoted into a pending `playerMissions` submission.
+ */
+class NotebookManager {
+    constructor(game) {
+        this.game = game;
+        this.collectionName = 'notebooks';
+        this.saveDelay = 800; // ms of typing pause before an autosave
+        this.saveTimer = null;
+        this.savePromise = null;
+        this.ownerId = null; // Whose notebook is open (admins can open anyone's)
+        this.entries = [];
+        this.current = null;
+        this.handle = null;
+        
+        this.kinds = {
+            draft: '📝 Brouillon de mission',
+            note: '🗒️ Note'
+        };
+        
+        this.game.houseInteraction.registerHandler('notebook', this);
+    }
+    
+    entriesRef(ownerId) {
+        return window.collection(window.db, this.collectionName, ownerId, 'entries');
+    }
+    
+    entryRef(ownerId, entryId) {
+        return window.doc(window.db, this.collectionName, ownerId, 'entries', entryId);
+    }
+    
+    canRead(ownerId) {
+        const user = this.game.auth.user;
+        return !!user && (user.uid === ownerId || this.game.auth.isAdmin());
+    }
+    
+    // Only http(s) links are kept, one per line
+    parseLinks(text) {
+        return String(text || '').split('\n')
+            .map(line => line.trim())
+            .filter(line => /^https?:\/\/\S+$/i.test(line));
+    }
+    
+    async listEntries(ownerId) {
+        if (!window.db || !this.canRead(ownerId)) return [];
+        
+        try {
+            const querySnapshot = await window.getDocs(this.entriesRef(ownerId));
+            return querySnapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+        } catch (error) {
+            console.error('❌ Error loading notebook:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Create or update an entry of the player's own notebook
+     * @returns {Promise<string>} the entry id
+     */
+    async saveEntry(entry) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        
+        const now = new Date().toISOString();
+        const data = {
+            kind: this.kinds[entry.kind] ? entry.kind : 'draft',
+            title: entry.title || '',
+            body: entry.body || '',
+            links: entry.links || [],
+            updatedAt: now
+        };
+        
+        if (entry.id) {
+            await window.setDoc(this.entryRef(user.uid, entry.id), data, { merge: true });
+            return entry.id;
+        }
+        
+        const docRef = await window.addDoc(this.entriesRef(user.uid), { ...data, status: 'draft', createdAt: now });
+        return docRef.id;
+    }
+    
+    async deleteEntry(entryId) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        await window.deleteDoc(this.entryRef(user.uid, entryId));
+    }
+    
+    /**
+     * Submit a draft as a real mission; the entry stays in the notebook, locked and linked to it
+     * The mission id is derived from the entry and both are written in one transaction, so a draft is submitted once
+     * @returns {Promise<string>} the new playerMissions id
+     */
+    async promote(entry) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        if (!entry.title || !entry.body) throw new Error('A mission needs a title and a description');
+        
+        const entryRef = this.entryRef(user.uid, entry.id);
+        const missionRef = window.doc(window.db, 'playerMissions', `${user.uid}_${entry.id}`);
+        const links = entry.links || [];
+        
+        await window.runTransaction(window.db, async (transaction) => {
+            const entryDoc = await transaction.get(entryRef);
+            const missionDoc = await transaction.get(missionRef);
+            if (!entryDoc.exists()) throw new Error('Draft not found');
+            if (entryDoc.data().status === 'promoted' || missionDoc.exists()) throw new Error('This draft was already submitted');
+            
+            const now = new Date().toISOString();
+            transaction.set(missionRef, {
+                playerId: user.uid,
+                playerName: this.game.auth.getPlayerName(),
+                title: entry.title,
+                description: entry.body,
+                content: links.length > 0 ? links[0] : entry.body,
+                links: links,
+                type: links.length > 0 ? 'link' : 'text',
+                status: 'pending',
+                private: false,
+                notebookEntryId: entry.id,
+                submittedAt: now,
+                createdAt: now
+            });
+            transaction.update(entryRef, {
+                status: 'promoted',
+                promotedMissionId: missionRef.id,
+                promotedAt: now
+            });
+        });
+        
+        console.log(`📤 Notebook draft ${entry.id} submitted as mission ${missionRef.id}`);
+        return missionRef.id;
+    }
+    
+    async open() {
+        const engine = this.game.houseForms;
+        const user = this.game.auth.user;
+        if (!user) {
+            this.game.auth.showBottomNotification('❌ Connectez-vous pour ouvrir votre carnet', 'error');
+            return;
+        }
+        
+        this.ownerId = user.uid;
+        this.current = null;
+        const isAdmin = this.game.auth.isAdmin();
+        const players = isAdmin ? await this.game.leaderboard.loadPlayers() : [];
+        
+        this.handle = engine.openModal({
+            id: 'notebook-modal',
+            title: '🔒 Carnet privé',
+            subtitle: 'Visible uniquement par vous et les administrateurs',
+            maxWidth: '750px',
+            bodyHTML: `
+                ${isAdmin ? `
+                    <select class="notebook-owner" style="${engine.baseInputStyle} margin-bottom: 15px;">
+                        ${players.map(player => `<option value="${engine.escapeHTML(player.id)}" ${player.id === user.uid ? 'selected' : ''}>${engine.escapeHTML(player.name)}</option>`).join('')}
+                    </select>
+                ` : ''}
+                <div style="display: flex; gap: 20px; flex-wrap: wrap;">
+                    <div style="flex: 1; min-width: 200px;">
+                        <button class="notebook-new-btn" style="${engine.buttonStyle()} width: 100%; margin-bottom: 10px;">➕ Nouveau</button>
+                        <div class="notebook-list" style="display: flex; flex-direction: column; gap: 8px;"></div>
+                    </div>
+                    <div class="notebook-editor" style="flex: 2; min-width: 260px;"></div>
+                </div>
+            `
+        });
+        
+        const content = this.handle.content;
+        content.querySelector('.notebook-new-btn').addEventListener('click', async () => {
+            await this.flushSave();
+            this.current = { kind: 'draft', title: '', body: '', links: [], status: 'draft' };
+            this.renderEditor();
+        });
+        content.querySelector('.notebook-list').addEventListener('click', async (e) => {
+            const item = e.target.closest('[data-entry-id]');
+            if (!item) return;
+            await this.flushSave();
+            this.current = this.entries.find(entry => entry.id === item.getAttribute('data-entry-id')) || null;
+            this.renderEditor();
+        });
+        
+        const ownerSelect = content.querySelector('.notebook-owner');
+        if (ownerSelect) {
+            ownerSelect.addEventListener('change', async () => {
+                await this.flushSave();
+                this.ownerId = ownerSelect.value;
+                this.current = null;
+                await this.render();
+            });
+        }
+        
+        await this.render();
+    }
+    
+    isReadonly() {
+        return this.ownerId !== this.game.auth.user?.uid || this.current?.status === 'promoted';
+    }
+    
+    async render() {
+        if (!this.handle) return;
+        this.entries = await this.listEntries(this.ownerId);
+        this.current = this.entries.find(entry => entry.id === this.current?.id) || this.current;
+        this.handle.content.querySelector('.notebook-new-btn').style.display = this.ownerId === this.game.auth.user?.uid ? '' : 'none';
+        
+        this.refreshList();
+        this.renderEditor();
+    }
+    
+    renderEditor() {
+        if (!this.handle) return;
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        const editor = this.handle.content.querySelector('.notebook-editor');
+        const entry = this.current;
+        
+        if (!entry) {
+            editor.innerHTML = '<div style="text-align: center; padding: 40px; color: #999; font-style: italic;">Choisissez une entrée ou créez-en une</div>';
+            return;
+        }
+        
+        const readonly = this.isReadonly() ? 'disabled' : '';
+        editor.innerHTML = `
+            <form class="notebook-form" novalidate style="display: flex; flex-direction: column; gap: 12px;">
+                <select name="kind" ${readonly} style="${engine.baseInputStyle}">
+                    ${Object.entries(this.kinds).map(([kind, label]) => `<option value="${kind}" ${entry.kind === kind ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <input name="title" ${readonly} placeholder="Titre" value="${escape(entry.title)}" dir="auto" style="${engine.baseInputStyle}">
+                <textarea name="body" ${readonly} placeholder="Description, idées, étapes..." rows="6" dir="auto" style="${engine.baseInputStyle} resize: vertical;">${escape(entry.body)}</textarea>
+                <textarea name="links" ${readonly} placeholder="Liens (un par ligne, https://...)" rows="3" style="${engine.baseInputStyle} resize: vertical;">${escape((entry.links || []).join('\n'))}</textarea>
+                ${(entry.links || []).map(link => `<a href="${escape(link)}" target="_blank" rel="noopener noreferrer" style="color: #007AFF; font-size: 13px; word-break: break-all;">🔗 ${escape(link)}</a>`).join('')}
+                <div class="notebook-save-status" style="font-size: 12px; color: #666;">${entry.status === 'promoted' ? '📤 Soumise comme mission, le brouillon est verrouillé' : entry.id ? '✓ Enregistré' : ''}</div>
+                ${readonly ? '' : `
+                    <div style="display: flex; gap: 10px; flex-wrap: wrap;">
+                        <button type="button" class="notebook-promote-btn" style="${engine.buttonStyle('#34C759', '#28A745')} flex: 1; ${entry.kind === 'draft' ? '' : 'display: none;'}">📤 Soumettre comme mission</button>
+                        <button type="button" class="notebook-delete-btn" style="${engine.buttonStyle('#FF3B30', '#D70015')} ${entry.id ? '' : 'display: none;'}">🗑️</button>
+                    </div>
+                `}
+            </form>
+        `;
+        
+        if (readonly) return;
+        
+        const form = editor.querySelector('.notebook-form');
+        form.addEventListener('input', () => this.scheduleSave());
+        form.addEventListener('change', () => {
+            form.querySelector('.notebook-promote-btn').style.display = form.elements.kind.value === 'draft' ? '' : 'none';
+            this.scheduleSave();
+        });
+        
+        const promoteButton = form.querySelector('.notebook-promote-btn');
+        promoteButton.addEventListener('click', async () => {
+            if (promoteButton.disabled) return;
+            promoteButton.disabled = true;
+            try {
+                await this.flushSave();
+                await this.promote(this.current);
+                this.game.auth.showBottomNotification('📤 Mission soumise pour validation', 'success');
+                this.current = { ...this.current, status: 'promoted' };
+                await this.render();
+            } catch (error) {
+                console.error('❌ Error promoting draft:', error);
+                this.game.auth.showBottomNotification(`❌ ${error.message}`, 'error');
+                promoteButton.disabled = false;
+            }
+        });
+        
+        form.querySelector('.notebook-delete-btn').addEventListener('click', async () => {
+            if (!confirm('Supprimer cette entrée ?')) return;
+            clearTimeout(this.saveTimer);
+            try {
+                await this.deleteEntry(this.current.id);
+                this.current = null;
+                await this.render();
+            } catch (error) {
+                console.error('❌ Error deleting notebook entry:', error);
+                this.game.auth.showBottomNotification('❌ Suppression impossible', 'error');
+            }
+        });
+    }
+    
+    // Autosave once the player stops typing
+    scheduleSave() {
+        const status = this.handle?.content.querySelector('.notebook-save-status');
+        if (status) status.textContent = '…';
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveCurrent(), this.saveDelay);
+    }
+    
+    async flushSave() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            await this.saveCurrent();
+        }
+        await this.savePromise;
+    }
+    
+    async saveCurrent() {
+        this.saveTimer = null;
+        const form = this.handle?.content.querySelector('.notebook-form');
+        if (!form || !this.current || this.isReadonly()) return;
+        
+        const entry = this.current;
+        entry.kind = form.elements.kind.value;
+        entry.title = form.elements.title.value.trim();
+        entry.body = form.elements.body.value;
+        entry.links = this.parseLinks(form.elements.links.value);
+        
+        const status = form.querySelector('.notebook-save-status');
+        // Chain saves so a new entry is created only once
+        this.savePromise = Promise.resolve(this.savePromise).then(async () => {
+            try {
+                entry.id = await this.saveEntry(entry);
+                if (status) status.textContent = '✓ Enregistré';
+                form.querySelector('.notebook-delete-btn').style.display = '';
+            } catch (error) {
+                console.error('❌ Notebook autosave failed:', error);
+                if (status) status.textContent = '⚠️ Non enregistré';
+            }
+        });
+        await this.savePromise;
+        
+        if (!entry.id) return;
+        this.entries = [{ ...entry }, ...this.entries.filter(existing => existing.id !== entry.id)];
+        this.refreshList();
+    }
+    
+    // Redraw only the side list, so the editor the player is typing in keeps its focus
+    refreshList() {
+        const escape = value => this.game.houseForms.escapeHTML(value);
+        const list = this.handle?.content.querySelector('.notebook-list');
+        if (!list) return;
+        
+        if (this.entries.length === 0) {
+            list.innerHTML = '<div style="text-align: center; padding: 20px; color: #999; font-style: italic;">Carnet vide</div>';
+            return;
+        }
+        
+        list.innerHTML = this.entries.map(entry => `
+            <div data-entry-id="${escape(entry.id)}" style="padding: 10px; border-radius: 8px; cursor: pointer; background: ${entry.id === this.current?.id ? 'rgba(0, 122, 255, 0.1)' : '#f8f9fa'}; border: 1px solid ${entry.id === this.current?.id ? '#007AFF' : '#e1e5e9'};">
+                <div style="font-weight: 600; color: #333;" dir="auto">${escape(entry.title || 'Sans titre')}</div>
+                <div style="font-size: 12px; color: #666;">${this.kinds[entry.kind] || ''}${entry.status === 'promoted' ? ' · 📤 Soumise' : ''}</div>
+            </div>
+        `).join('');
+    }
+}
+
+/**
+ * SeminarManager - Séminaire records of the Centre d'Informations
+ * A seminar keeps its sessions and a participant roster with one attendance flag per session,
+ * so per-session counts and full attendance are derived instead of typed in.
+ */
+class SeminarManager {
+    constructor(game) {
+        this.game = game;
+        this.collectionName = 'seminars';
+        this.activeTab = 'upcoming';
+        this.editing = null; // Seminar shown in the editor tab
+        this.handle = null;
+        
+        this.game.houseInteraction.registerHandler('seminars', this);
+    }
+    
+    seminarRef(seminarId) {
+        return window.doc(window.db, this.collectionName, seminarId);
+    }
+    
+    async listSeminars() {
+        if (!window.db) return [];
+        
+        try {
+            const querySnapshot = await window.getDocs(window.collection(window.db, this.collectionName));
+            return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('❌ Error loading seminars:', error);
+            return [];
+        }
+    }
+    
+    sortSessions(sessions) {
+        return [...sessions].sort((a, b) => `${a.date} ${a.start}`.localeCompare(`${b.date} ${b.start}`));
+    }
+    
+    /**
+     * Check a seminar before saving
+     * @returns {string[]} error messages, empty when valid
+     */
+    validate(seminar) {
+        const errors = [];
+        if (!seminar.title) errors.push('Le titre est obligatoire');
+        if (seminar.sessions.length === 0) errors.push('Ajoutez au moins une séance');
+        
+        seminar.sessions.forEach((session, index) => {
+            if (!session.date || !session.start || !session.end) {
+                errors.push(`Séance ${index + 1} : date, début et fin sont obligatoires`);
+            } else if (session.end <= session.start) {
+                errors.push(`Séance ${index + 1} : la fin doit être après le début`);
+            }
+        });
+        
+        if (!Number.isInteger(seminar.certificatesIssued) || seminar.certificatesIssued < 0) {
+            errors.push('Le nombre d\'attestations doit être un entier positif');
+        }
+        return errors;
+    }
+    
+    /**
+     * Derive the counts the old form asked for
+     * @returns {{ sessionCounts: number[], fullAttendance: number, certificatesIssued: number, overIssued: number }}
+     */
+    summarize(seminar) {
+        const sessions = seminar.sessions || [];
+        const participants = seminar.participants || [];
+        const sessionCounts = sessions.map((session, index) => participants.filter(participant => participant.attended[index]).length);
+        const fullAttendance = sessions.length === 0 ? 0 : participants.filter(participant => sessions.every((session, index) => participant.attended[index])).length;
+        const certificatesIssued = seminar.certificatesIssued || 0;
+        
+        return {
+            sessionCounts,
+            fullAttendance,
+            certificatesIssued,
+            overIssued: Math.max(0, certificatesIssued - fullAttendance)
+        };
+    }
+    
+    // Seminars with a session today or later, soonest first
+    getUpcoming(seminars, today = this.game.houseForms.dateKey()) {
+        return seminars
+            .map(seminar => ({ seminar, next: this.sortSessions(seminar.sessions || []).find(session => session.date >= today) }))
+            .filter(({ next }) => next)
+            .sort((a, b) => `${a.next.date} ${a.next.start}`.localeCompare(`${b.next.date} ${b.next.start}`));
+    }
+    
+    async saveSeminar(seminar) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        
+        const errors = this.validate(seminar);
+        if (errors.length > 0) throw new Error(errors[0]);
+        
+        // Attendance flags follow their session when sessions are reordered by date
+        const order = seminar.sessions.map((session, index) => index)
+            .sort((a, b) => `${seminar.sessions[a].date} ${seminar.sessions[a].start}`.localeCompare(`${seminar.sessions[b].date} ${seminar.sessions[b].start}`));
+        const now = new Date().toISOString();
+        const data = {
+            title: seminar.title,
+            sessions: order.map(index => seminar.sessions[index]),
+            participants: (seminar.participants || []).map(participant => ({
+                name: participant.name,
+                attended: order.map(index => !!participant.attended[index])
+            })),
+            certificatesIssued: seminar.certificatesIssued,
+            updatedAt: now,
+            updatedBy: user.uid
+        };
+        const summary = this.summarize(data);
+        data.fullAttendance = summary.fullAttendance;
+        
+        if (seminar.id) {
+            await window.updateDoc(this.seminarRef(seminar.id), data);
+            return seminar.id;
+        }
+        
+        const docRef = await window.addDoc(window.collection(window.db, this.collectionName), {
+            ...data,
+            createdBy: user.uid,
+            createdByName: this.game.auth.getPlayerName(),
+            createdAt: now
+        });
+        console.log(`🎓 Seminar "${seminar.title}" created`);
+        return docRef.id;
+    }
+    
+    newSeminar() {
+        // The old form had three séances
+        return {
+            title: '',
+            sessions: [1, 2, 3].map(() => ({ date: '', start: '', end: '' })),
+            participants: [],
+            certificatesIssued: 0
+        };
+    }
+    
+    async open() {
+        const engine = this.game.houseForms;
+        this.activeTab = 'upcoming';
+        this.editing = null;
+        
+        this.handle = engine.openModal({
+            id: 'seminar-modal',
+            title: '🎓 Séminaires',
+            maxWidth: '800px',
+            bodyHTML: `
+                <div style="display: flex; gap: 10px; margin-bottom: 15px;">
+                    <button class="seminar-tab" data-tab="upcoming" style="flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;">À venir</button>
+                    <button class="seminar-tab" data-tab="all" style="flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;">Tous</button>
+                    <button class="seminar-tab" data-tab="edit" style="flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;">➕ Nouveau</button>
+                </div>
+                <div class="seminar-tab-content" style="overflow-x: auto;"></div>
+            `
+        });
+        
+        const content = this.handle.content;
+        content.querySelectorAll('.seminar-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.activeTab = tab.getAttribute('data-tab');
+                if (this.activeTab === 'edit') this.editing = this.newSeminar();
+                this.render();
+            });
+        });
+        
+        const container = content.querySelector('.seminar-tab-content');
+        container.addEventListener('click', (e) => this.handleClick(e));
+        container.addEventListener('submit', (e) => this.handleSubmit(e));
+        
+        await this.render();
+    }
+    
+    async handleClick(e) {
+        const openButton = e.target.closest('.seminar-open-btn');
+        if (openButton) {
+            const seminars = await this.listSeminars();
+            this.editing = seminars.find(seminar => seminar.id === openButton.getAttribute('data-seminar-id')) || null;
+            this.activeTab = 'edit';
+            this.render();
+            return;
+        }
+        
+        const form = e.target.closest('.seminar-form');
+        if (!form) return;
+        
+        if (e.target.closest('.seminar-add-session')) {
+            this.readForm(form);
+            this.editing.sessions.push({ date: '', start: '', end: '' });
+            this.renderEditor();
+        } else if (e.target.closest('.seminar-remove-session')) {
+            this.readForm(form);
+            const index = Number(e.target.closest('.seminar-remove-session').getAttribute('data-index'));
+            this.editing.sessions.splice(index, 1);
+            this.editing.participants.forEach(participant => participant.attended.splice(index, 1));
+            this.renderEditor();
+        } else if (e.target.closest('.seminar-add-participant')) {
+            this.readForm(form);
+            const name = form.querySelector('.seminar-participant-name').value.trim();
+            if (!name) return;
+            this.editing.participants.push({ name, attended: this.editing.sessions.map(() => false) });
+            this.renderEditor();
+        } else if (e.target.closest('.seminar-remove-participant')) {
+            this.readForm(form);
+            this.editing.participants.splice(Number(e.target.closest('.seminar-remove-participant').getAttribute('data-index')), 1);
+            this.renderEditor();
+        }
+    }
+    
+    // Copy the editor inputs back into this.editing
+    readForm(form) {
+        const seminar = this.editing;
+        seminar.title = form.elements.title.value.trim();
+        seminar.certificatesIssued = form.elements.certificates.value === '' ? 0 : Number(form.elements.certificates.value);
+        seminar.sessions = seminar.sessions.map((session, index) => ({
+            date: form.elements[`date-${index}`].value,
+            start: form.elements[`start-${index}`].value,
+            end: form.elements[`end-${index}`].value
+        }));
+        seminar.participants.forEach((participant, participantIndex) => {
+            participant.attended = seminar.sessions.map((session, index) => form.elements[`attended-${participantIndex}-${index}`].checked);
+        });
+    }
+    
+    async handleSubmit(e) {
+        if (!e.target.classList.contains('seminar-form')) return;
+        e.preventDefault();
+        this.readForm(e.target);
+        
+        const errors = this.validate(this.editing);
+        if (errors.length > 0) {
+            e.target.querySelector('.seminar-errors').innerHTML = errors.map(error => `<div>❌ ${this.game.houseForms.escapeHTML(error)}</div>`).join('');
+            return;
+        }
+        
+        try {
+            this.editing.id = await this.saveSeminar(this.editing);
+            const summary = this.summarize(this.editing);
+            if (summary.overIssued > 0) {
+                this.game.auth.showBottomNotification(`⚠️ Séminaire enregistré, mais ${summary.overIssued} attestation(s) de trop`, 'warning', 5000);
+            } else {
+                this.game.auth.showBottomNotification('✅ Séminaire enregistré', 'success');
+            }
+            const seminars = await this.listSeminars();
+            this.editing = seminars.find(seminar => seminar.id === this.editing.id) || this.editing;
+            this.renderEditor();
+        } catch (error) {
+            console.error('❌ Error saving seminar:', error);
+            this.game.auth.showBottomNotification(`❌ ${error.message}`, 'error');
+        }
+    }
+    
+    formatSession(session) {
+        return session ? `${new Date(`${session.date}T00:00`).toLocaleDateString()} ${session.start}–${session.end}` : '-';
+    }
+    
+    renderCertificateWarning(summary) {
+        if (summary.overIssued === 0) return '';
+        return `<span style="color: #FF3B30; font-weight: 600;">⚠️ ${summary.certificatesIssued} attestations pour ${summary.fullAttendance} participant(s) présents à toutes les séances</span>`;
+    }
+    
+    async render() {
+        if (!this.handle) return;
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        const content = this.handle.content;
+        const container = content.querySelector('.seminar-tab-content');
+        
+        content.querySelectorAll('.seminar-tab').forEach(tab => {
+            const active = tab.getAttribute('data-tab') === this.activeTab;
+            tab.style.background = active ? '#007AFF' : 'white';
+            tab.style.color = active ? 'white' : '#007AFF';
+        });
+        
+        if (this.activeTab === 'edit') {
+            this.renderEditor();
+            return;
+        }
+        
+        container.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">Loading...</div>';
+        const seminars = await this.listSeminars();
+        const openButton = seminar => `<button class="seminar-open-btn" data-seminar-id="${escape(seminar.id)}" style="border: none; background: #007AFF; color: white; border-radius: 6px; padding: 4px 10px; cursor: pointer;">Ouvrir</button>`;
+        
+        if (this.activeTab === 'upcoming') {
+            const rows = this.getUpcoming(seminars).map(({ seminar, next }) => [
+                escape(seminar.title),
+                escape(this.formatSession(next)),
+                `${(seminar.sessions || []).length}`,
+                `${(seminar.participants || []).length}`,
+                openButton(seminar)
+            ]);
+            container.innerHTML = engine.renderTable(['Séminaire', 'Prochaine séance', 'Séances', 'Inscrits', ''], rows, { emptyMessage: 'Aucun séminaire à venir' });
+            return;
+        }
+        
+        const rows = seminars
+            .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))
+            .map(seminar => {
+                const summary = this.summarize(seminar);
+                return [
+                    escape(seminar.title),
+                    escape(this.formatSession(this.sortSessions(seminar.sessions || [])[0])),
+                    summary.sessionCounts.join(' / ') || '-',
+                    `${summary.fullAttendance}`,
+                    `${summary.certificatesIssued}${summary.overIssued > 0 ? ' ⚠️' : ''}`,
+                    openButton(seminar)
+                ];
+            });
+        container.innerHTML = engine.renderTable(['Séminaire', 'Début', 'Présents par séance', 'Assidus', 'Attestations', ''], rows, { emptyMessage: 'Aucun séminaire enregistré' });
+    }
+    
+    renderEditor() {
+        if (!this.handle) return;
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        const container = this.handle.content.querySelector('.seminar-tab-content');
+        const seminar = this.editing || (this.editing = this.newSeminar());
+        const summary = this.summarize(seminar);
+        const cell = 'padding: 6px; border: 1px solid #e1e5e9; text-align: center;';
+        
+        const sessionRows = seminar.sessions.map((session, index) => `
+            <div style="display: flex; gap: 8px; align-items: center; flex-wrap: wrap;">
+                <strong style="width: 70px; color: #333;">Séance ${index + 1}</strong>
+                <input type="date" name="date-${index}" value="${escape(session.date)}" style="${engine.baseInputStyle} flex: 2; min-width: 130px;">
+                <input type="time" name="start-${index}" value="${escape(session.start)}" style="${engine.baseInputStyle} flex: 1; min-width: 90px;">
+                <input type="time" name="end-${index}" value="${escape(session.end)}" style="${engine.baseInputStyle} flex: 1; min-width: 90px;">
+                <span style="width: 60px; color: #666; font-size: 13px;">👥 ${summary.sessionCounts[index]}</span>
+                <button type="button" class="seminar-remove-session" data-index="${index}" style="border: none; background: none; cursor: pointer; font-size: 16px;">🗑️</button>
+            </div>
+        `).join('');
+        
+        const rosterRows = seminar.participants.map((participant, participantIndex) => `
+            <tr>
+                <td style="${cell} text-align: left;" dir="auto">${escape(participant.name)}</td>
+                ${seminar.sessions.map((session, index) => `<td style="${cell}"><input type="checkbox" name="attended-${participantIndex}-${index}" ${participant.attended[index] ? 'checked' : ''}></td>`).join('')}
+                <td style="${cell}"><button type="button" class="seminar-remove-participant" data-index="${participantIndex}" style="border: none; background: none; cursor: pointer;">✖</button></td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <form class="seminar-form" novalidate style="display: flex; flex-direction: column; gap: 15px;">
+                <input name="title" placeholder="Titre du séminaire" value="${escape(seminar.title)}" dir="auto" style="${engine.baseInputStyle}">
+                <div style="display: flex; flex-direction: column; gap: 8px;">
+                    ${sessionRows}
+                    <button type="button" class="seminar-add-session" style="align-self: flex-start; border: 1px dashed #007AFF; background: none; color: #007AFF; border-radius: 8px; padding: 6px 12px; cursor: pointer;">➕ Séance</button>
+                </div>
+                <div>
+                    <h3 style="margin: 10px 0; color: #1d1d1f; font-size: 16px;">Participants (${seminar.participants.length})</h3>
+                    ${seminar.participants.length > 0 ? `
+                        <table style="width: 100%; border-collapse: collapse; font-size: 14px; margin-bottom: 10px;">
+                            <thead>
+                                <tr style="background: #007AFF; color: white;">
+                                    <th style="${cell} text-align: left;">Nom</th>
+                                    ${seminar.sessions.map((session, index) => `<th style="${cell}">S${index + 1}</th>`).join('')}
+                                    <th style="${cell}"></th>
+                                </tr>
+                            </thead>
+                            <tbody>${rosterRows}</tbody>
+                        </table>
+                    ` : ''}
+                    <div style="display: flex; gap: 8px;">
+                        <input class="seminar-participant-name" placeholder="Nom du participant" dir="auto" style="${engine.baseInputStyle} flex: 1;">
+                        <button type="button" class="seminar-add-participant" style="${engine.buttonStyle()}">Ajouter</button>
+                    </div>
+                </div>
+                <label style="display: flex; align-items: center; gap: 10px; color: #333; font-weight: 600;">
+                    N° d'attestations
+                    <input type="number" name="certificates" min="0" step="1" value="${seminar.certificatesIssued}" style="${engine.baseInputStyle} width: 120px;">
+                </label>
+                <div style="font-size: 14px; color: #666;">✅ ${summary.fullAttendance} participant(s) présents à toutes les séances</div>
+                ${this.renderCertificateWarning(summary)}
+                <div class="seminar-errors" style="color: #FF3B30; font-size: 14px;"></div>
+                <button type="submit" style="${engine.buttonStyle('#34C759', '#28A745')}">💾 Enregistrer</button>
+            </form>
+        `;
+    }
+}
+
+/**
+ * SaisieStockManager - Stock of paperwork waiting to be typed in (La Saisie)
+ * `saisieStock/{type}` keeps the remaining and entered counters; every change is also written to
+ * `saisieHistory` so each day's receptions and entries can be shown per type. Only staff and admins move the
+ * stock: the counters name the movement written with them (`movementId`), which the rules check against them.
+ */
+class SaisieStockManager {
+    constructor(game) {
+        this.game = game;
+        this.stockCollectionName = 'saisieStock';
+        this.historyCollectionName = 'saisieHistory';
+        this.historyDays = 14;
+        this.historyType = '';
+        this.staffRoles = ['staff'];
+        this.handle = null;
+        
+        // Same keys as the old conditional groups of the section
+        this.types = {
+            voucher: 'Bons',
+            registration_form: 'Fiches D\'inscription',
+            diploma: 'Diplômes'
+        };
+        
+        this.actions = {
+            received: { label: 'Réception', icon: '📥' },
+            entered: { label: 'Saisie', icon: '⌨️' },
+            adjust: { label: 'Correction', icon: '🛠️' }
+        };
+        
+        this.game.houseInteraction.registerHandler('saisieStock', this);
+    }
+    
+    stockRef(type) {
+        return window.doc(window.db, this.stockCollectionName, type);
+    }
+    
+    async loadStock() {
+        const stock = {};
+        Object.keys(this.types).forEach(type => stock[type] = { remaining: 0, entered: 0 });
+        if (!window.db) return stock;
+        
+        try {
+            const querySnapshot = await window.getDocs(window.collection(window.db, this.stockCollectionName));
+            querySnapshot.docs.forEach(doc => {
+                if (stock[doc.id]) stock[doc.id] = { ...stock[doc.id], ...doc.data() };
+            });
+        } catch (error) {
+            console.error('❌ Error loading saisie stock:', error);
+        }
+        return stock;
+    }
+    
+    /**
+     * Move items through the stock
+     * received: remaining += quantity
+     * entered: remaining -= quantity, entered += quantity (never below zero remaining)
+     * adjust: remaining = quantity, after a physical count
+     * @returns {Promise<{ remaining: number, entered: number }>} the counters after the change
+     */
+    async record(type, action, quantity) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        if (!this.types[type]) throw new Error(`Unknown type: ${type}`);
+        if (!this.actions[action]) throw new Error(`Unknown action: ${action}`);
+        if (!Number.isInteger(quantity) || quantity < 0 || (quantity === 0 && action !== 'adjust')) {
+            throw new Error('La quantité doit être un entier positif');
+        }
+        if (action === 'adjust' && !this.game.auth.isAdmin()) throw new Error('Seul un administrateur peut corriger le stock');
+        if (!this.game.auth.hasRole(this.staffRoles)) throw new Error('Réservé au personnel de la saisie');
+        
+        const historyRef = window.doc(window.collection(window.db, this.historyCollectionName));
+        
+        const counters = await window.runTransaction(window.db, async (transaction) => {
+            const stockDoc = await transaction.get(this.stockRef(type));
+            const current = stockDoc.exists() ? stockDoc.data() : { remaining: 0, entered: 0 };
+            let remaining = current.remaining || 0;
+            let entered = current.entered || 0;
+            let delta = quantity;
+            
+            if (action === 'received') {
+                remaining += quantity;
+            } else if (action === 'entered') {
+                if (quantity > remaining) throw new Error(`Il ne reste que ${remaining} ${this.types[type].toLowerCase()} à saisir`);
+                remaining -= quantity;
+                entered += quantity;
+            } else {
+                delta = quantity - remaining;
+                remaining = quantity;
+            }
+            
+            const now = new Date();
+            transaction.set(this.stockRef(type), { remaining, entered, movementId: historyRef.id, updatedAt: now.toISOString() });
+            transaction.set(historyRef, {
+                type,
+                action,
+                quantity: delta,
+                remainingAfter: remaining,
+                enteredAfter: entered,
+                date: this.game.houseForms.dateKey(now),
+                playerId: user.uid,
+                playerName: this.game.auth.getPlayerName(),
+                createdAt: now.toISOString()
+            });
+            
+            console.log(`📋 Saisie ${action} ${type}: ${delta} (reste ${remaining})`);
+            return { remaining, entered };
+        });
+        
+        if (action === 'entered') await this.game.teamQuests.recordActivity(`saisie:${type}`, quantity);
+        return counters;
+    }
+    
+    async listHistory(sinceDate) {
+        if (!window.db) return [];
+        
+        try {
+            const q = window.query(
+                window.collection(window.db, this.historyCollectionName),
+                window.where('date', '>=', sinceDate)
+            );
+            const querySnapshot = await window.getDocs(q);
+            return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('❌ Error loading saisie history:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Per-day totals, newest day first
+     * @returns {Array<{ date: string, type: string, received: number, entered: number, adjust: number, remaining: number }>}
+     */
+    summarizeByDay(history) {
+        const days = new Map();
+        [...history]
+            .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''))
+            .forEach(movement => {
+                const key = `${movement.date}|${movement.type}`;
+                if (!days.has(key)) days.set(key, { date: movement.date, type: movement.type, received: 0, entered: 0, adjust: 0, remaining: 0 });
+                const day = days.get(key);
+                day[movement.action] += movement.quantity;
+                day.remaining = movement.remainingAfter; // Remaining at the end of the day
+            });
+        
+        return Array.from(days.values()).sort((a, b) => b.date.localeCompare(a.date) || a.type.localeCompare(b.type));
+    }
+    
+    /**
+     * Backlog per type with the recent pace, to tell how long the remaining items will take
+     * @returns {Object<string, { remaining: number, entered: number, enteredToday: number, dailyAverage: number, daysToClear: number|null }>}
+     */
+    buildDashboard(stock, history, today = this.game.houseForms.dateKey()) {
+        const weekAgo = new Date(`${today}T00:00`);
+        weekAgo.setDate(weekAgo.getDate() - 6);
+        const since = this.game.houseForms.dateKey(weekAgo);
+        
+        const dashboard = {};
+        Object.keys(this.types).forEach(type => {
+            const entries = history.filter(movement => movement.type === type && movement.action === 'entered');
+            const lastWeek = entries.filter(movement => movement.date >= since).reduce((sum, movement) => sum + movement.quantity, 0);
+            const dailyAverage = Math.round((lastWeek / 7) * 10) / 10;
+            const remaining = stock[type].remaining || 0;
+            
+            dashboard[type] = {
+                remaining,
+                entered: stock[type].entered || 0,
+                enteredToday: entries.filter(movement => movement.date === today).reduce((sum, movement) => sum + movement.quantity, 0),
+                dailyAverage,
+                daysToClear: remaining === 0 ? 0 : dailyAverage > 0 ? Math.ceil(remaining / dailyAverage) : null
+            };
+        });
+        return dashboard;
+    }
+    
+    async open() {
+        const engine = this.game.houseForms;
+        const typeOptions = Object.entries(this.types).map(([type, label]) => `<option value="${type}">${label}</option>`).join('');
+        
+        this.handle = engine.openModal({
+            id: 'saisie-stock-modal',
+            title: '⌨️ La Saisie',
+            maxWidth: '750px',
+            bodyHTML: `
+                <div class="saisie-dashboard" style="display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 20px;"></div>
+                ${this.game.auth.hasRole(this.staffRoles) ? `<form class="saisie-form" novalidate style="display: flex; gap: 10px; flex-wrap: wrap; align-items: flex-end; background: #f8f9fa; padding: 15px; border-radius: 12px;">
+                    <select name="type" style="${engine.baseInputStyle} flex: 2; min-width: 150px;">${typeOptions}</select>
+                    <input type="number" name="quantity" min="0" step="1" placeholder="Quantité" style="${engine.baseInputStyle} flex: 1; min-width: 100px;">
+                    <button type="submit" data-action="entered" style="${engine.buttonStyle('#34C759', '#28A745')}">⌨️ Saisir</button>
+                    <button type="submit" data-action="received" style="${engine.buttonStyle()}">📥 Réception</button>
+                    ${this.game.auth.isAdmin() ? `<button type="submit" data-action="adjust" style="${engine.buttonStyle('#8E8E93', '#6D6D70')}">🛠️ Corriger le reste</button>` : ''}
+                </form>` : ''}
+                <div style="display: flex; justify-content: space-between; align-items: center; margin: 25px 0 10px 0; gap: 10px;">
+                    <h3 style="margin: 0; color: #1d1d1f;">Historique (${this.historyDays} jours)</h3>
+                    <select class="saisie-history-type" style="${engine.baseInputStyle} width: auto; margin-top: 0;">
+                        <option value="">Tous</option>
+                        ${typeOptions}
+                    </select>
+                </div>
+                <div class="saisie-history" style="overflow-x: auto;"></div>
+            `
+        });
+        
+        const content = this.handle.content;
+        const form = content.querySelector('.saisie-form');
+        // Only staff get the form; everyone else follows the stock
+        if (form) form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const action = (e.submitter && e.submitter.getAttribute('data-action')) || 'entered';
+            const { value: quantity, error } = engine.parseFieldValue(
+                { type: 'number', integer: true, min: action === 'adjust' ? 0 : 1, required: true },
+                form.elements.quantity.value
+            );
+            if (error) {
+                this.game.auth.showBottomNotification(`❌ Quantité : ${error}`, 'error');
+                return;
+            }
+            
+            try {
+                const { remaining } = await this.record(form.elements.type.value, action, quantity);
+                form.elements.quantity.value = '';
+                this.game.auth.showBottomNotification(`${this.actions[action].icon} ${this.actions[action].label} enregistrée, reste ${remaining}`, 'success');
+                this.render();
+            } catch (error) {
+                console.error('❌ Error recording saisie:', error);
+                this.game.auth.showBottomNotification(`❌ ${error.message}`, 'error');
+            }
+        });
+        
+        const historyType = content.querySelector('.saisie-history-type');
+        historyType.value = this.historyType;
+        historyType.addEventListener('change', () => {
+            this.historyType = historyType.value;
+            this.render();
+        });
+        
+        await this.render();
+    }
+    
+    async render() {
+        if (!this.handle) return;
+        const engine = this.game.houseForms;
+        const content = this.handle.content;
+        
+        const since = new Date();
+        since.setDate(since.getDate() - (this.historyDays - 1));
+        const [stock, history] = await Promise.all([this.loadStock(), this.listHistory(engine.dateKey(since))]);
+        const dashboard = this.buildDashboard(stock, history);
+        
+        content.querySelector('.saisie-dashboard').innerHTML = Object.entries(dashboard).map(([type, info]) => `
+            <div style="flex: 1; min-width: 180px; background: ${info.remaining > 0 ? '#FFF3CD' : '#E8F8EC'}; border-radius: 12px; padding: 15px;">
+                <div style="font-weight: 600; color: #333;">${this.types[type]}</div>
+                <div style="font-size: 28px; font-weight: 700; color: #1d1d1f;">${info.remaining}</div>
+                <div style="font-size: 13px; color: #666;">restant à saisir</div>
+                <div style="font-size: 13px; color: #666; margin-top: 8px;">
+                    ${info.enteredToday} saisis aujourd'hui · ${info.entered} au total<br>
+                    ${info.daysToClear === 0 ? '✅ À jour' : info.daysToClear === null ? '⚠️ Aucune saisie cette semaine' : `≈ ${info.daysToClear} jour(s) au rythme actuel (${info.dailyAverage}/jour)`}
+                </div>
+            </div>
+        `).join('');
+        
+        const days = this.summarizeByDay(history).filter(day => !this.historyType || day.type === this.historyType);
+        const rows = days.map(day => [
+            new Date(`${day.date}T00:00`).toLocaleDateString(),
+            this.types[day.type] || day.type,
+            day.received ? `+${day.received}` : '-',
+            day.entered ? `${day.entered}` : '-',
+            day.adjust ? `${day.adjust > 0 ? '+' : ''}${day.adjust}` : '-',
+            `${day.remaining}`
+        ]);
+        content.querySelector('.saisie-history').innerHTML = engine.renderTable(['Jour', 'Type', 'Reçus', 'Saisis', 'Corrections', 'Reste le soir'], rows, { emptyMessage: 'Aucun mouvement sur la période' });
+    }
+}
+
+/**
+ * HygieneInspectionManager - Hygiène checklists of the Centre d'Informations
+ * The checklist per area comes from the section definition, so it can be changed from the JSON or a
+ * houseDefinitions override. The passing threshold is kept in the admin-only `config/hygiene` document
+ * (the section's `threshold` until one is set). Scores are the share of checked items; inspectors and admins
+ * save inspections, and the admin who creates the follow-up quests scores them again against the config.
+ */
+class HygieneInspectionManager {
+    constructor(game) {
+        this.game = game;
+        this.collectionName = 'hygieneInspections';
+        this.inspectorRoles = ['inspector'];
+        this.defaultThreshold = 75;
+        this.threshold = null; // From config/hygiene, loaded by loadThreshold()
+        this.followUpReward = { xpReward: 20, coinsReward: 10 };
+        this.followUpDays = 2;
+        this.section = null;
+        this.selectedDistrict = '';
+        this.handle = null;
+        
+        this.game.houseInteraction.registerHandler('hygiene', this);
+    }
+    
+    getChecklists() {
+        return (this.section && this.section.checklists) || {};
+    }
+    
+    configRef() {
+        return window.doc(window.db, 'config', 'hygiene');
+    }
+    
+    getThreshold() {
+        return this.threshold || Number(this.section && this.section.threshold) || this.defaultThreshold;
+    }
+    
+    async loadThreshold() {
+        if (!window.db) return this.getThreshold();
+        
+        try {
+            const configDoc = await window.getDoc(this.configRef());
+            this.threshold = configDoc.exists() ? Number(configDoc.data().threshold) || null : null;
+        } catch (error) {
+            console.error('❌ Error loading hygiene threshold:', error);
+        }
+        return this.getThreshold();
+    }
+    
+    async setThreshold(threshold) {
+        if (!this.game.auth.isAdmin()) throw new Error('Réservé aux administrateurs');
+        if (!Number.isInteger(threshold) || threshold < 1 || threshold > 100) throw new Error('Le seuil doit être un entier entre 1 et 100');
+        
+        await window.setDoc(this.configRef(), { threshold, updatedAt: new Date().toISOString(), updatedBy: this.game.auth.user.uid });
+        this.threshold = threshold;
+        console.log(`🧹 Hygiene threshold set to ${threshold}%`);
+    }
+    
+    // Percentage of checked items, rounded to a whole number
+    scoreItems(items) {
+        if (items.length === 0) return 100;
+        return Math.round((items.filter(item => item.checked).length / items.length) * 100);
+    }
+    
+    /**
+     * Score every area and the inspection as a whole
+     * @param {Object<string, string[]>} checked - area name -> labels of the checked items
+     */
+    buildInspection(district, checked) {
+        const areas = Object.entries(this.getChecklists()).map(([name, labels]) => {
+            const items = labels.map(label => ({ label, checked: (checked[name] || []).includes(label) }));
+            return { name, items, score: this.scoreItems(items) };
+        });
+        
+        return {
+            district: district.trim(),
+            areas,
+            score: this.scoreItems(areas.flatMap(area => area.items)),
+            threshold: this.getThreshold()
+        };
+    }
+    
+    async saveInspection(inspection) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        if (!this.game.auth.hasRole(this.inspectorRoles)) throw new Error('Réservé aux inspecteurs');
+        if (!inspection.district) throw new Error('Le district est obligatoire');
+        if (inspection.areas.length === 0) throw new Error('Aucune checklist configurée');
+        
+        const now = new Date();
+        const failing = inspection.areas.filter(area => area.score < inspection.threshold);
+        const docRef = await window.addDoc(window.collection(window.db, this.collectionName), {
+            ...inspection,
+            inspectorId: user.uid,
+            inspectorName: this.game.auth.getPlayerName(),
+            date: this.game.houseForms.dateKey(now),
+            followUpPending: failing.length > 0,
+            createdAt: now.toISOString()
+        });
+        
+        // Reward-bearing quests are only written by admins, a player's inspection waits for the next admin sign-in
+        if (failing.length > 0 && this.game.auth.isAdmin()) {
+            await this.createFollowUpQuests(docRef.id);
+        }
+        
+        console.log(`🧹 Hygiene inspection of ${inspection.district}: ${inspection.score}% (${failing.length} area(s) to follow up)`);
+        return { id: docRef.id, failing };
+    }
+    
+    /**
+     * Create the follow-up quests of one inspection (admin only)
+     * The inspection is claimed in the same transaction, so two admins never create them twice. Areas are scored
+     * again from their items against the configured threshold, not the figures stored with the inspection
+     * @returns {Promise<string[]>} Ids of the created quests, empty when they already exist
+     */
+    async createFollowUpQuests(inspectionId) {
+        if (!this.game.auth.isAdmin()) throw new Error('Only admins can create follow-up quests');
+        
+        const threshold = await this.loadThreshold();
+        const inspectionRef = window.doc(window.db, this.collectionName, inspectionId);
+        return window.runTransaction(window.db, async (transaction) => {
+            const inspectionDoc = await transaction.get(inspectionRef);
+            if (!inspectionDoc.exists() || !inspectionDoc.data().followUpPending) return [];
+            
+            const inspection = { ...inspectionDoc.data(), threshold };
+            const followUpQuestIds = (inspection.areas || [])
+                .map(area => ({ ...area, score: this.scoreItems(area.items || []) }))
+                .filter(area => area.score < threshold)
+                .map(area => {
+                    const questRef = window.doc(window.collection(window.db, 'quests'));
+                    transaction.set(questRef, this.buildFollowUpQuest(inspectionId, inspection, area));
+                    return questRef.id;
+                });
+            
+            transaction.update(inspectionRef, { followUpPending: false, followUpQuestIds });
+            return followUpQuestIds;
+        });
+    }
+    
+    // Inspections saved by players since an admin last signed in
+    async createPendingFollowUps() {
+        if (!window.db || !this.game.auth.isAdmin()) return;
+        
+        const querySnapshot = await window.getDocs(window.query(
+            window.collection(window.db, this.collectionName),
+            window.where('followUpPending', '==', true)
+        ));
+        for (const inspectionDoc of querySnapshot.docs) {
+            const questIds = await this.createFollowUpQuests(inspectionDoc.id);
+            if (questIds.length > 0) console.log(`🧹 ${questIds.length} follow-up quest(s) created for ${inspectionDoc.data().district}`);
+        }
+    }
+    
+    // Open to every player, so whoever fixes the area can complete it
+    buildFollowUpQuest(inspectionId, inspection, area) {
+        const missing = area.items.filter(item => !item.checked).map(item => `• ${item.label}`).join('\n');
+        const endTime = new Date(Date.now() + this.followUpDays * 24 * 60 * 60 * 1000);
+        
+        return {
+            name: `🧹 Hygiène : ${area.name} (${inspection.district})`,
+            description: `Score ${area.score}% sous le seuil de ${inspection.threshold}%. À corriger :\n${missing}`,
+            xpReward: this.followUpReward.xpReward,
+            coinsReward: this.followUpReward.coinsReward,
+            status: 'active',
+            assignedPlayer: '',
+            audience: this.game.questAssignments.audienceFor({ everyone: true }),
+            endTime: endTime.toISOString(),
+            source: { type: 'hygiene', inspectionId, district: inspection.district, area: area.name },
+            createdAt: new Date().toISOString()
+        };
+    }
+    
+    async listInspections() {
+        if (!window.db) return [];
+        
+        try {
+            const querySnapshot = await window.getDocs(window.collection(window.db, this.collectionName));
+            return querySnapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+        } catch (error) {
+            console.error('❌ Error loading hygiene inspections:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Inspections of one district, newest first, each with the change since the one before
+     */
+    getDistrictHistory(inspections, district) {
+        const history = inspections.filter(inspection => inspection.district.toLowerCase() === district.toLowerCase());
+        return history.map((inspection, index) => {
+            const previous = history[index + 1];
+            return { ...inspection, change: previous ? inspection.score - previous.score : null };
+        });
+    }
+    
+    renderTrend(change) {
+        if (change === null) return '-';
+        if (change > 0) return `<span style="color: #34C759;">▲ +${change}</span>`;
+        if (change < 0) return `<span style="color: #FF3B30;">▼ ${change}</span>`;
+        return '<span style="color: #8E8E93;">= 0</span>';
+    }
+    
+    async open(house, houseData, section) {
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        this.section = section;
+        const threshold = await this.loadThreshold();
+        const canInspect = this.game.auth.hasRole(this.inspectorRoles);
+        
+        const areasHTML = Object.entries(this.getChecklists()).map(([name, labels]) => `
+            <fieldset data-area="${escape(name)}" style="border: 1px solid #e1e5e9; border-radius: 12px; padding: 12px 15px;">
+                <legend style="font-weight: 600; color: #333; padding: 0 5px;">${escape(name)} <span class="hygiene-area-score" style="color: #666; font-weight: normal;"></span></legend>
+                ${labels.map(label => `
+                    <label style="display: flex; align-items: center; gap: 8px; padding: 4px 0; color: #333; cursor: pointer;" dir="auto">
+                        <input type="checkbox" value="${escape(label)}"> ${escape(label)}
+                    </label>
+                `).join('')}
+            </fieldset>
+        `).join('');
+        
+        this.handle = engine.openModal({
+            id: 'hygiene-modal',
+            title: '🧹 Hygiène',
+            subtitle: `Seuil de conformité : ${threshold}%`,
+            maxWidth: '700px',
+            bodyHTML: `
+                ${canInspect ? `
+                    <form class="hygiene-form" novalidate style="display: flex; flex-direction: column; gap: 15px;">
+                        <input name="district" list="hygiene-districts" placeholder="Targa / Wilaya" dir="auto" style="${engine.baseInputStyle}">
+                        ${areasHTML || '<div style="color: #999; font-style: italic;">Aucune checklist configurée pour cette section</div>'}
+                        <div class="hygiene-total" style="font-size: 18px; font-weight: 600; text-align: center;"></div>
+                        <button type="submit" style="${engine.buttonStyle('#34C759', '#28A745')}">✅ Enregistrer l'inspection</button>
+                    </form>
+                ` : ''}
+                <datalist id="hygiene-districts"></datalist>
+                <div style="display: flex; justify-content: space-between; align-items: center; margin: 25px 0 10px 0; gap: 10px;">
+                    <h3 style="margin: 0; color: #1d1d1f;">Historique</h3>
+                    <select class="hygiene-district-filter" style="${engine.baseInputStyle} width: auto; margin-top: 0;"></select>
+                </div>
+                <div class="hygiene-history" style="overflow-x: auto;"></div>
+            `
+        });
+        
+        const content = this.handle.content;
+        // Only inspectors get the checklist; everyone else follows the history
+        const form = content.querySelector('.hygiene-form');
+        if (form) {
+            form.addEventListener('change', () => this.updateScores());
+            form.addEventListener('submit', (e) => this.handleSubmit(e));
+            this.updateScores();
+        }
+        
+        content.querySelector('.hygiene-district-filter').addEventListener('change', (e) => {
+            this.selectedDistrict = e.target.value;
+            this.render();
+        });
+        
+        await this.render();
+    }
+    
+    readChecked() {
+        const checked = {};
+        this.handle.content.querySelectorAll('.hygiene-form fieldset[data-area]').forEach(fieldset => {
+            checked[fieldset.getAttribute('data-area')] = Array.from(fieldset.querySelectorAll('input:checked')).map(input => input.value);
+        });
+        return checked;
+    }
+    
+    // Live score while the inspector ticks items
+    updateScores() {
+        const content = this.handle.content;
+        const inspection = this.buildInspection('', this.readChecked());
+        const color = score => score >= inspection.threshold ? '#34C759' : '#FF3B30';
+        
+        inspection.areas.forEach(area => {
+            const fieldset = Array.from(content.querySelectorAll('fieldset[data-area]')).find(element => element.getAttribute('data-area') === area.name);
+            const scoreElement = fieldset && fieldset.querySelector('.hygiene-area-score');
+            if (scoreElement) {
+                scoreElement.textContent = `${area.score}%`;
+                scoreElement.style.color = color(area.score);
+            }
+        });
+        
+        const total = content.querySelector('.hygiene-total');
+        total.textContent = `Score : ${inspection.score}%`;
+        total.style.color = color(inspection.score);
+    }
+    
+    async handleSubmit(e) {
+        e.preventDefault();
+        const form = e.target;
+        const inspection = this.buildInspection(form.elements.district.value, this.readChecked());
+        
+        if (!inspection.district) {
+            this.game.auth.showBottomNotification('❌ Indiquez la Targa / Wilaya', 'error');
+            return;
+        }
+        
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        try {
+            const { failing } = await this.saveInspection(inspection);
+            if (failing.length > 0) {
+                const followUp = this.game.auth.isAdmin() ? 'quête de suivi créée' : 'quête de suivi à valider par un admin';
+                this.game.auth.showBottomNotification(`⚠️ ${inspection.score}% — ${followUp} pour ${failing.map(area => area.name).join(', ')}`, 'warning', 5000);
+            } else {
+                this.game.auth.showBottomNotification(`✅ Inspection enregistrée (${inspection.score}%)`, 'success');
+            }
+            
+            form.reset();
+            this.selectedDistrict = inspection.district;
+            this.updateScores();
+            this.render();
+        } catch (error) {
+            console.error('❌ Error saving hygiene inspection:', error);
+            this.game.auth.showBottomNotification(`❌ ${error.message}`, 'error');
+        } finally {
+            submitButton.disabled = false;
+        }
+    }
+    
+    async render() {
+        if (!this.handle) return;
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        const content = this.handle.content;
+        
+        const inspections = await this.listInspections();
+        const districts = [...new Set(inspections.map(inspection => inspection.district))].sort((a, b) => a.localeCompare(b));
+        if (!districts.some(district => district.toLowerCase() === this.selectedDistrict.toLowerCase())) {
+            this.selectedDistrict = districts[0] || '';
+        }
+        
+        content.querySelector('#hygiene-districts').innerHTML = districts.map(district => `<option value="${escape(district)}">`).join('');
+        const filter = content.querySelector('.hygiene-district-filter');
+        filter.innerHTML = districts.map(district => `<option value="${escape(district)}" ${district.toLowerCase() === this.selectedDistrict.toLowerCase() ? 'selected' : ''}>${escape(district)}</option>`).join('');
+        filter.style.display = districts.length > 0 ? '' : 'none';
+        
+        const rows = this.getDistrictHistory(inspections, this.selectedDistrict).map(inspection => [
+            new Date(`${inspection.date}T00:00`).toLocaleDateString(),
+            `<strong style="color: ${inspection.score >= inspection.threshold ? '#34C759' : '#FF3B30'};">${inspection.score}%</strong>`,
+            this.renderTrend(inspection.change),
+            inspection.areas.map(area => `${escape(area.name)} ${area.score}%${area.score < inspection.threshold ? ' ⚠️' : ''}`).join('<br>'),
+            escape(inspection.inspectorName)
+        ]);
+        content.querySelector('.hygiene-history').innerHTML = engine.renderTable(['Date', 'Score', 'Évolution', 'Zones', 'Inspecteur'], rows, { emptyMessage: 'Aucune inspection enregistrée' });
+    }
+}
+
+/**
+ * DiplomaWorkflowManager - Diplôme issuance in Gestion Administrative
+ * Each diploma goes requested → printed → signed → handed over, and every step keeps who did it and when.
+ */
+class DiplomaWorkflowManager {
+    constructor(game) {
+        this.game = game;
+        this.collectionName = 'diplomas';
+        this.defaultStuckDays = 7;
+        this.search = '';
+        this.filter = '';
+        this.searchDelay = 250;
+        this.searchTimer = null;
+        this.diplomas = []; // Loaded once per opening and after each change, searched in memory
+        this.section = null;
+        this.handle = null;
+        
+        this.steps = [
+            { key: 'requested', label: 'Demandé', color: '#8E8E93' },
+            { key: 'printed', label: 'Imprimé', color: '#FF9500' },
+            { key: 'signed', label: 'Signé', color: '#007AFF' },
+            { key: 'handed_over', label: 'Remis', color: '#34C759' }
+        ];
+        
+        this.game.houseInteraction.registerHandler('diplomas', this);
+    }
+    
+    diplomaRef(diplomaId) {
+        return window.doc(window.db, this.collectionName, diplomaId);
+    }
+    
+    getStep(key) {
+        return this.steps.find(step => step.key === key) || this.steps[0];
+    }
+    
+    getNextStep(key) {
+        const index = this.steps.findIndex(step => step.key === key);
+        return index >= 0 ? this.steps[index + 1] || null : null;
+    }
+    
+    getStuckDays() {
+        return Number(this.section && this.section.stuckDays) || this.defaultStuckDays;
+    }
+    
+    /**
+     * Fold a Latin or Arabic name for search: no case, accents, tashkeel or tatweel,
+     * and the usual Arabic letter variants (أ إ آ → ا, ى → ي, ة → ه)
+     */
+    normalizeName(name) {
+        return String(name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+            .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627')
+            .replace(/\u0649/g, '\u064A')
+            .replace(/\u0629/g, '\u0647')
+            .replace(/[^a-z0-9\u0600-\u06FF]+/g, ' ')
+            .trim();
+    }
+    
+    // Every word of the query must appear in the Latin or the Arabic name
+    matchesSearch(diploma, query) {
+        const words = this.normalizeName(query).split(' ').filter(Boolean);
+        if (words.length === 0) return true;
+        const haystack = `${this.normalizeName(diploma.studentName)} ${this.normalizeName(diploma.studentNameArabic)}`;
+        return words.every(word => haystack.includes(word));
+    }
+    
+    daysInStep(diploma, now = new Date()) {
+        return Math.floor((now - new Date(diploma.stepChangedAt)) / (24 * 60 * 60 * 1000));
+    }
+    
+    isStuck(diploma, now = new Date()) {
+        return diploma.step !== 'handed_over' && this.daysInStep(diploma, now) > this.getStuckDays();
+    }
+    
+    stepRecord() {
+        return {
+            by: this.game.auth.user.uid,
+            byName: this.game.auth.getPlayerName(),
+            at: new Date().toISOString()
+        };
+    }
+    
+    async requestDiploma({ studentName, studentNameArabic, phone, formation }) {
+        if (!this.game.auth.user || !window.db) throw new Error('Not authenticated');
+        
+        const record = this.stepRecord();
+        const docRef = await window.addDoc(window.collection(window.db, this.collectionName), {
+            studentName: studentName,
+            studentNameArabic: studentNameArabic || '',
+            phone: phone || '',
+            formation: formation || '',
+            step: 'requested',
+            steps: { requested: record },
+            stepChangedAt: record.at,
+            createdAt: record.at
+        });
+        console.log(`🎓 Diploma requested for ${studentName}`);
+        return docRef.id;
+    }
+    
+    // Steps can only be taken in order, one at a time
+    async advance(diplomaId) {
+        if (!this.game.auth.user || !window.db) throw new Error('Not authenticated');
+        
+        return window.runTransaction(window.db, async (transaction) => {
+            const diplomaDoc = await transaction.get(this.diplomaRef(diplomaId));
+            if (!diplomaDoc.exists()) throw new Error('Diplôme introuvable');
+            
+            const next = this.getNextStep(diplomaDoc.data().step);
+            if (!next) throw new Error('Ce diplôme a déjà été remis');
+            
+            const record = this.stepRecord();
+            transaction.update(this.diplomaRef(diplomaId), {
+                step: next.key,
+                [`steps.${next.key}`]: record,
+                stepChangedAt: record.at
+            });
+            return next.key;
+        });
+    }
+    
+    async listDiplomas() {
+        if (!window.db) return [];
+        
+        try {
+            const querySnapshot = await window.getDocs(window.collection(window.db, this.collectionName));
+            return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('❌ Error loading diplomas:', error);
+            return [];
+        }
+    }
+    
+    async open(house, houseData, section) {
+        const engine = this.game.houseForms;
+        this.section = section;
+        
+        this.handle = engine.openModal({
+            id: 'diploma-modal',
+            title: '🎓 Diplômes',
+            maxWidth: '850px',
+            bodyHTML: `
+                <form class="diploma-form" novalidate style="display: flex; flex-direction: column; gap: 15px; background: #f8f9fa; padding: 20px; border-radius: 12px;">
+                    ${engine.renderFields(section.fields || [], 'diploma')}
+                    <button type="submit" style="${engine.buttonStyle()}">📝 Nouvelle demande</button>
+                </form>
+                <div style="display: flex; gap: 10px; margin: 20px 0 15px 0; flex-wrap: wrap;">
+                    <input class="diploma-search" placeholder="🔍 Nom Prénom / الاسم و اللقب" dir="auto" style="${engine.baseInputStyle} flex: 2; min-width: 200px; margin-top: 0;">
+                    <select class="diploma-filter" style="${engine.baseInputStyle} flex: 1; min-width: 150px; margin-top: 0;">
+                        <option value="">Tous les diplômes</option>
+                        ${this.steps.map(step => `<option value="${step.key}">${step.label}</option>`).join('')}
+                        <option value="stuck">⏰ Bloqués depuis plus de ${this.getStuckDays()} jours</option>
+                    </select>
+                </div>
+                <div class="diploma-list" style="overflow-x: auto;"></div>
+            `
+        });
+        
+        const content = this.handle.content;
+        const form = content.querySelector('.diploma-form');
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const { values, errors } = engine.collectValues(form, this.section);
+            engine.showFieldErrors(form, errors);
+            if (Object.keys(errors).length > 0) return;
+            
+            try {
+                await this.requestDiploma({
+                    studentName: values['Nom Prénom'],
+                    studentNameArabic: values['الاسم و اللقب'],
+                    phone: values['N° Tel'],
+                    formation: values['Formation']
+                });
+                form.reset();
+                this.game.auth.showBottomNotification('🎓 Demande de diplôme enregistrée', 'success');
+                this.reload();
+            } catch (error) {
+                console.error('❌ Error requesting diploma:', error);
+                this.game.auth.showBottomNotification('❌ Demande non enregistrée, réessayez', 'error');
+            }
+        });
+        
+        const search = content.querySelector('.diploma-search');
+        search.value = this.search;
+        search.addEventListener('input', () => {
+            this.search = search.value;
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.render(), this.searchDelay);
+        });
+        
+        const filter = content.querySelector('.diploma-filter');
+        filter.value = this.filter;
+        filter.addEventListener('change', () => {
+            this.filter = filter.value;
+            this.render();
+        });
+        
+        content.querySelector('.diploma-list').addEventListener('click', async (e) => {
+            const button = e.target.closest('.diploma-advance-btn');
+            if (!button) return;
+            
+            button.disabled = true;
+            try {
+                const step = await this.advance(button.getAttribute('data-diploma-id'));
+                this.game.auth.showBottomNotification(`✅ Diplôme ${this.getStep(step).label.toLowerCase()}`, 'success');
+            } catch (error) {
+                console.error('❌ Error advancing diploma:', error);
+                this.game.auth.showBottomNotification(`❌ ${error.message}`, 'error');
+            }
+            this.reload();
+        });
+        
+        await this.reload();
+    }
+    
+    async reload() {
+        this.diplomas = await this.listDiplomas();
+        this.render();
+    }
+    
+    renderProgress(diploma) {
+        const escape = value => this.game.houseForms.escapeHTML(value);
+        return this.steps.map(step => {
+            const record = diploma.steps && diploma.steps[step.key];
+            const title = record ? `${step.label} par ${record.byName} le ${new Date(record.at).toLocaleString()}` : step.label;
+            return `<span title="${escape(title)}" style="display: inline-block; padding: 2px 8px; margin: 1px; border-radius: 10px; font-size: 11px; color: white; background: ${record ? step.color : '#d1d1d6'};">${step.label}</span>`;
+        }).join('');
+    }
+    
+    render() {
+        if (!this.handle) return;
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        const container = this.handle.content.querySelector('.diploma-list');
+        const now = new Date();
+        
+        const diplomas = this.diplomas
+            .filter(diploma => this.matchesSearch(diploma, this.search))
+            .filter(diploma => !this.filter || (this.filter === 'stuck' ? this.isStuck(diploma, now) : diploma.step === this.filter))
+            .sort((a, b) => this.daysInStep(b, now) - this.daysInStep(a, now));
+        
+        const rows = diplomas.map(diploma => {
+            const next = this.getNextStep(diploma.step);
+            const current = diploma.steps && diploma.steps[diploma.step];
+            const days = this.daysInStep(diploma, now);
+            return [
+                `<strong>${escape(diploma.studentName)}</strong>${diploma.studentNameArabic ? `<br><span dir="rtl">${escape(diploma.studentNameArabic)}</span>` : ''}`,
+                escape(diploma.formation),
+                `${this.renderProgress(diploma)}${current ? `<div style="font-size: 11px; color: #666; margin-top: 4px;">${escape(current.byName)}, ${new Date(current.at).toLocaleDateString()}</div>` : ''}`,
+                diploma.step === 'handed_over' ? '-' : `${this.isStuck(diploma, now) ? '⏰ ' : ''}${days} j`,
+                next ? `<button class="diploma-advance-btn" data-diploma-id="${escape(diploma.id)}" style="border: none; background: ${next.color}; color: white; border-radius: 6px; padding: 6px 10px; cursor: pointer; white-space: nowrap;">→ ${next.label}</button>` : '✅'
+            ];
+        });
+        
+        container.innerHTML = engine.renderTable(['Étudiant', 'Formation', 'Étapes', 'Dans l\'étape', ''], rows, { emptyMessage: 'Aucun diplôme trouvé' });
+    }
+}
+
+/**
+ * StudentRegistryManager - Fiche D'inscription and Pré-inscription in Gestion Administrative
+ * Both sections write to `students`; `kind` tells a pre-registration from a registration.
+ * Converting a pre-registration creates the registration and links both records to each other.
+ */
+class StudentRegistryManager {
+    constructor(game) {
+        this.game = game;
+        this.collectionName = 'students';
+        this.activeTab = 'pre';
+        this.search = '';
+        this.searchDelay = 250;
+        this.searchTimer = null;
+        this.students = []; // Loaded once per opening and after each change, searched in memory
+        this.section = null;
+        this.pendingDuplicate = null; // Values held back until the player confirms a duplicate phone
+        this.handle = null;
+        
+        this.kinds = {
+            pre: 'Pré-inscription',
+            registration: 'Inscription'
+        };
+        
+        this.game.houseInteraction.registerHandler('students', this);
+    }
+    
+    studentRef(studentId) {
+        return window.doc(window.db, this.collectionName, studentId);
+    }
+    
+    // 0550123456 and +213550123456 are the same number
+    phoneKey(phone) {
+        return String(phone || '').replace(/[\s.\-]/g, '').replace(/^\+213/, '0');
+    }
+    
+    async findByPhone(phone) {
+        if (!window.db) return [];
+        
+        const q = window.query(
+            window.collection(window.db, this.collectionName),
+            window.where('phoneKey', '==', this.phoneKey(phone))
+        );
+        const querySnapshot = await window.getDocs(q);
+        return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+    
+    async listStudents() {
+        if (!window.db) return [];
+        
+        try {
+            const querySnapshot = await window.getDocs(window.collection(window.db, this.collectionName));
+            return querySnapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+        } catch (error) {
+            console.error('❌ Error loading students:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Create a pre-registration or a registration
+     * @param {{ name: string, phone: string, formation: string, group?: string, fee?: number, source?: string }} student
+     * @param {boolean} [allowDuplicate] - Create it even if the phone number is already known
+     * @returns {Promise<{ id?: string, duplicates?: Array }>} duplicates is set when nothing was created
+     */
+    async createStudent(kind, student, allowDuplicate = false) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        if (!this.kinds[kind]) throw new Error(`Unknown kind: ${kind}`);
+        
+        if (!allowDuplicate) {
+            const duplicates = await this.findByPhone(student.phone);
+            if (duplicates.length > 0) return { duplicates };
+        }
+        
+        const docRef = await window.addDoc(window.collection(window.db, this.collectionName), {
+            kind,
+            name: student.name,
+            phone: student.phone,
+            phoneKey: this.phoneKey(student.phone),
+            formation: student.formation,
+            group: student.group || '',
+            fee: student.fee ?? null,
+            source: student.source || '',
+            createdBy: user.uid,
+            createdByName: this.game.auth.getPlayerName(),
+            createdAt: new Date().toISOString()
+        });
+        console.log(`🧑‍🎓 ${this.kinds[kind]} created for ${student.name}`);
+        return { id: docRef.id };
+    }
+    
+    /**
+     * Turn a pre-registration into a registration, once
+     * @returns {Promise<string>} the registration id
+     */
+    async convert(preRegistrationId, group = '') {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        
+        const registrationRef = window.doc(window.collection(window.db, this.collectionName));
+        
+        return window.runTransaction(window.db, async (transaction) => {
+            const preDoc = await transaction.get(this.studentRef(preRegistrationId));
+            if (!preDoc.exists()) throw new Error('Pré-inscription introuvable');
+            
+            const pre = preDoc.data();
+            if (pre.kind !== 'pre') throw new Error('Seule une pré-inscription peut être convertie');
+            if (pre.convertedTo) throw new Error('Cette pré-inscription est déjà convertie');
+            
+            const now = new Date().toISOString();
+            transaction.set(registrationRef, {
+                kind: 'registration',
+                name: pre.name,
+                phone: pre.phone,
+                phoneKey: pre.phoneKey,
+                formation: pre.formation,
+                group: group || pre.group || '',
+                fee: null,
+                source: pre.source || '',
+                convertedFrom: preRegistrationId,
+                createdBy: user.uid,
+                createdByName: this.game.auth.getPlayerName(),
+                createdAt: now
+            });
+            transaction.update(this.studentRef(preRegistrationId), {
+                convertedTo: registrationRef.id,
+                convertedAt: now
+            });
+            return registrationRef.id;
+        });
+    }
+    
+    /**
+     * Conversion per formation
+     * @returns {Array<{ formation: string, pre: number, converted: number, direct: number, rate: number|null }>}
+     */
+    conversionRates(students) {
+        const formations = new Map();
+        const get = formation => {
+            const key = (formation || '-').trim();
+            if (!formations.has(key.toLowerCase())) formations.set(key.toLowerCase(), { formation: key, pre: 0, converted: 0, direct: 0 });
+            return formations.get(key.toLowerCase());
+        };
+        
+        students.forEach(student => {
+            if (student.kind === 'pre') {
+                const stats = get(student.formation);
+                stats.pre++;
+                if (student.convertedTo) stats.converted++;
+            } else if (!student.convertedFrom) {
+                get(student.formation).direct++;
+            }
+        });
+        
+        return Array.from(formations.values())
+            .map(stats => ({ ...stats, rate: stats.pre > 0 ? Math.round((stats.converted / stats.pre) * 100) : null }))
+            .sort((a, b) => b.pre - a.pre || a.formation.localeCompare(b.formation));
+    }
+    
+    // Read the section form into a student, whatever the section's labels
+    valuesToStudent(values) {
+        return {
+            name: values['Nom Prénom'],
+            phone: values['N° Tel'],
+            formation: values['Formation'],
+            group: values['Grp'] || '',
+            fee: values['Frais'] ?? null,
+            source: values['Wilaya / Targa / FB'] || ''
+        };
+    }
+    
+    async open(house, houseData, section) {
+        const engine = this.game.houseForms;
+        this.section = section;
+        this.kind = section.registrationKind === 'pre' ? 'pre' : 'registration';
+        this.activeTab = this.kind;
+        this.pendingDuplicate = null;
+        
+        this.handle = engine.openModal({
+            id: 'student-registry-modal',
+            title: `🧑‍🎓 ${section.name}`,
+            maxWidth: '850px',
+            bodyHTML: `
+                <form class="student-form" novalidate style="display: flex; flex-direction: column; gap: 15px; background: #f8f9fa; padding: 20px; border-radius: 12px;">
+                    ${engine.renderFields(section.fields || [], 'student')}
+                    <div class="student-duplicate" style="display: none; background: #FFF3CD; border-radius: 8px; padding: 12px; color: #856404; font-size: 14px;"></div>
+                    <button type="submit" style="${engine.buttonStyle()}">➕ Enregistrer</button>
+                </form>
+                <div style="display: flex; gap: 10px; margin: 25px 0 15px 0;">
+                    <button class="student-tab" data-tab="pre" style="flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;">Pré-inscriptions</button>
+                    <button class="student-tab" data-tab="registration" style="flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;">Inscrits</button>
+                    <button class="student-tab" data-tab="conversion" style="flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;">Conversion</button>
+                </div>
+                <input class="student-search" placeholder="🔍 Nom, téléphone ou formation" dir="auto" style="${engine.baseInputStyle} margin: 0 0 15px 0;">
+                <div class="student-tab-content" style="overflow-x: auto;"></div>
+            `
+        });
+        
+        const content = this.handle.content;
+        const form = content.querySelector('.student-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit(form, false);
+        });
+        form.addEventListener('input', () => {
+            // Any edit cancels a pending duplicate confirmation
+            if (this.pendingDuplicate) this.hideDuplicate();
+        });
+        form.querySelector('.student-duplicate').addEventListener('click', (e) => {
+            if (e.target.closest('.student-force-btn')) this.handleSubmit(form, true);
+        });
+        
+        content.querySelectorAll('.student-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.activeTab = tab.getAttribute('data-tab');
+                this.render();
+            });
+        });
+        
+        const search = content.querySelector('.student-search');
+        search.value = this.search;
+        search.addEventListener('input', () => {
+            this.search = search.value;
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.render(), this.searchDelay);
+        });
+        
+        content.querySelector('.student-tab-content').addEventListener('click', (e) => {
+            const button = e.target.closest('.student-convert-btn');
+            if (button) this.handleConvert(button.getAttribute('data-student-id'));
+        });
+        
+        await this.reload();
+    }
+    
+    async reload() {
+        this.students = await this.listStudents();
+        this.render();
+    }
+    
+    hideDuplicate() {
+        this.pendingDuplicate = null;
+        const warning = this.handle.content.querySelector('.student-duplicate');
+        warning.style.display = 'none';
+        warning.innerHTML = '';
+    }
+    
+    async handleSubmit(form, allowDuplicate) {
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        const { values, errors } = engine.collectValues(form, this.section);
+        engine.showFieldErrors(form, errors);
+        if (Object.keys(errors).length > 0) return;
+        
+        try {
+            const result = await this.createStudent(this.kind, this.valuesToStudent(values), allowDuplicate);
+            
+            if (result.duplicates) {
+                this.pendingDuplicate = values;
+                const warning = form.querySelector('.student-duplicate');
+                warning.innerHTML = `
+                    ⚠️ Ce numéro est déjà enregistré :
+                    <ul style="margin: 8px 0;">
+                        ${result.duplicates.map(student => `<li>${escape(student.name)} — ${escape(student.formation)} (${this.kinds[student.kind] || ''}, ${new Date(student.createdAt).toLocaleDateString()})</li>`).join('')}
+                    </ul>
+                    <button type="button" class="student-force-btn" style="border: none; background: #FF9500; color: white; border-radius: 6px; padding: 6px 12px; cursor: pointer;">Créer quand même</button>
+                `;
+                warning.style.display = 'block';
+                return;
+            }
+            
+            form.reset();
+            this.hideDuplicate();
+            this.game.auth.showBottomNotification(`✅ ${this.kinds[this.kind]} enregistrée`, 'success');
+            this.reload();
+        } catch (error) {
+            console.error('❌ Error saving student:', error);
+            this.game.auth.showBottomNotification('❌ Enregistrement impossible, réessayez', 'error');
+        }
+    }
+    
+    async handleConvert(studentId) {
+        const group = prompt('Groupe (facultatif) :');
+        if (group === null) return;
+        
+        try {
+            await this.convert(studentId, group.trim());
+            this.game.auth.showBottomNotification('🎉 Pré-inscription convertie en inscription', 'success');
+        } catch (error) {
+            console.error('❌ Error converting pre-registration:', error);
+            this.game.auth.showBottomNotification(`❌ ${error.message}`, 'error');
+        }
+        this.reload();
+    }
+    
+    matchesSearch(student) {
+        const query = this.search.trim().toLowerCase();
+        if (!query) return true;
+        
+        const phoneQuery = this.phoneKey(query);
+        return [student.name, student.formation, student.group].some(value => String(value || '').toLowerCase().includes(query))
+            || (/\d/.test(phoneQuery) && (student.phoneKey || '').includes(phoneQuery));
+    }
+    
+    render() {
+        if (!this.handle) return;
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        const content = this.handle.content;
+        const container = content.querySelector('.student-tab-content');
+        
+        content.querySelectorAll('.student-tab').forEach(tab => {
+            const active = tab.getAttribute('data-tab') === this.activeTab;
+            tab.style.background = active ? '#007AFF' : 'white';
+            tab.style.color = active ? 'white' : '#007AFF';
+        });
+        content.querySelector('.student-search').style.display = this.activeTab === 'conversion' ? 'none' : '';
+        
+        const students = this.students;
+        
+        if (this.activeTab === 'conversion') {
+            const rows = this.conversionRates(students).map(stats => [
+                escape(stats.formation),
+                `${stats.pre}`,
+                `${stats.converted}`,
+                stats.rate === null ? '-' : `<strong style="color: ${stats.rate >= 50 ? '#34C759' : '#FF9500'};">${stats.rate}%</strong>`,
+                `${stats.direct}`
+            ]);
+            container.innerHTML = engine.renderTable(['Formation', 'Pré-inscrits', 'Convertis', 'Taux', 'Inscrits directs'], rows, { emptyMessage: 'Aucune pré-inscription' });
+            return;
+        }
+        
+        const list = students.filter(student => student.kind === this.activeTab && this.matchesSearch(student));
+        const rows = list.map(student => [
+            escape(student.name),
+            escape(student.phone),
+            escape(student.formation),
+            escape(student.group || '-'),
+            new Date(student.createdAt).toLocaleDateString(),
+            this.activeTab === 'pre'
+                ? (student.convertedTo
+                    ? `✅ Inscrit le ${new Date(student.convertedAt).toLocaleDateString()}`
+                    : `<button class="student-convert-btn" data-student-id="${escape(student.id)}" style="border: none; background: #34C759; color: white; border-radius: 6px; padding: 6px 10px; cursor: pointer; white-space: nowrap;">→ Inscrire</button>`)
+                : (student.convertedFrom ? '🔗 Pré-inscription' : 'Directe')
+        ]);
+        container.innerHTML = engine.renderTable(['Nom Prénom', 'N° Tel', 'Formation', 'Grp', 'Date', this.activeTab === 'pre' ? 'Statut' : 'Origine'], rows, { emptyMessage: 'Aucun étudiant' });
+    }
+}
+
+/**
+ * GroupReportManager - Bilan de Paiement and Bilan de Présences of Médias & Statistiques
+ * Percentages are computed per formation + group from the student registry, the Caisse payments
+ * linked to a student and the roll calls kept in `groupAttendance`; `reportKind` picks the report.
+ */
+class GroupReportManager {
+    constructor(game) {
+        this.game = game;
+        this.attendanceCollectionName = 'groupAttendance';
+        this.defaultThresholds = { payment: 80, attendance: 75 };
+        this.section = null;
+        this.reportKind = 'payment';
+        this.selectedGroup = null; // { formation, group } of the open drill-down
+        this.groups = [];
+        this.data = null; // Paid amounts or roll calls, loaded with the groups
+        this.handle = null;
+        
+        this.game.houseInteraction.registerHandler('groupReports', this);
+    }
+    
+    getThreshold() {
+        return Number(this.section && this.section.threshold) || this.defaultThresholds[this.reportKind];
+    }
+    
+    groupKey(formation, group) {
+        return `${String(formation || '').trim().toLowerCase()}|${String(group || '').trim().toLowerCase()}`;
+    }
+    
+    // Registered students by formation + group
+    async loadGroups() {
+        const students = (await this.game.students.listStudents()).filter(student => student.kind === 'registration');
+        const groups = new Map();
+        
+        students.forEach(student => {
+            const key = this.groupKey(student.formation, student.group);
+            if (!groups.has(key)) groups.set(key, { key, formation: student.formation, group: student.group || '-', students: [] });
+            groups.get(key).students.push(student);
+        });
+        
+        return Array.from(groups.values())
+            .map(group => ({ ...group, students: group.students.sort((a, b) => a.name.localeCompare(b.name)) }))
+            .sort((a, b) => a.formation.localeCompare(b.formation) || a.group.localeCompare(b.group));
+    }
+    
+    /**
+     * Net amount paid per student: payments minus refunds and reversals recorded with their studentId
+     * Only the entries of these students are read, 30 ids per query (the `in` limit)
+     * @returns {Promise<Map<string, number>>}
+     */
+    async loadPaidByStudent(studentIds) {
+        const chunks = [];
+        for (let i = 0; i < studentIds.length; i += 30) chunks.push(studentIds.slice(i, i + 30));
+        
+        const results = await Promise.all(chunks.map(chunk => this.game.cashRegister.listEntries([window.where('studentId', 'in', chunk)])));
+        const paid = new Map();
+        results.flat().forEach(entry => {
+            if (!['payment', 'refund', 'reversal'].includes(entry.type)) return;
+            paid.set(entry.studentId, (paid.get(entry.studentId) || 0) + (entry.signedAmount || 0));
+        });
+        return paid;
+    }
+    
+    /**
+     * Payment status of each student; students without a fee are left out of the percentage
+     * @returns {{ rows: Array, percentage: number|null, missingFees: number }}
+     */
+    computePayment(group, paidByStudent) {
+        const rows = group.students.map(student => {
+            const paid = paidByStudent.get(student.id) || 0;
+            const fee = typeof student.fee === 'number' ? student.fee : null;
+            return { student, fee, paid, remaining: fee === null ? null : Math.max(0, fee - paid), fullyPaid: fee !== null && paid >= fee };
+        });
+        
+        const withFee = rows.filter(row => row.fee !== null);
+        return {
+            rows,
+            percentage: withFee.length > 0 ? Math.round((withFee.filter(row => row.fullyPaid).length / withFee.length) * 100) : null,
+            missingFees: rows.length - withFee.length
+        };
+    }
+    
+    async loadRollCalls() {
+        if (!window.db) return [];
+        
+        try {
+            const querySnapshot = await window.getDocs(window.collection(window.db, this.attendanceCollectionName));
+            return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('❌ Error loading roll calls:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Presence of each student over the group's roll calls
+     * @returns {{ rows: Array, percentage: number|null, sessions: number }}
+     */
+    computeAttendance(group, rollCalls) {
+        const groupRollCalls = rollCalls.filter(rollCall => this.groupKey(rollCall.formation, rollCall.group) === group.key);
+        const rows = group.students.map(student => {
+            const present = groupRollCalls.filter(rollCall => (rollCall.present || []).includes(student.id)).length;
+            const absent = groupRollCalls.filter(rollCall => (rollCall.absent || []).includes(student.id)).length;
+            return { student, present, absent, percentage: present + absent > 0 ? Math.round((present / (present + absent)) * 100) : null };
+        });
+        
+        const marks = rows.reduce((sum, row) => sum + row.present + row.absent, 0);
+        return {
+            rows,
+            percentage: marks > 0 ? Math.round((rows.reduce((sum, row) => sum + row.present, 0) / marks) * 100) : null,
+            sessions: groupRollCalls.length
+        };
+    }
+    
+    // One roll call per group and day; taking it again replaces it
+    async saveRollCall(group, date, presentIds) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        
+        const rollCallId = `${encodeURIComponent(group.key)}_${date}`;
+        await window.setDoc(window.doc(window.db, this.attendanceCollectionName, rollCallId), {
+            formation: group.formation,
+            group: group.group,
+            date,
+            present: presentIds,
+            absent: group.students.map(student => student.id).filter(id => !presentIds.includes(id)),
+            takenBy: user.uid,
+            takenByName: this.game.auth.getPlayerName(),
+            takenAt: new Date().toISOString()
+        });
+        console.log(`📋 Roll call saved for ${group.formation} ${group.group} on ${date}`);
+    }
+    
+    async setFee(studentId, fee) {
+        if (!this.game.auth.user || !window.db) throw new Error('Not authenticated');
+        await window.updateDoc(window.doc(window.db, this.game.students.collectionName, studentId), { fee });
+    }
+    
+    async open(house, houseData, section) {
+        const engine = this.game.houseForms;
+        this.section = section;
+        this.reportKind = section.reportKind === 'attendance' ? 'attendance' : 'payment';
+        this.selectedGroup = null;
+        this.data = null;
+        
+        this.handle = engine.openModal({
+            id: 'group-report-modal',
+            title: `📊 ${section.name}`,
+            subtitle: `Seuil : ${this.getThreshold()}%`,
+            maxWidth: '800px',
+            bodyHTML: '<div class="group-report-content" style="overflow-x: auto;"></div>'
+        });
+        
+        const container = this.handle.content.querySelector('.group-report-content');
+        container.addEventListener('click', (e) => this.handleClick(e));
+        container.addEventListener('submit', (e) => this.handleRollCall(e));
+        container.addEventListener('change', (e) => {
+            if (e.target.classList.contains('roll-call-date')) this.render();
+        });
+        
+        await this.reload();
+    }
+    
+    // Read once per opening and after each change; drilling into a group only re-renders
+    async reload() {
+        this.groups = await this.loadGroups();
+        this.data = this.reportKind === 'payment'
+            ? await this.loadPaidByStudent(this.groups.flatMap(group => group.students.map(student => student.id)))
+            : await this.loadRollCalls();
+        this.render();
+    }
+    
+    async handleClick(e) {
+        const button = e.target.closest('button');
+        if (!button) return;
+        
+        if (button.classList.contains('group-open-btn')) {
+            this.selectedGroup = button.getAttribute('data-group-key');
+            this.render();
+        } else if (button.classList.contains('group-back-btn')) {
+            this.selectedGroup = null;
+            this.render();
+        } else if (button.classList.contains('group-pay-btn')) {
+            await this.handlePayment(button.getAttribute('data-student-id'), button.getAttribute('data-student-name'));
+        } else if (button.classList.contains('group-fee-btn')) {
+            await this.handleFee(button.getAttribute('data-student-id'));
+        }
+    }
+    
+    async handlePayment(studentId, studentName) {
+        const raw = prompt(`Montant encaissé pour ${studentName} (${this.game.cashRegister.currency}) :`);
+        if (raw === null) return;
+        
+        const { value: amount, error } = this.game.houseForms.parseFieldValue({ type: 'number', min: 1, required: true }, raw);
+        if (error) {
+            this.game.auth.showBottomNotification(`❌ Montant : ${error}`, 'error');
+            return;
+        }
+        
+        try {
+            const group = this.groups.find(candidate => candidate.key === this.selectedGroup);
+            await this.game.cashRegister.addEntry({
+                type: 'payment',
+                amount,
+                reason: `Paiement ${group ? `${group.formation} ${group.group}` : ''}`.trim(),
+                student: studentName,
+                studentId
+            });
+            this.game.auth.showBottomNotification(`💵 ${this.game.cashRegister.formatAmount(amount)} enregistrés dans la Caisse`, 'success');
+        } catch (error) {
+            console.error('❌ Error recording payment:', error);
+            this.game.auth.showBottomNotification('❌ Paiement non enregistré, réessayez', 'error');
+        }
+        this.reload();
+    }
+    
+    async handleFee(studentId) {
+        const raw = prompt(`Frais de formation (${this.game.cashRegister.currency}) :`);
+        if (raw === null) return;
+        
+        const { value: fee, error } = this.game.houseForms.parseFieldValue({ type: 'number', min: 0, required: true }, raw);
+        if (error) {
+            this.game.auth.showBottomNotification(`❌ Frais : ${error}`, 'error');
+            return;
+        }
+        
+        try {
+            await this.setFee(studentId, fee);
+        } catch (error) {
+            console.error('❌ Error saving fee:', error);
+            this.game.auth.showBottomNotification('❌ Frais non enregistrés', 'error');
+        }
+        this.reload();
+    }
+    
+    async handleRollCall(e) {
+        if (!e.target.classList.contains('roll-call-form')) return;
+        e.preventDefault();
+        
+        const form = e.target;
+        const date = form.querySelector('.roll-call-date').value;
+        if (!date) {
+            this.game.auth.showBottomNotification('❌ Choisissez la date de la séance', 'error');
+            return;
+        }
+        
+        try {
+            const group = this.groups.find(candidate => candidate.key === this.selectedGroup);
+            const presentIds = Array.from(form.querySelectorAll('input[type="checkbox"]:checked')).map(input => input.value);
+            await this.saveRollCall(group, date, presentIds);
+            this.game.auth.showBottomNotification(`✅ Appel enregistré (${presentIds.length}/${group.students.length} présents)`, 'success');
+        } catch (error) {
+            console.error('❌ Error saving roll call:', error);
+            this.game.auth.showBottomNotification('❌ Appel non enregistré, réessayez', 'error');
+        }
+        this.reload();
+    }
+    
+    renderPercentage(percentage) {
+        if (percentage === null) return '<span style="color: #999;">-</span>';
+        const flagged = percentage < this.getThreshold();
+        return `<strong style="color: ${flagged ? '#FF3B30' : '#34C759'};">${flagged ? '⚠️ ' : ''}${percentage}%</strong>`;
+    }
+    
+    render() {
+        if (!this.handle || !this.data) return;
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        const container = this.handle.content.querySelector('.group-report-content');
+        const rollCallDate = container.querySelector('.roll-call-date')?.value || engine.dateKey();
+        const groups = this.groups;
+        const data = this.data;
+        const compute = group => this.reportKind === 'payment' ? this.computePayment(group, data) : this.computeAttendance(group, data);
+        
+        const group = groups.find(candidate => candidate.key === this.selectedGroup);
+        if (!group) {
+            this.selectedGroup = null;
+            const rows = groups.map(candidate => {
+                const report = compute(candidate);
+                return [
+                    escape(candidate.formation),
+                    escape(candidate.group),
+                    `${candidate.students.length}`,
+                    this.renderPercentage(report.percentage),
+                    `<button class="group-open-btn" data-group-key="${escape(candidate.key)}" style="border: none; background: #007AFF; color: white; border-radius: 6px; padding: 4px 10px; cursor: pointer;">Détails</button>`
+                ];
+            });
+            container.innerHTML = engine.renderTable(['Formation', 'Grp', 'Étudiants', this.reportKind === 'payment' ? 'Payé' : 'Présence', ''], rows, { emptyMessage: 'Aucun étudiant inscrit' });
+            return;
+        }
+        
+        const report = compute(group);
+        const header = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px; gap: 10px;">
+                <button class="group-back-btn" style="border: none; background: none; color: #007AFF; cursor: pointer; font-size: 16px;">← Groupes</button>
+                <strong style="color: #1d1d1f;">${escape(group.formation)} · ${escape(group.group)} · ${this.renderPercentage(report.percentage)}</strong>
+            </div>
+        `;
+        
+        if (this.reportKind === 'payment') {
+            const rows = report.rows.map(row => [
+                escape(row.student.name),
+                row.fee === null ? '<span style="color: #FF9500;">Non renseignés</span>' : escape(this.game.cashRegister.formatAmount(row.fee)),
+                escape(this.game.cashRegister.formatAmount(row.paid)),
+                row.remaining === null ? '-' : escape(this.game.cashRegister.formatAmount(row.remaining)),
+                row.fullyPaid ? '✅' : '⏳',
+                `<button class="group-pay-btn" data-student-id="${escape(row.student.id)}" data-student-name="${escape(row.student.name)}" style="border: none; background: #34C759; color: white; border-radius: 6px; padding: 4px 8px; cursor: pointer;">💵</button>
+                 <button class="group-fee-btn" data-student-id="${escape(row.student.id)}" style="border: none; background: #8E8E93; color: white; border-radius: 6px; padding: 4px 8px; cursor: pointer;">✏️</button>`
+            ]);
+            container.innerHTML = `
+                ${header}
+                ${report.missingFees > 0 ? `<div style="color: #FF9500; font-size: 13px; margin-bottom: 10px;">${report.missingFees} étudiant(s) sans frais renseignés ne comptent pas dans le pourcentage</div>` : ''}
+                ${engine.renderTable(['Étudiant', 'Frais', 'Payé', 'Reste', '', ''], rows)}
+            `;
+            return;
+        }
+        
+        const rollCall = data.find(candidate => this.groupKey(candidate.formation, candidate.group) === group.key && candidate.date === rollCallDate);
+        const rows = report.rows.map(row => [
+            escape(row.student.name),
+            `${row.present}`,
+            `${row.absent}`,
+            this.renderPercentage(row.percentage)
+        ]);
+        container.innerHTML = `
+            ${header}
+            <form class="roll-call-form" novalidate style="background: #f8f9fa; padding: 15px; border-radius: 12px; margin-bottom: 20px;">
+                <div style="display: flex; gap: 10px; align-items: center; margin-bottom: 10px;">
+                    <strong style="color: #333;">Appel du</strong>
+                    <input type="date" class="roll-call-date" value="${escape(rollCallDate)}" style="${engine.baseInputStyle} width: auto; margin-top: 0;">
+                    ${rollCall ? `<span style="font-size: 12px; color: #666;">par ${escape(rollCall.takenByName)}</span>` : ''}
+                </div>
+                ${group.students.map(student => `
+                    <label style="display: flex; align-items: center; gap: 8px; padding: 4px 0; color: #333; cursor: pointer;" dir="auto">
+                        <input type="checkbox" value="${escape(student.id)}" ${!rollCall || (rollCall.present || []).includes(student.id) ? 'checked' : ''}> ${escape(student.name)}
+                    </label>
+                `).join('')}
+                <button type="submit" style="${engine.buttonStyle('#34C759', '#28A745')} margin-top: 10px;">✅ Enregistrer l'appel (${report.sessions} séance(s) enregistrée(s))</button>
+            </form>
+            ${engine.renderTable(['Étudiant', 'Présences', 'Absences', 'Taux'], rows)}
+        `;
+    }
+}
+
+/**
+ * SatisfactionSurveyManager - Satisfaction Clients of Médias & Statistiques
+ * Staff build short surveys (`surveys`) of 1-5 ratings and comments, record the answers of a
+ * formation/group (`surveyResponses`) and read averages, distribution and monthly trend, or export them to CSV.
+ */
+class SatisfactionSurveyManager {
+    constructor(game) {
+        this.game = game;
+        this.surveysCollectionName = 'surveys';
+        this.responsesCollectionName = 'surveyResponses';
+        this.scale = 5;
+        this.activeTab = 'respond';
+        this.selectedSurveyId = '';
+        this.resultsFilter = { formation: '', group: '' };
+        this.draftTitle = '';
+        this.draftQuestions = [];
+        this.lastClass = { formation: '', group: '' }; // Kept for the next respondent of the same class
+        this.handle = null;
+        
+        this.questionTypes = {
+            rating: 'Note (1-5)',
+            comment: 'Commentaire'
+        };
+        
+        this.game.houseInteraction.registerHandler('surveys', this);
+    }
+    
+    async listSurveys() {
+        if (!window.db) return [];
+        
+        try {
+            const querySnapshot = await window.getDocs(window.collection(window.db, this.surveysCollectionName));
+            return querySnapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+        } catch (error) {
+            console.error('❌ Error loading surveys:', error);
+            return [];
+        }
+    }
+    
+    async listResponses(surveyId) {
+        if (!window.db) return [];
+        
+        try {
+            const q = window.query(
+                window.collection(window.db, this.responsesCollectionName),
+                window.where('surveyId', '==', surveyId)
+            );
+            const querySnapshot = await window.getDocs(q);
+            return querySnapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+        } catch (error) {
+            console.error('❌ Error loading survey responses:', error);
+            return [];
+        }
+    }
+    
+    async createSurvey(title, questions) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        
+        const cleanQuestions = questions
+            .map(question => ({ label: question.label.trim(), type: this.questionTypes[question.type] ? question.type : 'rating' }))
+            .filter(question => question.label);
+        if (!title.trim()) throw new Error('Le titre est obligatoire');
+        if (!cleanQuestions.some(question => question.type === 'rating')) throw new Error('Ajoutez au moins une question notée');
+        
+        const docRef = await window.addDoc(window.collection(window.db, this.surveysCollectionName), {
+            title: title.trim(),
+            questions: cleanQuestions.map((question, index) => ({ id: `q${index + 1}`, ...question })),
+            active: true,
+            createdBy: user.uid,
+            createdByName: this.game.auth.getPlayerName(),
+            createdAt: new Date().toISOString()
+        });
+        console.log(`📋 Survey "${title.trim()}" created`);
+        return docRef.id;
+    }
+    
+    async setActive(surveyId, active) {
+        if (!this.game.auth.user || !window.db) throw new Error('Not authenticated');
+        await window.updateDoc(window.doc(window.db, this.surveysCollectionName, surveyId), { active });
+    }
+    
+    /**
+     * Record one respondent's answers
+     * @param {Object} answers - question id -> rating (1..scale) or comment text
+     */
+    async recordResponse(survey, { formation, group, answers }) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        if (!survey.active) throw new Error('Ce questionnaire est clôturé');
+        if (!formation) throw new Error('La formation est obligatoire');
+        
+        const cleanAnswers = {};
+        survey.questions.forEach(question => {
+            const answer = answers[question.id];
+            if (question.type === 'rating') {
+                if (!Number.isInteger(answer) || answer < 1 || answer > this.scale) throw new Error(`Notez « ${question.label} » de 1 à ${this.scale}`);
+                cleanAnswers[question.id] = answer;
+            } else if (answer && String(answer).trim()) {
+                cleanAnswers[question.id] = String(answer).trim();
+            }
+        });
+        
+        const now = new Date();
+        await window.addDoc(window.collection(window.db, this.responsesCollectionName), {
+            surveyId: survey.id,
+            formation: formation.trim(),
+            group: (group || '').trim(),
+            answers: cleanAnswers,
+            date: this.game.houseForms.dateKey(now),
+            recordedBy: user.uid,
+            recordedByName: this.game.auth.getPlayerName(),
+            createdAt: now.toISOString()
+        });
+    }
+    
+    filterResponses(responses, { formation, group }) {
+        const same = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+        return responses.filter(response => (!formation || same(response.formation, formation)) && (!group || same(response.group, group)));
+    }
+    
+    /**
+     * Averages over the rating questions
+     * @returns {{ count: number, average: number|null, perQuestion: Object, distribution: number[], trend: Array<{ month: string, average: number, count: number }> }}
+     */
+    aggregate(survey, responses) {
+        const ratingQuestions = survey.questions.filter(question => question.type === 'rating');
+        const distribution = new Array(this.scale).fill(0);
+        const perQuestion = {};
+        const months = new Map();
+        let total = 0;
+        let ratings = 0;
+        
+        ratingQuestions.forEach(question => perQuestion[question.id] = { total: 0, count: 0 });
+        responses.forEach(response => {
+            const month = (response.date || '').slice(0, 7);
+            if (!months.has(month)) months.set(month, { total: 0, count: 0 });
+            
+            ratingQuestions.forEach(question => {
+                const rating = response.answers && response.answers[question.id];
+                if (typeof rating !== 'number') return;
+                distribution[rating - 1]++;
+                perQuestion[question.id].total += rating;
+                perQuestion[question.id].count++;
+                months.get(month).total += rating;
+                months.get(month).count++;
+                total += rating;
+                ratings++;
+            });
+        });
+        
+        const average = (sum, count) => count > 0 ? Math.round((sum / count) * 100) / 100 : null;
+        Object.keys(perQuestion).forEach(id => perQuestion[id] = average(perQuestion[id].total, perQuestion[id].count));
+        
+        return {
+            count: responses.length,
+            average: average(total, ratings),
+            perQuestion,
+            distribution,
+            trend: Array.from(months.entries())
+                .filter(([, month]) => month.count > 0)
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([month, stats]) => ({ month, average: average(stats.total, stats.count), count: stats.count }))
+        };
+    }
+    
+    // One row per response, quoted for Excel; the BOM keeps accents and Arabic readable
+    buildCSV(survey, responses) {
+        const quote = value => {
+            let text = String(value ?? '');
+            // Text Excel would run as a formula is kept as text; numbers stay numbers
+            if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = ['Date', 'Formation', 'Grp', ...survey.questions.map(question => question.label), 'Saisi par'];
+        const rows = responses.map(response => [
+            response.date,
+            response.formation,
+            response.group,
+            ...survey.questions.map(question => (response.answers || {})[question.id] ?? ''),
+            response.recordedByName
+        ]);
+        return '\uFEFF' + [header, ...rows].map(row => row.map(quote).join(',')).join('\r\n');
+    }
+    
+    downloadCSV(filename, csv) {
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+    
+    async open() {
+        const engine = this.game.houseForms;
+        this.activeTab = 'respond';
+        this.draftQuestions = [{ label: '', type: 'rating' }];
+        
+        this.handle = engine.openModal({
+            id: 'survey-modal',
+            title: '😊 Satisfaction Clients',
+            maxWidth: '800px',
+            bodyHTML: `
+                <div style="display: flex; gap: 10px; margin-bottom: 20px;">
+                    <button class="survey-tab" data-tab="respond" style="flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;">Réponses</button>
+                    <button class="survey-tab" data-tab="results" style="flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;">Résultats</button>
+                    <button class="survey-tab" data-tab="build" style="flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;">Questionnaires</button>
+                </div>
+                <datalist id="survey-formations"></datalist>
+                <datalist id="survey-groups"></datalist>
+                <div class="survey-tab-content" style="overflow-x: auto;"></div>
+            `
+        });
+        
+        const content = this.handle.content;
+        content.querySelectorAll('.survey-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.activeTab = tab.getAttribute('data-tab');
+                this.render();
+            });
+        });
+        
+        const container = content.querySelector('.survey-tab-content');
+        container.addEventListener('click', (e) => this.handleClick(e));
+        container.addEventListener('submit', (e) => this.handleSubmit(e));
+        container.addEventListener('change', (e) => {
+            if (e.target.classList.contains('survey-select')) {
+                this.selectedSurveyId = e.target.value;
+                this.render();
+            } else if (e.target.classList.contains('survey-filter')) {
+                this.resultsFilter[e.target.getAttribute('data-filter')] = e.target.value;
+                this.render();
+            }
+        });
+        
+        // Suggest the formations and groups already in the registry
+        const groups = await this.game.groupReports.loadGroups();
+        content.querySelector('#survey-formations').innerHTML = [...new Set(groups.map(group => group.formation))].map(formation => `<option value="${engine.escapeHTML(formation)}">`).join('');
+        content.querySelector('#survey-groups').innerHTML = [...new Set(groups.map(group => group.group))].map(group => `<option value="${engine.escapeHTML(group)}">`).join('');
+        
+        await this.render();
+    }
+    
+    // Keep what was typed in the builder when it is redrawn
+    readDraft(form) {
+        this.draftTitle = form.elements.title.value;
+        this.draftQuestions = this.draftQuestions.map((question, index) => ({
+            label: form.elements[`question-${index}`].value,
+            type: form.elements[`type-${index}`].value
+        }));
+    }
+    
+    async handleClick(e) {
+        const builder = e.target.closest('.survey-builder');
+        if (builder && e.target.closest('.survey-add-question')) {
+            this.readDraft(builder);
+            this.draftQuestions.push({ label: '', type: 'rating' });
+            this.render();
+        } else if (builder && e.target.closest('.survey-remove-question')) {
+            this.readDraft(builder);
+            this.draftQuestions.splice(Number(e.target.closest('.survey-remove-question').getAttribute('data-index')), 1);
+            this.render();
+        } else if (e.target.closest('.survey-toggle-btn')) {
+            const button = e.target.closest('.survey-toggle-btn');
+            try {
+                await this.setActive(button.getAttribute('data-survey-id'), button.getAttribute('data-active') !== 'true');
+            } catch (error) {
+                console.error('❌ Error updating survey:', error);
+                this.game.auth.showBottomNotification('❌ Mise à jour impossible', 'error');
+            }
+            this.render();
+        } else if (e.target.closest('.survey-export-btn')) {
+            const survey = (await this.listSurveys()).find(candidate => candidate.id === this.selectedSurveyId);
+            if (!survey) return;
+            const responses = this.filterResponses(await this.listResponses(survey.id), this.resultsFilter);
+            const name = survey.title.replace(/[^\w\u00C0-\u024F\u0600-\u06FF-]+/g, '_');
+            this.downloadCSV(`satisfaction_${name}_${this.game.houseForms.dateKey()}.csv`, this.buildCSV(survey, responses));
+        }
+    }
+    
+    async handleSubmit(e) {
+        e.preventDefault();
+        const form = e.target;
+        
+        try {
+            if (form.classList.contains('survey-builder')) {
+                this.readDraft(form);
+                this.selectedSurveyId = await this.createSurvey(form.elements.title.value, this.draftQuestions);
+                this.draftTitle = '';
+                this.draftQuestions = [{ label: '', type: 'rating' }];
+                this.game.auth.showBottomNotification('✅ Questionnaire créé', 'success');
+                this.activeTab = 'respond';
+            } else if (form.classList.contains('survey-response-form')) {
+                const survey = (await this.listSurveys()).find(candidate => candidate.id === this.selectedSurveyId);
+                const answers = {};
+                survey.questions.forEach(question => {
+                    if (question.type === 'rating') {
+                        const checked = form.querySelector(`input[name="${question.id}"]:checked`);
+                        answers[question.id] = checked ? Number(checked.value) : null;
+                    } else {
+                        answers[question.id] = form.elements[question.id].value;
+                    }
+                });
+                
+                await this.recordResponse(survey, {
+                    formation: form.elements.formation.value,
+                    group: form.elements.group.value,
+                    answers
+                });
+                this.game.auth.showBottomNotification('✅ Réponse enregistrée', 'success');
+                this.lastClass = { formation: form.elements.formation.value, group: form.elements.group.value };
+            }
+            this.render();
+        } catch (error) {
+            console.error('❌ Survey action failed:', error);
+            this.game.auth.showBottomNotification(`❌ ${error.message}`, 'error');
+        }
+    }
+    
+    renderSurveySelect(surveys) {
+        const escape = value => this.game.houseForms.escapeHTML(value);
+        return `
+            <select class="survey-select" style="${this.game.houseForms.baseInputStyle} margin: 0 0 15px 0;">
+                ${surveys.map(survey => `<option value="${escape(survey.id)}" ${survey.id === this.selectedSurveyId ? 'selected' : ''}>${escape(survey.title)}${survey.active ? '' : ' (clôturé)'}</option>`).join('')}
+            </select>
+        `;
+    }
+    
+    async render() {
+        if (!this.handle) return;
+        const content = this.handle.content;
+        const container = content.querySelector('.survey-tab-content');
+        
+        content.querySelectorAll('.survey-tab').forEach(tab => {
+            const active = tab.getAttribute('data-tab') === this.activeTab;
+            tab.style.background = active ? '#007AFF' : 'white';
+            tab.style.color = active ? 'white' : '#007AFF';
+        });
+        
+        const surveys = await this.listSurveys();
+        const choices = this.activeTab === 'respond' ? surveys.filter(survey => survey.active) : surveys;
+        if (!choices.some(survey => survey.id === this.selectedSurveyId)) {
+            this.selectedSurveyId = choices[0] ? choices[0].id : '';
+        }
+        const survey = choices.find(candidate => candidate.id === this.selectedSurveyId);
+        
+        if (this.activeTab === 'build') {
+            container.innerHTML = this.renderBuilder(surveys);
+        } else if (!survey) {
+            container.innerHTML = '<div style="text-align: center; padding: 20px; color: #999; font-style: italic;">Aucun questionnaire, créez-en un dans l\'onglet Questionnaires</div>';
+        } else if (this.activeTab === 'respond') {
+            container.innerHTML = this.renderSurveySelect(choices) + this.renderResponseForm(survey);
+        } else {
+            const responses = this.filterResponses(await this.listResponses(survey.id), this.resultsFilter);
+            container.innerHTML = this.renderSurveySelect(choices) + this.renderResults(survey, this.aggregate(survey, responses));
+        }
+    }
+    
+    renderResponseForm(survey) {
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        const lastClass = this.lastClass;
+        
+        const questions = survey.questions.map(question => `
+            <div>
+                <div style="font-weight: 600; color: #333; margin-bottom: 6px;" dir="auto">${escape(question.label)}</div>
+                ${question.type === 'rating' ? `
+                    <div style="display: flex; gap: 8px;">
+                        ${Array.from({ length: this.scale }, (_, index) => index + 1).map(rating => `
+                            <label style="flex: 1; text-align: center; padding: 8px; border: 2px solid #e1e5e9; border-radius: 8px; cursor: pointer;">
+                                <input type="radio" name="${question.id}" value="${rating}"> ${rating}
+                            </label>
+                        `).join('')}
+                    </div>
+                ` : `<textarea name="${question.id}" rows="2" dir="auto" style="${engine.baseInputStyle} resize: vertical;"></textarea>`}
+            </div>
+        `).join('');
+        
+        return `
+            <form class="survey-response-form" novalidate style="display: flex; flex-direction: column; gap: 15px;">
+                <div style="display: flex; gap: 10px;">
+                    <input name="formation" list="survey-formations" placeholder="Formation" value="${escape(lastClass.formation)}" style="${engine.baseInputStyle} flex: 2;">
+                    <input name="group" list="survey-groups" placeholder="Grp" value="${escape(lastClass.group)}" style="${engine.baseInputStyle} flex: 1;">
+                </div>
+                ${questions}
+                <button type="submit" style="${engine.buttonStyle('#34C759', '#28A745')}">✅ Enregistrer la réponse</button>
+            </form>
+        `;
+    }
+    
+    renderResults(survey, stats) {
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        const maxCount = Math.max(1, ...stats.distribution);
+        
+        const distribution = stats.distribution.map((count, index) => `
+            <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 4px;">
+                <span style="width: 30px; color: #333;">${index + 1}★</span>
+                <div style="flex: 1; background: #f0f0f0; border-radius: 4px; height: 16px;">
+                    <div style="width: ${(count / maxCount) * 100}%; background: #FF9500; height: 100%; border-radius: 4px;"></div>
+                </div>
+                <span style="width: 30px; text-align: right; color: #666;">${count}</span>
+            </div>
+        `).join('');
+        
+        const questionRows = survey.questions
+            .filter(question => question.type === 'rating')
+            .map(question => [escape(question.label), stats.perQuestion[question.id] === null ? '-' : `${stats.perQuestion[question.id]} / ${this.scale}`]);
+        const trendRows = stats.trend.map(month => [
+            new Date(`${month.month}-01T00:00`).toLocaleDateString(undefined, { month: 'long', year: 'numeric' }),
+            `${month.average} / ${this.scale}`,
+            `${month.count}`
+        ]);
+        
+        return `
+            <div style="display: flex; gap: 10px; margin-bottom: 15px;">
+                <input class="survey-filter" data-filter="formation" list="survey-formations" placeholder="Toutes les formations" value="${escape(this.resultsFilter.formation)}" style="${engine.baseInputStyle} flex: 2; margin-top: 0;">
+                <input class="survey-filter" data-filter="group" list="survey-groups" placeholder="Tous les groupes" value="${escape(this.resultsFilter.group)}" style="${engine.baseInputStyle} flex: 1; margin-top: 0;">
+                <button class="survey-export-btn" style="${engine.buttonStyle()}">⬇️ CSV</button>
+            </div>
+            <div style="display: flex; gap: 20px; flex-wrap: wrap; margin-bottom: 20px;">
+                <div style="flex: 1; min-width: 150px; background: #f8f9fa; border-radius: 12px; padding: 15px; text-align: center;">
+                    <div style="font-size: 32px; font-weight: 700; color: #1d1d1f;">${stats.average === null ? '-' : stats.average}</div>
+                    <div style="color: #666; font-size: 13px;">moyenne sur ${this.scale} · ${stats.count} réponse(s)</div>
+                </div>
+                <div style="flex: 2; min-width: 220px;">${distribution}</div>
+            </div>
+            ${engine.renderTable(['Question', 'Moyenne'], questionRows)}
+            <h3 style="margin: 20px 0 10px 0; color: #1d1d1f;">Évolution</h3>
+            ${engine.renderTable(['Mois', 'Moyenne', 'Notes'], trendRows, { emptyMessage: 'Aucune réponse' })}
+        `;
+    }
+    
+    renderBuilder(surveys) {
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        
+        const questionRows = this.draftQuestions.map((question, index) => `
+            <div style="display: flex; gap: 8px; align-items: center;">
+                <input name="question-${index}" placeholder="Question ${index + 1}" value="${escape(question.label)}" dir="auto" style="${engine.baseInputStyle} flex: 3; margin-top: 0;">
+                <select name="type-${index}" style="${engine.baseInputStyle} flex: 1; margin-top: 0;">
+                    ${Object.entries(this.questionTypes).map(([type, label]) => `<option value="${type}" ${question.type === type ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <button type="button" class="survey-remove-question" data-index="${index}" style="border: none; background: none; cursor: pointer; font-size: 16px;">🗑️</button>
+            </div>
+        `).join('');
+        
+        const surveyRows = surveys.map(survey => [
+            escape(survey.title),
+            `${survey.questions.length}`,
+            escape(survey.createdByName),
+            `<button class="survey-toggle-btn" data-survey-id="${escape(survey.id)}" data-active="${survey.active}" style="border: none; background: ${survey.active ? '#FF9500' : '#34C759'}; color: white; border-radius: 6px; padding: 4px 10px; cursor: pointer;">${survey.active ? 'Clôturer' : 'Rouvrir'}</button>`
+        ]);
+        
+        return `
+            <form class="survey-builder" novalidate style="display: flex; flex-direction: column; gap: 10px; background: #f8f9fa; padding: 20px; border-radius: 12px; margin-bottom: 20px;">
+                <input name="title" placeholder="Titre du questionnaire" value="${escape(this.draftTitle)}" dir="auto" style="${engine.baseInputStyle}">
+                ${questionRows}
+                <button type="button" class="survey-add-question" style="align-self: flex-start; border: 1px dashed #007AFF; background: none; color: #007AFF; border-radius: 8px; padding: 6px 12px; cursor: pointer;">➕ Question</button>
+                <button type="submit" style="${engine.buttonStyle()}">✅ Créer le questionnaire</button>
+            </form>
+            ${engine.renderTable(['Questionnaire', 'Questions', 'Créé par', ''], surveyRows, { emptyMessage: 'Aucun questionnaire' })}
+        `;
+    }
+}
+
+/**
+ * QuestAssignmentManager - Who a quest is for, in a form Firestore can query
+ * Each quest carries `audience`, a list of targets: 'all', 'uid:{authUid}', 'email:{email}',
+ * 'group:{name}' or 'role:{role}'. A player listens to the open quests whose audience contains one of
+ * their own targets, so other players' quests never reach the client.
+ * The composite indexes are in firestore.indexes.json and the read rule in firestore.rules checks
+ * `resource.data.audience.hasAny([...])` against the caller's targets.
+ * The admin dashboard still writes only `assignedPlayer` (empty, a uid, an email or a users doc id). Players also
+ * follow the ones naming their uid or email through legacyQuestQuery(); the others (everyone, a users doc id) show
+ * up once migrate() converts them when an admin signs in.
+ */
+class QuestAssignmentManager {
+    constructor(game) {
+        this.game = game;
+        this.collectionName = 'quests';
+        this.openStatuses = ['active', 'player_done'];
+        this.maxGroups = 11;
+    }
+    
+    /**
+     * Build the audience of a new quest
+     * @param {Object} options - { everyone, uids, groups, roles }
+     * @returns {string[]}
+     */
+    audienceFor({ everyone = false, uids = [], groups = [], roles = [] } = {}) {
+        if (everyone) return ['all'];
+        return [
+            ...uids.map(uid => `uid:${uid}`),
+            ...groups.map(group => `group:${group}`),
+            ...roles.map(role => `role:${role}`)
+        ];
+    }
+    
+    // Every target that designates this player; groups come from `groups` (or a single `group`) on the users document
+    targetsFor(user, stats = {}) {
+        const targets = ['all', `uid:${user.uid}`];
+        if (user.email) targets.push(`email:${user.email.toLowerCase()}`);
+        targets.push(`role:${(stats && stats.role) || 'player'}`);
+        
+        // Firestore allows 30 disjunctions per query and the status filter doubles them, so at most 15 targets;
+        // questTargets() in firestore.rules checks the same first eleven groups
+        const groups = (stats && (stats.groups || (stats.group ? [stats.group] : []))) || [];
+        groups.slice(0, this.maxGroups).forEach(group => targets.push(`group:${group}`));
+        return targets;
+    }
+    
+    playerQuestQuery(user, stats) {
+        return window.query(
+            window.collection(window.db, this.collectionName),
+            window.where('status', 'in', this.openStatuses),
+            window.where('audience', 'array-contains-any', this.targetsFor(user, stats))
+        );
+    }
+    
+    // Quests that only name the player the old way, by uid or email; the rules can check both names from the token
+    legacyQuestQuery(user) {
+        const names = [...new Set([user.uid, user.email].filter(Boolean))];
+        return window.query(
+            window.collection(window.db, this.collectionName),
+            window.where('status', 'in', this.openStatuses),
+            window.where('assignedPlayer', 'in', names)
+        );
+    }
+    
+    /**
+     * Combine the audience and legacy results without duplicates
+     * A quest being migrated shows up in both; the listeners answer separately, so it must not vanish in between
+     * @returns {Array<Object>}
+     */
+    mergeQuests(audienceQuests, legacyQuests) {
+        const seen = new Set(audienceQuests.map(quest => quest.id));
+        return [...audienceQuests, ...legacyQuests.filter(quest => !seen.has(quest.id))];
+    }
+    
+    // Map every way a legacy assignedPlayer can name a player (users doc id, uid, email) to their auth uid
+    async loadUserIndex() {
+        const index = new Map();
+        const players = await this.game.leaderboard.fetchPlayers();
+        players.forEach(player => {
+            player.docIds.forEach(docId => index.set(docId, player.id));
+            index.set(player.id, player.id);
+            if (player.email) index.set(player.email.toLowerCase(), player.id);
+        });
+        return index;
+    }
+    
+    // Unknown emails and ids keep matching the way they used to: through the player's own email or uid target
+    legacyAudience(assignedPlayer, userIndex) {
+        const value = typeof assignedPlayer === 'string' ? assignedPlayer.trim() : '';
+        if (!value) return ['all'];
+        
+        const key = value.includes('@') ? value.toLowerCase() : value;
+        const uid = userIndex.get(key);
+        if (uid) return [`uid:${uid}`];
+        return value.includes('@') ? [`email:${key}`] : [`uid:${value}`];
+    }
+    
+    /**
+     * Give every quest without an audience one derived from its assignedPlayer (admin only)
+     * @param {Object} options - { statuses: only migrate these statuses (all when null), dryRun: only report }
+     * @returns {Promise<{ migrated: Array, skipped: number }>}
+     */
+    async migrate({ statuses = null, dryRun = false } = {}) {
+        if (!window.db || !this.game.auth.isAdmin()) {
+            throw new Error('Réservé aux administrateurs');
+        }
+        
+        const questsRef = window.collection(window.db, this.collectionName);
+        const q = statuses ? window.query(questsRef, window.where('status', 'in', statuses)) : questsRef;
+        const querySnapshot = await window.getDocs(q);
+        const pending = querySnapshot.docs.filter(doc => !Array.isArray(doc.data().audience));
+        if (pending.length === 0) return { migrated: [], skipped: querySnapshot.size };
+        
+        const userIndex = await this.loadUserIndex();
+        const migrated = [];
+        for (const doc of pending) {
+            const audience = this.legacyAudience(doc.data().assignedPlayer, userIndex);
+            migrated.push({ id: doc.id, assignedPlayer: doc.data().assignedPlayer || '', audience });
+            if (!dryRun) {
+                await window.updateDoc(window.doc(window.db, this.collectionName, doc.id), {
+                    audience: audience,
+                    audienceMigratedAt: new Date().toISOString()
+                });
+            }
+        }
+        
+        console.log(`🗂️ Quest assignments ${dryRun ? 'to migrate' : 'migrated'}: ${migrated.length}`, migrated);
+        return { migrated, skipped: querySnapshot.size - pending.length };
+    }
+}
+
+/**
+ * RecurringQuestManager - Routine quests (daily Pointage, weekly Hygiène, monthly Bilans)
+ * Admins keep templates in `questTemplates` with a recurrence rule { frequency: daily|weekly|monthly|custom,
+ * interval (days, custom only), startDate }. An admin's client spawns the instances of every player a template
+ * is aimed at, one `quests/{templateId}_{uid}_{periodStart}` document per period, at sign-in and after each
+ * midnight, so approval and rewards follow the usual quest flow per player and players never write rewards.
+ * Periods a player let pass are written with status 'missed'. A period that began before the template's
+ * startDate is shortened to start on it.
+ */
+class RecurringQuestManager {
+    constructor(game) {
+        this.game = game;
+        this.templatesCollection = 'questTemplates';
+        this.questsCollection = 'quests';
+        this.backfillPeriods = 6; // How many past periods are checked for missed instances
+        this.spawnChunkSize = 10; // Missing instances written in parallel
+        this.frequencies = {
+            daily: 'Quotidienne',
+            weekly: 'Hebdomadaire',
+            monthly: 'Mensuelle',
+            custom: 'Tous les N jours'
+        };
+        this.statusLabels = {
+            active: '🔄 En cours',
+            player_done: '⏳ En attente',
+            completed: '✅ Terminée',
+            missed: '❌ Manquée'
+        };
+        this.activeTab = 'history';
+        this.selectedPlayer = null;
+        this.handle = null;
+        
+        const historyButton = document.getElementById('questHistoryButton');
+        if (historyButton) historyButton.addEventListener('click', () => this.open());
+        
+        // The midnight run only makes sense while the admin stays signed in
+        this.game.auth.onAuthStateChange((user) => {
+            if (!user) clearTimeout(this.midnightTimer);
+        });
+    }
+    
+    parseDay(day) {
+        const [year, month, date] = String(day).split('-').map(Number);
+        return new Date(year, month - 1, date);
+    }
+    
+    addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+    
+    /**
+     * Period of a recurrence rule that contains a date
+     * @returns {{ start: Date, end: Date }} end is the start of the next period
+     */
+    periodAt(recurrence, date = new Date()) {
+        const start = new Date(date);
+        start.setHours(0, 0, 0, 0);
+        
+        switch (recurrence.frequency) {
+            case 'weekly':
+                start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+                return { start, end: this.addDays(start, 7) };
+            case 'monthly': {
+                start.setDate(1);
+                const end = new Date(start);
+                end.setMonth(end.getMonth() + 1);
+                return { start, end };
+            }
+            case 'custom': {
+                const interval = Math.max(1, Math.floor(Number(recurrence.interval) || 1));
+                const origin = this.parseDay(recurrence.startDate || this.game.houseForms.dateKey());
+                // Rounded so a daylight saving change does not shift the count
+                const elapsedDays = Math.round((start - origin) / (24 * 60 * 60 * 1000));
+                const periodStart = this.addDays(origin, Math.floor(elapsedDays / interval) * interval);
+                return { start: periodStart, end: this.addDays(periodStart, interval) };
+            }
+            default:
+                return { start, end: this.addDays(start, 1) };
         }
     }
     
-    showHomeFeedbacksTable() {
-        this.showHomeTable('feedbacks', 'Feedbacks from Admins', '📝');
+    /**
+     * Current period first, then up to backfillPeriods earlier ones that are not before `since`
+     * None starts before the rule's startDate: the period that contains it is cut to begin that day
+     */
+    recentPeriods(recurrence, since, now = new Date()) {
+        const startsAt = recurrence.startDate ? this.parseDay(recurrence.startDate) : new Date(0);
+        const periods = [];
+        let period = this.periodAt(recurrence, now);
+        while (periods.length <= this.backfillPeriods && period.end > since && period.end > startsAt) {
+            periods.push(period.start < startsAt ? { start: startsAt, end: period.end } : period);
+            period = this.periodAt(recurrence, new Date(period.start.getTime() - 1));
+        }
+        return periods;
     }
     
-    showHomeMissionsTable() {
-        this.showHomeTable('missions', 'Your Submitted Missions', '📋');
+    describeRule(recurrence = {}) {
+        if (recurrence.frequency === 'custom') return `Tous les ${recurrence.interval} jours`;
+        return this.frequencies[recurrence.frequency] || recurrence.frequency;
     }
     
-    showHomeOverviewTable() {
-        this.showHomeTable('all', 'All Activity', '📊');
+    describeAudience(audience = []) {
+        if (audience.includes('all')) return 'Tout le monde';
+        return audience.map(target => target.replace(/^uid:/, '👤 ').replace(/^group:/, '👥 ').replace(/^role:/, '🎭 ').replace(/^email:/, '✉️ ')).join(', ');
     }
     
-    showHomeTable(type, title, icon) {
-        // Create home table modal
-        let modal = document.getElementById('home-table-modal');
-        if (!modal) {
-            modal = document.createElement('div');
-            modal.id = 'home-table-modal';
-            modal.style.cssText = `
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: rgba(0, 0, 0, 0.5);
-                display: none;
-                justify-content: center;
-                align-items: center;
-                z-index: 2000;
-                backdrop-filter: blur(5px);
-                -webkit-backdrop-filter: blur(5px);
-            `;
-            
-            const modalContent = document.createElement('div');
-            modalContent.style.cssText = `
-                background: rgba(255, 255, 255, 0.95);
-                padding: 20px;
-                border-radius: 20px;
-                max-width: 800px;
-                width: 95%;
-                max-height: 80vh;
-                overflow-y: auto;
-                backdrop-filter: blur(20px);
-                -webkit-backdrop-filter: blur(20px);
-                border: 1px solid rgba(255, 255, 255, 0.2);
-                box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
-            `;
-            
-            modalContent.innerHTML = `
-                <div class="home-table-header" style="
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                    margin-bottom: 20px;
-                    padding-bottom: 15px;
-                    border-bottom: 2px solid rgba(0, 122, 255, 0.2);
-                ">
-                    <h2 class="home-table-title" style="margin: 0; color: #1d1d1f; font-size: 24px; display: flex; align-items: center; gap: 10px;">
-                        <span class="table-icon">📊</span>
-                        <span class="table-title-text">Home Activity</span>
-                    </h2>
-                    <button id="close-home-table-modal" style="
-                        background: none;
-                        border: none;
-                        font-size: 24px;
-                        cursor: pointer;
-                        color: #666;
-                        padding: 5px;
-                        border-radius: 50%;
-                        transition: background 0.2s ease;
-                    ">×</button>
-                </div>
-                <div class="home-table-tabs" style="
-                    display: flex;
-                    gap: 10px;
-                    margin-bottom: 20px;
-                ">
-                    <button class="table-tab-btn active" data-tab="feedbacks" style="
-                        background: linear-gradient(135deg, #007AFF 0%, #0056CC 100%);
-                        color: white;
-                        border: none;
-                        padding: 10px 20px;
-                        border-radius: 20px;
-                        font-size: 14px;
-                        font-weight: 600;
-                        cursor: pointer;
-                        transition: all 0.3s ease;
-                    ">📝 Feedbacks</button>
-                    <button class="table-tab-btn" data-tab="missions" style="
-                        background: rgba(0, 122, 255, 0.1);
-                        color: #007AFF;
-                        border: 2px solid rgba(0, 122, 255, 0.3);
-                        padding: 10px 20px;
-                        border-radius: 20px;
-                        font-size: 14px;
-                        font-weight: 600;
-                        cursor: pointer;
-                        transition: all 0.3s ease;
-                    ">📋 Missions</button>
-                    <button class="table-tab-btn" data-tab="all" style="
-                        background: rgba(0, 122, 255, 0.1);
-                        color: #007AFF;
-                        border: 2px solid rgba(0, 122, 255, 0.3);
-                        padding: 10px 20px;
-                        border-radius: 20px;
-                        font-size: 14px;
-                        font-weight: 600;
-                        cursor: pointer;
-                        transition: all 0.3s ease;
-                    ">📊 All</button>
-                </div>
-                <div class="home-table-content" style="
-                    min-height: 300px;
-                    max-height: 400px;
-                    overflow-y: auto;
-                ">
-                    <!-- Table content will be loaded here -->
-                </div>
-            `;
-            
-            modal.appendChild(modalContent);
-            document.body.appendChild(modal);
-            
-            // Add event listeners
-            document.getElementById('close-home-table-modal').addEventListener('click', () => {
-                modal.style.display = 'none';
-            });
-            
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal) {
-                    modal.style.display = 'none';
-                }
-            });
-            
-            // Tab switching
-            modal.querySelectorAll('.table-tab-btn').forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    // Update active tab
-                    modal.querySelectorAll('.table-tab-btn').forEach(b => {
-                        b.style.background = 'rgba(0, 122, 255, 0.1)';
-                        b.style.color = '#007AFF';
-                        b.style.border = '2px solid rgba(0, 122, 255, 0.3)';
-                    });
-                    
-                    e.target.style.background = 'linear-gradient(135deg, #007AFF 0%, #0056CC 100%)';
-                    e.target.style.color = 'white';
-                    e.target.style.border = 'none';
-                    
-                    // Load content
-                    const tabType = e.target.getAttribute('data-tab');
-                    this.loadHomeTableContent(tabType);
-                });
-            });
-        }
+    instanceId(templateId, uid, periodStart) {
+        return `${templateId}_${uid}_${this.game.houseForms.dateKey(periodStart)}`;
+    }
+    
+    async listTemplates({ activeOnly = false } = {}) {
+        if (!window.db) return [];
         
-        // Update title and load content
-        const titleElement = modal.querySelector('.table-title-text');
-        const iconElement = modal.querySelector('.table-icon');
-        titleElement.textContent = title;
-        iconElement.textContent = icon;
+        try {
+            const templatesRef = window.collection(window.db, this.templatesCollection);
+            const querySnapshot = await window.getDocs(activeOnly ? window.query(templatesRef, window.where('active', '==', true)) : templatesRef);
+            return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('❌ Error loading quest templates:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Create a template (admin only)
+     * @param {Object} template - { name, description, xpReward, coinsReward, recurrence, audience }
+     */
+    async createTemplate({ name, description, xpReward, coinsReward, recurrence, audience }) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        if (!this.game.auth.isAdmin()) throw new Error('Réservé aux administrateurs');
+        if (!name) throw new Error('Le nom est obligatoire');
+        if (!this.frequencies[recurrence.frequency]) throw new Error('Fréquence inconnue');
+        if (recurrence.frequency === 'custom' && !(Number.isInteger(recurrence.interval) && recurrence.interval >= 1)) {
+            throw new Error('L\'intervalle doit être un nombre entier de jours');
+        }
+        if (!audience || audience.length === 0) throw new Error('Choisissez à qui s\'adresse la quête');
+        
+        const docRef = await window.addDoc(window.collection(window.db, this.templatesCollection), {
+            name,
+            description: description || '',
+            xpReward: xpReward || 0,
+            coinsReward: coinsReward || 0,
+            recurrence: {
+                frequency: recurrence.frequency,
+                interval: recurrence.frequency === 'custom' ? recurrence.interval : 1,
+                startDate: recurrence.startDate || this.game.houseForms.dateKey()
+            },
+            audience,
+            active: true,
+            createdBy: user.uid,
+            createdByName: this.game.auth.getPlayerName(),
+            createdAt: new Date().toISOString()
+        });
+        console.log(`🔁 Quest template "${name}" created`);
+        return docRef.id;
+    }
+    
+    async setTemplateActive(templateId, active) {
+        if (!this.game.auth.isAdmin()) throw new Error('Réservé aux administrateurs');
+        await window.updateDoc(window.doc(window.db, this.templatesCollection, templateId), { active });
+    }
+    
+    /**
+     * Make sure every player has an instance of every template aimed at them for the current period,
+     * and record the recent periods they let pass as missed (admin only)
+     * The instances already written are found with one query over the backfill window, so only the missing
+     * ones cost a transaction
+     * @returns {Promise<{ spawned: number, missed: number }>}
+     */
+    async spawnAll() {
+        const auth = this.game.auth;
+        if (!auth.user || !window.db || !auth.isAdmin()) return { spawned: 0, missed: 0 };
         
-        // Set active tab
-        modal.querySelectorAll('.table-tab-btn').forEach(btn => {
-            btn.classList.remove('active');
-            if (btn.getAttribute('data-tab') === type) {
-                btn.classList.add('active');
-                btn.style.background = 'linear-gradient(135deg, #007AFF 0%, #0056CC 100%)';
-                btn.style.color = 'white';
-                btn.style.border = 'none';
-            } else {
-                btn.style.background = 'rgba(0, 122, 255, 0.1)';
-                btn.style.color = '#007AFF';
-                btn.style.border = '2px solid rgba(0, 122, 255, 0.3)';
+        const templates = await this.listTemplates({ activeOnly: true });
+        const players = templates.length > 0 ? await this.game.leaderboard.fetchPlayers() : [];
+        const now = new Date();
+        const pending = [];
+        
+        for (const player of players) {
+            const user = { uid: player.id, email: player.email };
+            const targets = this.game.questAssignments.targetsFor(user, player.stats);
+            const joinedAt = player.stats.createdAt ? new Date(player.stats.createdAt) : new Date(0);
+            
+            for (const template of templates.filter(candidate => (candidate.audience || []).some(target => targets.includes(target)))) {
+                this.recentPeriods(template.recurrence, joinedAt, now).forEach(period => pending.push({
+                    id: this.instanceId(template.id, user.uid, period.start),
+                    template,
+                    period,
+                    status: period.end <= now ? 'missed' : 'active',
+                    uid: user.uid
+                }));
             }
-        });
+        }
         
-        // Load initial content
-        this.loadHomeTableContent(type);
+        const existing = pending.length > 0 ? await this.listInstanceIds(pending) : new Set();
+        const missing = pending.filter(instance => !existing.has(instance.id));
+        let spawned = 0;
+        let missed = 0;
         
-        modal.style.display = 'flex';
+        for (let i = 0; i < missing.length; i += this.spawnChunkSize) {
+            const statuses = await Promise.all(missing.slice(i, i + this.spawnChunkSize)
+                .map(({ template, period, status, uid }) => this.ensureInstance(template, period, status, uid)));
+            statuses.forEach(status => {
+                if (status === 'active') spawned++;
+                if (status === 'missed') missed++;
+            });
+        }
+        
+        missed += await this.markExpiredAsMissed(now);
+        if (spawned > 0 || missed > 0) console.log(`🔁 Recurring quests: ${spawned} spawned, ${missed} missed`);
+        this.scheduleNextSpawn();
+        return { spawned, missed };
+    }
+    
+    // Ids of the recurring instances from the oldest pending period on
+    async listInstanceIds(pending) {
+        const oldest = pending.reduce((min, instance) => instance.period.start < min ? instance.period.start : min, pending[0].period.start);
+        const querySnapshot = await window.getDocs(window.query(
+            window.collection(window.db, this.questsCollection),
+            window.where('recurring', '==', true),
+            window.where('periodStart', '>=', this.game.houseForms.dateKey(oldest))
+        ));
+        return new Set(querySnapshot.docs.map(doc => doc.id));
+    }
+    
+    // Creates the instance once; returns the status written, or null when it already existed
+    // Still a transaction so two admin clients spawning at the same time do not both write it
+    async ensureInstance(template, period, status, uid) {
+        const questRef = window.doc(window.db, this.questsCollection, this.instanceId(template.id, uid, period.start));
+        
+        return window.runTransaction(window.db, async (transaction) => {
+            const existing = await transaction.get(questRef);
+            if (existing.exists()) return null;
+            
+            transaction.set(questRef, {
+                name: template.name,
+                description: template.description || '',
+                xpReward: template.xpReward || 0,
+                coinsReward: template.coinsReward || 0,
+                status: status,
+                assignedPlayer: uid,
+                audience: this.game.questAssignments.audienceFor({ uids: [uid] }),
+                recurring: true,
+                templateId: template.id,
+                periodStart: this.game.houseForms.dateKey(period.start),
+                endTime: period.end.toISOString(),
+                createdAt: new Date().toISOString(),
+                ...(status === 'missed' ? { missedAt: new Date().toISOString() } : {})
+            });
+            return status;
+        });
     }
     
-    async loadHomeTableContent(type) {
-        const contentDiv = document.querySelector('.home-table-content');
-        if (!contentDiv) return;
-        
-        contentDiv.innerHTML = '<div style="text-align: center; padding: 40px; color: #666;">Loading...</div>';
+    // Instances still active once their period is over were not done in time
+    async markExpiredAsMissed(now = new Date()) {
+        const querySnapshot = await window.getDocs(window.query(
+            window.collection(window.db, this.questsCollection),
+            window.where('recurring', '==', true),
+            window.where('status', '==', 'active')
+        ));
+        const expired = querySnapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(quest => new Date(quest.endTime) <= now);
+        
+        for (const quest of expired) {
+            await window.updateDoc(window.doc(window.db, this.questsCollection, quest.id), {
+                status: 'missed',
+                missedAt: now.toISOString()
+            });
+        }
+        return expired.length;
+    }
+    
+    // Run again just after midnight, when daily (and possibly weekly or monthly) periods roll over
+    scheduleNextSpawn() {
+        clearTimeout(this.midnightTimer);
+        const nextRun = this.addDays(new Date(), 1);
+        nextRun.setHours(0, 1, 0, 0);
+        this.midnightTimer = setTimeout(() => {
+            this.spawnAll().catch(error => console.error('❌ Recurring quest spawn failed:', error));
+        }, nextRun - new Date());
+    }
+    
+    async listInstances(uid, { status = null } = {}) {
+        if (!window.db || !uid) return [];
         
         try {
-            let content = '';
-            
-            if (type === 'feedbacks' || type === 'all') {
-                const feedbacks = await this.loadPlayerFeedbacks();
-                content += this.renderFeedbacksTable(feedbacks);
-            }
-            
-            if (type === 'missions' || type === 'all') {
-                const missions = await this.loadPlayerMissions();
-                content += this.renderMissionsTable(missions);
-            }
-            
-            if (type === 'all') {
-                content = `<div style="display: flex; flex-direction: column; gap: 30px;">${content}</div>`;
-            }
-            
-            contentDiv.innerHTML = content || '<div style="text-align: center; padding: 40px; color: #666;">No data available</div>';
-            
-            // Add event listeners for read buttons
-            contentDiv.querySelectorAll('.mark-feedback-read-btn').forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    const feedbackId = e.target.getAttribute('data-feedback-id');
-                    this.markFeedbackAsRead(feedbackId);
-                });
-                
-                // Add hover effects
-                btn.addEventListener('mouseenter', () => {
-                    btn.style.transform = 'scale(1.05)';
-                    btn.style.boxShadow = '0 4px 12px rgba(40, 167, 69, 0.3)';
-                });
-                
-                btn.addEventListener('mouseleave', () => {
-                    btn.style.transform = 'scale(1)';
-                    btn.style.boxShadow = 'none';
-                });
-            });
-            
+            const constraints = [
+                window.where('audience', 'array-contains', `uid:${uid}`),
+                window.where('recurring', '==', true)
+            ];
+            if (status) constraints.push(window.where('status', '==', status));
+            const q = window.query(window.collection(window.db, this.questsCollection), ...constraints);
+            const querySnapshot = await window.getDocs(q);
+            return querySnapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (b.periodStart || '').localeCompare(a.periodStart || ''));
         } catch (error) {
-            console.error('Error loading home table content:', error);
-            contentDiv.innerHTML = '<div style="text-align: center; padding: 40px; color: #ff3b30;">Error loading data</div>';
+            console.error('❌ Error loading recurring quest history:', error);
+            return [];
         }
     }
     
-    async loadPlayerFeedbacks() {
-        if (!this.game.auth.user || !window.db) return [];
+    /**
+     * Count instance statuses per template, for the history summary
+     * @returns {Array<{ templateId, name, counts: Object }>}
+     */
+    summarize(instances) {
+        const byTemplate = new Map();
+        instances.forEach(quest => {
+            if (!byTemplate.has(quest.templateId)) {
+                byTemplate.set(quest.templateId, { templateId: quest.templateId, name: quest.name, counts: {} });
+            }
+            const entry = byTemplate.get(quest.templateId);
+            entry.counts[quest.status] = (entry.counts[quest.status] || 0) + 1;
+        });
+        return Array.from(byTemplate.values());
+    }
+    
+    async open() {
+        const engine = this.game.houseForms;
+        const isAdmin = this.game.auth.isAdmin();
+        this.activeTab = 'history';
+        this.selectedPlayer = this.game.auth.user?.uid || null;
+        
+        this.handle = engine.openModal({
+            id: 'recurring-quests-modal',
+            title: '🔁 Quêtes récurrentes',
+            maxWidth: '760px',
+            bodyHTML: `
+                ${isAdmin ? `
+                    <div style="display: flex; gap: 10px; margin-bottom: 15px;">
+                        <button class="recurring-tab" data-tab="history" style="flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;">Historique</button>
+                        <button class="recurring-tab" data-tab="templates" style="flex: 1; padding: 10px; border-radius: 8px; border: 2px solid #007AFF; cursor: pointer; font-weight: 600;">Modèles</button>
+                    </div>
+                ` : ''}
+                <div class="recurring-tab-content" style="overflow-x: auto;"></div>
+            `
+        });
+        
+        const content = this.handle.content;
+        content.querySelectorAll('.recurring-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.activeTab = tab.getAttribute('data-tab');
+                this.render();
+            });
+        });
+        
+        const container = content.querySelector('.recurring-tab-content');
+        container.addEventListener('click', (e) => this.handleClick(e));
+        container.addEventListener('submit', (e) => this.handleSubmit(e));
+        container.addEventListener('change', (e) => {
+            if (e.target.classList.contains('recurring-player-select')) {
+                this.selectedPlayer = e.target.value;
+                this.render();
+            } else if (e.target.name === 'frequency') {
+                e.target.form.querySelector('.recurring-interval').style.display = e.target.value === 'custom' ? 'block' : 'none';
+            }
+        });
+        
+        await this.render();
+    }
+    
+    async handleClick(e) {
+        const toggle = e.target.closest('.recurring-toggle-btn');
+        if (!toggle) return;
         
         try {
-            // Get feedbacks from admin dashboard collection
-            const feedbacksRef = window.collection(window.db, 'adminFeedback');
-            const q = window.query(feedbacksRef, 
-                window.where('playerId', '==', this.game.auth.user.uid)
-            );
-            const querySnapshot = await window.getDocs(q);
-            
-            return querySnapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
+            await this.setTemplateActive(toggle.getAttribute('data-template-id'), toggle.getAttribute('data-active') !== 'true');
+            this.render();
         } catch (error) {
-            console.error('Error loading player feedbacks:', error);
-            return [];
+            console.error('❌ Error updating quest template:', error);
+            this.game.auth.showBottomNotification(`❌ ${error.message}`, 'error');
         }
     }
     
-    async loadPlayerMissions() {
-        if (!this.game.auth.user || !window.db) return [];
+    async handleSubmit(e) {
+        if (!e.target.classList.contains('recurring-template-form')) return;
+        e.preventDefault();
+        const form = e.target.elements;
+        const audienceValue = form.audienceValue.value.trim();
+        const audienceType = form.audienceType.value;
         
         try {
-            // Get missions from playerMissions collection
-            const missionsRef = window.collection(window.db, 'playerMissions');
-            const q = window.query(missionsRef, 
-                window.where('playerId', '==', this.game.auth.user.uid)
-            );
-            const querySnapshot = await window.getDocs(q);
-            
-            return querySnapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
+            if (audienceType !== 'everyone' && !audienceValue) throw new Error('Indiquez le groupe, le rôle ou l\'identifiant');
+            await this.createTemplate({
+                name: form.name.value.trim(),
+                description: form.description.value.trim(),
+                xpReward: Number(form.xpReward.value) || 0,
+                coinsReward: Number(form.coinsReward.value) || 0,
+                recurrence: {
+                    frequency: form.frequency.value,
+                    interval: Number(form.interval.value),
+                    startDate: form.startDate.value
+                },
+                audience: this.game.questAssignments.audienceFor({
+                    everyone: audienceType === 'everyone',
+                    uids: audienceType === 'uid' ? [audienceValue] : [],
+                    groups: audienceType === 'group' ? [audienceValue] : [],
+                    roles: audienceType === 'role' ? [audienceValue] : []
+                })
+            });
+            this.game.auth.showBottomNotification('✅ Modèle de quête créé', 'success');
+            this.render();
+            // Give the new template's audience their first instance right away
+            this.spawnAll().catch(error => console.error('❌ Recurring quest spawn failed:', error));
         } catch (error) {
-            console.error('Error loading player missions:', error);
-            return [];
+            console.error('❌ Error creating quest template:', error);
+            this.game.auth.showBottomNotification(`❌ ${error.message}`, 'error');
         }
     }
     
-    renderFeedbacksTable(feedbacks) {
-        if (feedbacks.length === 0) {
-            return `
-                <div style="text-align: center; padding: 20px; color: #666;">
-                    <div style="font-size: 48px; margin-bottom: 10px;">📝</div>
-                    <div>No feedbacks received yet</div>
-                </div>
+    async render() {
+        if (!this.handle) return;
+        const content = this.handle.content;
+        
+        content.querySelectorAll('.recurring-tab').forEach(tab => {
+            const active = tab.getAttribute('data-tab') === this.activeTab;
+            tab.style.background = active ? '#007AFF' : 'white';
+            tab.style.color = active ? 'white' : '#007AFF';
+        });
+        
+        const container = content.querySelector('.recurring-tab-content');
+        container.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">Loading...</div>';
+        container.innerHTML = this.activeTab === 'templates' ? await this.renderTemplates() : await this.renderHistory();
+    }
+    
+    async renderHistory() {
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        
+        let playerSelect = '';
+        if (this.game.auth.isAdmin()) {
+            const players = await this.game.leaderboard.loadPlayers();
+            playerSelect = `
+                <select class="recurring-player-select" style="${engine.baseInputStyle} margin: 0 0 15px 0;">
+                    ${players.map(player => `<option value="${escape(player.id)}" ${player.id === this.selectedPlayer ? 'selected' : ''}>${escape(player.name)}</option>`).join('')}
+                </select>
             `;
         }
         
-        return `
-            <div style="margin-bottom: 20px;">
-                <h3 style="margin: 0 0 15px 0; color: #1d1d1f; font-size: 18px; display: flex; align-items: center; gap: 8px;">
-                    📝 Feedbacks from Admins (${feedbacks.length})
-                </h3>
-                <div style="display: flex; flex-direction: column; gap: 10px;">
-                    ${feedbacks.map(feedback => `
-                        <div style="
-                            background: rgba(255, 255, 255, 0.7);
-                            border: 1px solid rgba(0, 0, 0, 0.1);
-                            border-radius: 12px;
-                            padding: 15px;
-                            transition: all 0.2s ease;
-                        " onmouseover="this.style.background='rgba(0, 122, 255, 0.05)'" onmouseout="this.style.background='rgba(255, 255, 255, 0.7)'">
-                            <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 10px;">
-                                <div style="display: flex; align-items: center; gap: 8px;">
-                                    <span style="font-size: 20px;">${feedback.type === 'positive' ? '✅' : '❌'}</span>
-                                    <strong style="color: ${feedback.type === 'positive' ? '#28a745' : '#dc3545'};">
-                                        ${feedback.type.toUpperCase()}
-                                    </strong>
-                                </div>
-                                <div style="font-size: 12px; color: #666;">
-                                    ${new Date(feedback.timestamp).toLocaleDateString()}
-                                </div>
-                            </div>
-                            <div style="margin-bottom: 10px;">
-                                <strong style="color: #333; font-size: 16px;">${feedback.title}</strong>
-                            </div>
-                            <div style="color: #555; font-size: 14px; line-height: 1.4; margin-bottom: 10px;">
-                                ${feedback.message}
-                            </div>
-                            <div style="display: flex; justify-content: space-between; align-items: center;">
-                                <div style="font-size: 12px; color: #666;">
-                                    From: <strong>${feedback.sentByName || 'Admin'}</strong>
-                                </div>
-                                <div style="display: flex; align-items: center; gap: 10px;">
-                                    <div style="display: flex; align-items: center; gap: 5px; font-size: 12px; color: ${feedback.status === 'read' ? '#28a745' : '#ffc107'};">
-                                        ${feedback.status === 'read' ? '✅ Read' : '🔔 Unread'}
-                                    </div>
-                                    ${feedback.status === 'unread' ? `
-                                        <button class="mark-feedback-read-btn" data-feedback-id="${feedback.id}" style="
-                                            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
-                                            color: white;
-                                            border: none;
-                                            padding: 6px 12px;
-                                            border-radius: 15px;
-                                            font-size: 11px;
-                                            font-weight: 600;
-                                            cursor: pointer;
-                                            transition: all 0.2s ease;
-                                        ">Read</button>
-                                    ` : ''}
-                                </div>
-                            </div>
-                        </div>
-                    `).join('')}
+        const instances = await this.listInstances(this.selectedPlayer);
+        const summary = this.summarize(instances).map(entry => `
+            <div style="background: #f8f9fa; padding: 10px 12px; border-radius: 10px;">
+                <strong>${escape(entry.name)}</strong>
+                <div style="font-size: 13px; color: #666; margin-top: 4px;">
+                    ✅ ${entry.counts.completed || 0} · ⏳ ${entry.counts.player_done || 0} · 🔄 ${entry.counts.active || 0} · ❌ ${entry.counts.missed || 0}
                 </div>
             </div>
+        `).join('');
+        const rows = instances.map(quest => [
+            escape(quest.name),
+            escape(this.parseDay(quest.periodStart).toLocaleDateString()),
+            escape(new Date(quest.endTime).toLocaleDateString()),
+            this.statusLabels[quest.status] || escape(quest.status)
+        ]);
+        
+        return `
+            ${playerSelect}
+            ${summary ? `<div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 10px; margin-bottom: 15px;">${summary}</div>` : ''}
+            ${engine.renderTable(['Quête', 'Période', 'Échéance', 'Statut'], rows, { emptyMessage: 'Aucune quête récurrente pour le moment' })}
         `;
     }
     
-    renderMissionsTable(missions) {
-        if (missions.length === 0) {
-            return `
-                <div style="text-align: center; padding: 20px; color: #666;">
-                    <div style="font-size: 48px; margin-bottom: 10px;">📋</div>
-                    <div>No missions submitted yet</div>
-                </div>
-            `;
-        }
+    async renderTemplates() {
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        const inputStyle = `${engine.baseInputStyle} margin-top: 0;`;
+        const templates = await this.listTemplates();
+        
+        const rows = templates.map(template => [
+            escape(template.name),
+            escape(this.describeRule(template.recurrence)),
+            escape(this.describeAudience(template.audience)),
+            `+${template.xpReward || 0} XP / +${template.coinsReward || 0} DZD`,
+            `<button class="recurring-toggle-btn" data-template-id="${escape(template.id)}" data-active="${!!template.active}" style="border: none; background: ${template.active ? '#34C759' : '#8E8E93'}; color: white; border-radius: 6px; padding: 4px 10px; cursor: pointer;">${template.active ? '▶️ Active' : '⏸️ En pause'}</button>`
+        ]);
         
         return `
-            <div style="margin-bottom: 20px;">
-                <h3 style="margin: 0 0 15px 0; color: #1d1d1f; font-size: 18px; display: flex; align-items: center; gap: 8px;">
-                    📋 Your Submitted Missions (${missions.length})
-                </h3>
-                <div style="display: flex; flex-direction: column; gap: 10px;">
-                    ${missions.map(mission => `
-                        <div style="
-                            background: rgba(255, 255, 255, 0.7);
-                            border: 1px solid rgba(0, 0, 0, 0.1);
-                            border-radius: 12px;
-                            padding: 15px;
-                            transition: all 0.2s ease;
-                        " onmouseover="this.style.background='rgba(0, 122, 255, 0.05)'" onmouseout="this.style.background='rgba(255, 255, 255, 0.7)'">
-                            <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 10px;">
-                                <div style="display: flex; align-items: center; gap: 8px;">
-                                    <span style="font-size: 20px;">${mission.type === 'photo' ? '📸' : mission.type === 'link' ? '🔗' : '📝'}</span>
-                                    <strong style="color: #333; font-size: 16px;">${mission.title}</strong>
-                                </div>
-                                <div style="
-                                    padding: 4px 12px;
-                                    border-radius: 20px;
-                                    font-size: 12px;
-                                    font-weight: 600;
-                                    color: white;
-                                    background: ${mission.status === 'approved' ? '#28a745' : mission.status === 'rejected' ? '#dc3545' : '#ffc107'};
-                                ">
-                                    ${mission.status === 'approved' ? '✅ Approved' : mission.status === 'rejected' ? '❌ Rejected' : '⏳ Pending'}
-                                </div>
-                            </div>
-                            <div style="color: #555; font-size: 14px; line-height: 1.4; margin-bottom: 10px;">
-                                ${mission.description}
-                            </div>
-                            <div style="margin-bottom: 10px;">
-                                <div style="font-size: 12px; color: #666; margin-bottom: 5px;">
-                                    <strong>Evidence (${mission.type}):</strong>
-                                </div>
-                                <div style="
-                                    background: rgba(0, 0, 0, 0.05);
-                                    padding: 8px;
-                                    border-radius: 6px;
-                                    font-size: 12px;
-                                    color: #333;
-                                    word-break: break-all;
-                                ">
-                                    ${mission.content}
-                                </div>
-                            </div>
-                            <div style="display: flex; justify-content: space-between; align-items: center; font-size: 12px; color: #666;">
-                                <div>Type: <strong>${mission.type.toUpperCase()}</strong></div>
-                                <div>Submitted: ${new Date(mission.submittedAt).toLocaleDateString()}</div>
-                            </div>
-                        </div>
-                    `).join('')}
-                </div>
-            </div>
+            <form class="recurring-template-form" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 10px; background: #f8f9fa; padding: 15px; border-radius: 12px; margin-bottom: 15px;">
+                <input name="name" placeholder="Nom (ex. Pointage du jour)" required style="${inputStyle} grid-column: 1 / -1;">
+                <textarea name="description" placeholder="Description" rows="2" style="${inputStyle} grid-column: 1 / -1;"></textarea>
+                <input name="xpReward" type="number" min="0" placeholder="XP" style="${inputStyle}">
+                <input name="coinsReward" type="number" min="0" placeholder="DZD" style="${inputStyle}">
+                <select name="frequency" style="${inputStyle}">
+                    ${Object.entries(this.frequencies).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+                <input name="interval" class="recurring-interval" type="number" min="1" step="1" value="2" placeholder="Jours" style="${inputStyle} display: none;">
+                <input name="startDate" type="date" value="${engine.dateKey()}" style="${inputStyle}">
+                <select name="audienceType" style="${inputStyle}">
+                    <option value="everyone">Tout le monde</option>
+                    <option value="group">Groupe</option>
+                    <option value="role">Rôle</option>
+                    <option value="uid">Joueur (uid)</option>
+                </select>
+                <input name="audienceValue" placeholder="Groupe / rôle / uid" style="${inputStyle}">
+                <button type="submit" style="${engine.buttonStyle()} grid-column: 1 / -1;">➕ Créer le modèle</button>
+            </form>
+            ${engine.renderTable(['Quête', 'Récurrence', 'Pour', 'Récompense', ''], rows, { emptyMessage: 'Aucun modèle de quête' })}
         `;
     }
+}
+
+/**
+ * QuestChainManager - Quests that unlock one after another
+ * A `questChains` document lists steps by id: { name, audience, startStep, active,
+ * steps: { [stepId]: { name, description, xpReward, coinsReward, days, next: [{ on, step }] } } }.
+ * `on` is the outcome of the step that unlocks `step`: 'approved' (done in time), 'late' (done after the
+ * deadline), 'missed' (deadline passed) or 'done' (approved or late), so a chain can branch.
+ * Each player's position is kept in `questChainProgress/{chainId}_{uid}`; only the current step exists as a
+ * real quest, so the usual approval and rewards apply, and the steps after it are shown locked in the panel.
+ * Players only read their progress: approving a step unlocks the next one in the same transaction
+ * (QuestApprovalManager.approve), and an admin's sign-in starts new chains and moves past missed steps.
+ */
+class QuestChainManager {
+    constructor(game) {
+        this.game = game;
+        this.chainsCollection = 'questChains';
+        this.progressCollection = 'questChainProgress';
+        this.questsCollection = 'quests';
+        this.defaultDays = 7;
+        this.outcomeIcons = { approved: '✅', late: '⌛', missed: '❌' };
+        this.chains = new Map();
+        this.progress = [];
+        
+        this.game.auth.onAuthStateChange((user) => {
+            if (!user) {
+                this.chains = new Map();
+                this.progress = [];
+            }
+        });
+    }
     
-    setupNotificationSystem() {
-        // Create notification container
-        this.notificationContainer = document.createElement('div');
-        this.notificationContainer.id = 'feedback-notification-container';
-        this.notificationContainer.style.cssText = `
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            z-index: 3000;
-            display: flex;
-            flex-direction: column;
-            gap: 10px;
-            pointer-events: none;
-        `;
-        document.body.appendChild(this.notificationContainer);
-        
-        // Check for new feedback every 5 seconds
-        setInterval(() => {
-            this.checkForNewFeedback();
-        }, 10000);
+    progressId(chainId, uid) {
+        return `${chainId}_${uid}`;
+    }
+    
+    progressRef(chainId, uid) {
+        return window.doc(window.db, this.progressCollection, this.progressId(chainId, uid));
+    }
+    
+    // Numbered by position in the player's path, so a step reached twice gets a fresh quest
+    stepQuestId(chainId, uid, position) {
+        return `${chainId}_${uid}_${position}`;
+    }
+    
+    /**
+     * Check a chain before saving
+     * @returns {string[]} error messages, empty when valid
+     */
+    validate(chain) {
+        const errors = [];
+        const steps = chain.steps || {};
+        if (!chain.name) errors.push('Le nom est obligatoire');
+        if (!steps[chain.startStep]) errors.push('L\'étape de départ n\'existe pas');
+        
+        Object.entries(steps).forEach(([stepId, step]) => {
+            if (!step.name) errors.push(`Étape ${stepId} : le nom est obligatoire`);
+            (step.next || []).forEach(link => {
+                if (!['approved', 'late', 'missed', 'done'].includes(link.on)) errors.push(`Étape ${stepId} : issue "${link.on}" inconnue`);
+                if (!steps[link.step]) errors.push(`Étape ${stepId} : l'étape suivante "${link.step}" n'existe pas`);
+            });
+        });
+        if (!chain.audience || chain.audience.length === 0) errors.push('Choisissez à qui s\'adresse la chaîne');
+        return errors;
+    }
+    
+    /**
+     * Create a chain (admin only), e.g. from the console with createQuestChain({...})
+     * @returns {Promise<string>} the new chain id
+     */
+    async createChain(chain) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        if (!this.game.auth.isAdmin()) throw new Error('Réservé aux administrateurs');
+        
+        const data = { active: true, ...chain, audience: chain.audience || ['all'] };
+        const errors = this.validate(data);
+        if (errors.length > 0) throw new Error(errors[0]);
+        
+        const docRef = await window.addDoc(window.collection(window.db, this.chainsCollection), {
+            ...data,
+            createdBy: user.uid,
+            createdAt: new Date().toISOString()
+        });
+        console.log(`🔗 Quest chain "${data.name}" created`);
+        this.syncAll().catch(error => console.error('❌ Quest chain sync failed:', error));
+        return docRef.id;
+    }
+    
+    async listChains() {
+        if (!window.db) return [];
         
-        // Initial check
-        this.checkForNewFeedback();
+        try {
+            const querySnapshot = await window.getDocs(window.collection(window.db, this.chainsCollection));
+            return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('❌ Error loading quest chains:', error);
+            return [];
+        }
+    }
+    
+    async getChain(chainId) {
+        const chainDoc = await window.getDoc(window.doc(window.db, this.chainsCollection, chainId));
+        return chainDoc.exists() ? { id: chainDoc.id, ...chainDoc.data() } : null;
+    }
+    
+    async listProgress(uid) {
+        const q = window.query(window.collection(window.db, this.progressCollection), window.where('uid', '==', uid));
+        const querySnapshot = await window.getDocs(q);
+        return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+    
+    /**
+     * How a step's quest ended, or null while it is still running or waiting for approval
+     */
+    outcomeOf(quest, now = new Date()) {
+        if (!quest) return null;
+        if (quest.status === 'completed') {
+            return quest.playerDoneAt && quest.endTime && new Date(quest.playerDoneAt) > new Date(quest.endTime) ? 'late' : 'approved';
+        }
+        if (quest.status === 'missed') return 'missed';
+        if (quest.status === 'active' && quest.endTime && new Date(quest.endTime) <= now) return 'missed';
+        return null;
+    }
+    
+    // First link matching the outcome; 'done' covers approved and late
+    nextStep(step, outcome) {
+        const links = step.next || [];
+        const link = links.find(candidate => candidate.on === outcome)
+            || (outcome !== 'missed' ? links.find(candidate => candidate.on === 'done') : null);
+        return link ? link.step : null;
+    }
+    
+    buildStepQuest(chain, stepId, uid) {
+        const step = chain.steps[stepId];
+        const days = Number(step.days) || this.defaultDays;
+        return {
+            name: step.name,
+            description: step.description || '',
+            xpReward: step.xpReward || 0,
+            coinsReward: step.coinsReward || 0,
+            status: 'active',
+            assignedPlayer: uid,
+            audience: this.game.questAssignments.audienceFor({ uids: [uid] }),
+            chainId: chain.id,
+            chainStep: stepId,
+            endTime: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
+            createdAt: new Date().toISOString()
+        };
+    }
+    
+    // Give a player the first step of a chain they have not started yet
+    async start(chain, uid) {
+        const progressRef = this.progressRef(chain.id, uid);
+        const questRef = window.doc(window.db, this.questsCollection, this.stepQuestId(chain.id, uid, 1));
+        
+        return window.runTransaction(window.db, async (transaction) => {
+            const existing = await transaction.get(progressRef);
+            if (existing.exists()) return false;
+            
+            transaction.set(questRef, this.buildStepQuest(chain, chain.startStep, uid));
+            transaction.set(progressRef, {
+                chainId: chain.id,
+                uid: uid,
+                currentStep: chain.startStep,
+                currentQuestId: questRef.id,
+                history: [],
+                status: 'in_progress',
+                startedAt: new Date().toISOString()
+            });
+            return true;
+        });
     }
     
-    async checkForNewFeedback() {
-        if (!this.game.auth.user || !window.db) return;
+    /**
+     * Move a player past their current step once its quest has an outcome
+     * Safe to run from several devices: the transaction only advances from the quest it read
+     * @returns {Promise<string|null>} the outcome that was applied, or null when nothing changed
+     */
+    async advance(chain, uid) {
+        const progressRef = this.progressRef(chain.id, uid);
         
-        try {
-            // Check adminFeedback collection for unread feedbacks
-            const feedbacksRef = window.collection(window.db, 'adminFeedback');
-            const q = window.query(feedbacksRef, 
-                window.where('playerId', '==', this.game.auth.user.uid),
-                window.where('status', '==', 'unread')
-            );
-            const querySnapshot = await window.getDocs(q);
-            const unreadCount = querySnapshot.docs.length;
+        return window.runTransaction(window.db, async (transaction) => {
+            const progressDoc = await transaction.get(progressRef);
+            if (!progressDoc.exists() || progressDoc.data().status !== 'in_progress') return null;
             
-            // Show notification if there are new unread feedbacks
-            if (unreadCount > this.lastFeedbackCount && this.lastFeedbackCount > 0) {
-                const newCount = unreadCount - this.lastFeedbackCount;
-                this.showFeedbackNotification(newCount);
-            }
+            const progress = progressDoc.data();
+            const questRef = window.doc(window.db, this.questsCollection, progress.currentQuestId);
+            const questDoc = await transaction.get(questRef);
+            const outcome = this.outcomeOf(questDoc.exists() ? questDoc.data() : { status: 'missed' });
+            if (!outcome) return null;
             
-            this.lastFeedbackCount = unreadCount;
-        } catch (error) {
-            console.error('Error checking for new feedback:', error);
+            this.applyOutcome(transaction, chain, uid, progress, questDoc.exists() ? questDoc.data() : null, outcome);
+            return outcome;
+        });
+    }
+    
+    /**
+     * Write the end of the current step and unlock the next one, inside a transaction that already read
+     * the progress and the step's quest (as they are before this transaction's own writes)
+     */
+    applyOutcome(transaction, chain, uid, progress, quest, outcome) {
+        const progressRef = this.progressRef(chain.id, uid);
+        const questRef = window.doc(window.db, this.questsCollection, progress.currentQuestId);
+        const now = new Date().toISOString();
+        const history = [...(progress.history || []), { step: progress.currentStep, questId: progress.currentQuestId, outcome, at: now }];
+        const nextStepId = this.nextStep(chain.steps[progress.currentStep] || {}, outcome);
+        const updates = { history, updatedAt: now };
+        
+        if (nextStepId) {
+            const nextRef = window.doc(window.db, this.questsCollection, this.stepQuestId(chain.id, uid, history.length + 1));
+            transaction.set(nextRef, this.buildStepQuest(chain, nextStepId, uid));
+            updates.currentStep = nextStepId;
+            updates.currentQuestId = nextRef.id;
+        } else {
+            // A missed step without a branch for it ends the chain
+            updates.status = outcome === 'missed' ? 'failed' : 'finished';
+            updates.currentStep = null;
+            updates.currentQuestId = null;
+        }
+        
+        // Take an expired step out of the active quests
+        if (outcome === 'missed' && quest && quest.status === 'active') {
+            transaction.update(questRef, { status: 'missed', missedAt: now });
         }
+        transaction.update(progressRef, updates);
     }
     
-    async markFeedbackAsRead(feedbackId) {
-        if (!this.game.auth.user || !window.db) return;
+    /**
+     * Start the chains aimed at each player and advance the ones whose step ended without an approval (admin only)
+     */
+    async syncAll() {
+        const auth = this.game.auth;
+        if (!auth.user || !window.db || !auth.isAdmin()) return;
         
-        try {
-            // Update feedback status in adminFeedback collection
-            const feedbackRef = window.doc(window.db, 'adminFeedback', feedbackId);
-            await window.updateDoc(feedbackRef, {
-                status: 'read',
-                readAt: new Date().toISOString()
-            });
-            
-            // Show success notification
-            this.game.auth.showBottomNotification('✅ Feedback marked as read', 'success');
-            
-            // Refresh the table content
-            const modal = document.getElementById('home-table-modal');
-            if (modal && modal.style.display !== 'none') {
-                const activeTab = modal.querySelector('.table-tab-btn.active');
-                if (activeTab) {
-                    const tabType = activeTab.getAttribute('data-tab');
-                    this.loadHomeTableContent(tabType);
+        const chains = (await this.listChains()).filter(chain => chain.active);
+        const players = chains.length > 0 ? await this.game.leaderboard.fetchPlayers() : [];
+        
+        for (const player of players) {
+            const user = { uid: player.id, email: player.email };
+            const targets = this.game.questAssignments.targetsFor(user, player.stats);
+            for (const chain of chains.filter(candidate => (candidate.audience || []).some(target => targets.includes(target)))) {
+                try {
+                    const started = await this.start(chain, user.uid);
+                    const outcome = started ? null : await this.advance(chain, user.uid);
+                    if (outcome) console.log(`🔗 Chain "${chain.name}" advanced for ${user.uid} (${outcome})`);
+                } catch (error) {
+                    console.error(`❌ Error syncing quest chain ${chain.id} for ${user.uid}:`, error);
                 }
             }
-            
-        } catch (error) {
-            console.error('Error marking feedback as read:', error);
-            this.game.auth.showBottomNotification('❌ Failed to mark feedback as read', 'error');
         }
+        
+        await this.loadForPlayer();
     }
     
-    showFeedbackNotification(count) {
-        const notification = document.createElement('div');
-        notification.className = 'feedback-notification';
-        notification.style.cssText = `
-            background: linear-gradient(135deg, #ff3b30 0%, #d70015 100%);
-            color: white;
-            padding: 15px 20px;
-            border-radius: 12px;
-            box-shadow: 0 8px 25px rgba(255, 59, 48, 0.3);
-            backdrop-filter: blur(10px);
-            -webkit-backdrop-filter: blur(10px);
-            border: 1px solid rgba(255, 255, 255, 0.2);
-            transform: translateX(100%);
-            transition: all 0.3s ease;
-            pointer-events: auto;
-            cursor: pointer;
-            max-width: 300px;
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-        `;
+    // Read the current player's chains and progress, then redraw the quest panel
+    async loadForPlayer() {
+        const auth = this.game.auth;
+        if (!auth.user || !window.db) return;
         
-        notification.innerHTML = `
-            <div style="display: flex; align-items: center; gap: 10px;">
-                <div style="
-                    background: rgba(255, 255, 255, 0.2);
-                    border-radius: 50%;
-                    width: 40px;
-                    height: 40px;
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    font-size: 20px;
-                ">📝</div>
-                <div>
-                    <div style="font-weight: 600; font-size: 16px; margin-bottom: 2px;">
-                        New Feedback!
+        const chains = await this.listChains();
+        this.chains = new Map(chains.map(chain => [chain.id, chain]));
+        this.progress = await this.listProgress(auth.user.uid);
+        auth.loadPlayerQuests();
+    }
+    
+    // Steps reachable from the current one, shown locked: every branch is listed since the outcome is not known yet
+    upcomingSteps(chain, stepId) {
+        const upcoming = [];
+        const seen = new Set([stepId]);
+        let frontier = [stepId];
+        while (frontier.length > 0 && upcoming.length < 5) {
+            const nextFrontier = [];
+            frontier.forEach(id => (chain.steps[id]?.next || []).forEach(link => {
+                if (seen.has(link.step)) return;
+                seen.add(link.step);
+                upcoming.push({ id: link.step, on: link.on, ...chain.steps[link.step] });
+                nextFrontier.push(link.step);
+            }));
+            frontier = nextFrontier;
+        }
+        return upcoming;
+    }
+    
+    /**
+     * Block shown at the top of the quest panel: finished steps, the current one and the locked ones after it
+     * @returns {HTMLElement|null}
+     */
+    createProgressElement() {
+        const escape = value => this.game.houseForms.escapeHTML(value);
+        const onLabels = { approved: 'si réussie', late: 'si en retard', missed: 'si manquée', done: 'une fois terminée' };
+        const blocks = this.progress
+            .filter(progress => progress.status === 'in_progress' && this.chains.has(progress.chainId))
+            .map(progress => {
+                const chain = this.chains.get(progress.chainId);
+                const history = progress.history || [];
+                const done = history.map(entry => `<span class="quest-chain-step done" title="${escape(entry.outcome)}">${this.outcomeIcons[entry.outcome] || '•'} ${escape(chain.steps[entry.step]?.name || entry.step)}</span>`).join('');
+                const current = `<span class="quest-chain-step current">▶️ ${escape(chain.steps[progress.currentStep]?.name || progress.currentStep)}</span>`;
+                const locked = this.upcomingSteps(chain, progress.currentStep).map(step => `
+                    <div class="quest-item quest-locked">
+                        <div class="quest-title">🔒 ${escape(step.name)}</div>
+                        <div class="quest-timer">${onLabels[step.on] || ''}</div>
                     </div>
-                    <div style="font-size: 14px; opacity: 0.9;">
-                        You have ${count} new feedback${count > 1 ? 's' : ''} from admin${count > 1 ? 's' : ''}
+                `).join('');
+                
+                return `
+                    <div class="quest-chain" data-chain-id="${escape(chain.id)}">
+                        <div class="quest-chain-title">🔗 ${escape(chain.name)} · Étape ${history.length + 1}</div>
+                        <div class="quest-chain-steps">${done}${current}</div>
+                        ${locked}
                     </div>
+                `;
+            });
+        
+        if (blocks.length === 0) return null;
+        const container = document.createElement('div');
+        container.className = 'quest-chains';
+        container.innerHTML = blocks.join('');
+        return container;
+    }
+}
+
+/**
+ * TeamQuestManager - Quests a group fills together towards a shared target
+ * Members add to `total` and to their own entry in `contributions`, by hand from the quest panel or
+ * automatically from La Saisie (`metric`). The contribution that reaches the target hands the quest in
+ * (status 'player_done'); approving it then pays every contributor in one transaction (QuestApprovalManager).
+ */
+class TeamQuestManager {
+    constructor(game) {
+        this.game = game;
+        this.collectionName = 'quests';
+        this.defaultDays = 7;
+    }
+    
+    // What counts towards a team quest: manual contributions from the quest panel, or entries recorded in La Saisie
+    metricLabel(metric) {
+        if (!metric || metric === 'manual') return 'Contribution manuelle';
+        const [source, type] = metric.split(':');
+        if (source === 'saisie') return `Saisie : ${this.game.saisieStock.types[type] || type}`;
+        return metric;
+    }
+    
+    /**
+     * Create a team quest (admin only), e.g. from the console with createTeamQuest({...})
+     * @param {{ name: string, target: number, unit?: string, metric?: string, audience?: string[], days?: number }} quest
+     * @returns {Promise<string>} the new quest id
+     */
+    async createTeamQuest(quest) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        if (!this.game.auth.isAdmin()) throw new Error('Réservé aux administrateurs');
+        
+        const target = Number(quest.target);
+        if (!quest.name) throw new Error('Le nom est obligatoire');
+        if (!Number.isInteger(target) || target <= 0) throw new Error('L\'objectif doit être un entier positif');
+        const metric = quest.metric || 'manual';
+        if (metric !== 'manual' && !(metric.startsWith('saisie:') && this.game.saisieStock.types[metric.slice(7)])) {
+            throw new Error(`Mesure inconnue : ${metric}`);
+        }
+        
+        const days = Number(quest.days) || this.defaultDays;
+        const docRef = await window.addDoc(window.collection(window.db, this.collectionName), {
+            name: quest.name,
+            description: quest.description || '',
+            xpReward: quest.xpReward || 0,
+            coinsReward: quest.coinsReward || 0,
+            status: 'active',
+            audience: quest.audience || ['all'],
+            team: true,
+            target,
+            unit: quest.unit || '',
+            metric,
+            total: 0,
+            contributions: {},
+            endTime: quest.endTime || new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
+            createdBy: user.uid,
+            createdAt: new Date().toISOString()
+        });
+        console.log(`👥 Team quest "${quest.name}" created (${target} ${quest.unit || ''})`);
+        return docRef.id;
+    }
+    
+    isOpen(quest, now = new Date()) {
+        return quest.team && quest.status === 'active' && !quest.reachedAt && (!quest.endTime || new Date(quest.endTime) > now);
+    }
+    
+    /**
+     * Add the current player's share to a team quest
+     * The transaction that takes the total to the target marks it reached and hands it in for approval
+     * @returns {Promise<{ total: number, reached: boolean }>}
+     */
+    async contribute(questId, amount) {
+        const user = this.game.auth.user;
+        if (!user || !window.db) throw new Error('Not authenticated');
+        if (!Number.isInteger(amount) || amount <= 0) throw new Error('La contribution doit être un entier positif');
+        
+        const questRef = window.doc(window.db, this.collectionName, questId);
+        const result = await window.runTransaction(window.db, async (transaction) => {
+            const questDoc = await transaction.get(questRef);
+            if (!questDoc.exists()) throw new Error('Quête introuvable');
+            const quest = questDoc.data();
+            if (!this.isOpen(quest)) throw new Error('Cette quête d\'équipe est terminée');
+            
+            const mine = quest.contributions?.[user.uid]?.amount || 0;
+            const total = (quest.total || 0) + amount;
+            const now = new Date().toISOString();
+            const updates = {
+                [`contributions.${user.uid}`]: { name: this.game.auth.getPlayerName(), amount: mine + amount, updatedAt: now },
+                total
+            };
+            const reached = total >= quest.target;
+            if (reached) Object.assign(updates, { reachedAt: now, status: 'player_done', playerDoneAt: now });
+            
+            transaction.update(questRef, updates);
+            return { total, reached };
+        });
+        
+        console.log(`👥 Contributed ${amount} to team quest ${questId} (${result.total})`);
+        return result;
+    }
+    
+    /**
+     * Count an activity towards the player's open team quests that measure it
+     * Never throws: the activity itself is already saved
+     */
+    async recordActivity(metric, amount) {
+        const quests = (this.game.auth.playerQuests || []).filter(quest => quest.metric === metric && this.isOpen(quest));
+        for (const quest of quests) {
+            try {
+                const { reached } = await this.contribute(quest.id, amount);
+                if (reached) this.game.auth.showBottomNotification(`🎯 Objectif d'équipe atteint : ${quest.name}`, 'success', 4000);
+            } catch (error) {
+                console.error(`❌ Error counting ${metric} for team quest ${quest.id}:`, error);
+            }
+        }
+    }
+    
+    /**
+     * Shared progress shown in a team quest's details: the total against the target and each member's share
+     * @returns {string} HTML
+     */
+    renderProgress(quest) {
+        const escape = value => this.game.houseForms.escapeHTML(value);
+        const uid = this.game.auth.user?.uid;
+        const total = quest.total || 0;
+        const percent = Math.min(100, Math.round(total / quest.target * 100));
+        const unit = escape(quest.unit || '');
+        const members = Object.entries(quest.contributions || {})
+            .sort(([, a], [, b]) => b.amount - a.amount)
+            .map(([memberId, contribution]) => `
+                <div class="quest-team-member ${memberId === uid ? 'me' : ''}">
+                    <span>${escape(contribution.name || 'Joueur')}${memberId === uid ? ' (vous)' : ''}</span>
+                    <span>${contribution.amount} ${unit}</span>
                 </div>
-                <button class="notification-close" style="
-                    background: none;
-                    border: none;
-                    color: white;
-                    font-size: 18px;
-                    cursor: pointer;
-                    padding: 5px;
-                    border-radius: 50%;
-                    transition: background 0.2s ease;
-                    margin-left: auto;
-                ">×</button>
+            `).join('');
+        
+        return `
+            <div class="quest-team">
+                <div class="quest-team-total">👥 ${total} / ${quest.target} ${unit}</div>
+                <div class="quest-team-bar"><div class="quest-team-fill" style="width: ${percent}%;"></div></div>
+                ${members || '<div class="quest-team-member">Aucune contribution pour le moment</div>'}
             </div>
         `;
+    }
+}
+
+/**
+ * QuestApprovalManager - Admin review of quests players marked as done
+ * Approving credits the reward and writes the coin ledger entries in the same transaction as the status
+ * change, so a quest is paid exactly once and always with its entries; an approved chain step unlocks the
+ * next one in that transaction too. Quests approved from the admin
+ * dashboard are still credited there and only reach the ledger through CoinLedger.reconcile().
+ */
+class QuestApprovalManager {
+    constructor(game) {
+        this.game = game;
+        this.collectionName = 'quests';
+        this.handle = null;
         
-        // Add event listeners
-        notification.addEventListener('click', () => {
-            this.hideNotification(notification);
-            // Open home table with feedbacks
-            this.showHomeFeedbacksTable();
-        });
+        this.button = document.getElementById('questReviewButton');
+        if (this.button) this.button.addEventListener('click', () => this.open());
         
-        notification.querySelector('.notification-close').addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.hideNotification(notification);
+        this.game.auth.onAuthStateChange((user) => {
+            if (!user) this.setAvailable(false);
         });
+    }
+    
+    // The review button only shows for admins, once their role is known
+    setAvailable(available) {
+        if (this.button) this.button.style.display = available ? 'block' : 'none';
+    }
+    
+    async listPending() {
+        if (!window.db) return [];
         
-        // Add hover effects
-        notification.addEventListener('mouseenter', () => {
-            notification.style.transform = 'translateX(0) scale(1.02)';
-            notification.style.boxShadow = '0 12px 30px rgba(255, 59, 48, 0.4)';
+        try {
+            const q = window.query(window.collection(window.db, this.collectionName), window.where('status', '==', 'player_done'));
+            const querySnapshot = await window.getDocs(q);
+            return querySnapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (a.playerDoneAt || '').localeCompare(b.playerDoneAt || ''));
+        } catch (error) {
+            console.error('❌ Error loading quests to approve:', error);
+            return [];
+        }
+    }
+    
+    // Players paid when a quest is approved: whoever handed it in, or every contributor of a team quest
+    recipientsOf(quest) {
+        if (quest.team) {
+            return Object.entries(quest.contributions || {})
+                .filter(([, contribution]) => contribution.amount > 0)
+                .map(([uid]) => uid)
+                .sort();
+        }
+        return quest.playerDoneBy ? [quest.playerDoneBy] : [];
+    }
+    
+    /**
+     * Approve a quest handed in by a player (admin only)
+     * @returns {Promise<{ recipients: string[] }>}
+     */
+    async approve(questId) {
+        const auth = this.game.auth;
+        if (!auth.user || !window.db) throw new Error('Not authenticated');
+        if (!auth.isAdmin()) throw new Error('Réservé aux administrateurs');
+        
+        const ledger = this.game.coinLedger;
+        const questRef = window.doc(window.db, this.collectionName, questId);
+        const questDoc = await window.getDoc(questRef);
+        if (!questDoc.exists()) throw new Error('Quête introuvable');
+        
+        // Users documents are looked up first: a transaction can only read documents by reference
+        const recipients = this.recipientsOf(questDoc.data());
+        const userRefs = await Promise.all(recipients.map(playerId => ledger.resolveUserRef(playerId)));
+        const { chainId, assignedPlayer } = questDoc.data();
+        const chain = chainId ? await this.game.questChains.getChain(chainId) : null;
+        const progressRef = chain ? this.game.questChains.progressRef(chainId, assignedPlayer) : null;
+        
+        const result = await window.runTransaction(window.db, async (transaction) => {
+            const current = await transaction.get(questRef);
+            const quest = current.exists() ? current.data() : null;
+            if (!quest || quest.status !== 'player_done') throw new Error('Cette quête n\'attend plus de validation');
+            if (this.recipientsOf(quest).join() !== recipients.join()) throw new Error('La quête a changé, réessayez');
+            
+            const userDocs = await Promise.all(userRefs.map(ref => transaction.get(ref)));
+            const progressDoc = progressRef ? await transaction.get(progressRef) : null;
+            const now = new Date().toISOString();
+            const actor = ledger.getActor();
+            const source = { type: 'quest', id: questId, label: `Quête : ${quest.name}` };
+            const reward = { points: quest.coinsReward || 0, experience: quest.xpReward || 0 };
+            
+            const entries = recipients.map((playerId, index) =>
+                ledger.recordChange(transaction, userRefs[index], userDocs[index].data(), playerId, reward, source, actor, now));
+            transaction.update(questRef, { status: 'completed', approvedAt: now, approvedBy: auth.user.uid });
+            
+            const progress = progressDoc && progressDoc.exists() ? progressDoc.data() : null;
+            if (progress && progress.status === 'in_progress' && progress.currentQuestId === questId) {
+                const chains = this.game.questChains;
+                chains.applyOutcome(transaction, chain, assignedPlayer, progress, quest, chains.outcomeOf({ ...quest, status: 'completed' }));
+            }
+            return { recipients, entries };
         });
         
-        notification.addEventListener('mouseleave', () => {
-            notification.style.transform = 'translateX(0) scale(1)';
-            notification.style.boxShadow = '0 8px 25px rgba(255, 59, 48, 0.3)';
-        });
+        result.recipients.forEach((playerId, index) => ledger.syncLocalStats(playerId, result.entries[index]));
+        console.log(`✅ Quest ${questId} approved for`, result.recipients);
+        return result;
+    }
+    
+    // Send a quest back to its player, who can hand it in again; a team quest reopens until its next contribution
+    async reject(questId) {
+        if (!this.game.auth.isAdmin()) throw new Error('Réservé aux administrateurs');
         
-        this.notificationContainer.appendChild(notification);
+        await window.updateDoc(window.doc(window.db, this.collectionName, questId), {
+            status: 'active',
+            playerDoneBy: window.deleteField(),
+            playerDoneAt: window.deleteField(),
+            reachedAt: window.deleteField(),
+            rejectedAt: new Date().toISOString(),
+            rejectedBy: this.game.auth.user.uid
+        });
+        console.log(`↩️ Quest ${questId} sent back`);
+    }
+    
+    async open() {
+        const engine = this.game.houseForms;
+        this.handle = engine.openModal({
+            id: 'quest-approval-modal',
+            title: '✅ Quêtes à valider',
+            maxWidth: '760px',
+            bodyHTML: '<div class="quest-approval-content" style="overflow-x: auto;"></div>'
+        });
         
-        // Animate in
-        setTimeout(() => {
-            notification.style.transform = 'translateX(0)';
-        }, 100);
+        const container = this.handle.content.querySelector('.quest-approval-content');
+        container.addEventListener('click', (e) => this.handleClick(e));
+        await this.render();
+    }
+    
+    async handleClick(e) {
+        const button = e.target.closest('.quest-approve-btn, .quest-reject-btn');
+        if (!button || button.disabled) return;
+        const questId = button.getAttribute('data-quest-id');
+        const approving = button.classList.contains('quest-approve-btn');
         
-        // Auto-hide after 8 seconds
-        setTimeout(() => {
-            this.hideNotification(notification);
-        }, 8000);
+        button.disabled = true;
+        try {
+            if (approving) {
+                const { recipients } = await this.approve(questId);
+                this.game.auth.showBottomNotification(`✅ Quête validée, ${recipients.length} joueur(s) récompensé(s)`, 'success');
+            } else {
+                await this.reject(questId);
+                this.game.auth.showBottomNotification('↩️ Quête renvoyée au joueur', 'info');
+            }
+            this.render();
+        } catch (error) {
+            console.error('❌ Error reviewing quest:', error);
+            this.game.auth.showBottomNotification(`❌ ${error.message}`, 'error');
+            button.disabled = false;
+        }
     }
     
-    hideNotification(notification) {
-        if (!notification || !notification.parentNode) return;
+    async render() {
+        if (!this.handle) return;
+        const engine = this.game.houseForms;
+        const escape = value => engine.escapeHTML(value);
+        const container = this.handle.content.querySelector('.quest-approval-content');
+        container.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">Loading...</div>';
         
-        notification.style.transform = 'translateX(100%)';
-        notification.style.opacity = '0';
+        const [quests, players] = await Promise.all([this.listPending(), this.game.leaderboard.loadPlayers()]);
+        const names = new Map(players.map(player => [player.id, player.name]));
+        const buttonStyle = color => `border: none; background: ${color}; color: white; border-radius: 6px; padding: 4px 10px; cursor: pointer; margin: 2px;`;
         
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
-            }
-        }, 300);
+        const rows = quests.map(quest => [
+            escape(quest.name),
+            escape(this.recipientsOf(quest).map(playerId => names.get(playerId) || playerId).join(', ')),
+            escape(quest.playerDoneAt ? new Date(quest.playerDoneAt).toLocaleString() : '-'),
+            `+${quest.xpReward || 0} XP / +${quest.coinsReward || 0} DZD`,
+            `<button class="quest-approve-btn" data-quest-id="${escape(quest.id)}" style="${buttonStyle('#34C759')}">✅ Valider</button>
+             <button class="quest-reject-btn" data-quest-id="${escape(quest.id)}" style="${buttonStyle('#FF9500')}">↩️ Renvoyer</button>`
+        ]);
+        
+        container.innerHTML = engine.renderTable(['Quête', 'Joueur(s)', 'Terminée le', 'Récompense', ''], rows, { emptyMessage: 'Aucune quête en attente' });
     }
 }
 
@@ -8593,6 +14898,51 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         };
         
+        // Create a quest chain (admin only): createQuestChain({ name, audience: ['all'], startStep: 'a', steps: { a: { name, next: [{ on: 'done', step: 'b' }] }, b: { name } } })
+        window.createQuestChain = (chain) => {
+            if (window.game && window.game.questChains) {
+                return window.game.questChains.createChain(chain);
+            } else {
+                console.log("❌ Game not initialized yet");
+            }
+        };
+        
+        // Create a team quest (admin only): createTeamQuest({ name, target: 200, unit: 'fiches', metric: 'saisie:registration_form', audience: ['group:A'], days: 7, xpReward, coinsReward })
+        window.createTeamQuest = (quest) => {
+            if (window.game && window.game.teamQuests) {
+                return window.game.teamQuests.createTeamQuest(quest);
+            } else {
+                console.log("❌ Game not initialized yet");
+            }
+        };
+        
+        // Set the Hygiène passing threshold (admin only): setHygieneThreshold(80)
+        window.setHygieneThreshold = (threshold) => {
+            if (window.game && window.game.hygiene) {
+                return window.game.hygiene.setThreshold(threshold);
+            } else {
+                console.log("❌ Game not initialized yet");
+            }
+        };
+        
+        // Convert quests that only have assignedPlayer (admin only): migrateQuestAssignments({ dryRun: true }) to preview
+        window.migrateQuestAssignments = (options = {}) => {
+            if (window.game && window.game.questAssignments) {
+                return window.game.questAssignments.migrate(options);
+            } else {
+                console.log("❌ Game not initialized yet");
+            }
+        };
+        
+        // Set the Rival password (admin only): setRivalPassword('secret', { content: '...' }) or pass a uid for a personal code
+        window.setRivalPassword = (secret, protectedContent = {}, playerId = null) => {
+            if (window.game && window.game.rivalGate) {
+                return window.game.rivalGate.provisionVault(secret, protectedContent, playerId);
+            } else {
+                console.log("❌ Game not initialized yet");
+            }
+        };
+        
         // Make polygon collision test available globally
         window.testPolygonCollision = (x, y, width = 24, height = 31.2) => {
             if (window.game && window.game.map) {